@@ -7,7 +7,9 @@
    ，但系統只抓的到本機端。
  - [fileFilter] 過濾圖片以外的檔案類型。
  - 限制上傳大小(5MB)
- - 文章跟商品的存取位置不一樣，引用時要記得將兩個不同的資料區分開。
+ - 文章、商品、票種跟年卡照片的存取位置不一樣，引用時要記得將不同的資料區分開。
+ - 年卡持卡人照片屬於個人資料，存在 /uploads 靜態目錄之外，只能透過 GET /passes/{passNumber}/photo 讀取；
+   [getPassPhotoPath] 取得照片檔案路徑，[removePassPhoto] 刪除不再使用的照片。
 */
 
 const multer = require('multer');
@@ -85,7 +87,65 @@ const productUpload = multer({
     limits
 });
 
+// 儲存位置_票種
+const ticketUploadDir = 'C:/Users/work/Desktop/AquPark/img/uploads/tickets';
+if (!fs.existsSync(ticketUploadDir)) {
+    fs.mkdirSync(ticketUploadDir, { recursive: true })
+};
+
+const ticketUpload = multer({
+    storage: multer.diskStorage({
+        destination: (req, file, cb) => cb(null, ticketUploadDir),
+        filename: (req, file, cb) => cb(null, generateFileName(path.extname(file.originalname)))
+    }),
+    fileFilter,
+    limits
+});
+
+// 儲存位置_年卡持卡人照片(不可放在 /uploads 底下，避免公開讀取)
+const passUploadDir = 'C:/Users/work/Desktop/AquPark/img/private/passes';
+if (!fs.existsSync(passUploadDir)) {
+    fs.mkdirSync(passUploadDir, { recursive: true })
+};
+
+// 持卡人照片只接受點陣圖，SVG 可夾帶指令碼
+const passAllowedTypes = ['image/jpeg', 'image/png', 'image/webp'];
+
+const passUpload = multer({
+    storage: multer.diskStorage({
+        destination: (req, file, cb) => cb(null, passUploadDir),
+        filename: (req, file, cb) => cb(null, generateFileName(path.extname(file.originalname)))
+    }),
+    fileFilter: (req, file, cb) => {
+        if (passAllowedTypes.includes(file.mimetype)) {
+            cb(null, true);
+        } else {
+            cb(new Error('僅允許上傳圖片檔案'), false);
+        }
+    },
+    limits
+});
+
+// 取得年卡照片的檔案路徑，檔名只取最後一段避免讀取其他目錄
+function getPassPhotoPath(fileName) {
+    return path.resolve(passUploadDir, path.basename(fileName));
+}
+
+// 刪除年卡照片，檔案已不存在時忽略
+async function removePassPhoto(fileName) {
+    if (!fileName) return;
+    try {
+        await fs.promises.unlink(getPassPhotoPath(fileName));
+    } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+    }
+}
+
 module.exports = {
     upload,
-    productUpload
+    productUpload,
+    ticketUpload,
+    passUpload,
+    getPassPhotoPath,
+    removePassPhoto
 };
\ No newline at end of file
@@ -1,40 +1,77 @@
 /*
 此程式碼是為了判斷用戶是否登入，並確認是否有管理員資格(可關閉)
+登入狀態由 Authorization: Bearer <access token> 判斷，token 由 /users/login 簽發，
+並會確認對應的工作階段尚未登出或被撤銷、帳號未被停用。
+管理員代客檢視(impersonation)期間的非查詢操作會寫入操作紀錄。
 */
 const pool = require('../db');
+const { verifyAccessToken } = require('../utils/token');
+const { getActiveSession } = require('../utils/session');
+const { writeAuditLog } = require('../utils/auditLog');
+
 /**
  * 檢查使用者是否已登入，並（可選）檢查管理員
  * @param {boolean} requireAdmin
  */
 function checkLogin(requireAdmin = false) {
   return async (req, res, next) => {
-    const userId = req.headers['x-group'];
-    if (!userId) {
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+    if (scheme !== 'Bearer' || !token) {
       return res.status(401).json({ error: '請先登入後操作' });
     }
+
+    let payload;
     try {
-      const conn = await pool.getConnection();
-      const [rows] = await conn.query(
-        'SELECT admin FROM users WHERE id = ?',
-        [userId]
-      );
-      conn.release();
-      if (rows.length === 0) {
-        return res.status(404).json({ error: '用戶不存在' });
-      }
+      payload = verifyAccessToken(token);
+    } catch (err) {
+      return res.status(401).json({ error: '登入已逾時或無效，請重新登入' });
+    }
 
-      const isAdmin = rows[0].admin === 1;
-      if (requireAdmin && !isAdmin) {
-        return res.status(403).json({ error: '您沒有管理員權限' });
+    let conn;
+    let session;
+    try {
+      conn = await pool.getConnection();
+      session = await getActiveSession(conn, payload.sessionId, payload.userId);
+      if (!session) {
+        return res.status(401).json({ error: '登入已失效，請重新登入' });
+      }
+      if (!session.userActive) {
+        return res.status(403).json({ error: '此帳號已停用，請聯繫客服' });
       }
 
-      req.userId = Number(userId);
-      req.isAdmin = isAdmin;
-      next();
+      if (session.impersonatorId && req.method !== 'GET') {
+        await writeAuditLog(conn, {
+          actorId: session.impersonatorId,
+          action: 'impersonate.request',
+          targetUserId: payload.userId,
+          detail: { method: req.method, path: req.originalUrl },
+          ip: req.ip
+        });
+      }
     } catch (err) {
-      res.status(500).json({ error: err.message });
+      return res.status(500).json({ error: err.message });
+    } finally {
+      if (conn) conn.release();
+    }
+
+    // 代客檢視期間只擁有該會員本身的權限；管理員須通過雙重驗證才視為管理員
+    // 管理員身分以資料庫為準，降級後即使 token 尚未過期也不再視為管理員
+    const adminAccount = session.userAdmin && !session.impersonatorId;
+    const isAdmin = adminAccount && session.mfaVerified;
+    if (requireAdmin && adminAccount && !isAdmin) {
+      return res.status(403).json({ error: '管理員須先啟用並通過雙重驗證', code: 'MFA_REQUIRED' });
+    }
+    if (requireAdmin && !isAdmin) {
+      return res.status(403).json({ error: '您沒有管理員權限' });
     }
+
+    req.userId = payload.userId;
+    req.isAdmin = isAdmin;
+    req.sessionId = payload.sessionId;
+    req.impersonatorId = session.impersonatorId;
+    req.mfaVerified = session.mfaVerified;
+    next();
   };
 }
 
-module.exports = { checkLogin };
\ No newline at end of file
+module.exports = { checkLogin };
@@ -0,0 +1,62 @@
+/*
+此程式碼是為了確認登入者擁有指定權限，需放在 checkLogin 之後使用。
+例如：router.patch('/orders/:orderNumber', checkLogin(false), requirePermission('orders:update'), ...)
+權限與角色的對應請見 utils/permissions.js。
+工作人員須通過雙重驗證，否則視為沒有任何權限。
+*/
+const pool = require('../db');
+const { getUserRoles, resolvePermissions, hasPermission } = require('../utils/permissions');
+
+/**
+ * 取得登入者的權限清單，同一個請求只查詢一次
+ * @param {import('express').Request} req
+ */
+async function loadPermissions(req) {
+  // 代客檢視期間不具任何工作人員權限
+  if (req.impersonatorId) {
+    req.roles = [];
+    req.permissions = [];
+  }
+  if (!req.permissions) {
+    const conn = await pool.getConnection();
+    try {
+      req.roles = await getUserRoles(conn, req.userId);
+      req.permissions = resolvePermissions(req.roles);
+      if (req.permissions.length > 0 && !req.mfaVerified) {
+        req.mfaRequired = true;
+        req.permissions = [];
+      }
+    } finally {
+      conn.release();
+    }
+  }
+  return req.permissions;
+}
+
+/**
+ * 檢查登入者是否擁有全部指定權限
+ * @param {...string} required - 例如 'orders:update'
+ */
+function requirePermission(...required) {
+  return async (req, res, next) => {
+    let permissions;
+    try {
+      permissions = await loadPermissions(req);
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+
+    if (!required.every(permission => hasPermission(permissions, permission))) {
+      if (req.mfaRequired) {
+        return res.status(403).json({ error: '管理員須先啟用並通過雙重驗證', code: 'MFA_REQUIRED' });
+      }
+      return res.status(403).json({ error: '您沒有此操作權限' });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  requirePermission,
+  loadPermissions
+};
@@ -0,0 +1,29 @@
+/*
+此程式碼是為了確認會員已完成信箱驗證，需放在 checkLogin 之後使用。
+用於結帳、訂票等需要能聯絡到會員的操作。
+*/
+const pool = require('../db');
+
+async function requireVerifiedEmail(req, res, next) {
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    const [rows] = await conn.query(
+      'SELECT emailVerified FROM users WHERE id = ?',
+      [req.userId]
+    );
+    if (rows.length === 0) {
+      return res.status(404).json({ error: '用戶不存在' });
+    }
+    if (rows[0].emailVerified !== 1) {
+      return res.status(403).json({ error: '請先完成信箱驗證後再進行此操作' });
+    }
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+  next();
+}
+
+module.exports = requireVerifiedEmail;
@@ -1,9 +1,25 @@
 const express = require('express');
 
-const { upload, productUpload } = require('../middlewares/AquImgUpload');
+const { upload, productUpload, ticketUpload } = require('../middlewares/AquImgUpload');
 const {checkLogin} = require('../middlewares/authMiddleware');
+const { requirePermission, loadPermissions } = require('../middlewares/requirePermission');
 const handleMulterErrors = require('../middlewares/handleMulterErrors');
 const pool = require('../db');
+const loginThrottle = require('../utils/loginThrottle');
+const { ROLES, getUserRoles, hasPermission } = require('../utils/permissions');
+const { createImpersonationSession, revokeSession, revokeAllSessions } = require('../utils/session');
+const { writeAuditLog } = require('../utils/auditLog');
+const { isValidDate, checkDateRange, getAvailability } = require('../utils/ticketCapacity');
+const { WEEKDAY_NAMES, getWeeklyHours, getCalendar } = require('../utils/parkCalendar');
+const { checkPriceRule } = require('../utils/ticketPricing');
+const { PASS_STATUSES } = require('../utils/passes');
+const { AGE_CATEGORIES, cancelGroupBookingTickets } = require('../utils/ticketOrders');
+const { GROUP_STATUSES, getGroupBooking, resolveGroupLines, convertGroupBooking } = require('../utils/groupBookings');
+const { reserveStock, adjustStock } = require('../utils/productStock');
+const { PAYMENT_EXPIRES_MINUTES } = require('../utils/payments');
+const { normalizeCode, checkCoupon, getCouponScopes } = require('../utils/coupons');
+const { recordStatusHistory, changeOrderStatus, getStatusHistory } = require('../utils/orderStatus');
+const { calculateOrderTotals, saveOrderTotals, ORDER_TOTAL_COLUMNS, formatOrderTotals } = require('../utils/orderTotals');
 
 const router = express.Router();
 
@@ -13,10 +29,10 @@ const router = express.Router();
  * /admin/articles:
  *   post:
  *     summary: 新增文章
- *     description: 需有管理員權限才可新增文章
+ *     description: 需有 articles:create 權限才可新增文章
  *     tags: [Admin - 文章管理]
  *     security:
- *       - groupHeader: []
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -78,7 +94,7 @@ const router = express.Router();
  *                   type: string
  *                   example: "資料庫連線失敗"
 */
-router.post('/articles', checkLogin(true), 
+router.post('/articles', checkLogin(false), requirePermission('articles:create'), 
     handleMulterErrors(upload.single('image')),  
     async (req, res) => {
         const { kind, title, content, startDate, endDate } = req.body;
@@ -105,10 +121,10 @@ router.post('/articles', checkLogin(true),
  * /admin/articles/{id}:
  *   patch:
  *     summary: 修改文章
- *     description: 修改指定 ID 的文章內容與圖片（可選）。
+ *     description: 修改指定 ID 的文章內容與圖片（可選），需有 articles:update 權限。
  *     tags: [Admin - 文章管理]
  *     security:
- *       - groupHeader: []
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -146,7 +162,8 @@ router.post('/articles', checkLogin(true),
  *         description: 伺服器錯誤
  */
 router.patch('/articles/:id', 
-    checkLogin(true), 
+    checkLogin(false), 
+    requirePermission('articles:update'), 
     upload.single('image'), 
     async (req, res) => {
         const { id } = req.params;
@@ -210,10 +227,10 @@ router.patch('/articles/:id',
  * /admin/articles/{id}:
  *   delete:
  *     summary: 刪除文章
- *     description: 管理員可刪除指定 ID 的文章。
+ *     description: 需有 articles:delete 權限，可刪除指定 ID 的文章。
  *     tags: [Admin - 文章管理]
  *     security:
- *       - groupHeader: []
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -227,7 +244,7 @@ router.patch('/articles/:id',
  *       500:
  *         description: 伺服器錯誤
  */
-router.delete('/articles/:id', checkLogin(true), async (req, res) => {
+router.delete('/articles/:id', checkLogin(false), requirePermission('articles:delete'), async (req, res) => {
     const { id } = req.params;
 
     try {
@@ -342,10 +359,10 @@ router.get('/articles', async (req, res) => {
  * /admin/articles/{id}:
  *   get:
  *     summary: 列出單筆文章(暫時廢棄不用)
- *     description: 管理員可查詢指定 ID 的文章詳細資料。
+ *     description: 需有 articles:read 權限，可查詢指定 ID 的文章詳細資料。
  *     tags: [Admin - 文章管理]
  *     security:
- *       - groupHeader: []
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -388,7 +405,7 @@ router.get('/articles', async (req, res) => {
  *       500:
  *         description: 伺服器錯誤
  */
-router.get('/articles/:id', checkLogin(true), async (req, res) => {
+router.get('/articles/:id', checkLogin(false), requirePermission('articles:read'), async (req, res) => {
     const { id } = req.params;
 
     try {
@@ -413,10 +430,10 @@ router.get('/articles/:id', checkLogin(true), async (req, res) => {
  * /admin/products:
  *   post:
  *     summary: 新增商品
- *     description: 管理員新增商品，可包含圖片。
+ *     description: 需有 products:create 權限，新增商品，可包含圖片。
  *     tags: [Admin - 商品管理]
  *     security:
- *       - groupHeader: []
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -446,24 +463,35 @@ router.get('/articles/:id', checkLogin(true), async (req, res) => {
  *                 enum: [0, 1]
  *                 example: 1
  *                 description: "是否上架（1=上架, 0=下架）"
+ *               stock:
+ *                 type: integer
+ *                 example: 100
+ *                 description: 初始庫存，不填代表不限量；之後請使用庫存調整功能修改
  *               image:
  *                 type: string
  *                 format: binary
  *     responses:
  *       201:
  *         description: 商品新增成功
+ *       400:
+ *         description: 庫存必須為 0 以上的整數
  *       500:
  *         description: 新增失敗
  */
-router.post('/products', checkLogin(true), productUpload.single('image'), async (req, res) => {
-    const { itemGroup, title, content, price, salePrice, sell } = req.body;
+router.post('/products', checkLogin(false), requirePermission('products:create'), productUpload.single('image'), async (req, res) => {
+    const { itemGroup, title, content, price, salePrice, sell, stock } = req.body;
     const imgFilename = req.file ? `/uploads/products/${req.file.filename}` : null;
+    const hasStock = stock !== undefined && stock !== null && stock !== '';
+
+    if (hasStock && !(Number.isInteger(Number(stock)) && Number(stock) >= 0)) {
+        return res.status(400).json({ error: '庫存必須為 0 以上的整數' });
+    }
 
     try {
         const conn = await pool.getConnection();
         await conn.query(
-            'INSERT INTO products (itemGroup, title, content, price, salePrice, imgUrls, sell, editTime, createdAt) VALUES (?, ?, ?, ?, ?, ?, ?, NOW(), NOW())',
-            [itemGroup, title, content, price, salePrice, imgFilename, sell]
+            'INSERT INTO products (itemGroup, title, content, price, salePrice, imgUrls, sell, stock, editTime, createdAt) VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())',
+            [itemGroup, title, content, price, salePrice, imgFilename, sell, hasStock ? Number(stock) : null]
         );
         conn.release();
 
@@ -479,10 +507,10 @@ router.post('/products', checkLogin(true), productUpload.single('image'), async
  * /admin/products/{id}:
  *   patch:
  *     summary: 修改商品資訊
- *     description: 可選擇更新任意欄位與圖片（圖片限制：圖檔，最大5MB）
+ *     description: 需有 products:update 權限，可選擇更新任意欄位與圖片（圖片限制：圖檔，最大5MB）
  *     tags: [Admin - 商品管理]
  *     security:
- *       - groupHeader: []
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -545,7 +573,8 @@ router.post('/products', checkLogin(true), productUpload.single('image'), async
  *         description: 伺服器錯誤
  */
 router.patch('/products/:id', 
-    checkLogin(true), 
+    checkLogin(false), 
+    requirePermission('products:update'), 
     handleMulterErrors(productUpload.single('image')), 
     async (req, res) => {
         const { id } = req.params;
@@ -590,10 +619,10 @@ router.patch('/products/:id',
  * /admin/products/{id}:
  *   delete:
  *     summary: 刪除商品
- *     description: 管理員可刪除指定 ID 的商品。
+ *     description: 需有 products:delete 權限，可刪除指定 ID 的商品。
  *     tags: [Admin - 商品管理]
  *     security:
- *       - groupHeader: []
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -607,7 +636,7 @@ router.patch('/products/:id',
  *       500:
  *         description: 伺服器錯誤
  */
-router.delete('/products/:id', checkLogin(true), async (req, res) => {
+router.delete('/products/:id', checkLogin(false), requirePermission('products:delete'), async (req, res) => {
     const { id } = req.params;
 
     try {
@@ -704,6 +733,10 @@ router.delete('/products/:id', checkLogin(true), async (req, res) => {
  *                       type: string
  *                     sell:
  *                       type: boolean
+ *                     stock:
+ *                       type: integer
+ *                       nullable: true
+ *                       description: 目前庫存，null 代表不限量
  *                     editTime:
  *                       type: string
  *                       format: date-time
@@ -742,6 +775,9 @@ router.delete('/products/:id', checkLogin(true), async (req, res) => {
  *                             type: string
  *                           sell:
  *                             type: boolean
+ *                           stock:
+ *                             type: integer
+ *                             nullable: true
  *                           editTime:
  *                             type: string
  *                             format: date-time
@@ -780,6 +816,7 @@ router.get('/products', async (req, res) => {
            salePrice,
            CAST(imgUrls AS CHAR) AS imgUrls,
            sell,
+           stock,
            DATE_FORMAT(editTime, '%Y-%m-%d %H:%i:%s') AS editTime,
            DATE_FORMAT(createdAt, '%Y-%m-%d %H:%i:%s') AS createdAt
          FROM products
@@ -864,6 +901,7 @@ router.get('/products', async (req, res) => {
          salePrice,
          CAST(imgUrls AS CHAR) AS imgUrls,
          sell,
+         stock,
          DATE_FORMAT(editTime, '%Y-%m-%d %H:%i:%s') AS editTime,
          DATE_FORMAT(createdAt, '%Y-%m-%d %H:%i:%s') AS createdAt
        FROM products
@@ -886,20 +924,26 @@ router.get('/products', async (req, res) => {
   }
 });
 
-
-// 新增訂單
+// 調整商品庫存
 /**
  * @openapi
- * /admin/orders:
+ * /admin/products/{id}/stock:
  *   post:
- *     summary: 新增訂單
+ *     summary: 調整商品庫存
  *     description: |
- *       新增訂單資料與商品細項，僅管理員可操作。  
- *       訂單編號自動產生，不須手動輸入。  
- *       一般用戶要新增請使用 [Cart - 購物車] /cart/orders
- *     tags: [Admin - 訂單管理]
+ *       需有 products:update 權限，需填寫原因，並寫入庫存異動紀錄。
+ *       change 為增減數量(例如進貨 +50、盤損 -2)；stock 為直接設定庫存(傳 null 改為不限量)，兩者擇一。
+ *       調整後庫存不可小於 0。
+ *     tags: [Admin - 商品管理]
  *     security:
- *       - groupHeader: []
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: 商品 ID
  *     requestBody:
  *       required: true
  *       content:
@@ -907,53 +951,21 @@ router.get('/products', async (req, res) => {
  *           schema:
  *             type: object
  *             required:
- *               - userId
- *               - consignee
- *               - tel
- *               - address
- *               - status
- *               - products
+ *               - reason
  *             properties:
- *               userId:
+ *               change:
  *                 type: integer
- *                 example: 3
- *               consignee:
- *                 type: string
- *                 example: "王小明"
- *               tel:
- *                 type: string
- *                 example: "0912345678"
- *               address:
- *                 type: string
- *                 example: "台北市信義區101號"
- *               status:
+ *                 example: 50
+ *               stock:
+ *                 type: integer
+ *                 nullable: true
+ *                 example: 120
+ *               reason:
  *                 type: string
- *                 example: "已付款"
- *               products:
- *                 type: array
- *                 items:
- *                   type: object
- *                   required:
- *                     - productId
- *                     - productName
- *                     - salePrice
- *                     - qty
- *                   properties:
- *                     productId:
- *                       type: integer
- *                       example: 101
- *                     productName:
- *                       type: string
- *                       example: "鯊魚玩偶"
- *                     salePrice:
- *                       type: number
- *                       example: 499
- *                     qty:
- *                       type: integer
- *                       example: 2
+ *                 example: "進貨"
  *     responses:
- *       201:
- *         description: 訂單新增成功，並回傳訂單內容
+ *       200:
+ *         description: 庫存已調整
  *         content:
  *           application/json:
  *             schema:
@@ -961,159 +973,86 @@ router.get('/products', async (req, res) => {
  *               properties:
  *                 message:
  *                   type: string
- *                   example: "訂單新增成功"
- *                 order:
- *                   type: object
- *                   properties:
- *                     orderNumber:
- *                       type: string
- *                       example: "123456789"
- *                     userId:
- *                       type: integer
- *                       example: 3
- *                     consignee:
- *                       type: string
- *                       example: "王小明"
- *                     tel:
- *                       type: string
- *                       example: "0912345678"
- *                     address:
- *                       type: string
- *                       example: "台北市信義區101號"
- *                     status:
- *                       type: string
- *                       example: "已付款"
- *                     products:
- *                       type: array
- *                       items:
- *                         type: object
- *                         properties:
- *                           productId:
- *                             type: integer
- *                             example: 101
- *                           productName:
- *                             type: string
- *                             example: "鯊魚玩偶"
- *                           salePrice:
- *                             type: number
- *                             example: 499
- *                           qty:
- *                             type: integer
- *                             example: 2
- *                           imgUrls:
- *                             type: string
- *                             example: "/uploads/products/img_5g6wrd.png"
+ *                   example: "庫存已調整"
+ *                 productId:
+ *                   type: integer
+ *                 stock:
+ *                   type: integer
+ *                   nullable: true
+ *                 qtyChange:
+ *                   type: integer
+ *       400:
+ *         description: 未填原因，或 change、stock 格式錯誤
+ *       403:
+ *         description: 權限不足
+ *       404:
+ *         description: 找不到該商品
+ *       409:
+ *         description: 調整後庫存小於 0，或商品不限量時使用 change
  *       500:
  *         description: 伺服器錯誤
  */
-router.post('/orders', checkLogin(true), async (req, res) => {
-  const { userId, consignee, tel, address, status, products } = req.body;
-
-  // 自動生成 9 碼訂單編號
-  let orderNumber = '';
-  for (let i = 0; i < 9; i++) {
-      orderNumber += Math.floor(Math.random() * 10);
-  }
-
-  let conn;
-  try {
-    conn = await pool.getConnection();
-    await conn.beginTransaction();
-
-    // 新增訂單基本資料到 orderCustomers 表
-    await conn.query(
-      `INSERT INTO orderCustomers (orderNumber, checkTime, userId, consignee, tel, address, status) 
-        VALUES (?, NOW(), ?, ?, ?, ?, ?)`,
-      [orderNumber, userId, consignee, tel, address, status]
-    );
-
-    // 抓取圖片路徑
-    const productIds = products.map(p => p.productId);
-    const [images] = await conn.query(
-      `SELECT id AS productId, imgUrls 
-         FROM products 
-         WHERE id IN (?)`,
-      [productIds]
-    );
-
-    // 建立商品與網址的對應，只存字串
-    const imgMap = {};
-    images.forEach(row => {
-      imgMap[row.productId] = row.imgUrls;
-    });
+router.post('/products/:id/stock', checkLogin(false), requirePermission('products:update'), async (req, res) => {
+    const productId = Number(req.params.id);
+    const { change, stock, reason } = req.body;
 
-    // 新增商品明細到 orderInfor 表
-    const insertedProducts = [];
-    for (const item of products) {
-      const { productId, productName, salePrice, qty } = item;
-      const raw = imgMap[productId];
+    if (!reason) {
+        return res.status(400).json({ error: '請填寫調整原因' });
+    }
+    if ((change === undefined) === (stock === undefined)) {
+        return res.status(400).json({ error: '請提供 change 或 stock 其中之一' });
+    }
+    if (change !== undefined && !(Number.isInteger(change) && change !== 0)) {
+        return res.status(400).json({ error: 'change 必須為不等於 0 的整數' });
+    }
+    if (stock !== undefined && stock !== null && !(Number.isInteger(stock) && stock >= 0)) {
+        return res.status(400).json({ error: 'stock 必須為 0 以上的整數或 null' });
+    }
 
-      let imgUrlsToStore = '';
-      // 如果 raw 是物件或陣列，就 stringify；若是字串直接存；若 undefined 則存空字串
-      if (typeof raw === 'object') {
-        imgUrlsToStore = JSON.stringify(raw);
-      } else if (typeof raw === 'string') {
-        imgUrlsToStore = raw;
-      }
-      
-      await conn.query(
-        `INSERT INTO orderInfor (orderNumber, productId, productName, salePrice, qty, imgUrls) 
-          VALUES (?, ?, ?, ?, ?, ?)`,
-        [orderNumber, productId, productName, salePrice, qty, imgUrlsToStore]
-      );
+    let conn;
+    try {
+        conn = await pool.getConnection();
+        await conn.beginTransaction();
+        const result = await adjustStock(conn, productId, { change, stock, reason, createdBy: req.userId });
+        await conn.commit();
 
-      insertedProducts.push({
-        productId,
-        productName,
-        salePrice,
-        qty,
-        imgUrls: imgUrlsToStore
-      });
+        res.json({ message: '庫存已調整', productId, ...result });
+    } catch (err) {
+        if (conn) await conn.rollback();
+        if (err.status) {
+            return res.status(err.status).json({ error: err.message });
+        }
+        res.status(500).json({ error: err.message });
+    } finally {
+        if (conn) conn.release();
     }
-
-    await conn.commit();
-    
-    res.status(201).json({
-      message: '訂單新增成功',
-      order: {
-        orderNumber,
-        userId,
-        consignee,
-        tel,
-        address,
-        status,
-        products: insertedProducts
-      }
-    });
-  } catch (err) {
-    if (conn) await conn.rollback();
-    res.status(500).json({ error: err.message });
-  } finally {
-    if (conn) conn.release();
-  }
 });
 
-// 查看訂單資訊(單獨用戶所有訂單)
+// 查詢商品庫存異動紀錄
 /**
  * @openapi
- * /admin/orders:
+ * /admin/products/{id}/stock-movements:
  *   get:
- *     summary: 查看使用者所有訂單
- *     description: |
- *       - 一般會員只會看到自己的所有訂單  
- *       - 管理員可透過 query.userId 指定要查看的使用者  
- *     tags: [Admin - 訂單管理]
+ *     summary: 查詢商品庫存異動紀錄
+ *     description: 需有 products:update 權限，由新到舊排列，最多回傳 limit 筆(預設 50，上限 200)。
+ *     tags: [Admin - 商品管理]
  *     security:
- *       - groupHeader: []
+ *       - bearerAuth: []
  *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: 商品 ID
  *       - in: query
- *         name: userId
+ *         name: limit
  *         schema:
  *           type: integer
- *         description: 管理員可指定要查詢的使用者 ID；一般會員此參數無效
+ *           default: 50
  *     responses:
  *       200:
- *         description: 成功回傳訂單列表
+ *         description: 庫存異動紀錄
  *         content:
  *           application/json:
  *             schema:
@@ -1121,284 +1060,3926 @@ router.post('/orders', checkLogin(true), async (req, res) => {
  *               items:
  *                 type: object
  *                 properties:
- *                   orderNumber:
- *                     type: string
- *                     example: "123456789"
- *                   checkTime:
+ *                   qtyChange:
+ *                     type: integer
+ *                     example: -2
+ *                   stockAfter:
+ *                     type: integer
+ *                     nullable: true
+ *                   type:
  *                     type: string
- *                     format: date-time
- *                   consignee:
- *                     type: string
- *                     example: "王小明"
- *                   tel:
+ *                     enum: [sale, restock, adjust]
+ *                   reason:
  *                     type: string
- *                     example: "0912345678"
- *                   address:
+ *                     nullable: true
+ *                   orderNumber:
  *                     type: string
- *                     example: "台北市信義區101號"
- *                   status:
+ *                     nullable: true
+ *                   createdBy:
+ *                     type: integer
+ *                     nullable: true
+ *                   createdAt:
  *                     type: string
- *                     example: "已付款"
- *                   items:
- *                     type: array
- *                     items:
- *                       type: object
- *                       properties:
- *                         productName:
- *                           type: string
- *                           example: "鯊魚玩偶"
- *                         salePrice:
- *                           type: number
- *                           example: 499
- *                         qty:
- *                           type: integer
- *                           example: 2
- *                         productSubtotal:
- *                           type: number
- *                           example: 998
- *                         imgUrls:
- *                           type: string
- *                           description: "圖片網址"
- *                           example: "/uploads/products/img_5g6wrd.png"
- *                   totalAmount:
- *                     type: number
- *                     example: 998
  *       403:
  *         description: 權限不足
- *       404:
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.get('/products/:id/stock-movements', checkLogin(false), requirePermission('products:update'), async (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    let conn;
+    try {
+        conn = await pool.getConnection();
+        const [rows] = await conn.query(
+            `SELECT qtyChange, stockAfter, type, reason, orderNumber, createdBy,
+                    DATE_FORMAT(createdAt, '%Y-%m-%d %H:%i:%s') AS createdAt
+             FROM stockMovements
+             WHERE productId = ?
+             ORDER BY id DESC
+             LIMIT ?`,
+            [req.params.id, limit]
+        );
+        res.json(rows);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    } finally {
+        if (conn) conn.release();
+    }
+});
+
+// 檢查分時段設定(兩者需同時設定或同時清空)，有問題時回傳錯誤訊息
+function checkSlotSettings(slotIntervalMinutes, slotCapacity) {
+    const hasInterval = slotIntervalMinutes !== undefined && slotIntervalMinutes !== null && slotIntervalMinutes !== '';
+    const hasCapacity = slotCapacity !== undefined && slotCapacity !== null && slotCapacity !== '';
+    if (!hasInterval && !hasCapacity) return null;
+    if (!hasInterval || !hasCapacity) {
+        return '分時段需同時設定 slotIntervalMinutes 與 slotCapacity';
+    }
+    const interval = Number(slotIntervalMinutes);
+    if (!Number.isInteger(interval) || interval < 5 || interval > 240) {
+        return 'slotIntervalMinutes 必須為 5 ~ 240 的整數';
+    }
+    if (!Number.isInteger(Number(slotCapacity)) || Number(slotCapacity) <= 0) {
+        return 'slotCapacity 必須為正整數';
+    }
+    return null;
+}
+
+// 新增票種
+/**
+ * @openapi
+ * /admin/tickets:
+ *   post:
+ *     summary: 新增票種
+ *     description: 需有 tickets:create 權限，可包含圖片。
+ *     tags: [Admin - 票券管理]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - basePrice
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "全票"
+ *               description:
+ *                 type: string
+ *                 example: "12 歲以上適用"
+ *               ageCategory:
+ *                 type: string
+ *                 enum: [adult, child, student, senior, infant]
+ *                 default: adult
+ *               basePrice:
+ *                 type: number
+ *                 example: 650
+ *               active:
+ *                 type: integer
+ *                 enum: [0, 1]
+ *                 default: 1
+ *               slotIntervalMinutes:
+ *                 type: integer
+ *                 description: 需選擇入園時段時設定，每個時段的分鐘數
+ *                 example: 30
+ *               slotCapacity:
+ *                 type: integer
+ *                 description: 每個時段的人數上限，需與 slotIntervalMinutes 同時設定
+ *                 example: 200
+ *               image:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       201:
+ *         description: 新增成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "票種新增成功"
+ *                 id:
+ *                   type: integer
+ *                 imgUrl:
+ *                   type: string
+ *                   example: "/uploads/tickets/img_a1b2c3.png"
+ *       400:
+ *         description: 欄位不完整或格式錯誤
+ *       403:
+ *         description: 權限不足
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.post('/tickets',
+    checkLogin(false),
+    requirePermission('tickets:create'),
+    handleMulterErrors(ticketUpload.single('image')),
+    async (req, res) => {
+        const { name, description, ageCategory = 'adult', basePrice, active = 1, slotIntervalMinutes, slotCapacity } = req.body;
+        const imgUrl = req.file ? `/uploads/tickets/${req.file.filename}` : null;
+
+        if (!name || basePrice === undefined || Number.isNaN(Number(basePrice)) || Number(basePrice) < 0) {
+            return res.status(400).json({ error: '請提供票種名稱與正確的票價' });
+        }
+        if (!AGE_CATEGORIES.includes(ageCategory)) {
+            return res.status(400).json({ error: `ageCategory 只能是 ${AGE_CATEGORIES.join(', ')}` });
+        }
+        const slotError = checkSlotSettings(slotIntervalMinutes, slotCapacity);
+        if (slotError) {
+            return res.status(400).json({ error: slotError });
+        }
+
+        try {
+            const conn = await pool.getConnection();
+            const [result] = await conn.query(
+                `INSERT INTO tickets (name, description, ageCategory, basePrice, active, imgUrl, slotIntervalMinutes, slotCapacity, editTime, createdAt)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+                [
+                    name, description || null, ageCategory, basePrice, Number(active) ? 1 : 0, imgUrl,
+                    slotIntervalMinutes ? Number(slotIntervalMinutes) : null,
+                    slotIntervalMinutes ? Number(slotCapacity) : null
+                ]
+            );
+            conn.release();
+
+            res.status(201).json({ message: '票種新增成功', id: result.insertId, imgUrl });
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    }
+);
+
+// 修改票種
+/**
+ * @openapi
+ * /admin/tickets/{id}:
+ *   patch:
+ *     summary: 修改票種
+ *     description: 需有 tickets:update 權限，可選擇更新任意欄位與圖片。停售請將 active 設為 0；取消分時段請將 slotIntervalMinutes 與 slotCapacity 都傳空字串。
+ *     tags: [Admin - 票券管理]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               ageCategory:
+ *                 type: string
+ *                 enum: [adult, child, student, senior, infant]
+ *               basePrice:
+ *                 type: number
+ *               active:
+ *                 type: integer
+ *                 enum: [0, 1]
+ *               slotIntervalMinutes:
+ *                 type: integer
+ *               slotCapacity:
+ *                 type: integer
+ *               image:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: 票種已更新
+ *       400:
+ *         description: 無更新欄位或格式錯誤
+ *       403:
+ *         description: 權限不足
+ *       404:
+ *         description: 找不到該票種
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.patch('/tickets/:id',
+    checkLogin(false),
+    requirePermission('tickets:update'),
+    handleMulterErrors(ticketUpload.single('image')),
+    async (req, res) => {
+        const { id } = req.params;
+        const { name, description, ageCategory, basePrice, active, slotIntervalMinutes, slotCapacity } = req.body;
+        const imgUrl = req.file ? `/uploads/tickets/${req.file.filename}` : null;
+        const slotChanged = slotIntervalMinutes !== undefined || slotCapacity !== undefined;
+
+        if (ageCategory && !AGE_CATEGORIES.includes(ageCategory)) {
+            return res.status(400).json({ error: `ageCategory 只能是 ${AGE_CATEGORIES.join(', ')}` });
+        }
+        if (basePrice !== undefined && (Number.isNaN(Number(basePrice)) || Number(basePrice) < 0)) {
+            return res.status(400).json({ error: '票價格式錯誤' });
+        }
+        if (slotChanged) {
+            const slotError = checkSlotSettings(slotIntervalMinutes, slotCapacity);
+            if (slotError) {
+                return res.status(400).json({ error: slotError });
+            }
+        }
+
+        const fieldsToUpdate = [];
+        const values = [];
+
+        if (name) fieldsToUpdate.push('name = ?'), values.push(name);
+        if (description !== undefined) fieldsToUpdate.push('description = ?'), values.push(description);
+        if (ageCategory) fieldsToUpdate.push('ageCategory = ?'), values.push(ageCategory);
+        if (basePrice !== undefined) fieldsToUpdate.push('basePrice = ?'), values.push(basePrice);
+        if (active !== undefined) fieldsToUpdate.push('active = ?'), values.push(Number(active) ? 1 : 0);
+        if (imgUrl) fieldsToUpdate.push('imgUrl = ?'), values.push(imgUrl);
+        if (slotChanged) {
+            fieldsToUpdate.push('slotIntervalMinutes = ?', 'slotCapacity = ?');
+            values.push(slotIntervalMinutes ? Number(slotIntervalMinutes) : null, slotIntervalMinutes ? Number(slotCapacity) : null);
+        }
+
+        if (fieldsToUpdate.length === 0) {
+            return res.status(400).json({ error: '沒有需要更新的欄位' });
+        }
+
+        try {
+            const conn = await pool.getConnection();
+            fieldsToUpdate.push('editTime = NOW()');
+            const [result] = await conn.query(
+                `UPDATE tickets SET ${fieldsToUpdate.join(', ')} WHERE id = ?`,
+                [...values, id]
+            );
+            conn.release();
+
+            if (result.affectedRows === 0) {
+                return res.status(404).json({ error: '找不到該票種' });
+            }
+            res.json({ message: '票種已更新', imgUrl });
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    }
+);
+
+// 刪除票種
+/**
+ * @openapi
+ * /admin/tickets/{id}:
+ *   delete:
+ *     summary: 刪除票種
+ *     description: 需有 tickets:delete 權限。已有訂單的票種無法刪除，請改為停售(active = 0)。
+ *     tags: [Admin - 票券管理]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: 票種已刪除
+ *       403:
+ *         description: 權限不足
+ *       404:
+ *         description: 找不到該票種
+ *       409:
+ *         description: 已有訂單，無法刪除
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.delete('/tickets/:id', checkLogin(false), requirePermission('tickets:delete'), async (req, res) => {
+    const { id } = req.params;
+    let conn;
+
+    try {
+        conn = await pool.getConnection();
+        const [orders] = await conn.query('SELECT 1 FROM ticketsOrders WHERE ticketId = ? LIMIT 1', [id]);
+        if (orders.length > 0) {
+            return res.status(409).json({ error: '此票種已有訂單，無法刪除，請改為停售' });
+        }
+
+        const [result] = await conn.query('DELETE FROM tickets WHERE id = ?', [id]);
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ error: '找不到該票種' });
+        }
+        // 只套用在此票種的票價規則一併移除
+        await conn.query('DELETE FROM ticketPriceRules WHERE ticketId = ?', [id]);
+        res.json({ message: '票種已刪除' });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    } finally {
+        if (conn) conn.release();
+    }
+});
+
+// 顯示所有票種(含停售)
+/**
+ * @openapi
+ * /admin/tickets:
+ *   get:
+ *     summary: 取得所有票種(含停售)
+ *     description: 需有 tickets:read 權限。前台請使用 GET /tickets，只會列出販售中的票種。
+ *     tags: [Admin - 票券管理]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 票種列表
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Ticket'
+ *       403:
+ *         description: 權限不足
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.get('/tickets', checkLogin(false), requirePermission('tickets:read'), async (req, res) => {
+    let conn;
+    try {
+        conn = await pool.getConnection();
+        const [rows] = await conn.query(
+            `SELECT id, name, description, ageCategory, basePrice, active, imgUrl, slotIntervalMinutes, slotCapacity,
+                    DATE_FORMAT(editTime, '%Y-%m-%d %H:%i:%s') AS editTime,
+                    DATE_FORMAT(createdAt, '%Y-%m-%d %H:%i:%s') AS createdAt
+             FROM tickets
+             ORDER BY id ASC`
+        );
+        res.json(rows);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    } finally {
+        if (conn) conn.release();
+    }
+});
+
+// 查詢每日入園上限
+/**
+ * @openapi
+ * /admin/tickets/capacity:
+ *   get:
+ *     summary: 查詢每日入園上限與售出狀況
+ *     description: 需有 tickets:read 權限。未另外設定的日期使用預設上限(TICKET_DAILY_CAPACITY)，區間最多 92 天。
+ *     tags: [Admin - 票券管理]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: 每日上限、已售出、剩餘張數與備註
+ *       400:
+ *         description: 日期格式錯誤或區間過長
+ *       403:
+ *         description: 權限不足
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.get('/tickets/capacity', checkLogin(false), requirePermission('tickets:read'), async (req, res) => {
+    const { from, to } = req.query;
+    const rangeError = checkDateRange(from, to);
+    if (rangeError) {
+        return res.status(400).json({ error: rangeError });
+    }
+
+    let conn;
+    try {
+        conn = await pool.getConnection();
+        res.json(await getAvailability(conn, from, to));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    } finally {
+        if (conn) conn.release();
+    }
+});
+
+// 設定特定日期的入園上限
+/**
+ * @openapi
+ * /admin/tickets/capacity/{date}:
+ *   put:
+ *     summary: 設定特定日期的入園上限
+ *     description: 需有 tickets:update 權限。上限不可低於當日已售出張數。
+ *     tags: [Admin - 票券管理]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: date
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *           example: "2025-08-01"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - capacity
+ *             properties:
+ *               capacity:
+ *                 type: integer
+ *                 example: 1500
+ *               note:
+ *                 type: string
+ *                 example: "館內整修，限量開放"
+ *     responses:
+ *       200:
+ *         description: 已更新
+ *       400:
+ *         description: 日期或上限格式錯誤
+ *       403:
+ *         description: 權限不足
+ *       409:
+ *         description: 上限低於已售出張數
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.put('/tickets/capacity/:date', checkLogin(false), requirePermission('tickets:update'), async (req, res) => {
+    const { date } = req.params;
+    const { capacity, note } = req.body;
+
+    if (!isValidDate(date)) {
+        return res.status(400).json({ error: '日期格式錯誤(YYYY-MM-DD)' });
+    }
+    if (!Number.isInteger(Number(capacity)) || Number(capacity) < 0) {
+        return res.status(400).json({ error: '上限必須為 0 以上的整數' });
+    }
+
+    let conn;
+    try {
+        conn = await pool.getConnection();
+        await conn.beginTransaction();
+
+        // 鎖定當日庫存，避免設定期間有人同時訂票
+        await conn.query('INSERT IGNORE INTO ticketInventory (visitDate, sold) VALUES (?, 0)', [date]);
+        const [[inventory]] = await conn.query(
+            'SELECT sold FROM ticketInventory WHERE visitDate = ? FOR UPDATE',
+            [date]
+        );
+        if (Number(capacity) < inventory.sold) {
+            await conn.rollback();
+            return res.status(409).json({ error: `當日已售出 ${inventory.sold} 張，上限不可低於已售出張數` });
+        }
+
+        await conn.query(
+            `INSERT INTO ticketCapacityOverrides (visitDate, capacity, note, editTime) VALUES (?, ?, ?, NOW())
+             ON DUPLICATE KEY UPDATE capacity = VALUES(capacity), note = VALUES(note), editTime = NOW()`,
+            [date, Number(capacity), note || null]
+        );
+
+        await conn.commit();
+        res.json({ message: '入園上限已更新', date, capacity: Number(capacity), sold: inventory.sold });
+    } catch (err) {
+        if (conn) await conn.rollback();
+        res.status(500).json({ error: err.message });
+    } finally {
+        if (conn) conn.release();
+    }
+});
+
+// 取消特定日期的入園上限設定
+/**
+ * @openapi
+ * /admin/tickets/capacity/{date}:
+ *   delete:
+ *     summary: 取消特定日期的入園上限設定
+ *     description: 需有 tickets:update 權限。取消後該日改回預設上限。
+ *     tags: [Admin - 票券管理]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: date
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: 已改回預設上限
+ *       400:
+ *         description: 日期格式錯誤
+ *       403:
+ *         description: 權限不足
+ *       404:
+ *         description: 該日沒有另外設定上限
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.delete('/tickets/capacity/:date', checkLogin(false), requirePermission('tickets:update'), async (req, res) => {
+    const { date } = req.params;
+    if (!isValidDate(date)) {
+        return res.status(400).json({ error: '日期格式錯誤(YYYY-MM-DD)' });
+    }
+
+    let conn;
+    try {
+        conn = await pool.getConnection();
+        const [result] = await conn.query('DELETE FROM ticketCapacityOverrides WHERE visitDate = ?', [date]);
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ error: '該日沒有另外設定上限' });
+        }
+        res.json({ message: '已改回預設上限' });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    } finally {
+        if (conn) conn.release();
+    }
+});
+
+// 票價規則欄位
+const PRICE_RULE_FIELDS = ['name', 'ruleType', 'ticketId', 'startDate', 'endDate', 'daysBefore', 'adjustType', 'adjustValue', 'active'];
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     TicketPriceRule:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: "週末加價"
+ *         ruleType:
+ *           type: string
+ *           enum: [weekend, holiday, peak, early_bird]
+ *           description: holiday 依營運日曆的國定假日設定；peak 需設定起訖日；early_bird 需設定 daysBefore
+ *         ticketId:
+ *           type: integer
+ *           nullable: true
+ *           description: 不填代表套用所有票種
+ *         startDate:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *           description: 入園日期區間，不填代表不限
+ *         endDate:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *         daysBefore:
+ *           type: integer
+ *           nullable: true
+ *           description: 早鳥需於入園日幾天前購買
+ *         adjustType:
+ *           type: string
+ *           enum: [fixed, amount, percent]
+ *           description: fixed = 直接指定票價、amount = 加減金額、percent = 加減百分比(-10 代表打 9 折)
+ *         adjustValue:
+ *           type: number
+ *           example: 100
+ *         active:
+ *           type: integer
+ *           enum: [0, 1]
+ *           default: 1
+ */
+
+// 取得票價規則
+/**
+ * @openapi
+ * /admin/tickets/pricing-rules:
+ *   get:
+ *     summary: 取得所有票價規則
+ *     description: 需有 tickets:read 權限。
+ *     tags: [Admin - 票券管理]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 票價規則列表
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/TicketPriceRule'
+ *       403:
+ *         description: 權限不足
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.get('/tickets/pricing-rules', checkLogin(false), requirePermission('tickets:read'), async (req, res) => {
+    let conn;
+    try {
+        conn = await pool.getConnection();
+        const [rows] = await conn.query(
+            `SELECT id, name, ruleType, ticketId,
+                    DATE_FORMAT(startDate, '%Y-%m-%d') AS startDate,
+                    DATE_FORMAT(endDate, '%Y-%m-%d') AS endDate,
+                    daysBefore, adjustType, adjustValue, active,
+                    DATE_FORMAT(editTime, '%Y-%m-%d %H:%i:%s') AS editTime
+             FROM ticketPriceRules
+             ORDER BY id ASC`
+        );
+        res.json(rows);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    } finally {
+        if (conn) conn.release();
+    }
+});
+
+// 新增票價規則
+/**
+ * @openapi
+ * /admin/tickets/pricing-rules:
+ *   post:
+ *     summary: 新增票價規則
+ *     description: 需有 tickets:update 權限。規則只影響之後成立的訂單。
+ *     tags: [Admin - 票券管理]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TicketPriceRule'
+ *     responses:
+ *       201:
+ *         description: 新增成功
+ *       400:
+ *         description: 規則內容錯誤
+ *       403:
+ *         description: 權限不足
+ *       404:
+ *         description: 找不到指定的票種
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.post('/tickets/pricing-rules', checkLogin(false), requirePermission('tickets:update'), async (req, res) => {
+    const rule = { active: 1, ...req.body };
+    const ruleError = checkPriceRule(rule);
+    if (ruleError) {
+        return res.status(400).json({ error: ruleError });
+    }
+
+    let conn;
+    try {
+        conn = await pool.getConnection();
+        if (rule.ticketId) {
+            const [tickets] = await conn.query('SELECT id FROM tickets WHERE id = ?', [rule.ticketId]);
+            if (tickets.length === 0) {
+                return res.status(404).json({ error: '找不到指定的票種' });
+            }
+        }
+
+        const [result] = await conn.query(
+            `INSERT INTO ticketPriceRules (name, ruleType, ticketId, startDate, endDate, daysBefore, adjustType, adjustValue, active, editTime, createdAt)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+            [
+                rule.name,
+                rule.ruleType,
+                rule.ticketId || null,
+                rule.startDate || null,
+                rule.endDate || null,
+                rule.ruleType === 'early_bird' ? Number(rule.daysBefore) : null,
+                rule.adjustType,
+                rule.adjustValue,
+                Number(rule.active) ? 1 : 0
+            ]
+        );
+        res.status(201).json({ message: '票價規則新增成功', id: result.insertId });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    } finally {
+        if (conn) conn.release();
+    }
+});
+
+// 修改票價規則
+/**
+ * @openapi
+ * /admin/tickets/pricing-rules/{id}:
+ *   patch:
+ *     summary: 修改票價規則
+ *     description: 需有 tickets:update 權限。只需傳入要修改的欄位，停用請將 active 設為 0。
+ *     tags: [Admin - 票券管理]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TicketPriceRule'
+ *     responses:
+ *       200:
+ *         description: 已更新
+ *       400:
+ *         description: 規則內容錯誤或沒有需要更新的欄位
+ *       403:
+ *         description: 權限不足
+ *       404:
+ *         description: 找不到該規則或指定的票種
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.patch('/tickets/pricing-rules/:id', checkLogin(false), requirePermission('tickets:update'), async (req, res) => {
+    const { id } = req.params;
+    const changes = Object.fromEntries(
+        PRICE_RULE_FIELDS.filter(field => req.body[field] !== undefined).map(field => [field, req.body[field]])
+    );
+    if (Object.keys(changes).length === 0) {
+        return res.status(400).json({ error: '沒有需要更新的欄位' });
+    }
+
+    let conn;
+    try {
+        conn = await pool.getConnection();
+        const [rows] = await conn.query(
+            `SELECT name, ruleType, ticketId,
+                    DATE_FORMAT(startDate, '%Y-%m-%d') AS startDate,
+                    DATE_FORMAT(endDate, '%Y-%m-%d') AS endDate,
+                    daysBefore, adjustType, adjustValue, active
+             FROM ticketPriceRules
+             WHERE id = ?`,
+            [id]
+        );
+        if (rows.length === 0) {
+            return res.status(404).json({ error: '找不到該票價規則' });
+        }
+
+        // 以修改後的完整內容檢查，避免例如旺季規則被清掉起訖日
+        const rule = { ...rows[0], ...changes };
+        const ruleError = checkPriceRule(rule);
+        if (ruleError) {
+            return res.status(400).json({ error: ruleError });
+        }
+        if (changes.ticketId) {
+            const [tickets] = await conn.query('SELECT id FROM tickets WHERE id = ?', [changes.ticketId]);
+            if (tickets.length === 0) {
+                return res.status(404).json({ error: '找不到指定的票種' });
+            }
+        }
+
+        await conn.query(
+            `UPDATE ticketPriceRules
+             SET name = ?, ruleType = ?, ticketId = ?, startDate = ?, endDate = ?, daysBefore = ?,
+                 adjustType = ?, adjustValue = ?, active = ?, editTime = NOW()
+             WHERE id = ?`,
+            [
+                rule.name,
+                rule.ruleType,
+                rule.ticketId || null,
+                rule.startDate || null,
+                rule.endDate || null,
+                rule.ruleType === 'early_bird' ? Number(rule.daysBefore) : null,
+                rule.adjustType,
+                rule.adjustValue,
+                Number(rule.active) ? 1 : 0,
+                id
+            ]
+        );
+        res.json({ message: '票價規則已更新' });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    } finally {
+        if (conn) conn.release();
+    }
+});
+
+// 刪除票價規則
+/**
+ * @openapi
+ * /admin/tickets/pricing-rules/{id}:
+ *   delete:
+ *     summary: 刪除票價規則
+ *     description: 需有 tickets:update 權限。已成立的訂單保留當時的票價，不受影響。
+ *     tags: [Admin - 票券管理]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: 已刪除
+ *       403:
+ *         description: 權限不足
+ *       404:
+ *         description: 找不到該規則
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.delete('/tickets/pricing-rules/:id', checkLogin(false), requirePermission('tickets:update'), async (req, res) => {
+    let conn;
+    try {
+        conn = await pool.getConnection();
+        const [result] = await conn.query('DELETE FROM ticketPriceRules WHERE id = ?', [req.params.id]);
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ error: '找不到該票價規則' });
+        }
+        res.json({ message: '票價規則已刪除' });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    } finally {
+        if (conn) conn.release();
+    }
+});
+
+// 營業時間格式 HH:MM
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// 檢查營業時間，有問題時回傳錯誤訊息
+function checkOpeningHours(openTime, closeTime) {
+    if (!TIME_PATTERN.test(String(openTime || '')) || !TIME_PATTERN.test(String(closeTime || ''))) {
+        return '營業時間格式錯誤(HH:MM)';
+    }
+    if (openTime >= closeTime) {
+        return '開園時間必須早於閉園時間';
+    }
+    return null;
+}
+
+// 取得每週固定營業時間
+/**
+ * @openapi
+ * /admin/calendar/hours:
+ *   get:
+ *     summary: 取得每週固定營業時間
+ *     description: 需有 calendar:update 權限。weekday 0 = 星期日 ... 6 = 星期六。
+ *     tags: [Admin - 營運日曆]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 每週營業時間
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   weekday:
+ *                     type: integer
+ *                     example: 1
+ *                   weekdayName:
+ *                     type: string
+ *                     example: "星期一"
+ *                   closed:
+ *                     type: boolean
+ *                   openTime:
+ *                     type: string
+ *                     example: "09:00"
+ *                   closeTime:
+ *                     type: string
+ *                     example: "17:00"
+ *       403:
+ *         description: 權限不足
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.get('/calendar/hours', checkLogin(false), requirePermission('calendar:update'), async (req, res) => {
+    let conn;
+    try {
+        conn = await pool.getConnection();
+        res.json(await getWeeklyHours(conn));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    } finally {
+        if (conn) conn.release();
+    }
+});
+
+// 設定每週固定營業時間
+/**
+ * @openapi
+ * /admin/calendar/hours/{weekday}:
+ *   put:
+ *     summary: 設定每週固定營業時間
+ *     description: 需有 calendar:update 權限。closed 為 true 時代表每週固定休園，可不填營業時間。
+ *     tags: [Admin - 營運日曆]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: weekday
+ *         required: true
+ *         description: 0 = 星期日 ... 6 = 星期六
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 6
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               closed:
+ *                 type: boolean
+ *                 example: false
+ *               openTime:
+ *                 type: string
+ *                 example: "09:00"
+ *               closeTime:
+ *                 type: string
+ *                 example: "17:00"
+ *     responses:
+ *       200:
+ *         description: 已更新
+ *       400:
+ *         description: 星期或營業時間格式錯誤
+ *       403:
+ *         description: 權限不足
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.put('/calendar/hours/:weekday', checkLogin(false), requirePermission('calendar:update'), async (req, res) => {
+    const weekday = Number(req.params.weekday);
+    const { closed = false, openTime, closeTime } = req.body;
+
+    if (!Number.isInteger(weekday) || weekday < 0 || weekday > 6) {
+        return res.status(400).json({ error: 'weekday 必須為 0(星期日) ~ 6(星期六)' });
+    }
+    if (!closed) {
+        const hoursError = checkOpeningHours(openTime, closeTime);
+        if (hoursError) {
+            return res.status(400).json({ error: hoursError });
+        }
+    }
+
+    let conn;
+    try {
+        conn = await pool.getConnection();
+        await conn.query(
+            `INSERT INTO parkWeeklyHours (weekday, closed, openTime, closeTime, editTime) VALUES (?, ?, ?, ?, NOW())
+             ON DUPLICATE KEY UPDATE closed = VALUES(closed), openTime = VALUES(openTime),
+                                     closeTime = VALUES(closeTime), editTime = NOW()`,
+            [weekday, closed ? 1 : 0, closed ? null : openTime, closed ? null : closeTime]
+        );
+        res.json({ message: `${WEEKDAY_NAMES[weekday]}營業時間已更新` });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    } finally {
+        if (conn) conn.release();
+    }
+});
+
+// 查詢營運日曆
+/**
+ * @openapi
+ * /admin/calendar:
+ *   get:
+ *     summary: 查詢營運日曆
+ *     description: 需有 calendar:update 權限。回傳內容與 GET /tickets/calendar 相同，另附當日已售出張數，方便設定休園前確認影響的訂單。
+ *     tags: [Admin - 營運日曆]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: 每日營運狀態
+ *       400:
+ *         description: 日期格式錯誤或區間過長
+ *       403:
+ *         description: 權限不足
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.get('/calendar', checkLogin(false), requirePermission('calendar:update'), async (req, res) => {
+    const { from, to } = req.query;
+    const rangeError = checkDateRange(from, to);
+    if (rangeError) {
+        return res.status(400).json({ error: rangeError });
+    }
+
+    let conn;
+    try {
+        conn = await pool.getConnection();
+        const calendar = await getCalendar(conn, from, to);
+        const availability = await getAvailability(conn, from, to);
+        res.json(calendar.map((day, index) => ({ ...day, sold: availability[index].sold })));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    } finally {
+        if (conn) conn.release();
+    }
+});
+
+// 設定特定日期(休園、特殊營業時間、假日、活動)
+/**
+ * @openapi
+ * /admin/calendar/{date}:
+ *   put:
+ *     summary: 設定特定日期的營運狀態
+ *     description: |
+ *       需有 calendar:update 權限。未填的欄位沿用每週固定設定。
+ *       設為休園後該日將無法訂票，已售出的票券不會自動取消，回應中的 sold 為當日已售出張數。
+ *     tags: [Admin - 營運日曆]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: date
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *           example: "2025-08-08"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               closed:
+ *                 type: boolean
+ *                 description: true = 休園，false = 營業，不填沿用每週設定
+ *               openTime:
+ *                 type: string
+ *                 example: "09:00"
+ *               closeTime:
+ *                 type: string
+ *                 example: "21:00"
+ *               isHoliday:
+ *                 type: boolean
+ *                 example: true
+ *               eventName:
+ *                 type: string
+ *                 example: "父親節夜間開放"
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 已更新
+ *       400:
+ *         description: 日期或營業時間格式錯誤
+ *       403:
+ *         description: 權限不足
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.put('/calendar/:date', checkLogin(false), requirePermission('calendar:update'), async (req, res) => {
+    const { date } = req.params;
+    const { closed, openTime, closeTime, isHoliday = false, eventName, note } = req.body;
+
+    if (!isValidDate(date)) {
+        return res.status(400).json({ error: '日期格式錯誤(YYYY-MM-DD)' });
+    }
+    if ((openTime || closeTime) && !closed) {
+        const hoursError = checkOpeningHours(openTime, closeTime);
+        if (hoursError) {
+            return res.status(400).json({ error: hoursError });
+        }
+    }
+
+    let conn;
+    try {
+        conn = await pool.getConnection();
+        await conn.query(
+            `INSERT INTO parkCalendarOverrides (visitDate, closed, openTime, closeTime, isHoliday, eventName, note, editTime)
+             VALUES (?, ?, ?, ?, ?, ?, ?, NOW())
+             ON DUPLICATE KEY UPDATE closed = VALUES(closed), openTime = VALUES(openTime), closeTime = VALUES(closeTime),
+                                     isHoliday = VALUES(isHoliday), eventName = VALUES(eventName),
+                                     note = VALUES(note), editTime = NOW()`,
+            [
+                date,
+                closed === undefined || closed === null ? null : (closed ? 1 : 0),
+                closed ? null : openTime || null,
+                closed ? null : closeTime || null,
+                isHoliday ? 1 : 0,
+                eventName || null,
+                note || null
+            ]
+        );
+
+        const [day] = await getCalendar(conn, date, date);
+        const [availability] = await getAvailability(conn, date, date);
+        res.json({ message: '營運日曆已更新', ...day, sold: availability.sold });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    } finally {
+        if (conn) conn.release();
+    }
+});
+
+// 取消特定日期設定
+/**
+ * @openapi
+ * /admin/calendar/{date}:
+ *   delete:
+ *     summary: 取消特定日期設定
+ *     description: 需有 calendar:update 權限。取消後該日改回每週固定營業時間。
+ *     tags: [Admin - 營運日曆]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: date
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: 已改回每週固定設定
+ *       400:
+ *         description: 日期格式錯誤
+ *       403:
+ *         description: 權限不足
+ *       404:
+ *         description: 該日沒有特別設定
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.delete('/calendar/:date', checkLogin(false), requirePermission('calendar:update'), async (req, res) => {
+    const { date } = req.params;
+    if (!isValidDate(date)) {
+        return res.status(400).json({ error: '日期格式錯誤(YYYY-MM-DD)' });
+    }
+
+    let conn;
+    try {
+        conn = await pool.getConnection();
+        const [result] = await conn.query('DELETE FROM parkCalendarOverrides WHERE visitDate = ?', [date]);
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ error: '該日沒有特別設定' });
+        }
+        res.json({ message: '已改回每週固定設定' });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    } finally {
+        if (conn) conn.release();
+    }
+});
+
+// 年卡方案欄位
+const PASS_PLAN_FIELDS = ['name', 'description', 'durationMonths', 'price', 'shopDiscountPercent', 'ticketDiscountPercent', 'active'];
+
+// 檢查年卡方案內容，有問題時回傳錯誤訊息
+function checkPassPlan(plan) {
+    if (!plan.name) {
+        return '請提供方案名稱';
+    }
+    if (!(Number.isInteger(Number(plan.durationMonths)) && Number(plan.durationMonths) > 0)) {
+        return '有效月數必須為正整數';
+    }
+    if (plan.price === undefined || plan.price === null || Number.isNaN(Number(plan.price)) || Number(plan.price) < 0) {
+        return '請提供正確的價格';
+    }
+    for (const field of ['shopDiscountPercent', 'ticketDiscountPercent']) {
+        const value = Number(plan[field] ?? 0);
+        if (Number.isNaN(value) || value < 0 || value > 100) {
+            return `${field} 必須介於 0 ~ 100`;
+        }
+    }
+    return null;
+}
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     PassPlanInput:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: "海洋年卡"
+ *         description:
+ *           type: string
+ *         durationMonths:
+ *           type: integer
+ *           default: 12
+ *         price:
+ *           type: number
+ *           example: 2500
+ *         shopDiscountPercent:
+ *           type: number
+ *           default: 0
+ *           description: 商城商品折扣百分比，10 = 九折
+ *         ticketDiscountPercent:
+ *           type: number
+ *           default: 0
+ *           description: 票券折扣百分比
+ *         active:
+ *           type: integer
+ *           enum: [0, 1]
+ *           default: 1
+ */
+
+// 取得所有年卡方案
+/**
+ * @openapi
+ * /admin/passes/plans:
+ *   get:
+ *     summary: 取得所有年卡方案(含停售)
+ *     description: 需有 passes:read 權限。
+ *     tags: [Admin - 年卡管理]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 年卡方案列表
+ *       403:
+ *         description: 權限不足
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.get('/passes/plans', checkLogin(false), requirePermission('passes:read'), async (req, res) => {
+    let conn;
+    try {
+        conn = await pool.getConnection();
+        const [rows] = await conn.query(
+            `SELECT id, name, description, durationMonths, price, shopDiscountPercent, ticketDiscountPercent, active,
+                    DATE_FORMAT(editTime, '%Y-%m-%d %H:%i:%s') AS editTime
+             FROM passPlans
+             ORDER BY id ASC`
+        );
+        res.json(rows);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    } finally {
+        if (conn) conn.release();
+    }
+});
+
+// 新增年卡方案
+/**
+ * @openapi
+ * /admin/passes/plans:
+ *   post:
+ *     summary: 新增年卡方案
+ *     description: 需有 passes:manage 權限。
+ *     tags: [Admin - 年卡管理]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PassPlanInput'
+ *     responses:
+ *       201:
+ *         description: 新增成功
+ *       400:
+ *         description: 方案內容錯誤
+ *       403:
+ *         description: 權限不足
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.post('/passes/plans', checkLogin(false), requirePermission('passes:manage'), async (req, res) => {
+    const plan = { durationMonths: 12, shopDiscountPercent: 0, ticketDiscountPercent: 0, active: 1, ...req.body };
+    const planError = checkPassPlan(plan);
+    if (planError) {
+        return res.status(400).json({ error: planError });
+    }
+
+    let conn;
+    try {
+        conn = await pool.getConnection();
+        const [result] = await conn.query(
+            `INSERT INTO passPlans (name, description, durationMonths, price, shopDiscountPercent, ticketDiscountPercent, active, editTime, createdAt)
+             VALUES (?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+            [
+                plan.name,
+                plan.description || null,
+                Number(plan.durationMonths),
+                plan.price,
+                Number(plan.shopDiscountPercent),
+                Number(plan.ticketDiscountPercent),
+                Number(plan.active) ? 1 : 0
+            ]
+        );
+        res.status(201).json({ message: '年卡方案新增成功', id: result.insertId });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    } finally {
+        if (conn) conn.release();
+    }
+});
+
+// 修改年卡方案
+/**
+ * @openapi
+ * /admin/passes/plans/{id}:
+ *   patch:
+ *     summary: 修改年卡方案
+ *     description: |
+ *       需有 passes:manage 權限。只需傳入要修改的欄位，停售請將 active 設為 0。
+ *       折扣調整會立即套用到持有此方案年卡的會員；有效月數與價格只影響之後的購買與續約。
+ *     tags: [Admin - 年卡管理]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PassPlanInput'
+ *     responses:
+ *       200:
+ *         description: 已更新
+ *       400:
+ *         description: 方案內容錯誤或沒有需要更新的欄位
+ *       403:
+ *         description: 權限不足
+ *       404:
+ *         description: 找不到該方案
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.patch('/passes/plans/:id', checkLogin(false), requirePermission('passes:manage'), async (req, res) => {
+    const { id } = req.params;
+    const changes = Object.fromEntries(
+        PASS_PLAN_FIELDS.filter(field => req.body[field] !== undefined).map(field => [field, req.body[field]])
+    );
+    if (Object.keys(changes).length === 0) {
+        return res.status(400).json({ error: '沒有需要更新的欄位' });
+    }
+
+    let conn;
+    try {
+        conn = await pool.getConnection();
+        const [rows] = await conn.query(
+            `SELECT name, description, durationMonths, price, shopDiscountPercent, ticketDiscountPercent, active
+             FROM passPlans
+             WHERE id = ?`,
+            [id]
+        );
+        if (rows.length === 0) {
+            return res.status(404).json({ error: '找不到該年卡方案' });
+        }
+
+        const plan = { ...rows[0], ...changes };
+        const planError = checkPassPlan(plan);
+        if (planError) {
+            return res.status(400).json({ error: planError });
+        }
+
+        await conn.query(
+            `UPDATE passPlans
+             SET name = ?, description = ?, durationMonths = ?, price = ?,
+                 shopDiscountPercent = ?, ticketDiscountPercent = ?, active = ?, editTime = NOW()
+             WHERE id = ?`,
+            [
+                plan.name,
+                plan.description || null,
+                Number(plan.durationMonths),
+                plan.price,
+                Number(plan.shopDiscountPercent),
+                Number(plan.ticketDiscountPercent),
+                Number(plan.active) ? 1 : 0,
+                id
+            ]
+        );
+        res.json({ message: '年卡方案已更新' });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    } finally {
+        if (conn) conn.release();
+    }
+});
+
+// 查詢會員年卡
+/**
+ * @openapi
+ * /admin/passes:
+ *   get:
+ *     summary: 查詢會員年卡
+ *     description: 需有 passes:read 權限。可依會員、年卡編號或狀態篩選，包含入園次數與最後入園時間。
+ *     tags: [Admin - 年卡管理]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: passNumber
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, active, suspended, cancelled]
+ *     responses:
+ *       200:
+ *         description: 年卡列表
+ *       400:
+ *         description: 狀態錯誤
+ *       403:
+ *         description: 權限不足
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.get('/passes', checkLogin(false), requirePermission('passes:read'), async (req, res) => {
+    const { userId, passNumber, status } = req.query;
+    if (status && !PASS_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status 只能是 ${PASS_STATUSES.join(', ')}` });
+    }
+
+    const conditions = [];
+    const values = [];
+    if (userId) conditions.push('up.userId = ?'), values.push(userId);
+    if (passNumber) conditions.push('up.passNumber = ?'), values.push(passNumber);
+    if (status) conditions.push('up.status = ?'), values.push(status);
+
+    let conn;
+    try {
+        conn = await pool.getConnection();
+        const [rows] = await conn.query(
+            `SELECT up.passNumber, up.userId, u.userName, up.planId, pp.name AS planName,
+                    up.holderName, up.photoUrl, up.status, up.pricePaid, up.orderNumber,
+                    DATE_FORMAT(up.startDate, '%Y-%m-%d') AS startDate,
+                    DATE_FORMAT(up.endDate, '%Y-%m-%d') AS endDate,
+                    (SELECT COUNT(*) FROM passVisits pv WHERE pv.passId = up.id) AS visitCount,
+                    (SELECT DATE_FORMAT(MAX(pv.visitedAt), '%Y-%m-%d %H:%i:%s') FROM passVisits pv WHERE pv.passId = up.id) AS lastVisitAt,
+                    DATE_FORMAT(up.createdAt, '%Y-%m-%d %H:%i:%s') AS createdAt
+             FROM userPasses up
+             JOIN passPlans pp ON pp.id = up.planId
+             LEFT JOIN users u ON u.id = up.userId
+             ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+             ORDER BY up.createdAt DESC`,
+            values
+        );
+        res.json(rows);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    } finally {
+        if (conn) conn.release();
+    }
+});
+
+// 停用/啟用會員年卡
+/**
+ * @openapi
+ * /admin/passes/{passNumber}/status:
+ *   patch:
+ *     summary: 停用或啟用會員年卡
+ *     description: |
+ *       需有 passes:manage 權限。停用後無法入園，也不再享有會員折扣；有效期間不會因停用而延長。
+ *       只能切換已付款的年卡(active / suspended)，待付款或已取消的年卡依訂單狀態處理。
+ *     tags: [Admin - 年卡管理]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: passNumber
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [active, suspended]
+ *               reason:
+ *                 type: string
+ *                 example: "借給他人使用"
+ *     responses:
+ *       200:
+ *         description: 已更新
+ *       400:
+ *         description: 狀態錯誤
+ *       403:
+ *         description: 權限不足
+ *       404:
+ *         description: 找不到該年卡
+ *       409:
+ *         description: 年卡待付款或已取消
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.patch('/passes/:passNumber/status', checkLogin(false), requirePermission('passes:manage'), async (req, res) => {
+    const { passNumber } = req.params;
+    const { status, reason } = req.body;
+    const switchable = ['active', 'suspended'];
+    if (!switchable.includes(status)) {
+        return res.status(400).json({ error: `status 只能是 ${switchable.join(', ')}` });
+    }
+
+    let conn;
+    try {
+        conn = await pool.getConnection();
+        await conn.beginTransaction();
+
+        const [rows] = await conn.query('SELECT id, userId, status FROM userPasses WHERE passNumber = ? FOR UPDATE', [passNumber]);
+        if (rows.length === 0) {
+            await conn.rollback();
+            return res.status(404).json({ error: '找不到該年卡' });
+        }
+        if (!switchable.includes(rows[0].status)) {
+            await conn.rollback();
+            return res.status(409).json({ error: rows[0].status === 'pending' ? '此年卡尚未付款' : '此年卡已取消' });
+        }
+
+        await conn.query('UPDATE userPasses SET status = ?, editTime = NOW() WHERE id = ?', [status, rows[0].id]);
+        await writeAuditLog(conn, {
+            actorId: req.userId,
+            action: status === 'suspended' ? 'pass.suspend' : 'pass.activate',
+            targetUserId: rows[0].userId,
+            detail: { passNumber, ...(reason ? { reason } : {}) },
+            ip: req.ip
+        });
+
+        await conn.commit();
+        res.json({ message: status === 'suspended' ? '年卡已停用' : '年卡已啟用' });
+    } catch (err) {
+        if (conn) await conn.rollback();
+        res.status(500).json({ error: err.message });
+    } finally {
+        if (conn) conn.release();
+    }
+});
+
+// 查詢團體預約
+/**
+ * @openapi
+ * /admin/group-bookings:
+ *   get:
+ *     summary: 查詢團體預約
+ *     description: 需有 groups:read 權限。可依狀態與入園日期區間篩選，依入園日期排序。
+ *     tags: [Admin - 團體預約]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected, converted, cancelled]
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: 團體預約列表(不含明細)
+ *       400:
+ *         description: 狀態或日期格式錯誤
+ *       403:
+ *         description: 權限不足
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.get('/group-bookings', checkLogin(false), requirePermission('groups:read'), async (req, res) => {
+    const { status, from, to } = req.query;
+    if (status && !GROUP_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status 只能是 ${GROUP_STATUSES.join(', ')}` });
+    }
+    if ((from && !isValidDate(from)) || (to && !isValidDate(to))) {
+        return res.status(400).json({ error: '日期格式錯誤(YYYY-MM-DD)' });
+    }
+
+    const conditions = [];
+    const values = [];
+    if (status) conditions.push('g.status = ?'), values.push(status);
+    if (from) conditions.push('g.visitDate >= ?'), values.push(from);
+    if (to) conditions.push('g.visitDate <= ?'), values.push(to);
+
+    let conn;
+    try {
+        conn = await pool.getConnection();
+        const [rows] = await conn.query(
+            `SELECT g.id, g.userId, u.userName, g.organization, g.orgType, g.contactName, g.contactTel,
+                    DATE_FORMAT(g.visitDate, '%Y-%m-%d') AS visitDate,
+                    g.headcount, g.status, g.quotedPrice,
+                    DATE_FORMAT(g.createdAt, '%Y-%m-%d %H:%i:%s') AS createdAt
+             FROM groupBookings g
+             LEFT JOIN users u ON u.id = g.userId
+             ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+             ORDER BY g.visitDate ASC, g.id ASC`,
+            values
+        );
+        res.json(rows);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    } finally {
+        if (conn) conn.release();
+    }
+});
+
+// 查詢單筆團體預約
+/**
+ * @openapi
+ * /admin/group-bookings/{id}:
+ *   get:
+ *     summary: 查詢單筆團體預約
+ *     description: 需有 groups:read 權限。
+ *     tags: [Admin - 團體預約]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: 團體預約內容
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/GroupBooking'
+ *       403:
+ *         description: 權限不足
+ *       404:
+ *         description: 找不到該團體預約
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.get('/group-bookings/:id', checkLogin(false), requirePermission('groups:read'), async (req, res) => {
+    let conn;
+    try {
+        conn = await pool.getConnection();
+        const booking = await getGroupBooking(conn, req.params.id);
+        if (!booking) {
+            return res.status(404).json({ error: '找不到該團體預約' });
+        }
+        res.json(booking);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    } finally {
+        if (conn) conn.release();
+    }
+});
+
+// 核准團體預約並報價
+/**
+ * @openapi
+ * /admin/group-bookings/{id}/approve:
+ *   post:
+ *     summary: 核准團體預約並報價
+ *     description: |
+ *       需有 groups:manage 權限。待審核或已報價(重新報價)的申請可核准。
+ *       lines 可為各年齡類別指定票種與團體單價；指定的票種需與年齡類別相同；未指定票種時使用該年齡類別中販售中、不需選擇時段的第一個票種，
+ *       未指定單價時依入園日期的票價規則計算。核准後尚未扣除名額，轉為訂單時才扣除。
+ *     tags: [Admin - 團體預約]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               lines:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     ageCategory:
+ *                       type: string
+ *                       example: "child"
+ *                     ticketId:
+ *                       type: integer
+ *                     unitPrice:
+ *                       type: number
+ *                       example: 300
+ *               note:
+ *                 type: string
+ *                 example: "學校團體 8 折，含導覽"
+ *     responses:
+ *       200:
+ *         description: 已核准，回傳報價後的申請內容
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "團體預約已核准"
+ *                 booking:
+ *                   $ref: '#/components/schemas/GroupBooking'
+ *       400:
+ *         description: 單價錯誤、票種與年齡類別不符或票種需選擇時段
+ *       403:
+ *         description: 權限不足
+ *       404:
+ *         description: 找不到該團體預約或可使用的票種
+ *       409:
+ *         description: 目前狀態不可核准
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.post('/group-bookings/:id/approve', checkLogin(false), requirePermission('groups:manage'), async (req, res) => {
+    const { lines = [], note } = req.body;
+    if (!Array.isArray(lines)) {
+        return res.status(400).json({ error: 'lines 必須為陣列' });
+    }
+
+    let conn;
+    try {
+        conn = await pool.getConnection();
+        await conn.beginTransaction();
+
+        const booking = await getGroupBooking(conn, req.params.id, { forUpdate: true });
+        if (!booking) {
+            await conn.rollback();
+            return res.status(404).json({ error: '找不到該團體預約' });
+        }
+        if (!['pending', 'approved'].includes(booking.status)) {
+            await conn.rollback();
+            return res.status(409).json({ error: '只能核准待審核或已報價的申請', status: booking.status });
+        }
+
+        const resolved = await resolveGroupLines(conn, booking, lines);
+        for (const line of resolved) {
+            await conn.query(
+                'UPDATE groupBookingLines SET ticketId = ?, unitPrice = ? WHERE id = ?',
+                [line.ticketId, line.unitPrice, line.id]
+            );
+        }
+        const quotedPrice = resolved.reduce((sum, line) => sum + line.unitPrice * line.qty, 0);
+        await conn.query(
+            `UPDATE groupBookings
+             SET status = 'approved', quotedPrice = ?, reviewNote = ?, reviewedBy = ?, reviewedAt = NOW(), editTime = NOW()
+             WHERE id = ?`,
+            [quotedPrice, note || null, req.userId, booking.id]
+        );
+        const approved = await getGroupBooking(conn, booking.id);
+        await conn.commit();
+
+        res.json({ message: '團體預約已核准', booking: approved });
+    } catch (err) {
+        if (conn) await conn.rollback();
+        if (err.status) {
+            return res.status(err.status).json({ error: err.message });
+        }
+        res.status(500).json({ error: err.message });
+    } finally {
+        if (conn) conn.release();
+    }
+});
+
+// 拒絕團體預約
+/**
+ * @openapi
+ * /admin/group-bookings/{id}/reject:
+ *   post:
+ *     summary: 拒絕團體預約
+ *     description: 需有 groups:manage 權限。待審核或已報價的申請可拒絕。
+ *     tags: [Admin - 團體預約]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: "當日已有大型活動，請改選其他日期"
+ *     responses:
+ *       200:
+ *         description: 已拒絕
+ *       400:
+ *         description: 未提供拒絕原因
+ *       403:
+ *         description: 權限不足
+ *       404:
+ *         description: 找不到該團體預約
+ *       409:
+ *         description: 目前狀態不可拒絕
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.post('/group-bookings/:id/reject', checkLogin(false), requirePermission('groups:manage'), async (req, res) => {
+    const { reason } = req.body;
+    if (!reason) {
+        return res.status(400).json({ error: '請提供拒絕原因' });
+    }
+
+    let conn;
+    try {
+        conn = await pool.getConnection();
+        const [result] = await conn.query(
+            `UPDATE groupBookings
+             SET status = 'rejected', reviewNote = ?, reviewedBy = ?, reviewedAt = NOW(), editTime = NOW()
+             WHERE id = ? AND status IN ('pending', 'approved')`,
+            [reason, req.userId, req.params.id]
+        );
+        if (result.affectedRows === 0) {
+            const booking = await getGroupBooking(conn, req.params.id);
+            if (!booking) {
+                return res.status(404).json({ error: '找不到該團體預約' });
+            }
+            return res.status(409).json({ error: '只能拒絕待審核或已報價的申請', status: booking.status });
+        }
+        res.json({ message: '團體預約已拒絕' });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    } finally {
+        if (conn) conn.release();
+    }
+});
+
+// 團體預約轉為票券訂單
+/**
+ * @openapi
+ * /admin/group-bookings/{id}/convert:
+ *   post:
+ *     summary: 團體預約轉為票券訂單
+ *     description: |
+ *       需有 groups:manage 權限，只有已核准的申請可轉單。
+ *       依核定的票種與單價，為每個年齡類別建立一張票券訂單(屬於提出申請的會員)，並扣除當日入園名額；
+ *       任一項目失敗(例如名額不足)則全部不成立。
+ *       團體預約依報價單線下收款，票券直接建立為 已付款，並於 paymentNote 記錄為線下付款；請確認已收款後再轉單。
+ *     tags: [Admin - 團體預約]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       201:
+ *         description: 轉單成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "已轉為票券訂單"
+ *                 bookingId:
+ *                   type: integer
+ *                 tickets:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 totalPrice:
+ *                   type: number
+ *       400:
+ *         description: 入園日期已過或當日休園
+ *       403:
+ *         description: 權限不足
+ *       404:
+ *         description: 找不到該團體預約，或票種已停售
+ *       409:
+ *         description: 尚未核准或已轉單，或當日名額不足
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.post('/group-bookings/:id/convert', checkLogin(false), requirePermission('groups:manage'), async (req, res) => {
+    let conn;
+    try {
+        conn = await pool.getConnection();
+        await conn.beginTransaction();
+
+        const booking = await getGroupBooking(conn, req.params.id, { forUpdate: true });
+        if (!booking) {
+            await conn.rollback();
+            return res.status(404).json({ error: '找不到該團體預約' });
+        }
+        if (booking.status !== 'approved') {
+            await conn.rollback();
+            return res.status(409).json({ error: '只有已核准的申請可轉為訂單', status: booking.status });
+        }
+
+        const tickets = await convertGroupBooking(conn, booking);
+        await conn.commit();
+
+        res.status(201).json({
+            message: '已轉為票券訂單',
+            bookingId: booking.id,
+            tickets,
+            totalPrice: tickets.reduce((sum, ticket) => sum + ticket.totalPrice, 0)
+        });
+    } catch (err) {
+        if (conn) await conn.rollback();
+        if (err.status) {
+            return res.status(err.status).json({ error: err.message, remaining: err.remaining });
+        }
+        res.status(500).json({ error: err.message });
+    } finally {
+        if (conn) conn.release();
+    }
+});
+
+// 取消已轉單的團體預約
+/**
+ * @openapi
+ * /admin/group-bookings/{id}/cancel:
+ *   post:
+ *     summary: 取消已轉單的團體預約
+ *     description: |
+ *       需有 groups:manage 權限，只有已轉為票券訂單的申請可在此取消；待審核或已報價的申請請使用拒絕。
+ *       團體預約的票券會員不可自行取消或改期，需由管理員在此處理。
+ *       尚未使用的票券作廢並歸還名額，已有人入園的票券只作廢其餘入園代碼；
+ *       回傳的 refundAmount 為依作廢張數計算的退款金額，團體預約為線下付款，請依此金額線下退款。
+ *     tags: [Admin - 團體預約]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: "學校行程取消"
+ *     responses:
+ *       200:
+ *         description: 已取消
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "團體預約已取消"
+ *                 refundAmount:
+ *                   type: number
+ *                   example: 15000
+ *       403:
+ *         description: 權限不足
+ *       404:
+ *         description: 找不到該團體預約
+ *       409:
+ *         description: 尚未轉單或已取消
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.post('/group-bookings/:id/cancel', checkLogin(false), requirePermission('groups:manage'), async (req, res) => {
+    const { reason = null } = req.body;
+    let conn;
+    try {
+        conn = await pool.getConnection();
+        await conn.beginTransaction();
+
+        const booking = await getGroupBooking(conn, req.params.id, { forUpdate: true });
+        if (!booking) {
+            await conn.rollback();
+            return res.status(404).json({ error: '找不到該團體預約' });
+        }
+        if (booking.status !== 'converted') {
+            await conn.rollback();
+            return res.status(409).json({ error: '只有已轉為訂單的團體預約可在此取消，待審核或已報價的申請請使用拒絕', status: booking.status });
+        }
+
+        const refundAmount = await cancelGroupBookingTickets(conn, booking.id, { changedBy: req.userId });
+        await conn.query(
+            `UPDATE groupBookings
+             SET status = 'cancelled', reviewNote = COALESCE(?, reviewNote), cancelledAt = NOW(), editTime = NOW()
+             WHERE id = ?`,
+            [reason, booking.id]
+        );
+        await conn.commit();
+
+        res.json({ message: '團體預約已取消', refundAmount });
+    } catch (err) {
+        if (conn) await conn.rollback();
+        res.status(500).json({ error: err.message });
+    } finally {
+        if (conn) conn.release();
+    }
+});
+
+// 優惠券欄位
+const COUPON_FIELDS = ['code', 'name', 'description', 'discountType', 'discountValue', 'minSpend', 'startDate', 'endDate', 'usageLimit', 'perUserLimit', 'active'];
+
+// 寫入優惠券適用範圍(整批取代)
+async function saveCouponScopes(conn, couponId, productIds = [], itemGroups = []) {
+    await conn.query('DELETE FROM couponScopes WHERE couponId = ?', [couponId]);
+    const scopes = [
+        ...productIds.map(id => [couponId, 'product', String(Number(id))]),
+        ...[...new Set(itemGroups)].map(group => [couponId, 'itemGroup', group])
+    ];
+    if (scopes.length > 0) {
+        await conn.query('INSERT INTO couponScopes (couponId, scopeType, scopeValue) VALUES ?', [scopes]);
+    }
+}
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     CouponInput:
+ *       type: object
+ *       properties:
+ *         code:
+ *           type: string
+ *           description: 優惠碼，3 ~ 40 個英數字、底線或連字號，不分大小寫
+ *           example: "SUMMER100"
+ *         name:
+ *           type: string
+ *           example: "夏日滿千折百"
+ *         description:
+ *           type: string
+ *         discountType:
+ *           type: string
+ *           enum: [percent, amount, free_shipping]
+ *           description: percent = 百分比折扣、amount = 折抵固定金額、free_shipping = 免運費
+ *         discountValue:
+ *           type: number
+ *           description: percent 為折扣百分比(10 = 九折)，amount 為折抵金額，free_shipping 不需填寫
+ *           example: 100
+ *         minSpend:
+ *           type: number
+ *           default: 0
+ *           description: 適用商品小計需達此金額
+ *           example: 1000
+ *         startDate:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *           description: 使用期間起日(含)，null = 不限
+ *         endDate:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *           description: 使用期間迄日(含)，null = 不限
+ *         usageLimit:
+ *           type: integer
+ *           nullable: true
+ *           description: 全部會員合計可使用次數，null = 不限
+ *         perUserLimit:
+ *           type: integer
+ *           nullable: true
+ *           default: 1
+ *           description: 每位會員可使用次數，null = 不限
+ *         productIds:
+ *           type: array
+ *           items:
+ *             type: integer
+ *           description: 指定適用商品，與 itemGroups 皆未設定時適用所有商品
+ *         itemGroups:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: 指定適用商品分類
+ *         active:
+ *           type: integer
+ *           enum: [0, 1]
+ *           default: 1
+ */
+
+// 取得所有優惠券
+/**
+ * @openapi
+ * /admin/coupons:
+ *   get:
+ *     summary: 取得所有優惠券(含停用)
+ *     description: 需有 coupons:read 權限，包含已使用次數與適用範圍。
+ *     tags: [Admin - 優惠券管理]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 優惠券列表，由新到舊
+ *       403:
+ *         description: 權限不足
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.get('/coupons', checkLogin(false), requirePermission('coupons:read'), async (req, res) => {
+    let conn;
+    try {
+        conn = await pool.getConnection();
+        const [rows] = await conn.query(
+            `SELECT id, code, name, description, discountType, discountValue, minSpend,
+                    DATE_FORMAT(startDate, '%Y-%m-%d') AS startDate,
+                    DATE_FORMAT(endDate, '%Y-%m-%d') AS endDate,
+                    usageLimit, perUserLimit, usedCount, active,
+                    DATE_FORMAT(editTime, '%Y-%m-%d %H:%i:%s') AS editTime
+             FROM coupons
+             ORDER BY id DESC`
+        );
+        const scopes = await getCouponScopes(conn, rows.map(row => row.id));
+        res.json(rows.map(row => ({ ...row, ...scopes[row.id] })));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    } finally {
+        if (conn) conn.release();
+    }
+});
+
+// 新增優惠券
+/**
+ * @openapi
+ * /admin/coupons:
+ *   post:
+ *     summary: 新增優惠券
+ *     description: 需有 coupons:manage 權限。
+ *     tags: [Admin - 優惠券管理]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CouponInput'
+ *     responses:
+ *       201:
+ *         description: 新增成功
+ *       400:
+ *         description: 優惠券內容錯誤
+ *       403:
+ *         description: 權限不足
+ *       409:
+ *         description: 優惠碼已存在
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.post('/coupons', checkLogin(false), requirePermission('coupons:manage'), async (req, res) => {
+    const coupon = { minSpend: 0, perUserLimit: 1, active: 1, ...req.body };
+    const couponError = checkCoupon(coupon);
+    if (couponError) {
+        return res.status(400).json({ error: couponError });
+    }
+    const code = normalizeCode(coupon.code);
+
+    let conn;
+    try {
+        conn = await pool.getConnection();
+        await conn.beginTransaction();
+
+        const [exists] = await conn.query('SELECT 1 FROM coupons WHERE code = ?', [code]);
+        if (exists.length > 0) {
+            await conn.rollback();
+            return res.status(409).json({ error: '優惠碼已存在' });
+        }
+
+        const [result] = await conn.query(
+            `INSERT INTO coupons
+              (code, name, description, discountType, discountValue, minSpend, startDate, endDate, usageLimit, perUserLimit, active, editTime, createdAt)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+            [
+                code,
+                coupon.name,
+                coupon.description || null,
+                coupon.discountType,
+                coupon.discountType === 'free_shipping' ? 0 : Number(coupon.discountValue),
+                Number(coupon.minSpend),
+                coupon.startDate || null,
+                coupon.endDate || null,
+                coupon.usageLimit ?? null,
+                coupon.perUserLimit ?? null,
+                Number(coupon.active) ? 1 : 0
+            ]
+        );
+        await saveCouponScopes(conn, result.insertId, coupon.productIds, coupon.itemGroups);
+        await conn.commit();
+
+        res.status(201).json({ message: '優惠券新增成功', id: result.insertId, code });
+    } catch (err) {
+        if (conn) await conn.rollback();
+        res.status(500).json({ error: err.message });
+    } finally {
+        if (conn) conn.release();
+    }
+});
+
+// 修改優惠券
+/**
+ * @openapi
+ * /admin/coupons/{id}:
+ *   patch:
+ *     summary: 修改優惠券
+ *     description: |
+ *       需有 coupons:manage 權限。只需傳入要修改的欄位，停用請將 active 設為 0。
+ *       傳入 productIds 或 itemGroups 時會整批取代原本的適用範圍(兩者皆傳空陣列 = 適用所有商品)。
+ *       修改只影響之後的結帳，已成立訂單的折抵金額不變。
+ *     tags: [Admin - 優惠券管理]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CouponInput'
+ *     responses:
+ *       200:
+ *         description: 已更新
+ *       400:
+ *         description: 優惠券內容錯誤或沒有需要更新的欄位
+ *       403:
+ *         description: 權限不足
+ *       404:
+ *         description: 找不到該優惠券
+ *       409:
+ *         description: 優惠碼已存在
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.patch('/coupons/:id', checkLogin(false), requirePermission('coupons:manage'), async (req, res) => {
+    const { id } = req.params;
+    const changes = Object.fromEntries(
+        COUPON_FIELDS.filter(field => req.body[field] !== undefined).map(field => [field, req.body[field]])
+    );
+    const { productIds, itemGroups } = req.body;
+    const scopeChanged = productIds !== undefined || itemGroups !== undefined;
+    if (Object.keys(changes).length === 0 && !scopeChanged) {
+        return res.status(400).json({ error: '沒有需要更新的欄位' });
+    }
+
+    let conn;
+    try {
+        conn = await pool.getConnection();
+        await conn.beginTransaction();
+
+        const [rows] = await conn.query(
+            `SELECT code, name, description, discountType, discountValue, minSpend,
+                    DATE_FORMAT(startDate, '%Y-%m-%d') AS startDate,
+                    DATE_FORMAT(endDate, '%Y-%m-%d') AS endDate,
+                    usageLimit, perUserLimit, active
+             FROM coupons
+             WHERE id = ?
+             FOR UPDATE`,
+            [id]
+        );
+        if (rows.length === 0) {
+            await conn.rollback();
+            return res.status(404).json({ error: '找不到該優惠券' });
+        }
+
+        const coupon = { ...rows[0], ...changes, productIds, itemGroups };
+        const couponError = checkCoupon(coupon);
+        if (couponError) {
+            await conn.rollback();
+            return res.status(400).json({ error: couponError });
+        }
+        const code = normalizeCode(coupon.code);
+        const [exists] = await conn.query('SELECT 1 FROM coupons WHERE code = ? AND id <> ?', [code, id]);
+        if (exists.length > 0) {
+            await conn.rollback();
+            return res.status(409).json({ error: '優惠碼已存在' });
+        }
+
+        await conn.query(
+            `UPDATE coupons
+             SET code = ?, name = ?, description = ?, discountType = ?, discountValue = ?, minSpend = ?,
+                 startDate = ?, endDate = ?, usageLimit = ?, perUserLimit = ?, active = ?, editTime = NOW()
+             WHERE id = ?`,
+            [
+                code,
+                coupon.name,
+                coupon.description || null,
+                coupon.discountType,
+                coupon.discountType === 'free_shipping' ? 0 : Number(coupon.discountValue),
+                Number(coupon.minSpend),
+                coupon.startDate || null,
+                coupon.endDate || null,
+                coupon.usageLimit ?? null,
+                coupon.perUserLimit ?? null,
+                Number(coupon.active) ? 1 : 0,
+                id
+            ]
+        );
+        if (scopeChanged) {
+            await saveCouponScopes(conn, id, productIds, itemGroups);
+        }
+        await conn.commit();
+
+        res.json({ message: '優惠券已更新' });
+    } catch (err) {
+        if (conn) await conn.rollback();
+        res.status(500).json({ error: err.message });
+    } finally {
+        if (conn) conn.release();
+    }
+});
+
+// 查詢優惠券使用紀錄
+/**
+ * @openapi
+ * /admin/coupons/{id}/redemptions:
+ *   get:
+ *     summary: 查詢優惠券使用紀錄
+ *     description: 需有 coupons:read 權限。releasedAt 有值代表訂單未付款就取消，已歸還使用次數。
+ *     tags: [Admin - 優惠券管理]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: 使用紀錄，由新到舊
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   userId:
+ *                     type: integer
+ *                   orderNumber:
+ *                     type: string
+ *                   orderStatus:
+ *                     type: string
+ *                     example: "已付款"
+ *                   discountAmount:
+ *                     type: number
+ *                   releasedAt:
+ *                     type: string
+ *                     nullable: true
+ *                   createdAt:
+ *                     type: string
+ *       403:
+ *         description: 權限不足
+ *       404:
+ *         description: 找不到該優惠券
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.get('/coupons/:id/redemptions', checkLogin(false), requirePermission('coupons:read'), async (req, res) => {
+    const { id } = req.params;
+    let conn;
+    try {
+        conn = await pool.getConnection();
+        const [coupons] = await conn.query('SELECT 1 FROM coupons WHERE id = ?', [id]);
+        if (coupons.length === 0) {
+            return res.status(404).json({ error: '找不到該優惠券' });
+        }
+
+        const [rows] = await conn.query(
+            `SELECT cr.userId, cr.orderNumber, oc.status AS orderStatus, cr.discountAmount,
+                    DATE_FORMAT(cr.releasedAt, '%Y-%m-%d %H:%i:%s') AS releasedAt,
+                    DATE_FORMAT(cr.createdAt, '%Y-%m-%d %H:%i:%s') AS createdAt
+             FROM couponRedemptions cr
+             LEFT JOIN orderCustomers oc ON oc.orderNumber = cr.orderNumber
+             WHERE cr.couponId = ?
+             ORDER BY cr.id DESC`,
+            [id]
+        );
+        res.json(rows);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    } finally {
+        if (conn) conn.release();
+    }
+});
+
+// 新增訂單
+/**
+ * @openapi
+ * /admin/orders:
+ *   post:
+ *     summary: 新增訂單
+ *     description: |
+ *       新增訂單資料與商品細項，需有 orders:create 權限。  
+ *       訂單編號自動產生，不須手動輸入。  
+ *       會扣除商品庫存，任一商品不足時整筆訂單不成立。  
+ *       status 只能是 待付款 或 已付款(預設 待付款)，之後請以 PATCH /admin/orders/{orderNumber} 變更。  
+ *       運費與稅額依收件地址與 .env 設定計算，存入訂單後不再重算。  
+ *       待付款 的訂單由會員以 POST /payments/orders/{orderNumber} 付款，超過 PAYMENT_EXPIRES_MINUTES 分鐘(預設 30 分鐘)未付款會自動取消。  
+ *       一般用戶要新增請使用 [Cart - 購物車] /cart/orders
+ *     tags: [Admin - 訂單管理]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userId
+ *               - consignee
+ *               - tel
+ *               - address
+ *               - products
+ *             properties:
+ *               userId:
+ *                 type: integer
+ *                 example: 3
+ *               consignee:
+ *                 type: string
+ *                 example: "王小明"
+ *               tel:
+ *                 type: string
+ *                 example: "0912345678"
+ *               address:
+ *                 type: string
+ *                 example: "台北市信義區101號"
+ *               status:
+ *                 type: string
+ *                 enum: [待付款, 已付款]
+ *                 default: 待付款
+ *               products:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - productId
+ *                     - productName
+ *                     - salePrice
+ *                     - qty
+ *                   properties:
+ *                     productId:
+ *                       type: integer
+ *                       example: 101
+ *                     productName:
+ *                       type: string
+ *                       example: "鯊魚玩偶"
+ *                     salePrice:
+ *                       type: number
+ *                       example: 499
+ *                     qty:
+ *                       type: integer
+ *                       example: 2
+ *     responses:
+ *       201:
+ *         description: 訂單新增成功，並回傳訂單內容
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "訂單新增成功"
+ *                 order:
+ *                   type: object
+ *                   properties:
+ *                     orderNumber:
+ *                       type: string
+ *                       example: "123456789"
+ *                     userId:
+ *                       type: integer
+ *                       example: 3
+ *                     consignee:
+ *                       type: string
+ *                       example: "王小明"
+ *                     tel:
+ *                       type: string
+ *                       example: "0912345678"
+ *                     address:
+ *                       type: string
+ *                       example: "台北市信義區101號"
+ *                     status:
+ *                       type: string
+ *                       example: "已付款"
+ *                     products:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           productId:
+ *                             type: integer
+ *                             example: 101
+ *                           productName:
+ *                             type: string
+ *                             example: "鯊魚玩偶"
+ *                           salePrice:
+ *                             type: number
+ *                             example: 499
+ *                           qty:
+ *                             type: integer
+ *                             example: 2
+ *                           imgUrls:
+ *                             type: string
+ *                             example: "/uploads/products/img_5g6wrd.png"
+ *                     totalAmount:
+ *                       type: number
+ *                       description: 應付總額(同 priceBreakdown.grandTotal)
+ *                       example: 998
+ *                     priceBreakdown:
+ *                       $ref: '#/components/schemas/OrderPriceBreakdown'
+ *       400:
+ *         description: 訂單狀態錯誤
+ *       409:
+ *         description: 商品庫存不足(shortages 列出不足的商品與目前庫存)
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.post('/orders', checkLogin(false), requirePermission('orders:create'), async (req, res) => {
+  const { userId, consignee, tel, address, status = '待付款', products } = req.body;
+  if (!['待付款', '已付款'].includes(status)) {
+    return res.status(400).json({ error: '新增訂單的狀態只能是 待付款 或 已付款' });
+  }
+
+  // 自動生成 9 碼訂單編號
+  let orderNumber = '';
+  for (let i = 0; i < 9; i++) {
+      orderNumber += Math.floor(Math.random() * 10);
+  }
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
+
+    // 新增訂單基本資料到 orderCustomers 表
+    await conn.query(
+      `INSERT INTO orderCustomers (orderNumber, checkTime, updatedAt, userId, consignee, tel, address, status, paymentExpiresAt) 
+        VALUES (?, NOW(), NOW(), ?, ?, ?, ?, ?, IF(? = '待付款', NOW() + INTERVAL ? MINUTE, NULL))`,
+      [orderNumber, userId, consignee, tel, address, status, status, PAYMENT_EXPIRES_MINUTES]
+    );
+    await recordStatusHistory(conn, { orderNumber, fromStatus: null, toStatus: status, changedBy: req.userId });
+
+    // 抓取圖片路徑
+    const productIds = products.map(p => p.productId);
+    const [images] = await conn.query(
+      `SELECT id AS productId, imgUrls 
+         FROM products 
+         WHERE id IN (?)`,
+      [productIds]
+    );
+
+    // 建立商品與網址的對應，只存字串
+    const imgMap = {};
+    images.forEach(row => {
+      imgMap[row.productId] = row.imgUrls;
+    });
+
+    // 鎖定商品列扣除庫存，不足時整筆訂單不成立
+    await reserveStock(conn, products, orderNumber);
+
+    // 新增商品明細到 orderInfor 表
+    const insertedProducts = [];
+    for (const item of products) {
+      const { productId, productName, salePrice, qty } = item;
+      const raw = imgMap[productId];
+
+      let imgUrlsToStore = '';
+      // 如果 raw 是物件或陣列，就 stringify；若是字串直接存；若 undefined 則存空字串
+      if (typeof raw === 'object') {
+        imgUrlsToStore = JSON.stringify(raw);
+      } else if (typeof raw === 'string') {
+        imgUrlsToStore = raw;
+      }
+      
+      await conn.query(
+        `INSERT INTO orderInfor (orderNumber, productId, productName, salePrice, qty, imgUrls) 
+          VALUES (?, ?, ?, ?, ?, ?)`,
+        [orderNumber, productId, productName, salePrice, qty, imgUrlsToStore]
+      );
+
+      insertedProducts.push({
+        productId,
+        productName,
+        salePrice,
+        qty,
+        imgUrls: imgUrlsToStore
+      });
+    }
+
+    // 計算運費與稅額並存入訂單
+    const totals = calculateOrderTotals({
+      productSubtotal: products.reduce((sum, item) => sum + Number(item.salePrice) * item.qty, 0),
+      address
+    });
+    await saveOrderTotals(conn, orderNumber, totals);
+
+    await conn.commit();
+    
+    res.status(201).json({
+      message: '訂單新增成功',
+      order: {
+        orderNumber,
+        userId,
+        consignee,
+        tel,
+        address,
+        status,
+        products: insertedProducts,
+        totalAmount: totals.grandTotal,
+        priceBreakdown: totals
+      }
+    });
+  } catch (err) {
+    if (conn) await conn.rollback();
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message, shortages: err.shortages });
+    }
+    res.status(500).json({ error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     OrderTicketLine:
+ *       type: object
+ *       description: 購物車結帳時一併購買的票券
+ *       properties:
+ *         ticketNumber:
+ *           type: string
+ *           example: "T7K3M9Q2XA4"
+ *         ticketId:
+ *           type: integer
+ *         ticketName:
+ *           type: string
+ *           example: "全票"
+ *         selectedDate:
+ *           type: string
+ *           example: "2025-08-01"
+ *         slot:
+ *           type: string
+ *           nullable: true
+ *           example: "10:30"
+ *         qty:
+ *           type: integer
+ *           example: 2
+ *         unitPrice:
+ *           type: number
+ *           example: 750
+ *         totalPrice:
+ *           type: number
+ *           example: 1500
+ *         status:
+ *           type: string
+ *           example: "已付款"
+ */
+
+// 取得訂單中的票券項目(購物車結帳時一併購買的票券)，依訂單編號分組
+async function loadOrderTickets(conn, orderNumbers) {
+  if (orderNumbers.length === 0) return {};
+  const [rows] = await conn.query(
+    `SELECT t.orderNumber, t.ticketNumber, t.ticketId, tk.name AS ticketName,
+            DATE_FORMAT(t.selectedData, '%Y-%m-%d') AS selectedDate,
+            TIME_FORMAT(t.slotTime, '%H:%i') AS slot,
+            t.qty, t.unitPrice, t.totalPrice, t.status
+     FROM ticketsOrders t
+     LEFT JOIN tickets tk ON tk.id = t.ticketId
+     WHERE t.orderNumber IN (?)
+     ORDER BY t.selectedData ASC`,
+    [orderNumbers]
+  );
+  const ticketsMap = {};
+  rows.forEach(({ orderNumber, ...ticket }) => {
+    (ticketsMap[orderNumber] = ticketsMap[orderNumber] || []).push(ticket);
+  });
+  return ticketsMap;
+}
+
+// 查看訂單資訊(單獨用戶所有訂單)
+/**
+ * @openapi
+ * /admin/orders:
+ *   get:
+ *     summary: 查看使用者所有訂單
+ *     description: |
+ *       - 一般會員只會看到自己的所有訂單  
+ *       - 有 orders:read 權限者可透過 query.userId 指定要查看的使用者  
+ *     tags: [Admin - 訂單管理]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: integer
+ *         description: 有 orders:read 權限者可指定要查詢的使用者 ID；一般會員此參數無效
+ *     responses:
+ *       200:
+ *         description: 成功回傳訂單列表
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   orderNumber:
+ *                     type: string
+ *                     example: "123456789"
+ *                   checkTime:
+ *                     type: string
+ *                     format: date-time
+ *                     description: 下單時間
+ *                   updatedAt:
+ *                     type: string
+ *                     format: date-time
+ *                     description: 最後一次變更狀態的時間
+ *                   consignee:
+ *                     type: string
+ *                     example: "王小明"
+ *                   tel:
+ *                     type: string
+ *                     example: "0912345678"
+ *                   address:
+ *                     type: string
+ *                     example: "台北市信義區101號"
+ *                   status:
+ *                     type: string
+ *                     example: "已付款"
+ *                   items:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         productName:
+ *                           type: string
+ *                           example: "鯊魚玩偶"
+ *                         salePrice:
+ *                           type: number
+ *                           example: 499
+ *                         qty:
+ *                           type: integer
+ *                           example: 2
+ *                         productSubtotal:
+ *                           type: number
+ *                           example: 998
+ *                         imgUrls:
+ *                           type: string
+ *                           description: "圖片網址"
+ *                           example: "/uploads/products/img_5g6wrd.png"
+ *                   tickets:
+ *                     type: array
+ *                     items:
+ *                       $ref: '#/components/schemas/OrderTicketLine'
+ *                   couponCode:
+ *                     type: string
+ *                     nullable: true
+ *                   discountAmount:
+ *                     type: number
+ *                     description: 優惠券折抵金額
+ *                     example: 0
+ *                   totalAmount:
+ *                     type: number
+ *                     description: 應付總額(同 priceBreakdown.grandTotal)
+ *                     example: 998
+ *                   priceBreakdown:
+ *                     $ref: '#/components/schemas/OrderPriceBreakdown'
+ *       403:
+ *         description: 權限不足
+ *       404:
  *         description: 該使用者無任何訂單
  *       500:
  *         description: 伺服器錯誤
  */
-router.get('/orders', checkLogin(false), async (req, res) => {
-  const currentUserId = req.userId;
-  const isAdmin       = req.isAdmin;
-  const queryUserId   = Number(req.query.userId);
+router.get('/orders', checkLogin(false), async (req, res) => {
+  const currentUserId = req.userId;
+  const queryUserId   = Number(req.query.userId);
+  let conn;
+
+  try {
+    // 有訂單查詢權限者可指定 userId，一般會員強制是自己的
+    const canReadAll    = hasPermission(await loadPermissions(req), 'orders:read');
+    const targetUserId  = canReadAll && queryUserId ? queryUserId : currentUserId;
+
+    conn = await pool.getConnection();
+
+    // 撈取所有訂單與其明細，SQL 先按 checkTime DESC 排序
+    const [rows] = await conn.query(
+      `SELECT
+         oc.orderNumber,
+         DATE_FORMAT(oc.checkTime, '%Y-%m-%d %H:%i:%s') AS checkTime,
+         DATE_FORMAT(oc.updatedAt, '%Y-%m-%d %H:%i:%s') AS updatedAt,
+         oc.consignee,
+         oc.tel,
+         oc.address,
+         oc.status,
+         oc.couponCode,${ORDER_TOTAL_COLUMNS},
+         oi.productName,
+         oi.salePrice,
+         oi.qty,
+         (oi.salePrice * oi.qty) AS itemSubtotal,
+         oi.imgUrls
+       FROM orderCustomers AS oc
+       LEFT JOIN orderInfor AS oi
+         ON oc.orderNumber = oi.orderNumber
+       WHERE oc.userId = ?
+       ORDER BY oc.checkTime DESC`,
+      [targetUserId]
+    );
+
+    if (rows.length === 0) {
+      return res.status(404).json({ error: '該使用者無任何訂單' });
+    }
+
+    // 聚合同一張訂單的 items
+    const ordersMap = {};
+    rows.forEach(r => {
+      if (!ordersMap[r.orderNumber]) {
+        ordersMap[r.orderNumber] = {
+          orderNumber:  r.orderNumber,
+          checkTime:    r.checkTime,
+          updatedAt:    r.updatedAt,
+          consignee:    r.consignee,
+          tel:          r.tel,
+          address:      r.address,
+          status:       r.status,
+          items:        [],
+          tickets:      [],
+          couponCode:   r.couponCode,
+          discountAmount: Number(r.discountAmount),
+          totalAmount:  Number(r.grandTotal),
+          priceBreakdown: formatOrderTotals(r)
+        };
+      }
+      // 只有票券的訂單沒有商品明細
+      if (r.productName === null) return;
+      const ord = ordersMap[r.orderNumber];
+      ord.items.push({
+        productName:     r.productName,
+        salePrice:       r.salePrice,
+        qty:             r.qty,
+        productSubtotal: r.itemSubtotal,
+        imgUrls:         r.imgUrls || ''   
+      });
+    });
+
+    // 加上票券項目(金額以結帳時存入的明細為準，不再重算)
+    const ticketsMap = await loadOrderTickets(conn, Object.keys(ordersMap));
+    Object.values(ordersMap).forEach(ord => {
+      ord.tickets = ticketsMap[ord.orderNumber] || [];
+    });
+
+    // 轉成陣列，並再次用 JS 按時間排序
+    const orders = Object.values(ordersMap)
+      .sort((a, b) => new Date(b.checkTime) - new Date(a.checkTime));
+
+    res.json(orders);
+
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+// 查看訂單資訊(單筆)
+/**
+ * @openapi
+ * /admin/orders/{orderNumber}:
+ *   get:
+ *     summary: 查看訂單資訊（單筆）
+ *     description: 
+ *       - 根據訂單編號查詢收件人與商品明細
+ *       - 一般會員只能查看自己的訂單  
+ *       - 有 orders:read 權限者可查看所有訂單
+ *     tags: [Admin - 訂單管理]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderNumber
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 訂單編號
+ *     responses:
+ *       200:
+ *         description: 成功回傳訂單資訊
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 orderNumber:
+ *                   type: string
+ *                 recipientName:
+ *                   type: string
+ *                 recipientPhone:
+ *                   type: string
+ *                 recipientAddress:
+ *                   type: string
+ *                 status:
+ *                   type: string
+ *                   example: "已出貨"
+ *                 checkTime:
+ *                   type: string
+ *                   description: 下單時間
+ *                 updatedAt:
+ *                   type: string
+ *                   description: 最後一次變更狀態的時間
+ *                 statusHistory:
+ *                   type: array
+ *                   description: 狀態異動紀錄(由舊到新)，fromStatus 為 null 代表建立訂單
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       fromStatus:
+ *                         type: string
+ *                         nullable: true
+ *                         example: "已付款"
+ *                       toStatus:
+ *                         type: string
+ *                         example: "已出貨"
+ *                       changedBy:
+ *                         type: integer
+ *                         nullable: true
+ *                         description: 操作的會員或管理員 ID，系統自動異動為 null
+ *                       note:
+ *                         type: string
+ *                         nullable: true
+ *                       createdAt:
+ *                         type: string
+ *                         example: "2025-08-01 14:30:00"
+ *                 items:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       productName:
+ *                         type: string
+ *                       salePrice:
+ *                         type: number
+ *                       qty:
+ *                         type: integer
+ *                       productSubtotal:
+ *                         type: number
+ *                       imgUrls:
+ *                         type: string
+ *                         description: "圖片網址"
+ *                 tickets:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/OrderTicketLine'
+ *                 couponCode:
+ *                   type: string
+ *                   nullable: true
+ *                 discountAmount:
+ *                   type: number
+ *                   description: 優惠券折抵金額
+ *                 totalAmount:
+ *                   type: number
+ *                   description: 應付總額(同 priceBreakdown.grandTotal)
+ *                 priceBreakdown:
+ *                   $ref: '#/components/schemas/OrderPriceBreakdown'
+ *       403:
+ *         description: 權限不足
+ *       404:
+ *         description: 找不到該訂單
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.get('/orders/:orderNumber', checkLogin(false), async (req, res) => {
+  const { orderNumber } = req.params;
+  const currentUserId = req.userId;
+  let conn;
+
+  try {
+    const canReadAll = hasPermission(await loadPermissions(req), 'orders:read');
+    conn = await pool.getConnection();
+
+    // 1. 查訂單擁有者
+    const [ownerRows] = await conn.query(
+      'SELECT userId FROM orderCustomers WHERE orderNumber = ?',
+      [orderNumber]
+    );
+    if (ownerRows.length === 0) {
+      return res.status(404).json({ error: '找不到該訂單' });
+    }
+
+    // 2. 權限檢查
+    const ownerId = ownerRows[0].userId;
+    if (!canReadAll && ownerId !== currentUserId) {
+      return res.status(403).json({ error: '權限不足' });
+    }
+
+    // 3. 取得訂單明細
+    const [rows] = await conn.query(`
+      SELECT 
+        oc.orderNumber,
+        oc.consignee AS recipientName,
+        oc.tel AS recipientPhone,
+        oc.address AS recipientAddress,
+        oc.status,
+        DATE_FORMAT(oc.checkTime, '%Y-%m-%d %H:%i:%s') AS checkTime,
+        DATE_FORMAT(oc.updatedAt, '%Y-%m-%d %H:%i:%s') AS updatedAt,
+        oc.couponCode,${ORDER_TOTAL_COLUMNS},
+        oi.productName,
+        oi.salePrice,
+        oi.qty,
+        (oi.salePrice * oi.qty) AS itemSubtotal,
+        oi.imgUrls
+      FROM orderCustomers AS oc
+      LEFT JOIN orderInfor AS oi ON oc.orderNumber = oi.orderNumber
+      WHERE oc.orderNumber = ?
+      `, [orderNumber]);
+
+    if (rows.length === 0) {
+      return res.status(404).json({ error: '找不到該訂單' });
+    }
+
+    // 4. 聚合回傳單一訂單的資料
+    const order = {
+      orderNumber: rows[0].orderNumber,
+      recipientName: rows[0].recipientName,
+      recipientPhone: rows[0].recipientPhone,
+      recipientAddress: rows[0].recipientAddress,
+      status: rows[0].status,
+      checkTime: rows[0].checkTime,
+      updatedAt: rows[0].updatedAt,
+      statusHistory: [],
+      items: [],
+      tickets: [],
+      couponCode: rows[0].couponCode,
+      discountAmount: Number(rows[0].discountAmount),
+      totalAmount: Number(rows[0].grandTotal),
+      priceBreakdown: formatOrderTotals(rows[0])
+    };
+
+    rows.filter(row => row.productName !== null).forEach(row => {
+      order.items.push({
+        productName: row.productName,
+        salePrice: row.salePrice,
+        qty: row.qty,
+        productSubtotal: row.itemSubtotal,
+        imgUrls: row.imgUrls || ''
+      });
+    });
+
+    // 5. 加上票券項目(金額以結帳時存入的明細為準，不再重算)
+    const ticketsMap = await loadOrderTickets(conn, [orderNumber]);
+    order.tickets = ticketsMap[orderNumber] || [];
+
+    // 6. 狀態異動紀錄
+    order.statusHistory = await getStatusHistory(conn, orderNumber);
+
+    res.json(order);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+// 修改訂單狀態
+/**
+ * @openapi
+ * /admin/orders/{orderNumber}:
+ *   patch:
+ *     summary: 修改訂單狀態
+ *     description: |
+ *       需有 orders:update 權限，根據訂單編號更新狀態，只能依下列流程變更：
+ *       - 待付款 → 已付款、已取消
+ *       - 已付款 → 已出貨、已取消、已退款
+ *       - 已出貨 → 已送達、已退款
+ *       - 已送達 → 已退款
+ *       - 已取消、已退款 為最終狀態，不可再變更
+ *
+ *       改為已取消，或出貨前改為已退款時會補回商品庫存。
+ *       改為已取消或已退款時，訂單中尚未使用的票券一併作廢(入園代碼失效)並歸還入園名額。
+ *       下單時間(checkTime)不會變動，最後變更時間記錄於 updatedAt，每次變更都會寫入狀態異動紀錄。
+ *     tags: [Admin - 訂單管理]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderNumber
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 訂單編號
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [待付款, 已付款, 已出貨, 已送達, 已取消, 已退款]
+ *                 example: "已出貨"
+ *               note:
+ *                 type: string
+ *                 description: 備註，會記錄於狀態異動紀錄
+ *                 example: "黑貓宅急便 123456789012"
+ *     responses:
+ *       200:
+ *         description: 訂單狀態已更新
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "訂單狀態已更新"
+ *                 fromStatus:
+ *                   type: string
+ *                   example: "已付款"
+ *                 status:
+ *                   type: string
+ *                   example: "已出貨"
+ *       400:
+ *         description: 未提供狀態或狀態不存在
+ *       404:
+ *         description: 找不到該訂單
+ *       409:
+ *         description: 目前狀態不可變更為指定狀態(回傳目前狀態 status 與可變更的狀態 allowed)
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.patch('/orders/:orderNumber', checkLogin(false), requirePermission('orders:update'), async (req, res) => {
+    const { orderNumber } = req.params;
+    const { status, note } = req.body;
+
+    if (!status) {
+        return res.status(400).json({ error: '必須提供訂單狀態' });
+    }
+
+    let conn;
+    try {
+        conn = await pool.getConnection();
+        await conn.beginTransaction();
+
+        // 檢查狀態流程、寫入異動紀錄，取消或出貨前退款時補回庫存
+        const { fromStatus } = await changeOrderStatus(conn, orderNumber, status, { changedBy: req.userId, note });
+        await conn.commit();
+
+        res.json({ message: '訂單狀態已更新', fromStatus, status });
+    } catch (err) {
+        if (conn) await conn.rollback();
+        if (err.status) {
+            return res.status(err.status).json({ error: err.message, status: err.currentStatus, allowed: err.allowed });
+        }
+        res.status(500).json({ error: err.message });
+    } finally {
+        if (conn) conn.release();
+    }
+});
+
+// 解除帳號登入鎖定
+/**
+ * @openapi
+ * /admin/users/{id}/unlock:
+ *   post:
+ *     summary: 解除帳號登入鎖定
+ *     description: 需有 users:manage 權限。清除該會員的登入失敗紀錄，讓因多次輸入錯誤密碼而被鎖定的帳號可立即再次登入。
+ *     tags: [Admin - 會員管理]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: 會員 ID
+ *     responses:
+ *       200:
+ *         description: 已解除鎖定
+ *       404:
+ *         description: 用戶不存在
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.post('/users/:id/unlock', checkLogin(false), requirePermission('users:manage'), async (req, res) => {
+  const { id } = req.params;
+  let conn;
+
+  try {
+    conn = await pool.getConnection();
+    const [rows] = await conn.query('SELECT email FROM users WHERE id = ?', [id]);
+    if (rows.length === 0) {
+      return res.status(404).json({ error: '用戶不存在' });
+    }
+
+    await loginThrottle.unlockAccount(rows[0].email);
+    res.json({ message: '帳號已解除鎖定' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+// 取得角色清單
+/**
+ * @openapi
+ * /admin/roles:
+ *   get:
+ *     summary: 取得角色清單
+ *     description: 列出所有可指派的角色與其權限，需有 roles:assign 權限(最高管理員)。
+ *     tags: [Admin - 會員管理]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 角色清單
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   role:
+ *                     type: string
+ *                     example: "order_clerk"
+ *                   name:
+ *                     type: string
+ *                     example: "訂單管理員"
+ *                   permissions:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                     example: ["orders:read", "orders:create", "orders:update"]
+ *       403:
+ *         description: 權限不足
+ */
+router.get('/roles', checkLogin(false), requirePermission('roles:assign'), (req, res) => {
+  const roles = Object.entries(ROLES).map(([role, def]) => ({
+    role,
+    name: def.name,
+    permissions: def.permissions
+  }));
+  res.json(roles);
+});
+
+// 取得會員角色
+/**
+ * @openapi
+ * /admin/users/{id}/roles:
+ *   get:
+ *     summary: 取得會員角色
+ *     description: 需有 roles:assign 權限(最高管理員)。
+ *     tags: [Admin - 會員管理]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: 會員 ID
+ *     responses:
+ *       200:
+ *         description: 會員角色
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 userId:
+ *                   type: integer
+ *                 roles:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   example: ["order_clerk"]
+ *       403:
+ *         description: 權限不足
+ *       404:
+ *         description: 用戶不存在
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.get('/users/:id/roles', checkLogin(false), requirePermission('roles:assign'), async (req, res) => {
+  const userId = Number(req.params.id);
+  let conn;
+
+  try {
+    conn = await pool.getConnection();
+    const [users] = await conn.query('SELECT id FROM users WHERE id = ?', [userId]);
+    if (users.length === 0) {
+      return res.status(404).json({ error: '用戶不存在' });
+    }
+
+    const roles = await getUserRoles(conn, userId);
+    res.json({ userId, roles });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+// 指派會員角色
+/**
+ * @openapi
+ * /admin/users/{id}/roles:
+ *   put:
+ *     summary: 指派會員角色
+ *     description: |
+ *       以傳入的角色清單覆蓋該會員目前的角色，傳空陣列即移除所有角色。
+ *       需有 roles:assign 權限(最高管理員)，且不可移除自己的最高管理員角色。
+ *       角色有變動時該會員所有裝置都會被登出，需重新登入才會取得新的權限，並寫入操作紀錄。
+ *     tags: [Admin - 會員管理]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: 會員 ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - roles
+ *             properties:
+ *               roles:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [super_admin, content_editor, merchandise_manager, order_clerk, gate_staff, support_staff]
+ *                 example: ["order_clerk", "gate_staff"]
+ *     responses:
+ *       200:
+ *         description: 角色已更新
+ *       400:
+ *         description: 角色格式錯誤或不存在
+ *       403:
+ *         description: 權限不足
+ *       404:
+ *         description: 用戶不存在
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.put('/users/:id/roles', checkLogin(false), requirePermission('roles:assign'), async (req, res) => {
+  const userId = Number(req.params.id);
+  const { roles } = req.body;
+
+  if (!Array.isArray(roles) || roles.some(role => !ROLES[role])) {
+    return res.status(400).json({ error: `roles 必須為陣列，可用角色：${Object.keys(ROLES).join(', ')}` });
+  }
+  if (userId === req.userId && !roles.includes('super_admin')) {
+    return res.status(400).json({ error: '不可移除自己的最高管理員角色' });
+  }
 
-  // 管理員可指定 userId，一般會員強制是自己的
-  const targetUserId  = isAdmin && queryUserId ? queryUserId : currentUserId;
+  const uniqueRoles = [...new Set(roles)];
   let conn;
 
   try {
     conn = await pool.getConnection();
+    await conn.beginTransaction();
 
-    // 撈取所有訂單與其明細，SQL 先按 checkTime DESC 排序
-    const [rows] = await conn.query(
-      `SELECT
-         oc.orderNumber,
-         DATE_FORMAT(oc.checkTime, '%Y-%m-%d %H:%i:%s') AS checkTime,
-         oc.consignee,
-         oc.tel,
-         oc.address,
-         oc.status,
-         oi.productName,
-         oi.salePrice,
-         oi.qty,
-         (oi.salePrice * oi.qty) AS productSubtotal,
-         oi.imgUrls
-       FROM orderCustomers AS oc
-       JOIN orderInfor    AS oi
-         ON oc.orderNumber = oi.orderNumber
-       WHERE oc.userId = ?
-       ORDER BY oc.checkTime DESC`,
-      [targetUserId]
-    );
+    const [users] = await conn.query('SELECT id FROM users WHERE id = ? FOR UPDATE', [userId]);
+    if (users.length === 0) {
+      await conn.rollback();
+      return res.status(404).json({ error: '用戶不存在' });
+    }
 
-    if (rows.length === 0) {
-      return res.status(404).json({ error: '該使用者無任何訂單' });
+    const [currentRows] = await conn.query('SELECT role FROM userRoles WHERE userId = ?', [userId]);
+    const previousRoles = currentRows.map(row => row.role);
+    const changed = previousRoles.length !== uniqueRoles.length || previousRoles.some(role => !uniqueRoles.includes(role));
+
+    await conn.query('DELETE FROM userRoles WHERE userId = ?', [userId]);
+    if (uniqueRoles.length > 0) {
+      await conn.query(
+        'INSERT INTO userRoles (userId, role, grantedBy) VALUES ?',
+        [uniqueRoles.map(role => [userId, role, req.userId])]
+      );
     }
 
-    // 聚合同一張訂單的 items
-    const ordersMap = {};
-    rows.forEach(r => {
-      if (!ordersMap[r.orderNumber]) {
-        ordersMap[r.orderNumber] = {
-          orderNumber:  r.orderNumber,
-          checkTime:    r.checkTime,
-          consignee:    r.consignee,
-          tel:          r.tel,
-          address:      r.address,
-          status:       r.status,
-          items:        [],
-          totalAmount:  0
-        };
-      }
-      const ord = ordersMap[r.orderNumber];
-      ord.items.push({
-        productName:     r.productName,
-        salePrice:       r.salePrice,
-        qty:             r.qty,
-        productSubtotal: r.productSubtotal,
-        imgUrls:         r.imgUrls || ''   
+    // users.admin 與最高管理員角色保持一致
+    await conn.query(
+      'UPDATE users SET admin = ?, editTime = NOW() WHERE id = ?',
+      [uniqueRoles.includes('super_admin') ? 1 : 0, userId]
+    );
+
+    // 角色變動後舊的登入狀態不可再沿用(含 token 中的管理員身分)
+    if (changed) {
+      await revokeAllSessions(conn, userId);
+      await writeAuditLog(conn, {
+        actorId: req.userId,
+        action: 'user.roles',
+        targetUserId: userId,
+        detail: { from: previousRoles, to: uniqueRoles },
+        ip: req.ip
       });
-      ord.totalAmount += r.productSubtotal;
+    }
+
+    await conn.commit();
+    res.json({ message: '角色已更新', userId, roles: uniqueRoles });
+  } catch (err) {
+    if (conn) await conn.rollback();
+    res.status(500).json({ error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+// 取得未刪除的會員(管理員操作用)，可加上 FOR UPDATE 鎖定
+async function findUserForUpdate(conn, userId) {
+  const [rows] = await conn.query(
+    'SELECT id, admin, userName, email, active FROM users WHERE id = ? AND deletedAt IS NULL FOR UPDATE',
+    [userId]
+  );
+  return rows[0] || null;
+}
+
+// 設定/取消管理員
+/**
+ * @openapi
+ * /admin/users/{id}/admin:
+ *   patch:
+ *     summary: 設定或取消管理員
+ *     description: |
+ *       設定或取消該會員的最高管理員身分，需有 roles:assign 權限。
+ *       取消時該會員所有裝置會被登出。不可變更自己的管理員身分。
+ *     tags: [Admin - 會員管理]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: 會員 ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - admin
+ *             properties:
+ *               admin:
+ *                 type: boolean
+ *                 example: true
+ *     responses:
+ *       200:
+ *         description: 已更新
+ *       400:
+ *         description: 欄位錯誤或變更自己
+ *       403:
+ *         description: 權限不足
+ *       404:
+ *         description: 用戶不存在
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.patch('/users/:id/admin', checkLogin(false), requirePermission('roles:assign'), async (req, res) => {
+  const userId = Number(req.params.id);
+  const { admin } = req.body;
+
+  if (typeof admin !== 'boolean') {
+    return res.status(400).json({ error: '請提供布林值 admin' });
+  }
+  if (userId === req.userId) {
+    return res.status(400).json({ error: '不可變更自己的管理員身分' });
+  }
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
+
+    const user = await findUserForUpdate(conn, userId);
+    if (!user) {
+      await conn.rollback();
+      return res.status(404).json({ error: '用戶不存在' });
+    }
+
+    if (admin) {
+      await conn.query(
+        'INSERT IGNORE INTO userRoles (userId, role, grantedBy) VALUES (?, ?, ?)',
+        [userId, 'super_admin', req.userId]
+      );
+    } else {
+      await conn.query('DELETE FROM userRoles WHERE userId = ? AND role = ?', [userId, 'super_admin']);
+      await revokeAllSessions(conn, userId);
+    }
+    await conn.query('UPDATE users SET admin = ?, editTime = NOW() WHERE id = ?', [admin ? 1 : 0, userId]);
+
+    await writeAuditLog(conn, {
+      actorId: req.userId,
+      action: admin ? 'user.promote' : 'user.demote',
+      targetUserId: userId,
+      ip: req.ip
+    });
+
+    await conn.commit();
+    res.json({ message: admin ? '已設為管理員' : '已取消管理員', userId, admin });
+  } catch (err) {
+    if (conn) await conn.rollback();
+    res.status(500).json({ error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+// 停用會員
+/**
+ * @openapi
+ * /admin/users/{id}/deactivate:
+ *   post:
+ *     summary: 停用會員
+ *     description: 停用後該會員無法登入，已登入的裝置也會立即失效。需有 users:manage 權限。
+ *     tags: [Admin - 會員管理]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: 會員 ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: "疑似盜用"
+ *     responses:
+ *       200:
+ *         description: 已停用
+ *       400:
+ *         description: 不可停用自己
+ *       403:
+ *         description: 權限不足
+ *       404:
+ *         description: 用戶不存在
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.post('/users/:id/deactivate', checkLogin(false), requirePermission('users:manage'), async (req, res) => {
+  const userId = Number(req.params.id);
+  const { reason } = req.body;
+
+  if (userId === req.userId) {
+    return res.status(400).json({ error: '不可停用自己的帳號' });
+  }
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
+
+    const user = await findUserForUpdate(conn, userId);
+    if (!user) {
+      await conn.rollback();
+      return res.status(404).json({ error: '用戶不存在' });
+    }
+
+    await conn.query('UPDATE users SET active = 0, editTime = NOW() WHERE id = ?', [userId]);
+    await revokeAllSessions(conn, userId);
+    await writeAuditLog(conn, {
+      actorId: req.userId,
+      action: 'user.deactivate',
+      targetUserId: userId,
+      detail: reason ? { reason } : null,
+      ip: req.ip
+    });
+
+    await conn.commit();
+    res.json({ message: '帳號已停用' });
+  } catch (err) {
+    if (conn) await conn.rollback();
+    res.status(500).json({ error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+// 啟用會員
+/**
+ * @openapi
+ * /admin/users/{id}/activate:
+ *   post:
+ *     summary: 重新啟用會員
+ *     description: 需有 users:manage 權限。
+ *     tags: [Admin - 會員管理]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: 會員 ID
+ *     responses:
+ *       200:
+ *         description: 已啟用
+ *       403:
+ *         description: 權限不足
+ *       404:
+ *         description: 用戶不存在
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.post('/users/:id/activate', checkLogin(false), requirePermission('users:manage'), async (req, res) => {
+  const userId = Number(req.params.id);
+  let conn;
+
+  try {
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
+
+    const user = await findUserForUpdate(conn, userId);
+    if (!user) {
+      await conn.rollback();
+      return res.status(404).json({ error: '用戶不存在' });
+    }
+
+    await conn.query('UPDATE users SET active = 1, editTime = NOW() WHERE id = ?', [userId]);
+    await writeAuditLog(conn, {
+      actorId: req.userId,
+      action: 'user.activate',
+      targetUserId: userId,
+      ip: req.ip
     });
 
-    // 轉成陣列，並再次用 JS 按時間排序
-    const orders = Object.values(ordersMap)
-      .sort((a, b) => new Date(b.checkTime) - new Date(a.checkTime));
+    await conn.commit();
+    res.json({ message: '帳號已啟用' });
+  } catch (err) {
+    if (conn) await conn.rollback();
+    res.status(500).json({ error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+// 刪除會員(軟刪除)
+/**
+ * @openapi
+ * /admin/users/{id}:
+ *   delete:
+ *     summary: 刪除會員
+ *     description: |
+ *       軟刪除：保留會員資料與訂單紀錄，但帳號無法再登入，會員搜尋預設也不會列出。
+ *       需有 users:manage 權限，不可刪除自己。
+ *     tags: [Admin - 會員管理]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: 會員 ID
+ *     responses:
+ *       200:
+ *         description: 已刪除
+ *       400:
+ *         description: 不可刪除自己
+ *       403:
+ *         description: 權限不足
+ *       404:
+ *         description: 用戶不存在
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.delete('/users/:id', checkLogin(false), requirePermission('users:manage'), async (req, res) => {
+  const userId = Number(req.params.id);
+
+  if (userId === req.userId) {
+    return res.status(400).json({ error: '不可刪除自己的帳號' });
+  }
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
+
+    const user = await findUserForUpdate(conn, userId);
+    if (!user) {
+      await conn.rollback();
+      return res.status(404).json({ error: '用戶不存在' });
+    }
 
-    res.json(orders);
+    await conn.query(
+      'UPDATE users SET active = 0, deletedAt = NOW(), editTime = NOW() WHERE id = ?',
+      [userId]
+    );
+    await revokeAllSessions(conn, userId);
+    await writeAuditLog(conn, {
+      actorId: req.userId,
+      action: 'user.delete',
+      targetUserId: userId,
+      ip: req.ip
+    });
 
+    await conn.commit();
+    res.json({ message: '會員已刪除' });
   } catch (err) {
+    if (conn) await conn.rollback();
     res.status(500).json({ error: err.message });
   } finally {
     if (conn) conn.release();
   }
 });
 
-// 查看訂單資訊(單筆)
+// 重設會員雙重驗證
 /**
  * @openapi
- * /admin/orders/{orderNumber}:
- *   get:
- *     summary: 查看訂單資訊（單筆）
- *     description: 
- *       - 根據訂單編號查詢收件人與商品明細
- *       - 一般會員只能查看自己的訂單  
- *       - 管理員可查看所有訂單
- *     tags: [Admin - 訂單管理]
+ * /admin/users/{id}/2fa:
+ *   delete:
+ *     summary: 重設會員雙重驗證
+ *     description: |
+ *       會員遺失驗證裝置與備用碼時使用，清除金鑰與備用碼並登出該會員所有裝置。
+ *       工作人員帳號重設後需重新設定才能使用管理功能。需有 users:manage 權限。
+ *     tags: [Admin - 會員管理]
  *     security:
- *       - groupHeader: []
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
- *         name: orderNumber
+ *         name: id
  *         required: true
  *         schema:
- *           type: string
- *         description: 訂單編號
+ *           type: integer
+ *         description: 會員 ID
  *     responses:
  *       200:
- *         description: 成功回傳訂單資訊
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 orderNumber:
- *                   type: string
- *                 recipientName:
- *                   type: string
- *                 recipientPhone:
- *                   type: string
- *                 recipientAddress:
- *                   type: string
- *                 items:
- *                   type: array
- *                   items:
- *                     type: object
- *                     properties:
- *                       productName:
- *                         type: string
- *                       salePrice:
- *                         type: number
- *                       qty:
- *                         type: integer
- *                       productSubtotal:
- *                         type: number
- *                       imgUrls:
- *                         type: string
- *                         description: "圖片網址"
- *                 totalAmount:
- *                   type: number
+ *         description: 已重設
+ *       400:
+ *         description: 不可重設自己
  *       403:
  *         description: 權限不足
  *       404:
- *         description: 找不到該訂單
+ *         description: 用戶不存在
  *       500:
  *         description: 伺服器錯誤
  */
-router.get('/orders/:orderNumber', checkLogin(false), async (req, res) => {
-  const { orderNumber } = req.params;
-  const currentUserId = req.userId;
-  const isAdmin = req.isAdmin;
-  let conn;
+router.delete('/users/:id/2fa', checkLogin(false), requirePermission('users:manage'), async (req, res) => {
+  const userId = Number(req.params.id);
+
+  if (userId === req.userId) {
+    return res.status(400).json({ error: '不可重設自己的雙重驗證' });
+  }
 
+  let conn;
   try {
     conn = await pool.getConnection();
+    await conn.beginTransaction();
 
-    // 1. 查訂單擁有者
-    const [ownerRows] = await conn.query(
-      'SELECT userId FROM orderCustomers WHERE orderNumber = ?',
-      [orderNumber]
-    );
-    if (ownerRows.length === 0) {
-      return res.status(404).json({ error: '找不到該訂單' });
-    }
-
-    // 2. 權限檢查
-    const ownerId = ownerRows[0].userId;
-    if (!isAdmin && ownerId !== currentUserId) {
-      return res.status(403).json({ error: '權限不足' });
-    }
-
-    // 3. 取得訂單明細
-    const [rows] = await conn.query(`
-      SELECT 
-        oc.orderNumber,
-        oc.consignee AS recipientName,
-        oc.tel AS recipientPhone,
-        oc.address AS recipientAddress,
-        oi.productName,
-        oi.salePrice,
-        oi.qty,
-        (oi.salePrice * oi.qty) AS productSubtotal,
-        oi.imgUrls
-      FROM orderCustomers AS oc
-      JOIN orderInfor AS oi ON oc.orderNumber = oi.orderNumber
-      WHERE oc.orderNumber = ?
-      `, [orderNumber]);
-
-    if (rows.length === 0) {
-      return res.status(404).json({ error: '找不到該訂單' });
+    const user = await findUserForUpdate(conn, userId);
+    if (!user) {
+      await conn.rollback();
+      return res.status(404).json({ error: '用戶不存在' });
     }
 
-    // 4. 聚合回傳單一訂單的資料
-    const order = {
-      orderNumber: rows[0].orderNumber,
-      recipientName: rows[0].recipientName,
-      recipientPhone: rows[0].recipientPhone,
-      recipientAddress: rows[0].recipientAddress,
-      items: [],
-      totalAmount: 0
-    };
-
-    rows.forEach(row => {
-      order.items.push({
-        productName: row.productName,
-        salePrice: row.salePrice,
-        qty: row.qty,
-        productSubtotal: row.productSubtotal,
-        imgUrls: row.imgUrls || ''
-      });
-      order.totalAmount += row.productSubtotal;
+    await conn.query(
+      'UPDATE users SET totpEnabled = 0, totpSecret = NULL, totpLastStep = 0, editTime = NOW() WHERE id = ?',
+      [userId]
+    );
+    await conn.query('DELETE FROM userRecoveryCodes WHERE userId = ?', [userId]);
+    await revokeAllSessions(conn, userId);
+    await writeAuditLog(conn, {
+      actorId: req.userId,
+      action: 'user.reset_2fa',
+      targetUserId: userId,
+      ip: req.ip
     });
 
-    res.json(order);
+    await conn.commit();
+    res.json({ message: '雙重驗證已重設' });
   } catch (err) {
+    if (conn) await conn.rollback();
     res.status(500).json({ error: err.message });
   } finally {
     if (conn) conn.release();
   }
 });
 
-// 修改訂單狀態
+// 代客檢視(以會員身分操作)
 /**
  * @openapi
- * /admin/orders/{orderNumber}:
- *   patch:
- *     summary: 修改訂單狀態
- *     description: 根據訂單編號更新狀態（例如：已付款、已出貨、已取消）。
- *     tags: [Admin - 訂單管理]
+ * /admin/users/{id}/impersonate:
+ *   post:
+ *     summary: 代客檢視
+ *     description: |
+ *       客服人員以該會員身分登入，用來重現購物車與訂單問題，需有 users:impersonate 權限。
+ *       回傳 30 分鐘有效的 access token(無 refresh token)，期間不具任何管理權限，
+ *       所有非查詢操作都會寫入操作紀錄。無法檢視工作人員帳號。
+ *     tags: [Admin - 會員管理]
  *     security:
- *       - groupHeader: []
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
- *         name: orderNumber
+ *         name: id
  *         required: true
  *         schema:
- *           type: string
- *         description: 訂單編號
+ *           type: integer
+ *         description: 會員 ID
  *     requestBody:
  *       required: true
  *       content:
@@ -1406,47 +4987,222 @@ router.get('/orders/:orderNumber', checkLogin(false), async (req, res) => {
  *           schema:
  *             type: object
  *             required:
- *               - status
+ *               - reason
  *             properties:
- *               status:
+ *               reason:
  *                 type: string
- *                 example: "已出貨"
+ *                 description: 檢視原因(寫入操作紀錄)
+ *                 example: "客訴：購物車商品無法結帳"
  *     responses:
  *       200:
- *         description: 訂單狀態已更新
+ *         description: 代客檢視用的 token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 accessToken:
+ *                   type: string
+ *                 tokenType:
+ *                   type: string
+ *                   example: "Bearer"
+ *                 expiresIn:
+ *                   type: integer
+ *                   example: 1800
  *       400:
- *         description: 未提供狀態
+ *         description: 未提供原因，或該帳號無法代客檢視
+ *       403:
+ *         description: 權限不足
  *       404:
- *         description: 找不到該訂單
+ *         description: 用戶不存在
  *       500:
  *         description: 伺服器錯誤
  */
-router.patch('/orders/:orderNumber', checkLogin(true), async (req, res) => {
-    const { orderNumber } = req.params;
-    const { status } = req.body; // 狀態：已付款、已出貨、已取消
+router.post('/users/:id/impersonate', checkLogin(false), requirePermission('users:impersonate'), async (req, res) => {
+  const userId = Number(req.params.id);
+  const { reason } = req.body;
 
-    try {
-        const conn = await pool.getConnection();
+  if (typeof reason !== 'string' || !reason.trim()) {
+    return res.status(400).json({ error: '請提供代客檢視原因' });
+  }
+  if (userId === req.userId) {
+    return res.status(400).json({ error: '不可代客檢視自己的帳號' });
+  }
 
-        if (!status) {
-            conn.release();
-            return res.status(400).json({ error: '必須提供訂單狀態' });
-        }
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
 
-        const [result] = await conn.query(
-            `UPDATE orderCustomers SET status = ?, checkTime = NOW() WHERE orderNumber = ?`,
-            [status, orderNumber]
-        );
-        conn.release();
+    const user = await findUserForUpdate(conn, userId);
+    if (!user) {
+      await conn.rollback();
+      return res.status(404).json({ error: '用戶不存在' });
+    }
+    if (user.active !== 1) {
+      await conn.rollback();
+      return res.status(400).json({ error: '此帳號已停用，無法代客檢視' });
+    }
+    const roles = await getUserRoles(conn, userId);
+    if (roles.length > 0) {
+      await conn.rollback();
+      return res.status(400).json({ error: '無法代客檢視工作人員帳號' });
+    }
 
-        if (result.affectedRows === 0) {
-            return res.status(404).json({ error: '找不到該訂單，請確認訂單編號是否正確' });
-        }
+    const tokens = await createImpersonationSession(conn, user, req.userId, req);
+    await writeAuditLog(conn, {
+      actorId: req.userId,
+      action: 'impersonate.start',
+      targetUserId: userId,
+      detail: { reason },
+      ip: req.ip
+    });
 
-        res.json({ message: '訂單狀態已更新' });
-    } catch (err) {
-        res.status(500).json({ error: err.message });
-    }
+    await conn.commit();
+    res.json(tokens);
+  } catch (err) {
+    if (conn) await conn.rollback();
+    res.status(500).json({ error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+// 結束代客檢視
+/**
+ * @openapi
+ * /admin/impersonation/stop:
+ *   post:
+ *     summary: 結束代客檢視
+ *     description: 使用代客檢視的 token 呼叫，讓該 token 立即失效。
+ *     tags: [Admin - 會員管理]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 已結束代客檢視
+ *       400:
+ *         description: 目前不在代客檢視中
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.post('/impersonation/stop', checkLogin(false), async (req, res) => {
+  if (!req.impersonatorId) {
+    return res.status(400).json({ error: '目前不在代客檢視中' });
+  }
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    await revokeSession(conn, req.sessionId);
+    await writeAuditLog(conn, {
+      actorId: req.impersonatorId,
+      action: 'impersonate.stop',
+      targetUserId: req.userId,
+      ip: req.ip
+    });
+    res.json({ message: '已結束代客檢視' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+// 查詢管理員操作紀錄
+/**
+ * @openapi
+ * /admin/audit-logs:
+ *   get:
+ *     summary: 查詢管理員操作紀錄
+ *     description: 需有 users:manage 權限，依時間新到舊排序。
+ *     tags: [Admin - 會員管理]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: actorId
+ *         schema:
+ *           type: integer
+ *         description: 執行操作的管理員 ID
+ *       - in: query
+ *         name: targetUserId
+ *         schema:
+ *           type: integer
+ *         description: 被操作的會員 ID
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *         description: 操作類型，例如 impersonate.start
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: 操作紀錄
+ *       403:
+ *         description: 權限不足
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.get('/audit-logs', checkLogin(false), requirePermission('users:manage'), async (req, res) => {
+  const { actorId, targetUserId, action } = req.query;
+  const page  = Math.max(parseInt(req.query.page, 10)  || 1,  1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+  const offset = (page - 1) * limit;
+
+  const conds = [];
+  const params = [];
+  if (actorId) {
+    conds.push('actorId = ?');
+    params.push(Number(actorId));
+  }
+  if (targetUserId) {
+    conds.push('targetUserId = ?');
+    params.push(Number(targetUserId));
+  }
+  if (action) {
+    conds.push('action = ?');
+    params.push(action);
+  }
+  const whereClause = conds.length ? 'WHERE ' + conds.join(' AND ') : '';
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    const [countRows] = await conn.query(
+      `SELECT COUNT(*) AS total FROM adminAuditLogs ${whereClause}`,
+      params
+    );
+    const [logs] = await conn.query(
+      `SELECT id, actorId, action, targetUserId, detail, ip,
+              DATE_FORMAT(createdAt, '%Y-%m-%d %H:%i:%s') AS createdAt
+       FROM adminAuditLogs
+       ${whereClause}
+       ORDER BY id DESC
+       LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+
+    res.json({
+      total: countRows[0].total,
+      page,
+      limit,
+      logs: logs.map(log => ({ ...log, detail: log.detail ? JSON.parse(log.detail) : null }))
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
 });
 
 module.exports = router;
@@ -2,19 +2,198 @@ const express = require('express');
 const pool = require('../db');
 const {checkLogin} = require('../middlewares/authMiddleware');
 const authorizeOwnerOrAdmin = require('../middlewares/authorizeOwnerOrAdmin');
+const requireVerifiedEmail = require('../middlewares/requireVerifiedEmail');
+const { isValidDate } = require('../utils/ticketCapacity');
+const { getCalendar, checkVisitDate } = require('../utils/parkCalendar');
+const { quoteTicketPrice } = require('../utils/ticketPricing');
+const { createTicketOrder } = require('../utils/ticketOrders');
+const { PAYMENT_EXPIRES_MINUTES, createPayment } = require('../utils/payments');
+const { listSlots, isSlotClosed } = require('../utils/ticketSlots');
+const { getActivePass, applyMemberDiscount } = require('../utils/passes');
+const { checkStock, reserveStock } = require('../utils/productStock');
+const { evaluateCoupon, redeemCoupon } = require('../utils/coupons');
+const { calculateOrderTotals, saveOrderTotals } = require('../utils/orderTotals');
+const { recordStatusHistory } = require('../utils/orderStatus');
 
 const router = express.Router();
 
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     CartItem:
+ *       type: object
+ *       properties:
+ *         cartId:
+ *           type: integer
+ *         itemType:
+ *           type: string
+ *           enum: [product, ticket]
+ *         productId:
+ *           type: integer
+ *           nullable: true
+ *         ticketId:
+ *           type: integer
+ *           nullable: true
+ *         selectedDate:
+ *           type: string
+ *           nullable: true
+ *           description: 票券的入園日期
+ *           example: "2025-08-01"
+ *         slot:
+ *           type: string
+ *           nullable: true
+ *           description: 票券的入園時段
+ *           example: "10:30"
+ *         title:
+ *           type: string
+ *           description: 商品名稱或票種名稱
+ *         productName:
+ *           type: string
+ *           description: 同 title
+ *         price:
+ *           type: number
+ *           description: 商品原價或票種基本票價
+ *         salePrice:
+ *           type: number
+ *           description: |
+ *             商品售價，票券為依入園日期試算的單價(結帳時會重新計算)。
+ *             持有有效年卡時商品為會員折扣後的價格；票券會員價每個入園日期限一張，計入 subtotal
+ *         qty:
+ *           type: integer
+ *         subtotal:
+ *           type: number
+ *           description: 此項目的小計
+ *         imgUrls:
+ *           type: string
+ *     OrderPriceBreakdown:
+ *       type: object
+ *       description: 訂單金額明細，結帳時計算並存入訂單，之後不再重算(退款另外累計於 refundedAmount)
+ *       properties:
+ *         productSubtotal:
+ *           type: number
+ *           example: 1200
+ *         ticketSubtotal:
+ *           type: number
+ *           example: 1500
+ *         passSubtotal:
+ *           type: number
+ *           description: 年卡購買或續約金額
+ *           example: 0
+ *         discountAmount:
+ *           type: number
+ *           description: 優惠券折抵金額
+ *           example: 100
+ *         shippingFee:
+ *           type: number
+ *           description: 運費，只有商城商品需要運送
+ *           example: 0
+ *         taxRate:
+ *           type: number
+ *           nullable: true
+ *           description: 稅率(百分比)，金額明細功能上線前的舊訂單為 null(不明)
+ *           example: 5
+ *         taxIncluded:
+ *           type: boolean
+ *           nullable: true
+ *           description: true 表示售價已含稅，taxAmount 為內含稅額；舊訂單為 null
+ *           example: true
+ *         taxAmount:
+ *           type: number
+ *           nullable: true
+ *           description: 舊訂單為 null
+ *           example: 124
+ *         grandTotal:
+ *           type: number
+ *           description: 應付總額
+ *           example: 2600
+ *         refundedAmount:
+ *           type: number
+ *           description: 訂單成立後累計退款金額(票券取消或改期退差額)，只在已成立的訂單回傳
+ *           example: 0
+ *         netAmount:
+ *           type: number
+ *           description: 實收金額(grandTotal - refundedAmount)，只在已成立的訂單回傳
+ *           example: 2600
+ */
+
+// 取得購物車所有項目(商品與票券)，票券依入園日期試算目前票價，持有年卡時套用會員折扣
+// 票券會員價每個入園日期限一張，同一天的其他票券項目以一般票價計算
+async function loadCart(conn, userId) {
+  const pass = await getActivePass(conn, userId);
+
+  const [rows] = await conn.query(
+    `SELECT c.id AS cartId, c.itemType, c.productId, c.ticketId,
+            DATE_FORMAT(c.selectedDate, '%Y-%m-%d') AS selectedDate,
+            TIME_FORMAT(c.slotTime, '%H:%i') AS slot, c.qty,
+            p.title, p.price, p.salePrice, CAST(p.imgUrls AS CHAR) AS imgUrls,
+            t.name AS ticketName, t.basePrice, t.imgUrl AS ticketImgUrl
+     FROM cart c
+     LEFT JOIN products p ON c.itemType = 'product' AND c.productId = p.id
+     LEFT JOIN tickets t ON c.itemType = 'ticket' AND c.ticketId = t.id
+     WHERE c.userId = ?
+     ORDER BY c.id ASC`,
+    [userId]
+  );
+
+  const items = [];
+  const memberDates = new Set();
+  for (const row of rows) {
+    if (row.itemType === 'ticket') {
+      if (row.ticketName === null) continue;
+      const { unitPrice, totalPrice, memberPassId } = await quoteTicketPrice(
+        conn, { id: row.ticketId, basePrice: row.basePrice }, row.selectedDate,
+        { userId, qty: row.qty, memberTaken: memberDates.has(row.selectedDate) }
+      );
+      if (memberPassId) memberDates.add(row.selectedDate);
+      items.push({
+        cartId:       row.cartId,
+        itemType:     'ticket',
+        productId:    null,
+        ticketId:     row.ticketId,
+        selectedDate: row.selectedDate,
+        slot:         row.slot,
+        title:        row.ticketName,
+        productName:  row.ticketName,
+        price:        Number(row.basePrice),
+        salePrice:    unitPrice,
+        qty:          row.qty,
+        subtotal:     totalPrice,
+        imgUrls:      row.ticketImgUrl || ''
+      });
+    } else {
+      if (row.title === null) continue;
+      const salePrice = pass ? applyMemberDiscount(row.salePrice, pass.shopDiscountPercent) : row.salePrice;
+      items.push({
+        cartId:       row.cartId,
+        itemType:     'product',
+        productId:    row.productId,
+        ticketId:     null,
+        selectedDate: null,
+        slot:         null,
+        title:        row.title,
+        productName:  row.title,
+        price:        row.price,
+        salePrice,
+        qty:          row.qty,
+        subtotal:     Number(salePrice) * row.qty,
+        imgUrls:      row.imgUrls || ''
+      });
+    }
+  }
+  return items;
+}
+
 // 取得購物車內容
 /**
  * @openapi
  * /cart:
  *   get:
  *     summary: 取得購物車列表
- *     description: 只回傳當前登入使用者的購物車內容。
+ *     description: 只回傳當前登入使用者的購物車內容，包含商品與票券。
  *     tags: [Cart]
  *     security:
- *       - groupHeader: []
+ *       - bearerAuth: []
  *     responses:
  *       200:
  *         description: 成功取得購物車列表
@@ -23,22 +202,7 @@ const router = express.Router();
  *             schema:
  *               type: array
  *               items:
- *                 type: object
- *                 properties:
- *                   cartId:
- *                     type: integer
- *                   productId:
- *                     type: integer
- *                   title:
- *                     type: string
- *                   price:
- *                     type: number
- *                   salePrice:
- *                     type: number
- *                   qty:
- *                     type: integer
- *                   imgUrls:
- *                     type: string
+ *                 $ref: '#/components/schemas/CartItem'
  *       403:
  *         description: 權限不足
  *       500:
@@ -50,21 +214,7 @@ router.get('/', checkLogin(false), async (req, res) => {
 
     try {
         conn = await pool.getConnection();
-        const [rows] = await conn.query(
-        `SELECT
-            c.id AS cartId,
-            c.productId,
-            p.title,
-            p.price,
-            p.salePrice,
-            p.imgUrls,
-            c.qty
-        FROM cart c
-        JOIN products p ON c.productId = p.id
-        WHERE c.userId = ?`,
-        [userId]
-        );
-        res.json(rows);
+        res.json(await loadCart(conn, userId));
     } catch (err) {
     res.status(500).json({ error: err.message });
     } finally {
@@ -80,12 +230,13 @@ router.get('/', checkLogin(false), async (req, res) => {
  *     summary: 新增購物車項目
  *     description: |
  *       只能新增到自己的購物車。  
- *       若項目已存在則累加數量。  
- *       回傳加入或更新後的項目內容。
+ *       商品請傳 productId；票券請傳 ticketId 與入園日期 selectedDate，分時段票種另需傳入 slot。  
+ *       若項目已存在(同商品，或同票種同日期同時段)則累加數量。  
+ *       回傳加入或更新後的購物車內容。
  *     tags:
  *       - Cart
  *     security:
- *       - groupHeader: []
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -93,16 +244,27 @@ router.get('/', checkLogin(false), async (req, res) => {
  *           schema:
  *             type: object
  *             required:
- *               - productId
  *               - qty
  *             properties:
  *               productId:
  *                 type: integer
+ *               ticketId:
+ *                 type: integer
+ *               selectedDate:
+ *                 type: string
+ *                 format: date
+ *                 description: 票券必填
+ *                 example: "2025-08-01"
+ *               slot:
+ *                 type: string
+ *                 description: 分時段票種必填(HH:MM)
+ *                 example: "10:30"
  *               qty:
  *                 type: integer
+ *                 minimum: 1
  *     responses:
  *       201:
- *         description: 加入/更新購物車成功，並回傳該項目內容
+ *         description: 加入/更新購物車成功，並回傳購物車內容
  *         content:
  *           application/json:
  *             schema:
@@ -114,78 +276,108 @@ router.get('/', checkLogin(false), async (req, res) => {
  *                 cart:
  *                   type: array
  *                   items:
- *                     type: object
- *                     properties:
- *                       productId:
- *                         type: integer
- *                       productName:
- *                         type: string
- *                       salePrice:
- *                         type: number
- *                       qty:
- *                         type: integer
- *                       imgUrls:
- *                         type: string
+ *                     $ref: '#/components/schemas/CartItem'
  *       400:
- *         description: 欄位不完整或型別錯誤
+ *         description: 欄位不完整、型別錯誤、日期已過、當日休園或時段錯誤
  *       404:
- *         description: 商品不存在或未上架
+ *         description: 商品不存在或未上架、票種不存在或已停售
+ *       409:
+ *         description: 商品庫存不足(回傳 available 為目前庫存)
  *       500:
  *         description: 伺服器錯誤
  */
 router.post('/', checkLogin(false), async (req, res) => {
   const userId    = req.userId;
-  const { productId, qty } = req.body;
+  const { productId, ticketId, selectedDate, slot, qty } = req.body;
 
-  if (typeof productId !== 'number' || typeof qty !== 'number') {
-    return res.status(400).json({ error: '請提供 productId 與數字型別 qty' });
+  if (typeof qty !== 'number' || (typeof productId !== 'number' && typeof ticketId !== 'number')) {
+    return res.status(400).json({ error: '請提供 productId 或 ticketId 與數字型別 qty' });
+  }
+  if (!Number.isInteger(qty) || qty <= 0) {
+    return res.status(400).json({ error: 'qty 必須為正整數' });
+  }
+  if (typeof ticketId === 'number' && !isValidDate(selectedDate)) {
+    return res.status(400).json({ error: '票券請提供入園日期 selectedDate(YYYY-MM-DD)' });
   }
 
   let conn;
   try {
     conn = await pool.getConnection();
 
-    // 1. 確認商品存在且已上架，同時取 title & salePrice
-    const [prdRows] = await conn.query(
-      `SELECT title AS productName, salePrice, CAST(imgUrls AS CHAR) AS imgUrls
-       FROM products
-       WHERE id = ? AND sell = 1`,
-      [productId]
-    );
-    if (prdRows.length === 0) {
-      return res.status(404).json({ error: '商品不存在或未上架' });
-    }
+    if (typeof ticketId === 'number') {
+      // 1. 確認票種販售中，且入園日期可訂票
+      const [ticketRows] = await conn.query(
+        'SELECT id, slotIntervalMinutes FROM tickets WHERE id = ? AND active = 1',
+        [ticketId]
+      );
+      if (ticketRows.length === 0) {
+        return res.status(404).json({ error: '票種不存在或已停售' });
+      }
+      const dateError = await checkVisitDate(conn, selectedDate);
+      if (dateError) {
+        return res.status(400).json({ error: dateError });
+      }
 
-    // 2. 檢查是否已在購物車
-    const [cartRows] = await conn.query(
-      'SELECT id, qty FROM cart WHERE userId = ? AND productId = ?',
-      [userId, productId]
-    );
-    if (cartRows.length > 0) {
-      await conn.query(
-        'UPDATE cart SET qty = qty + ? WHERE id = ?',
-        [qty, cartRows[0].id]
+      // 分時段票種需選擇當日存在的時段，名額於結帳時才扣除
+      const slotTime = ticketRows[0].slotIntervalMinutes ? slot : null;
+      if (ticketRows[0].slotIntervalMinutes) {
+        const [day] = await getCalendar(conn, selectedDate, selectedDate);
+        if (!listSlots(day, ticketRows[0].slotIntervalMinutes).includes(slot)) {
+          return res.status(400).json({ error: '請選擇正確的入園時段(slot)' });
+        }
+        if (isSlotClosed(selectedDate, slot)) {
+          return res.status(400).json({ error: `${selectedDate} ${slot} 時段已開始，請選擇其他時段` });
+        }
+      }
+
+      // 2. 同票種同日期同時段已在購物車則累加
+      const [cartRows] = await conn.query(
+        `SELECT id FROM cart
+         WHERE userId = ? AND itemType = 'ticket' AND ticketId = ? AND selectedDate = ? AND slotTime <=> ?`,
+        [userId, ticketId, selectedDate, slotTime]
       );
+      if (cartRows.length > 0) {
+        await conn.query('UPDATE cart SET qty = qty + ? WHERE id = ?', [qty, cartRows[0].id]);
+      } else {
+        await conn.query(
+          `INSERT INTO cart (userId, itemType, ticketId, selectedDate, slotTime, qty) VALUES (?, 'ticket', ?, ?, ?, ?)`,
+          [userId, ticketId, selectedDate, slotTime, qty]
+        );
+      }
     } else {
-      await conn.query(
-        'INSERT INTO cart (userId, productId, qty) VALUES (?, ?, ?)',
-        [userId, productId, qty]
+      // 1. 確認商品存在且已上架
+      const [prdRows] = await conn.query(
+        'SELECT id FROM products WHERE id = ? AND sell = 1',
+        [productId]
       );
+      if (prdRows.length === 0) {
+        return res.status(404).json({ error: '商品不存在或未上架' });
+      }
+
+      // 2. 檢查是否已在購物車，加上原有數量後不可超過庫存(庫存於結帳時才扣除)
+      const [cartRows] = await conn.query(
+        `SELECT id, qty FROM cart WHERE userId = ? AND itemType = 'product' AND productId = ?`,
+        [userId, productId]
+      );
+      const available = await checkStock(conn, productId, qty + (cartRows.length > 0 ? cartRows[0].qty : 0));
+      if (available !== null) {
+        return res.status(409).json({ error: '商品庫存不足', available });
+      }
+      if (cartRows.length > 0) {
+        await conn.query(
+          'UPDATE cart SET qty = qty + ? WHERE id = ?',
+          [qty, cartRows[0].id]
+        );
+      } else {
+        await conn.query(
+          'INSERT INTO cart (userId, productId, qty) VALUES (?, ?, ?)',
+          [userId, productId, qty]
+        );
+      }
     }
 
     // 取得更新後的購物車內容
-    const [cart] = await conn.query(
-      `SELECT c.productId,
-              p.title       AS productName,
-              p.salePrice,
-              c.qty,
-              CAST(p.imgUrls AS CHAR) AS imgUrls
-       FROM cart c
-       JOIN products p
-         ON c.productId = p.id
-       WHERE c.userId = ?`,
-      [userId]
-    );
+    const cart = await loadCart(conn, userId);
 
     res.status(201).json({ message: '已加入購物車', cart });
   } catch (err) {
@@ -203,12 +395,13 @@ router.post('/', checkLogin(false), async (req, res) => {
  *     summary: 更新購物車項目數量或刪除
  *     description: |
  *       僅能更新自己的購物車。  
- *       qty < 0 回傳 400；qty = 0 等同刪除該品項。  
+ *       商品可用 productId 指定，票券請用 GET /cart 回傳的 cartId 指定。  
+ *       qty 需為整數，小於 0 回傳 400；qty = 0 等同刪除該品項。  
  *       完成後回傳目前購物車所有項目。
  *     tags:
  *       - Cart
  *     security:
- *       - groupHeader: []
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -216,11 +409,12 @@ router.post('/', checkLogin(false), async (req, res) => {
  *           schema:
  *             type: object
  *             required:
- *               - productId
  *               - qty
  *             properties:
  *               productId:
  *                 type: integer
+ *               cartId:
+ *                 type: integer
  *               qty:
  *                 type: integer
  *     responses:
@@ -237,76 +431,58 @@ router.post('/', checkLogin(false), async (req, res) => {
  *                 cart:
  *                   type: array
  *                   items:
- *                     type: object
- *                     properties:
- *                       productId:
- *                         type: integer
- *                       productName:
- *                         type: string
- *                       salePrice:
- *                         type: number
- *                       qty:
- *                         type: integer
- *                       imgUrls:
- *                         type: string
+ *                     $ref: '#/components/schemas/CartItem'
  *       400:
- *         description: 欄位錯誤或 qty < 0
+ *         description: 欄位錯誤，或 qty 不是整數、小於 0
  *       404:
  *         description: 購物車中不存在此商品
+ *       409:
+ *         description: 商品庫存不足(回傳 available 為目前庫存)
  *       500:
  *         description: 伺服器錯誤
  */
 router.patch('/', checkLogin(false), async (req, res) => {
   const userId      = req.userId;
-  const { productId, qty } = req.body;
+  const { productId, cartId, qty } = req.body;
 
-  if (typeof productId !== 'number' || typeof qty !== 'number') {
-    return res.status(400).json({ error: '請提供 productId 與數字型別 qty' });
+  if ((typeof productId !== 'number' && typeof cartId !== 'number') || typeof qty !== 'number') {
+    return res.status(400).json({ error: '請提供 productId 或 cartId 與數字型別 qty' });
   }
-  if (qty < 0) {
-    return res.status(400).json({ error: 'qty 不能小於 0' });
+  if (!Number.isInteger(qty) || qty < 0) {
+    return res.status(400).json({ error: 'qty 必須為 0 或正整數' });
   }
 
   let conn;
   try {
     conn = await pool.getConnection();
 
-    // 確認此商品在購物車中
-    const [rows] = await conn.query(
-      'SELECT id FROM cart WHERE userId = ? AND productId = ?',
-      [userId, productId]
-    );
+    // 確認此項目在購物車中
+    const [rows] = typeof cartId === 'number'
+      ? await conn.query('SELECT id, itemType, productId FROM cart WHERE id = ? AND userId = ?', [cartId, userId])
+      : await conn.query(
+          `SELECT id, itemType, productId FROM cart WHERE userId = ? AND itemType = 'product' AND productId = ?`,
+          [userId, productId]
+        );
     if (rows.length === 0) {
       return res.status(404).json({ error: '購物車中不存在此商品' });
     }
+    if (qty > 0 && rows[0].itemType === 'product') {
+      const available = await checkStock(conn, rows[0].productId, qty);
+      if (available !== null) {
+        return res.status(409).json({ error: '商品庫存不足', available });
+      }
+    }
 
     if (qty === 0) {
       // 刪除此項目
-      await conn.query(
-        'DELETE FROM cart WHERE userId = ? AND productId = ?',
-        [userId, productId]
-      );
+      await conn.query('DELETE FROM cart WHERE id = ?', [rows[0].id]);
     } else {
       // 更新數量
-      await conn.query(
-        'UPDATE cart SET qty = ? WHERE userId = ? AND productId = ?',
-        [qty, userId, productId]
-      );
+      await conn.query('UPDATE cart SET qty = ? WHERE id = ?', [qty, rows[0].id]);
     }
 
     // 取得更新後的購物車內容
-    const [cart] = await conn.query(
-      `SELECT c.productId,
-              p.title       AS productName,
-              p.salePrice,
-              c.qty,
-              CAST(p.imgUrls AS CHAR) AS imgUrls
-       FROM cart c
-       JOIN products p
-         ON c.productId = p.id
-       WHERE c.userId = ?`,
-      [userId]
-    );
+    const cart = await loadCart(conn, userId);
 
     res.json({
       message: qty === 0 ? '商品已從購物車移除' : '購物車數量已更新',
@@ -329,7 +505,7 @@ router.patch('/', checkLogin(false), async (req, res) => {
  *     tags:
  *       - Cart
  *     security:
- *       - groupHeader: []
+ *       - bearerAuth: []
  *     responses:
  *       201:
  *         description: 購物車已清空
@@ -362,6 +538,162 @@ router.delete('/', checkLogin(false), async (req, res) => {
   }
 });
 
+// 套用優惠券試算
+/**
+ * @openapi
+ * /cart/coupon:
+ *   post:
+ *     summary: 套用優惠券試算
+ *     description: |
+ *       檢查優惠碼是否可用於目前的購物車，並回傳折扣後的金額，不會保留優惠券或使用次數。
+ *       優惠券只折抵商城商品(年卡會員折扣後的售價)，不適用票券。
+ *       結帳時請在 POST /cart/orders 傳入相同的 couponCode，屆時會重新檢查並計算。
+ *       運費依收件地址計算，可傳入 addressId 或 address 試算，未提供時以一般地區計算。
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "SUMMER100"
+ *               addressId:
+ *                 type: integer
+ *                 description: 地址簿的地址 ID，用於試算運費
+ *               address:
+ *                 type: string
+ *                 description: 收件地址，用於試算運費
+ *                 example: "澎湖縣馬公市中正路1號"
+ *     responses:
+ *       200:
+ *         description: 可使用，回傳折扣後的金額
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 coupon:
+ *                   type: object
+ *                   properties:
+ *                     code:
+ *                       type: string
+ *                       example: "SUMMER100"
+ *                     name:
+ *                       type: string
+ *                       example: "夏日滿千折百"
+ *                     discountType:
+ *                       type: string
+ *                       enum: [percent, amount, free_shipping]
+ *                     discountValue:
+ *                       type: number
+ *                       example: 100
+ *                     eligibleSubtotal:
+ *                       type: number
+ *                       description: 適用商品小計
+ *                       example: 1200
+ *                     freeShipping:
+ *                       type: boolean
+ *                 productTotal:
+ *                   type: number
+ *                   example: 1200
+ *                 ticketTotal:
+ *                   type: number
+ *                   example: 1500
+ *                 discountAmount:
+ *                   type: number
+ *                   example: 100
+ *                 shippingFee:
+ *                   type: number
+ *                   example: 0
+ *                 taxAmount:
+ *                   type: number
+ *                   example: 124
+ *                 totalAmount:
+ *                   type: number
+ *                   description: 應付總額(同 priceBreakdown.grandTotal)
+ *                   example: 2600
+ *                 priceBreakdown:
+ *                   $ref: '#/components/schemas/OrderPriceBreakdown'
+ *       400:
+ *         description: 未提供優惠碼
+ *       404:
+ *         description: 優惠碼不存在或已停用，或找不到該地址
+ *       409:
+ *         description: 未到使用期間或已到期、已兌換完畢、已達每人使用次數、沒有適用商品或未達最低消費(minSpend)
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.post('/coupon', checkLogin(false), async (req, res) => {
+  const userId = req.userId;
+  const { code, addressId } = req.body;
+  let { address } = req.body;
+  if (!code) {
+    return res.status(400).json({ error: '請提供優惠碼' });
+  }
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    if (addressId) {
+      const [addrRows] = await conn.query(
+        'SELECT address FROM userAddresses WHERE id = ? AND userId = ?',
+        [addressId, userId]
+      );
+      if (addrRows.length === 0) {
+        return res.status(404).json({ error: '找不到該地址' });
+      }
+      address = addrRows[0].address;
+    }
+    const items = await loadCart(conn, userId);
+    const productItems = items.filter(item => item.itemType === 'product');
+    const coupon = await evaluateCoupon(conn, code, userId, productItems);
+
+    const productTotal = productItems.reduce((sum, item) => sum + Number(item.salePrice) * item.qty, 0);
+    const ticketTotal = items
+      .filter(item => item.itemType === 'ticket')
+      .reduce((sum, item) => sum + item.subtotal, 0);
+    const totals = calculateOrderTotals({
+      productSubtotal: productTotal,
+      ticketSubtotal: ticketTotal,
+      discountAmount: coupon.discountAmount,
+      address,
+      freeShipping: coupon.freeShipping
+    });
+
+    res.json({
+      coupon: {
+        code: coupon.code,
+        name: coupon.name,
+        discountType: coupon.discountType,
+        discountValue: coupon.discountValue,
+        eligibleSubtotal: coupon.eligibleSubtotal,
+        freeShipping: coupon.freeShipping
+      },
+      productTotal,
+      ticketTotal,
+      discountAmount: coupon.discountAmount,
+      shippingFee: totals.shippingFee,
+      taxAmount: totals.taxAmount,
+      totalAmount: totals.grandTotal,
+      priceBreakdown: totals
+    });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message, minSpend: err.minSpend });
+    }
+    res.status(500).json({ error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
 // 建立訂單並清空購物車
 /**
  * @openapi
@@ -369,22 +701,33 @@ router.delete('/', checkLogin(false), async (req, res) => {
  *   post:
  *     summary: 結帳並建立訂單
  *     description: |
- *       結帳後自動生成 9 碼訂單編號。
- *       成功後建立訂單主檔與明細，並清空購物車，回傳整張訂單內容。
+ *       結帳後自動生成 9 碼訂單編號，需先完成信箱驗證。
+ *       購物車中的商品與票券會在同一筆交易中建立為同一張訂單，任一項目失敗(例如票券名額不足)則整張訂單不成立。
+ *       有商品時需提供收件資料：可傳入地址簿的 addressId，或直接填寫 consignee、tel、address；
+ *       收件資料會複製到訂單中，之後修改地址簿不影響此訂單。只有票券時以會員資料作為訂購人。
+ *       商品會扣除庫存，任一商品庫存不足時回傳 409 並列出不足的項目。
+ *       票價依入園日期重新計算，每個票券項目會產生票券編號與入園代碼。
+ *       持有有效年卡的會員，商品與票券依年卡方案套用會員折扣。
+ *       可傳入 couponCode 使用優惠券，結帳時會重新檢查是否可用(期間、次數、最低消費)，不可用時整張訂單不成立。
+ *       運費(依收件地址與滿額免運設定)與稅額在結帳時計算並存入訂單(priceBreakdown)，付款金額為 grandTotal。
+ *       成功後建立 待付款 的訂單主檔與明細，並清空購物車，回傳整張訂單內容與付款資料(payment)。
+ *       請將使用者導向 payment.paymentUrl 付款，付款完成後訂單與票券改為 已付款；
+ *       超過 PAYMENT_EXPIRES_MINUTES 分鐘(預設 30 分鐘)未付款，訂單自動取消並補回庫存與票券名額。
+ *       建立付款失敗時 payment 為 null，訂單仍會保留，可用 POST /payments/orders/{orderNumber} 重新建立付款。
  *     tags: [Cart]
  *     security:
- *       - groupHeader: []
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - consignee
- *               - tel
- *               - address
  *             properties:
+ *               addressId:
+ *                 type: integer
+ *                 description: 地址簿的地址 ID，有提供時忽略下列收件欄位
+ *                 example: 3
  *               consignee:
  *                 type: string
  *                 description: 收件人姓名
@@ -397,6 +740,10 @@ router.delete('/', checkLogin(false), async (req, res) => {
  *                 type: string
  *                 description: 收件地址
  *                 example: "台北市信義區101號"
+ *               couponCode:
+ *                 type: string
+ *                 description: 優惠碼，可先用 POST /cart/coupon 試算
+ *                 example: "SUMMER100"
  *     responses:
  *       201:
  *         description: 訂單建立成功，並已清空購物車
@@ -428,7 +775,11 @@ router.delete('/', checkLogin(false), async (req, res) => {
  *                       example: "台北市信義區101號"
  *                     status:
  *                       type: string
- *                       example: "已付款"
+ *                       example: "待付款"
+ *                     paymentExpiresAt:
+ *                       type: string
+ *                       description: 付款期限
+ *                       example: "2025-08-01 14:30:00"
  *                     products:
  *                       type: array
  *                       items:
@@ -450,76 +801,256 @@ router.delete('/', checkLogin(false), async (req, res) => {
  *                             type: string
  *                             description: "圖片網址"
  *                             example: "/uploads/products/img_5g6wrd.png"
+ *                     tickets:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           ticketNumber:
+ *                             type: string
+ *                             example: "T7K3M9Q2XA4"
+ *                           ticketId:
+ *                             type: integer
+ *                           ticketName:
+ *                             type: string
+ *                             example: "全票"
+ *                           selectedDate:
+ *                             type: string
+ *                             example: "2025-08-01"
+ *                           slot:
+ *                             type: string
+ *                             nullable: true
+ *                           qty:
+ *                             type: integer
+ *                           unitPrice:
+ *                             type: number
+ *                           totalPrice:
+ *                             type: number
+ *                           codes:
+ *                             type: array
+ *                             items:
+ *                               type: string
+ *                     productTotal:
+ *                       type: number
+ *                       example: 998
+ *                     ticketTotal:
+ *                       type: number
+ *                       example: 1500
+ *                     couponCode:
+ *                       type: string
+ *                       nullable: true
+ *                       example: "SUMMER100"
+ *                     discountAmount:
+ *                       type: number
+ *                       description: 優惠券折抵金額
+ *                       example: 100
+ *                     shippingFee:
+ *                       type: number
+ *                       example: 0
+ *                     taxAmount:
+ *                       type: number
+ *                       example: 114
+ *                     totalAmount:
+ *                       type: number
+ *                       description: 應付總額(同 priceBreakdown.grandTotal)
+ *                       example: 2398
+ *                     priceBreakdown:
+ *                       $ref: '#/components/schemas/OrderPriceBreakdown'
+ *                 payment:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/Payment'
+ *                   nullable: true
+ *                 paymentError:
+ *                   type: string
+ *                   description: 建立付款失敗時的原因
  *       400:
- *         description: 欄位不完整或購物車為空
+ *         description: 欄位不完整、購物車為空、入園日期已過或當日休園
+ *       403:
+ *         description: 尚未完成信箱驗證
+ *       404:
+ *         description: 找不到該地址、票種已停售，或優惠碼不存在
+ *       409:
+ *         description: 票券名額不足、商品庫存不足(shortages 列出不足的商品與目前庫存)，或優惠券不可使用
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                 remaining:
+ *                   type: integer
+ *                   description: 票券名額不足時的剩餘名額
+ *                 minSpend:
+ *                   type: number
+ *                   description: 未達優惠券最低消費時的門檻
+ *                 shortages:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       productId:
+ *                         type: integer
+ *                       productName:
+ *                         type: string
+ *                       requested:
+ *                         type: integer
+ *                       available:
+ *                         type: integer
  *       500:
  *         description: 伺服器錯誤
  */
-router.post('/orders', checkLogin(false), async (req, res) => {
+router.post('/orders', checkLogin(false), requireVerifiedEmail, async (req, res) => {
   // 從 middleware 拿到實際登入者 ID
   const userId = req.userId;
-  const { consignee, tel, address } = req.body;
-
-  if (!consignee || !tel || !address) {
-    return res.status(400).json({ error: '請提供 收件人姓名、電話、地址' });
-  }
+  const { addressId, couponCode } = req.body;
+  let { consignee, tel, address } = req.body;
 
   let conn;
   try {
     conn = await pool.getConnection();
     await conn.beginTransaction();
 
-    // 取出該 userId 的購物車所有項目
+    // 取出該 userId 的購物車所有項目，票券依入園日期排序，扣除名額時依序鎖定
     const [cartItems] = await conn.query(
       `SELECT 
-        c.productId, p.title AS productName, p.salePrice, c.qty, CAST(p.imgUrls AS CHAR) AS imgUrls
+        c.itemType, c.productId, p.title AS productName, p.salePrice, c.qty, CAST(p.imgUrls AS CHAR) AS imgUrls,
+        c.ticketId, DATE_FORMAT(c.selectedDate, '%Y-%m-%d') AS selectedDate, TIME_FORMAT(c.slotTime, '%H:%i') AS slot
       FROM cart c
-      JOIN products p ON c.productId = p.id
-      WHERE c.userId = ?`,
+      LEFT JOIN products p ON c.itemType = 'product' AND c.productId = p.id
+      WHERE c.userId = ?
+      ORDER BY c.selectedDate ASC, c.id ASC`,
       [userId]
     );
-    if (cartItems.length === 0) {
+    const productItems = cartItems.filter(ci => ci.itemType === 'product' && ci.productName !== null);
+    const ticketItems = cartItems.filter(ci => ci.itemType === 'ticket');
+    if (productItems.length === 0 && ticketItems.length === 0) {
       await conn.rollback();
       return res.status(400).json({ error: '購物車為空，無法結帳' });
     }
 
+    if (productItems.length > 0) {
+      // 有商品需要收件資料，可使用地址簿的地址
+      if (addressId) {
+        const [addrRows] = await conn.query(
+          'SELECT consignee, tel, address FROM userAddresses WHERE id = ? AND userId = ?',
+          [addressId, userId]
+        );
+        if (addrRows.length === 0) {
+          await conn.rollback();
+          return res.status(404).json({ error: '找不到該地址' });
+        }
+        ({ consignee, tel, address } = addrRows[0]);
+      } else if (!consignee || !tel || !address) {
+        await conn.rollback();
+        return res.status(400).json({ error: '請提供 addressId，或 收件人姓名、電話、地址' });
+      }
+    } else {
+      // 只有票券，以會員資料作為訂購人
+      const [[user]] = await conn.query('SELECT userName, tel FROM users WHERE id = ?', [userId]);
+      consignee = user.userName;
+      tel = user.tel || '';
+      address = '';
+    }
+
     // 隨機生成 9 位訂單編號
     let orderNumber = '';
     for (let i = 0; i < 9; i++) {
       orderNumber += Math.floor(Math.random() * 10);
     }
-    const status = '已付款';
+    const status = '待付款';
+
+    // 持有有效年卡時，商品以會員折扣後的價格成交
+    const pass = await getActivePass(conn, userId);
+    if (pass) {
+      productItems.forEach(ci => {
+        ci.salePrice = applyMemberDiscount(ci.salePrice, pass.shopDiscountPercent);
+      });
+    }
+
+    // 重新檢查優惠券並鎖定，避免同時結帳超過使用次數
+    const coupon = couponCode ? await evaluateCoupon(conn, couponCode, userId, productItems, { forUpdate: true }) : null;
+    const discountAmount = coupon ? coupon.discountAmount : 0;
 
     // 建立訂單主檔
     await conn.query(
       `INSERT INTO orderCustomers
-        (orderNumber, checkTime, userId, consignee, tel, address, status)
-      VALUES (?, NOW(), ?, ?, ?, ?, ?)`,
-      [orderNumber, userId, consignee, tel, address, status]
+        (orderNumber, checkTime, updatedAt, userId, consignee, tel, address, status, paymentExpiresAt, couponCode, discountAmount)
+      VALUES (?, NOW(), NOW(), ?, ?, ?, ?, ?, NOW() + INTERVAL ? MINUTE, ?, ?)`,
+      [orderNumber, userId, consignee, tel, address, status, PAYMENT_EXPIRES_MINUTES, coupon ? coupon.code : null, discountAmount]
     );
+    if (coupon) {
+      await redeemCoupon(conn, coupon, userId, orderNumber);
+    }
+    await recordStatusHistory(conn, { orderNumber, fromStatus: null, toStatus: status, changedBy: userId });
 
-    // 插入每筆訂單明細
-    const rows = cartItems.map(ci => [
-      orderNumber,
-      ci.productId,
-      ci.productName,
-      ci.salePrice,
-      ci.qty,
-      ci.imgUrls || ''
-    ]);
-    await conn.query(
-      `INSERT INTO orderInfor
-        (orderNumber, productId, productName, salePrice, qty, imgUrls)
-      VALUES ?`,
-      [rows]
-    );
+    // 插入每筆商品明細，並鎖定商品列扣除庫存
+    if (productItems.length > 0) {
+      await reserveStock(conn, productItems, orderNumber);
+
+      const rows = productItems.map(ci => [
+        orderNumber,
+        ci.productId,
+        ci.productName,
+        ci.salePrice,
+        ci.qty,
+        ci.imgUrls || ''
+      ]);
+      await conn.query(
+        `INSERT INTO orderInfor
+          (orderNumber, productId, productName, salePrice, qty, imgUrls)
+        VALUES ?`,
+        [rows]
+      );
+    }
+
+    // 建立票券訂單(檢查入園日期、扣除名額、計算票價、產生入園代碼)
+    const tickets = [];
+    for (const ci of ticketItems) {
+      const ticketOrder = await createTicketOrder(conn, {
+        userId,
+        ticketId: ci.ticketId,
+        selectedDate: ci.selectedDate,
+        slot: ci.slot,
+        qty: ci.qty,
+        orderNumber,
+        status
+      });
+      tickets.push(ticketOrder);
+    }
+
+    // 票價確定後計算運費與稅額，存入訂單(之後不再重算，付款金額以 grandTotal 為準)
+    const productTotal = productItems.reduce((sum, ci) => sum + Number(ci.salePrice) * ci.qty, 0);
+    const ticketTotal = tickets.reduce((sum, ticket) => sum + ticket.totalPrice, 0);
+    const totals = calculateOrderTotals({
+      productSubtotal: productTotal,
+      ticketSubtotal: ticketTotal,
+      discountAmount,
+      address,
+      freeShipping: coupon ? coupon.freeShipping : false
+    });
+    await saveOrderTotals(conn, orderNumber, totals);
 
     // 清空購物車
     await conn.query(`DELETE FROM cart WHERE userId = ?`, [userId]);
 
+    const [[{ paymentExpiresAt }]] = await conn.query(
+      `SELECT DATE_FORMAT(paymentExpiresAt, '%Y-%m-%d %H:%i:%s') AS paymentExpiresAt FROM orderCustomers WHERE orderNumber = ?`,
+      [orderNumber]
+    );
+
     await conn.commit();
 
-    const returnedProducts = cartItems.map(ci => ({
+    // 訂單成立後才向金流服務建立付款，失敗時訂單保留，可再重新建立付款
+    let payment = null;
+    let paymentError;
+    try {
+      payment = await createPayment(conn, orderNumber);
+    } catch (err) {
+      paymentError = err.message;
+    }
+
+    const returnedProducts = productItems.map(ci => ({
       productId: ci.productId,
       productName: ci.productName,
       salePrice: ci.salePrice,
@@ -536,13 +1067,28 @@ router.post('/orders', checkLogin(false), async (req, res) => {
         tel,
         address,
         status,
-        products: returnedProducts
-      }
+        paymentExpiresAt,
+        products: returnedProducts,
+        tickets,
+        productTotal,
+        ticketTotal,
+        couponCode: coupon ? coupon.code : null,
+        discountAmount,
+        shippingFee: totals.shippingFee,
+        taxAmount: totals.taxAmount,
+        totalAmount: totals.grandTotal,
+        priceBreakdown: totals
+      },
+      payment,
+      paymentError
     });
   } catch (err) {
     if (conn) {
       await conn.rollback();
     }
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message, remaining: err.remaining, shortages: err.shortages, minSpend: err.minSpend });
+    }
     res.status(500).json({ error: err.message });
   } finally {
     if (conn) { conn.release(); }
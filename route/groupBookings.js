@@ -0,0 +1,360 @@
+const express = require('express');
+const pool = require('../db');
+const {checkLogin} = require('../middlewares/authMiddleware');
+const requireVerifiedEmail = require('../middlewares/requireVerifiedEmail');
+const { getAvailability } = require('../utils/ticketCapacity');
+const { checkVisitDate } = require('../utils/parkCalendar');
+const { checkGroupRequest, getGroupBooking } = require('../utils/groupBookings');
+
+const router = express.Router();
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     GroupBooking:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         userId:
+ *           type: integer
+ *         organization:
+ *           type: string
+ *           example: "海景國小"
+ *         orgType:
+ *           type: string
+ *           enum: [school, company, other]
+ *         contactName:
+ *           type: string
+ *           example: "林老師"
+ *         contactTel:
+ *           type: string
+ *           example: "0912345678"
+ *         contactEmail:
+ *           type: string
+ *           nullable: true
+ *         visitDate:
+ *           type: string
+ *           example: "2025-10-15"
+ *         headcount:
+ *           type: integer
+ *           example: 45
+ *         specialNeeds:
+ *           type: string
+ *           nullable: true
+ *           example: "2 位輪椅使用者，需安排導覽"
+ *         status:
+ *           type: string
+ *           enum: [pending, approved, rejected, converted, cancelled]
+ *           description: pending = 待審核、approved = 已報價、rejected = 已拒絕、converted = 已轉為票券訂單、cancelled = 已取消
+ *         quotedPrice:
+ *           type: number
+ *           nullable: true
+ *           description: 核准時的報價總額
+ *         reviewNote:
+ *           type: string
+ *           nullable: true
+ *           description: 報價說明或拒絕原因
+ *         reviewedAt:
+ *           type: string
+ *           nullable: true
+ *         convertedAt:
+ *           type: string
+ *           nullable: true
+ *         cancelledAt:
+ *           type: string
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *         lines:
+ *           type: array
+ *           description: 各年齡類別人數，核准後帶有票種與單價，轉單後帶有票券編號
+ *           items:
+ *             type: object
+ *             properties:
+ *               ageCategory:
+ *                 type: string
+ *                 example: "child"
+ *               qty:
+ *                 type: integer
+ *                 example: 40
+ *               ticketId:
+ *                 type: integer
+ *                 nullable: true
+ *               ticketName:
+ *                 type: string
+ *                 nullable: true
+ *               unitPrice:
+ *                 type: number
+ *                 nullable: true
+ *               ticketNumber:
+ *                 type: string
+ *                 nullable: true
+ */
+
+// 提出團體預約申請
+/**
+ * @openapi
+ * /group-bookings:
+ *   post:
+ *     summary: 提出團體預約申請
+ *     description: |
+ *       學校、公司等 GROUP_MIN_HEADCOUNT 人(預設 20 人)以上的團體使用，需先完成信箱驗證。
+ *       申請後由園方審核並報價，核准後轉為票券訂單才會扣除入園名額。
+ *       ageBreakdown 為各年齡類別人數，合計需等於 headcount。
+ *     tags: [Group Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - organization
+ *               - contactName
+ *               - contactTel
+ *               - visitDate
+ *               - headcount
+ *               - ageBreakdown
+ *             properties:
+ *               organization:
+ *                 type: string
+ *                 example: "海景國小"
+ *               orgType:
+ *                 type: string
+ *                 enum: [school, company, other]
+ *                 default: school
+ *               contactName:
+ *                 type: string
+ *                 example: "林老師"
+ *               contactTel:
+ *                 type: string
+ *                 example: "0912345678"
+ *               contactEmail:
+ *                 type: string
+ *               visitDate:
+ *                 type: string
+ *                 format: date
+ *                 example: "2025-10-15"
+ *               headcount:
+ *                 type: integer
+ *                 example: 45
+ *               ageBreakdown:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: integer
+ *                 example: { "child": 40, "adult": 5 }
+ *               specialNeeds:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: 申請成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "團體預約申請已送出，請等待園方審核"
+ *                 booking:
+ *                   $ref: '#/components/schemas/GroupBooking'
+ *       400:
+ *         description: 欄位錯誤、人數不足、日期已過或當日休園
+ *       403:
+ *         description: 信箱尚未驗證
+ *       409:
+ *         description: 當日剩餘名額不足
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.post('/', checkLogin(false), requireVerifiedEmail, async (req, res) => {
+    const requestError = checkGroupRequest(req.body);
+    if (requestError) {
+        return res.status(400).json({ error: requestError });
+    }
+    const { organization, orgType = 'school', contactName, contactTel, contactEmail, visitDate, headcount, ageBreakdown, specialNeeds } = req.body;
+
+    let conn;
+    try {
+        conn = await pool.getConnection();
+        const dateError = await checkVisitDate(conn, visitDate);
+        if (dateError) {
+            return res.status(400).json({ error: dateError });
+        }
+        // 申請時只先確認名額，轉為訂單時才會扣除
+        const [day] = await getAvailability(conn, visitDate, visitDate);
+        if (day.remaining < Number(headcount)) {
+            return res.status(409).json({ error: '該日剩餘名額不足', remaining: day.remaining });
+        }
+
+        await conn.beginTransaction();
+        const [result] = await conn.query(
+            `INSERT INTO groupBookings
+              (userId, organization, orgType, contactName, contactTel, contactEmail, visitDate, headcount, specialNeeds, status, editTime, createdAt)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending', NOW(), NOW())`,
+            [req.userId, organization, orgType, contactName, contactTel, contactEmail || null, visitDate, Number(headcount), specialNeeds || null]
+        );
+        const lines = Object.entries(ageBreakdown).filter(([, qty]) => Number(qty) > 0);
+        await conn.query(
+            'INSERT INTO groupBookingLines (bookingId, ageCategory, qty) VALUES ?',
+            [lines.map(([ageCategory, qty]) => [result.insertId, ageCategory, Number(qty)])]
+        );
+        await conn.commit();
+
+        const booking = await getGroupBooking(conn, result.insertId);
+        res.status(201).json({ message: '團體預約申請已送出，請等待園方審核', booking });
+    } catch (err) {
+        if (conn) await conn.rollback();
+        res.status(500).json({ error: err.message });
+    } finally {
+        if (conn) conn.release();
+    }
+});
+
+// 查詢自己的團體預約
+/**
+ * @openapi
+ * /group-bookings:
+ *   get:
+ *     summary: 查詢自己的團體預約
+ *     tags: [Group Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 團體預約列表(不含明細)，由新到舊
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/GroupBooking'
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.get('/', checkLogin(false), async (req, res) => {
+    let conn;
+    try {
+        conn = await pool.getConnection();
+        const [rows] = await conn.query(
+            `SELECT id, organization, orgType, DATE_FORMAT(visitDate, '%Y-%m-%d') AS visitDate,
+                    headcount, status, quotedPrice, reviewNote,
+                    DATE_FORMAT(createdAt, '%Y-%m-%d %H:%i:%s') AS createdAt
+             FROM groupBookings
+             WHERE userId = ?
+             ORDER BY createdAt DESC`,
+            [req.userId]
+        );
+        res.json(rows);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    } finally {
+        if (conn) conn.release();
+    }
+});
+
+// 查詢單筆團體預約
+/**
+ * @openapi
+ * /group-bookings/{id}:
+ *   get:
+ *     summary: 查詢單筆團體預約
+ *     description: 轉為訂單後，明細會帶有票券編號，可至票券訂單查詢入園代碼。
+ *     tags: [Group Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: 團體預約內容
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/GroupBooking'
+ *       404:
+ *         description: 找不到該團體預約
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.get('/:id', checkLogin(false), async (req, res) => {
+    let conn;
+    try {
+        conn = await pool.getConnection();
+        const booking = await getGroupBooking(conn, req.params.id, { userId: req.userId });
+        if (!booking) {
+            return res.status(404).json({ error: '找不到該團體預約' });
+        }
+        res.json(booking);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    } finally {
+        if (conn) conn.release();
+    }
+});
+
+// 取消團體預約
+/**
+ * @openapi
+ * /group-bookings/{id}/cancel:
+ *   post:
+ *     summary: 取消團體預約
+ *     description: 只能取消待審核或已報價的申請；已轉為訂單的團體預約請聯繫客服，由管理員取消。
+ *     tags: [Group Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: 已取消
+ *       404:
+ *         description: 找不到該團體預約
+ *       409:
+ *         description: 目前狀態不可取消
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.post('/:id/cancel', checkLogin(false), async (req, res) => {
+    let conn;
+    try {
+        conn = await pool.getConnection();
+        await conn.beginTransaction();
+
+        const booking = await getGroupBooking(conn, req.params.id, { userId: req.userId, forUpdate: true });
+        if (!booking) {
+            await conn.rollback();
+            return res.status(404).json({ error: '找不到該團體預約' });
+        }
+        if (!['pending', 'approved'].includes(booking.status)) {
+            await conn.rollback();
+            return res.status(409).json({ error: '只能取消待審核或已報價的申請，已轉為訂單的請聯繫客服', status: booking.status });
+        }
+
+        await conn.query(
+            `UPDATE groupBookings SET status = 'cancelled', cancelledAt = NOW(), editTime = NOW() WHERE id = ?`,
+            [booking.id]
+        );
+        await conn.commit();
+        res.json({ message: '團體預約已取消' });
+    } catch (err) {
+        if (conn) await conn.rollback();
+        res.status(500).json({ error: err.message });
+    } finally {
+        if (conn) conn.release();
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,841 @@
+const express = require('express');
+const QRCode = require('qrcode');
+const pool = require('../db');
+const {checkLogin} = require('../middlewares/authMiddleware');
+const requireVerifiedEmail = require('../middlewares/requireVerifiedEmail');
+const { passUpload, getPassPhotoPath, removePassPhoto } = require('../middlewares/AquImgUpload');
+const { loadPermissions } = require('../middlewares/requirePermission');
+const { hasPermission } = require('../utils/permissions');
+const handleMulterErrors = require('../middlewares/handleMulterErrors');
+const { formatLocalDate } = require('../utils/parkCalendar');
+const { isValidDate } = require('../utils/ticketCapacity');
+const { createPassNumber, createPassCode } = require('../utils/ticketCodes');
+const { getPassEndDate, getRenewalPeriod } = require('../utils/passes');
+const { createPendingOrder, createPayment } = require('../utils/payments');
+const { calculateOrderTotals, saveOrderTotals } = require('../utils/orderTotals');
+
+const router = express.Router();
+
+// 年卡查詢欄位
+const PASS_COLUMNS = `
+  up.id, up.passNumber, up.userId, up.planId, pp.name AS planName,
+  pp.shopDiscountPercent, pp.ticketDiscountPercent,
+  up.holderName, up.photoUrl, up.status, up.pricePaid, up.orderNumber,
+  DATE_FORMAT(up.startDate, '%Y-%m-%d') AS startDate,
+  DATE_FORMAT(up.endDate, '%Y-%m-%d') AS endDate,
+  DATE_FORMAT(up.createdAt, '%Y-%m-%d %H:%i:%s') AS createdAt`;
+
+// 加上入園代碼、今天是否有效、是否可續約
+function withPassInfo(pass) {
+  const today = formatLocalDate(new Date());
+  const { id, ...rest } = pass;
+  return {
+    ...rest,
+    code: createPassCode(pass.passNumber),
+    valid: pass.status === 'active' && pass.startDate <= today && pass.endDate >= today,
+    renewable: pass.status === 'active' && !getRenewalPeriod(pass, 1).error
+  };
+}
+
+// 建立待付款訂單的付款，失敗時訂單保留，可再透過 /payments/orders/{orderNumber} 重新建立
+async function createOrderPayment(conn, orderNumber) {
+  try {
+    return { payment: await createPayment(conn, orderNumber) };
+  } catch (err) {
+    return { payment: null, paymentError: err.message };
+  }
+}
+
+// 取得會員自己的年卡，forUpdate 時需在交易中呼叫
+async function findOwnPass(conn, passNumber, userId, forUpdate = false) {
+  const [rows] = await conn.query(
+    `SELECT ${PASS_COLUMNS}
+     FROM userPasses up
+     JOIN passPlans pp ON pp.id = up.planId
+     WHERE up.passNumber = ? AND up.userId = ?
+     ${forUpdate ? 'FOR UPDATE' : ''}`,
+    [passNumber, userId]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     PassPlan:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 1
+ *         name:
+ *           type: string
+ *           example: "海洋年卡"
+ *         description:
+ *           type: string
+ *         durationMonths:
+ *           type: integer
+ *           example: 12
+ *         price:
+ *           type: number
+ *           example: 2500
+ *         shopDiscountPercent:
+ *           type: number
+ *           description: 商城商品折扣百分比，10 = 九折
+ *           example: 10
+ *         ticketDiscountPercent:
+ *           type: number
+ *           description: 票券折扣百分比
+ *           example: 20
+ *     UserPass:
+ *       type: object
+ *       properties:
+ *         passNumber:
+ *           type: string
+ *           example: "P7K3M9Q2XA4"
+ *         userId:
+ *           type: integer
+ *         planId:
+ *           type: integer
+ *         planName:
+ *           type: string
+ *           example: "海洋年卡"
+ *         shopDiscountPercent:
+ *           type: number
+ *         ticketDiscountPercent:
+ *           type: number
+ *         holderName:
+ *           type: string
+ *           example: "王小明"
+ *         photoUrl:
+ *           type: string
+ *           description: 持卡人照片，需登入後讀取
+ *           example: "/passes/P7K3M9Q2XA4/photo"
+ *         status:
+ *           type: string
+ *           description: pending = 待付款，付款後改為 active；cancelled = 訂單取消或退款
+ *           enum: [pending, active, suspended, cancelled]
+ *         pricePaid:
+ *           type: number
+ *         orderNumber:
+ *           type: string
+ *           nullable: true
+ *           description: 購買年卡的訂單編號
+ *         startDate:
+ *           type: string
+ *           example: "2025-08-01"
+ *         endDate:
+ *           type: string
+ *           example: "2026-07-31"
+ *         createdAt:
+ *           type: string
+ *         code:
+ *           type: string
+ *           description: 入園代碼，可轉成 QR Code 於入口驗票
+ *         valid:
+ *           type: boolean
+ *           description: 今天是否可使用
+ *         renewable:
+ *           type: boolean
+ *           description: 目前是否可續約
+ */
+
+// 取得可購買的年卡方案
+/**
+ * @openapi
+ * /passes/plans:
+ *   get:
+ *     summary: 取得可購買的年卡方案
+ *     tags: [Passes]
+ *     responses:
+ *       200:
+ *         description: 年卡方案列表
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/PassPlan'
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.get('/plans', async (req, res) => {
+    let conn;
+    try {
+        conn = await pool.getConnection();
+        const [rows] = await conn.query(
+            `SELECT id, name, description, durationMonths, price, shopDiscountPercent, ticketDiscountPercent
+             FROM passPlans
+             WHERE active = 1
+             ORDER BY price ASC, id ASC`
+        );
+        res.json(rows);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    } finally {
+        if (conn) conn.release();
+    }
+});
+
+// 購買年卡
+/**
+ * @openapi
+ * /passes:
+ *   post:
+ *     summary: 購買年卡
+ *     description: |
+ *       需先完成信箱驗證，並上傳持卡人照片(入口驗票時核對本人)。
+ *       一位會員同時只能有一張未到期的年卡，已有年卡請使用續約。
+ *       startDate 不填時從今天開始，有效期間依方案月數計算。
+ *       購買後建立 待付款 訂單，年卡為 pending，付款完成後才啟用；
+ *       超過 PAYMENT_EXPIRES_MINUTES 分鐘(預設 30 分鐘)未付款則訂單與年卡自動取消。
+ *     tags: [Passes]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - planId
+ *               - holderName
+ *               - photo
+ *             properties:
+ *               planId:
+ *                 type: integer
+ *               holderName:
+ *                 type: string
+ *                 example: "王小明"
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *                 example: "2025-08-01"
+ *               photo:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       201:
+ *         description: 已建立待付款訂單
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "年卡訂購成功，請於期限內完成付款"
+ *                 orderNumber:
+ *                   type: string
+ *                   example: "123456789"
+ *                 paymentExpiresAt:
+ *                   type: string
+ *                   example: "2025-07-20 15:00:00"
+ *                 pass:
+ *                   $ref: '#/components/schemas/UserPass'
+ *                 priceBreakdown:
+ *                   $ref: '#/components/schemas/OrderPriceBreakdown'
+ *                 payment:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/Payment'
+ *                   nullable: true
+ *                 paymentError:
+ *                   type: string
+ *                   description: 建立付款失敗時的原因
+ *       400:
+ *         description: 缺少必要欄位、日期錯誤或未上傳照片
+ *       403:
+ *         description: 信箱尚未驗證
+ *       404:
+ *         description: 找不到該方案或已停售
+ *       409:
+ *         description: 已有未到期或待付款的年卡
+ *       413:
+ *         description: 圖片大小超過限制
+ *       415:
+ *         description: 圖片格式錯誤
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.post('/',
+    checkLogin(false),
+    requireVerifiedEmail,
+    handleMulterErrors(passUpload.single('photo')),
+    async (req, res) => {
+        const { planId, holderName } = req.body;
+        const today = formatLocalDate(new Date());
+        const startDate = req.body.startDate || today;
+        // 沒有建立年卡時刪除已上傳的照片
+        const discardPhoto = () => removePassPhoto(req.file && req.file.filename);
+
+        if (!planId || !holderName) {
+            await discardPhoto();
+            return res.status(400).json({ error: '請提供方案ID與持卡人姓名' });
+        }
+        if (!req.file) {
+            return res.status(400).json({ error: '請上傳持卡人照片' });
+        }
+        if (!isValidDate(startDate) || startDate < today) {
+            await discardPhoto();
+            return res.status(400).json({ error: '起始日期格式錯誤或已過(YYYY-MM-DD)' });
+        }
+
+        let conn;
+        try {
+            conn = await pool.getConnection();
+            await conn.beginTransaction();
+
+            const [plans] = await conn.query(
+                'SELECT id, durationMonths, price FROM passPlans WHERE id = ? AND active = 1',
+                [planId]
+            );
+            if (plans.length === 0) {
+                await conn.rollback();
+                await discardPhoto();
+                return res.status(404).json({ error: '找不到該方案或已停售' });
+            }
+
+            // 鎖定會員的年卡，避免重複購買(已取消的年卡不計)
+            const [existing] = await conn.query(
+                `SELECT passNumber, status, orderNumber FROM userPasses
+                 WHERE userId = ? AND endDate >= ? AND status <> 'cancelled'
+                 FOR UPDATE`,
+                [req.userId, today]
+            );
+            if (existing.length > 0) {
+                await conn.rollback();
+                await discardPhoto();
+                if (existing[0].status === 'pending') {
+                    return res.status(409).json({
+                        error: '您已有待付款的年卡訂單，請先完成付款',
+                        passNumber: existing[0].passNumber,
+                        orderNumber: existing[0].orderNumber
+                    });
+                }
+                return res.status(409).json({ error: '您已有未到期的年卡，請使用續約', passNumber: existing[0].passNumber });
+            }
+
+            const plan = plans[0];
+            const { orderNumber, paymentExpiresAt } = await createPendingOrder(conn, req.userId);
+            const passNumber = await createPassNumber(conn);
+            await conn.query(
+                `INSERT INTO userPasses
+                  (passNumber, userId, planId, holderName, photoUrl, photoFile, startDate, endDate, status, pricePaid, orderNumber, editTime, createdAt)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'pending', ?, ?, NOW(), NOW())`,
+                [passNumber, req.userId, plan.id, holderName, `/passes/${passNumber}/photo`, req.file.filename, startDate,
+                    getPassEndDate(startDate, plan.durationMonths), plan.price, orderNumber]
+            );
+            const totals = calculateOrderTotals({ productSubtotal: 0, passSubtotal: Number(plan.price) });
+            await saveOrderTotals(conn, orderNumber, totals);
+            const pass = await findOwnPass(conn, passNumber, req.userId);
+            await conn.commit();
+
+            // 訂單成立後才向金流服務建立付款
+            const { payment, paymentError } = await createOrderPayment(conn, orderNumber);
+            res.status(201).json({
+                message: '年卡訂購成功，請於期限內完成付款',
+                orderNumber,
+                paymentExpiresAt,
+                pass: withPassInfo(pass),
+                priceBreakdown: totals,
+                payment,
+                paymentError
+            });
+        } catch (err) {
+            if (conn) await conn.rollback();
+            await discardPhoto().catch(() => {});
+            res.status(500).json({ error: err.message });
+        } finally {
+            if (conn) conn.release();
+        }
+    }
+);
+
+// 查詢自己的年卡
+/**
+ * @openapi
+ * /passes/me:
+ *   get:
+ *     summary: 查詢自己的年卡
+ *     description: 依到期日由新到舊排列，包含已到期的年卡
+ *     tags: [Passes]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 年卡列表
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/UserPass'
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.get('/me', checkLogin(false), async (req, res) => {
+    let conn;
+    try {
+        conn = await pool.getConnection();
+        const [rows] = await conn.query(
+            `SELECT ${PASS_COLUMNS}
+             FROM userPasses up
+             JOIN passPlans pp ON pp.id = up.planId
+             WHERE up.userId = ?
+             ORDER BY up.endDate DESC`,
+            [req.userId]
+        );
+        res.json(rows.map(withPassInfo));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    } finally {
+        if (conn) conn.release();
+    }
+});
+
+// 更新持卡人姓名或照片
+/**
+ * @openapi
+ * /passes/{passNumber}:
+ *   patch:
+ *     summary: 更新持卡人姓名或照片
+ *     tags: [Passes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: passNumber
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               holderName:
+ *                 type: string
+ *               photo:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: 更新成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "年卡資料已更新"
+ *                 pass:
+ *                   $ref: '#/components/schemas/UserPass'
+ *       400:
+ *         description: 沒有要更新的欄位
+ *       404:
+ *         description: 找不到該年卡
+ *       413:
+ *         description: 圖片大小超過限制
+ *       415:
+ *         description: 圖片格式錯誤
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.patch('/:passNumber',
+    checkLogin(false),
+    handleMulterErrors(passUpload.single('photo')),
+    async (req, res) => {
+        const { passNumber } = req.params;
+        const { holderName } = req.body;
+        const photoFile = req.file ? req.file.filename : null;
+
+        const fieldsToUpdate = [];
+        const values = [];
+        if (holderName) fieldsToUpdate.push('holderName = ?'), values.push(holderName);
+        if (photoFile) fieldsToUpdate.push('photoUrl = ?', 'photoFile = ?'), values.push(`/passes/${passNumber}/photo`, photoFile);
+        if (fieldsToUpdate.length === 0) {
+            return res.status(400).json({ error: '請提供持卡人姓名或照片' });
+        }
+
+        let conn;
+        let updated = false;
+        try {
+            conn = await pool.getConnection();
+            await conn.beginTransaction();
+
+            const [rows] = await conn.query(
+                'SELECT id, photoFile FROM userPasses WHERE passNumber = ? AND userId = ? FOR UPDATE',
+                [passNumber, req.userId]
+            );
+            if (rows.length === 0) {
+                await conn.rollback();
+                return res.status(404).json({ error: '找不到該年卡' });
+            }
+            await conn.query(
+                `UPDATE userPasses SET ${fieldsToUpdate.join(', ')}, editTime = NOW() WHERE id = ?`,
+                [...values, rows[0].id]
+            );
+            const pass = await findOwnPass(conn, passNumber, req.userId);
+            await conn.commit();
+            updated = true;
+
+            // 換上新照片後刪除舊照片
+            if (photoFile) await removePassPhoto(rows[0].photoFile).catch(() => {});
+            res.json({ message: '年卡資料已更新', pass: withPassInfo(pass) });
+        } catch (err) {
+            if (conn && !updated) await conn.rollback();
+            res.status(500).json({ error: err.message });
+        } finally {
+            if (conn) conn.release();
+            // 沒有更新成功時刪除這次上傳的照片
+            if (!updated) await removePassPhoto(photoFile).catch(() => {});
+        }
+    }
+);
+
+// 取得年卡持卡人照片
+/**
+ * @openapi
+ * /passes/{passNumber}/photo:
+ *   get:
+ *     summary: 取得年卡持卡人照片
+ *     description: 持卡人本人，或有 passes:read、tickets:checkin(入口驗票)權限者可讀取
+ *     tags: [Passes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: passNumber
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 照片
+ *         content:
+ *           image/*:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: 找不到該年卡或照片
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.get('/:passNumber/photo', checkLogin(false), async (req, res) => {
+    let conn;
+    try {
+        const permissions = await loadPermissions(req);
+        const canReadAll = hasPermission(permissions, 'passes:read') || hasPermission(permissions, 'tickets:checkin');
+
+        conn = await pool.getConnection();
+        const [rows] = await conn.query(
+            'SELECT userId, photoFile FROM userPasses WHERE passNumber = ?',
+            [req.params.passNumber]
+        );
+        if (rows.length === 0 || !rows[0].photoFile || (!canReadAll && rows[0].userId !== req.userId)) {
+            return res.status(404).json({ error: '找不到該年卡照片' });
+        }
+
+        res.set('Cache-Control', 'private, no-store');
+        res.sendFile(getPassPhotoPath(rows[0].photoFile), err => {
+            if (err && !res.headersSent) {
+                res.status(err.status === 404 ? 404 : 500).json({ error: err.status === 404 ? '找不到該年卡照片' : err.message });
+            }
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    } finally {
+        if (conn) conn.release();
+    }
+});
+
+// 續約年卡
+/**
+ * @openapi
+ * /passes/{passNumber}/renew:
+ *   post:
+ *     summary: 續約年卡
+ *     description: |
+ *       到期前 PASS_RENEW_WINDOW_DAYS 天(預設 60 天)內或到期後可續約。
+ *       新的有效期間從原到期日的隔天開始，已過期則從今天開始。
+ *       planId 不填時沿用原方案，也可改為其他販售中的方案。
+ *       續約後建立 待付款 訂單，付款完成後才套用新的方案與有效期間；同一張年卡同時只能有一筆待付款的續約。
+ *     tags: [Passes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: passNumber
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               planId:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: 已建立待付款的續約訂單
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "年卡續約訂購成功，請於期限內完成付款"
+ *                 orderNumber:
+ *                   type: string
+ *                   example: "123456789"
+ *                 paymentExpiresAt:
+ *                   type: string
+ *                   example: "2025-07-20 15:00:00"
+ *                 price:
+ *                   type: number
+ *                   example: 2500
+ *                 startDate:
+ *                   type: string
+ *                   description: 付款後的有效期間起日
+ *                   example: "2025-08-01"
+ *                 endDate:
+ *                   type: string
+ *                   description: 付款後的到期日
+ *                   example: "2026-07-31"
+ *                 pass:
+ *                   $ref: '#/components/schemas/UserPass'
+ *                 priceBreakdown:
+ *                   $ref: '#/components/schemas/OrderPriceBreakdown'
+ *                 payment:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/Payment'
+ *                   nullable: true
+ *                 paymentError:
+ *                   type: string
+ *                   description: 建立付款失敗時的原因
+ *       400:
+ *         description: 尚未到可續約期間
+ *       403:
+ *         description: 信箱尚未驗證
+ *       404:
+ *         description: 找不到該年卡，或方案不存在或已停售
+ *       409:
+ *         description: 年卡未啟用，或已有待付款的續約
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.post('/:passNumber/renew', checkLogin(false), requireVerifiedEmail, async (req, res) => {
+    const { passNumber } = req.params;
+
+    let conn;
+    try {
+        conn = await pool.getConnection();
+        await conn.beginTransaction();
+
+        const pass = await findOwnPass(conn, passNumber, req.userId, true);
+        if (!pass) {
+            await conn.rollback();
+            return res.status(404).json({ error: '找不到該年卡' });
+        }
+        if (pass.status !== 'active') {
+            await conn.rollback();
+            return res.status(409).json({ error: '此年卡未啟用或已停用，請聯繫客服' });
+        }
+        const [pending] = await conn.query(
+            `SELECT orderNumber FROM passRenewals WHERE passId = ? AND status = 'pending'`,
+            [pass.id]
+        );
+        if (pending.length > 0) {
+            await conn.rollback();
+            return res.status(409).json({ error: '此年卡已有待付款的續約，請先完成付款', orderNumber: pending[0].orderNumber });
+        }
+
+        const [plans] = await conn.query(
+            'SELECT id, durationMonths, price FROM passPlans WHERE id = ? AND active = 1',
+            [req.body.planId || pass.planId]
+        );
+        if (plans.length === 0) {
+            await conn.rollback();
+            return res.status(404).json({ error: '找不到該方案或已停售' });
+        }
+
+        const plan = plans[0];
+        const period = getRenewalPeriod(pass, plan.durationMonths);
+        if (period.error) {
+            await conn.rollback();
+            return res.status(400).json({ error: period.error });
+        }
+
+        // 已過期的年卡從今天重新起算，未過期則接續原本的有效期間；付款後才套用到年卡
+        const startDate = pass.endDate < formatLocalDate(new Date()) ? period.startDate : pass.startDate;
+        const { orderNumber, paymentExpiresAt } = await createPendingOrder(conn, req.userId);
+        await conn.query(
+            `INSERT INTO passRenewals
+              (passId, orderNumber, planId, fromPlanId, fromStartDate, fromEndDate, toStartDate, toEndDate, price, status, createdAt)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending', NOW())`,
+            [pass.id, orderNumber, plan.id, pass.planId, pass.startDate, pass.endDate, startDate, period.endDate, plan.price]
+        );
+        const totals = calculateOrderTotals({ productSubtotal: 0, passSubtotal: Number(plan.price) });
+        await saveOrderTotals(conn, orderNumber, totals);
+        await conn.commit();
+
+        const { payment, paymentError } = await createOrderPayment(conn, orderNumber);
+        res.status(201).json({
+            message: '年卡續約訂購成功，請於期限內完成付款',
+            orderNumber,
+            paymentExpiresAt,
+            price: Number(plan.price),
+            startDate,
+            endDate: period.endDate,
+            pass: withPassInfo(pass),
+            priceBreakdown: totals,
+            payment,
+            paymentError
+        });
+    } catch (err) {
+        if (conn) await conn.rollback();
+        res.status(500).json({ error: err.message });
+    } finally {
+        if (conn) conn.release();
+    }
+});
+
+// 取得年卡入園代碼的 QR Code
+/**
+ * @openapi
+ * /passes/{passNumber}/qr:
+ *   get:
+ *     summary: 取得年卡入園代碼的 QR Code
+ *     description: 只能取得自己的年卡，預設回傳 SVG
+ *     tags: [Passes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: passNumber
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [svg, png]
+ *           default: svg
+ *     responses:
+ *       200:
+ *         description: QR Code 圖片
+ *         content:
+ *           image/svg+xml:
+ *             schema:
+ *               type: string
+ *           image/png:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: 格式參數錯誤
+ *       404:
+ *         description: 找不到該年卡
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.get('/:passNumber/qr', checkLogin(false), async (req, res) => {
+    const { passNumber } = req.params;
+    const { format = 'svg' } = req.query;
+
+    if (!['svg', 'png'].includes(format)) {
+        return res.status(400).json({ error: 'format 只能是 svg 或 png' });
+    }
+
+    let conn;
+    try {
+        conn = await pool.getConnection();
+        const pass = await findOwnPass(conn, passNumber, req.userId);
+        if (!pass) {
+            return res.status(404).json({ error: '找不到該年卡' });
+        }
+
+        const code = createPassCode(pass.passNumber);
+        if (format === 'png') {
+            res.type('png').send(await QRCode.toBuffer(code, { margin: 2, width: 300 }));
+        } else {
+            res.type('image/svg+xml').send(await QRCode.toString(code, { type: 'svg', margin: 2 }));
+        }
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    } finally {
+        if (conn) conn.release();
+    }
+});
+
+// 查詢年卡入園紀錄
+/**
+ * @openapi
+ * /passes/{passNumber}/visits:
+ *   get:
+ *     summary: 查詢年卡入園紀錄
+ *     tags: [Passes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: passNumber
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 入園紀錄，由新到舊
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   visitDate:
+ *                     type: string
+ *                     example: "2025-08-01"
+ *                   visitedAt:
+ *                     type: string
+ *                     example: "2025-08-01 10:15:00"
+ *       404:
+ *         description: 找不到該年卡
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.get('/:passNumber/visits', checkLogin(false), async (req, res) => {
+    let conn;
+    try {
+        conn = await pool.getConnection();
+        const pass = await findOwnPass(conn, req.params.passNumber, req.userId);
+        if (!pass) {
+            return res.status(404).json({ error: '找不到該年卡' });
+        }
+
+        const [rows] = await conn.query(
+            `SELECT DATE_FORMAT(visitDate, '%Y-%m-%d') AS visitDate,
+                    DATE_FORMAT(visitedAt, '%Y-%m-%d %H:%i:%s') AS visitedAt
+             FROM passVisits
+             WHERE passId = ?
+             ORDER BY visitedAt DESC`,
+            [pass.id]
+        );
+        res.json(rows);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    } finally {
+        if (conn) conn.release();
+    }
+});
+
+module.exports = router;
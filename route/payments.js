@@ -0,0 +1,417 @@
+const express = require('express');
+const pool = require('../db');
+const {checkLogin} = require('../middlewares/authMiddleware');
+const { loadPermissions } = require('../middlewares/requirePermission');
+const { hasPermission } = require('../utils/permissions');
+const { MOCK_PAYMENT_ENABLED, PAYMENT_COLUMNS, getProvider, createPayment, handlePaymentEvent } = require('../utils/payments');
+
+const router = express.Router();
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     Payment:
+ *       type: object
+ *       properties:
+ *         paymentId:
+ *           type: integer
+ *         orderNumber:
+ *           type: string
+ *           example: "123456789"
+ *         provider:
+ *           type: string
+ *           example: "mock"
+ *         providerRef:
+ *           type: string
+ *           description: 金流服務的付款編號
+ *           example: "mock_3f9a1c0b7d2e4a6f8b1c3d5e"
+ *         amount:
+ *           type: number
+ *           example: 2498
+ *         status:
+ *           type: string
+ *           enum: [pending, paid, failed, expired, refund_required]
+ *           description: pending = 待付款、paid = 已付款、failed = 付款失敗、expired = 逾時未付款、refund_required = 訂單已取消才收到付款，需人工退款
+ *         paymentUrl:
+ *           type: string
+ *           description: 付款頁網址，請將使用者導向此網址付款
+ *           example: "/payments/mock/mock_3f9a1c0b7d2e4a6f8b1c3d5e"
+ *         failureReason:
+ *           type: string
+ *           nullable: true
+ *         paidAt:
+ *           type: string
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *         expiresAt:
+ *           type: string
+ *           description: 訂單付款期限，超過後訂單自動取消
+ *           example: "2025-08-01 14:30:00"
+ */
+
+// 驗證並處理金流服務的付款通知
+async function receiveEvent(providerName, rawBody, headers) {
+    const provider = getProvider(providerName);
+    if (!provider) {
+        const err = new Error('不支援的金流服務');
+        err.status = 404;
+        throw err;
+    }
+    const event = provider.verifyWebhook(rawBody, headers);
+    if (!event) {
+        const err = new Error('付款通知簽章驗證失敗');
+        err.status = 400;
+        throw err;
+    }
+
+    let conn;
+    try {
+        conn = await pool.getConnection();
+        await conn.beginTransaction();
+        const result = await handlePaymentEvent(conn, provider.name, event);
+        await conn.commit();
+        return result;
+    } catch (err) {
+        if (conn) await conn.rollback();
+        throw err;
+    } finally {
+        if (conn) conn.release();
+    }
+}
+
+// 為訂單建立付款
+/**
+ * @openapi
+ * /payments/orders/{orderNumber}:
+ *   post:
+ *     summary: 為訂單建立付款
+ *     description: |
+ *       購物車結帳後會自動建立付款，付款失敗或付款頁遺失時可用此 API 重新取得付款頁網址。
+ *       已有未完成的付款時直接回傳該筆付款；只能為自己的 待付款 訂單建立付款。
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderNumber
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       201:
+ *         description: 付款資料
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Payment'
+ *       404:
+ *         description: 找不到該訂單
+ *       409:
+ *         description: 訂單不是待付款狀態，或已超過付款期限
+ *       502:
+ *         description: 金流服務建立付款失敗
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.post('/orders/:orderNumber', checkLogin(false), async (req, res) => {
+    const { orderNumber } = req.params;
+    let conn;
+    try {
+        conn = await pool.getConnection();
+        const [orders] = await conn.query(
+            'SELECT 1 FROM orderCustomers WHERE orderNumber = ? AND userId = ?',
+            [orderNumber, req.userId]
+        );
+        if (orders.length === 0) {
+            return res.status(404).json({ error: '找不到該訂單' });
+        }
+
+        const payment = await createPayment(conn, orderNumber);
+        res.status(201).json(payment);
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ error: err.message });
+        }
+        res.status(500).json({ error: err.message });
+    } finally {
+        if (conn) conn.release();
+    }
+});
+
+// 查詢訂單的付款紀錄
+/**
+ * @openapi
+ * /payments/orders/{orderNumber}:
+ *   get:
+ *     summary: 查詢訂單的付款紀錄
+ *     description: 一般會員只能查詢自己的訂單；有 orders:read 權限者可查詢所有訂單。
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderNumber
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 訂單狀態與付款紀錄(由新到舊)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 orderNumber:
+ *                   type: string
+ *                 status:
+ *                   type: string
+ *                   example: "待付款"
+ *                 paymentExpiresAt:
+ *                   type: string
+ *                   nullable: true
+ *                 payments:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Payment'
+ *       403:
+ *         description: 權限不足
+ *       404:
+ *         description: 找不到該訂單
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.get('/orders/:orderNumber', checkLogin(false), async (req, res) => {
+    const { orderNumber } = req.params;
+    let conn;
+    try {
+        const canReadAll = hasPermission(await loadPermissions(req), 'orders:read');
+        conn = await pool.getConnection();
+
+        const [orders] = await conn.query(
+            `SELECT userId, status, DATE_FORMAT(paymentExpiresAt, '%Y-%m-%d %H:%i:%s') AS paymentExpiresAt
+             FROM orderCustomers WHERE orderNumber = ?`,
+            [orderNumber]
+        );
+        if (orders.length === 0) {
+            return res.status(404).json({ error: '找不到該訂單' });
+        }
+        if (!canReadAll && orders[0].userId !== req.userId) {
+            return res.status(403).json({ error: '權限不足' });
+        }
+
+        const [payments] = await conn.query(
+            `SELECT ${PAYMENT_COLUMNS} FROM payments WHERE orderNumber = ? ORDER BY id DESC`,
+            [orderNumber]
+        );
+        res.json({
+            orderNumber,
+            status: orders[0].status,
+            paymentExpiresAt: orders[0].paymentExpiresAt,
+            payments: payments.map(payment => ({ ...payment, amount: Number(payment.amount) }))
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    } finally {
+        if (conn) conn.release();
+    }
+});
+
+// 金流服務付款通知
+/**
+ * @openapi
+ * /payments/webhook/{provider}:
+ *   post:
+ *     summary: 金流服務付款通知(webhook)
+ *     description: |
+ *       由金流服務呼叫，不需登入，以各金流服務的簽章驗證通知來源。
+ *       付款成功時訂單改為 已付款，同一筆付款重複通知不會重複處理。
+ *       mock 服務的簽章為 x-mock-signature 標頭，內容為請求本文以 PAYMENT_WEBHOOK_SECRET 做 HMAC-SHA256 的十六進位字串。
+ *     tags: [Payments]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: mock
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             description: 依各金流服務格式，以下為 mock 服務
+ *             properties:
+ *               providerRef:
+ *                 type: string
+ *               result:
+ *                 type: string
+ *                 enum: [paid, failed]
+ *               amount:
+ *                 type: number
+ *               reason:
+ *                 type: string
+ *                 description: 付款失敗原因
+ *     responses:
+ *       200:
+ *         description: 已收到通知
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 received:
+ *                   type: boolean
+ *                   example: true
+ *                 orderNumber:
+ *                   type: string
+ *                 status:
+ *                   type: string
+ *                   description: 處理後的付款狀態
+ *                   example: "paid"
+ *                 duplicate:
+ *                   type: boolean
+ *                   description: 是否為已處理過的重複通知
+ *       400:
+ *         description: 簽章驗證失敗或付款結果錯誤
+ *       404:
+ *         description: 不支援的金流服務或找不到該筆付款
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.post('/webhook/:provider', async (req, res) => {
+    try {
+        const result = await receiveEvent(req.params.provider, req.rawBody, req.headers);
+        res.json({ received: true, ...result });
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ error: err.message });
+        }
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// 模擬金流付款頁
+/**
+ * @openapi
+ * /payments/mock/{providerRef}:
+ *   get:
+ *     summary: 模擬金流付款頁
+ *     description: 僅在 PAYMENT_PROVIDER 為 mock 且 NODE_ENV 不是 production 時開放，供本地測試付款流程，回傳付款金額與狀態。
+ *     tags: [Payments]
+ *     parameters:
+ *       - in: path
+ *         name: providerRef
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 付款資料
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Payment'
+ *       404:
+ *         description: 找不到該筆付款，或未開放 mock 金流
+ *       500:
+ *         description: 伺服器錯誤
+ */
+async function showMockPayment(req, res) {
+    let conn;
+    try {
+        conn = await pool.getConnection();
+        const [payments] = await conn.query(
+            `SELECT ${PAYMENT_COLUMNS} FROM payments WHERE provider = 'mock' AND providerRef = ?`,
+            [req.params.providerRef]
+        );
+        if (payments.length === 0) {
+            return res.status(404).json({ error: '找不到該筆付款' });
+        }
+        res.json({ ...payments[0], amount: Number(payments[0].amount) });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    } finally {
+        if (conn) conn.release();
+    }
+}
+
+// 模擬付款
+/**
+ * @openapi
+ * /payments/mock/{providerRef}:
+ *   post:
+ *     summary: 模擬付款
+ *     description: |
+ *       僅在 PAYMENT_PROVIDER 為 mock 且 NODE_ENV 不是 production 時開放。模擬使用者在付款頁完成或放棄付款，
+ *       會產生帶有簽章的付款通知，並與正式金流相同經由 webhook 的簽章驗證與處理流程。
+ *     tags: [Payments]
+ *     parameters:
+ *       - in: path
+ *         name: providerRef
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               result:
+ *                 type: string
+ *                 enum: [paid, failed]
+ *                 default: paid
+ *               reason:
+ *                 type: string
+ *                 description: 模擬付款失敗的原因
+ *                 example: "信用卡授權失敗"
+ *     responses:
+ *       200:
+ *         description: 付款通知處理結果，格式同 webhook
+ *       400:
+ *         description: 付款結果錯誤
+ *       404:
+ *         description: 找不到該筆付款，或未開放 mock 金流
+ *       500:
+ *         description: 伺服器錯誤
+ */
+async function submitMockPayment(req, res) {
+    const { providerRef } = req.params;
+    const { result = 'paid', reason } = req.body || {};
+
+    let conn;
+    try {
+        conn = await pool.getConnection();
+        const [payments] = await conn.query(
+            `SELECT amount FROM payments WHERE provider = 'mock' AND providerRef = ?`,
+            [providerRef]
+        );
+        if (payments.length === 0) {
+            return res.status(404).json({ error: '找不到該筆付款' });
+        }
+
+        // 與金流服務相同，產生簽章後的通知交給 webhook 流程處理
+        const event = getProvider('mock').buildEvent({ providerRef, result, amount: Number(payments[0].amount), reason });
+        const handled = await receiveEvent('mock', Buffer.from(event.body), event.headers);
+        res.json({ received: true, ...handled });
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ error: err.message });
+        }
+        res.status(500).json({ error: err.message });
+    } finally {
+        if (conn) conn.release();
+    }
+}
+
+// 模擬金流只在明確設定 PAYMENT_PROVIDER=mock 的非正式環境開放，否則不建立這兩個路由
+if (MOCK_PAYMENT_ENABLED) {
+    router.get('/mock/:providerRef', showMockPayment);
+    router.post('/mock/:providerRef', submitMockPayment);
+}
+
+module.exports = router;
@@ -1,19 +1,542 @@
 const express = require('express');
+const QRCode = require('qrcode');
 const pool = require('../db');
 const {checkLogin} = require('../middlewares/authMiddleware');
+const requireVerifiedEmail = require('../middlewares/requireVerifiedEmail');
+const { requirePermission, loadPermissions } = require('../middlewares/requirePermission');
+const { hasPermission } = require('../utils/permissions');
+const { isValidDate, checkDateRange, getAvailability, reserveCapacity, releaseCapacity } = require('../utils/ticketCapacity');
+const { getCalendar, checkVisitDate, formatLocalDate, formatLocalTime } = require('../utils/parkCalendar');
+const { quoteTicketPrice } = require('../utils/ticketPricing');
+const { issueTicketCodes, verifyTicketCode, verifyPassCode } = require('../utils/ticketCodes');
+const { createTicketOrder, getChangeDeadline, checkOrderChangeable, recordOrderChange, refundTicketTopUps } = require('../utils/ticketOrders');
+const { getSlotAvailability, reserveSlot, releaseSlot, checkSlotWindow } = require('../utils/ticketSlots');
+const { recordPassVisit } = require('../utils/passes');
+const { createPendingOrder, createPayment } = require('../utils/payments');
+const { calculateOrderTotals, saveOrderTotals, recordOrderRefund } = require('../utils/orderTotals');
 
 const router = express.Router();
 
+// 票券訂單查詢欄位
+const TICKET_ORDER_COLUMNS = `
+  t.ticketNumber, t.orderNumber,
+  DATE_FORMAT(t.selectedData, '%Y-%m-%d') AS visitDate,
+  TIME_FORMAT(t.slotTime, '%H:%i') AS slot,
+  DATE_FORMAT(t.checkTime, '%Y-%m-%d %H:%i:%s') AS checkTime,
+  t.userId, t.ticketId, tk.name AS ticketName, tk.ageCategory,
+  t.qty, t.unitPrice, t.totalPrice, t.status,
+  DATE_FORMAT(t.cancelledAt, '%Y-%m-%d %H:%i:%s') AS cancelledAt,
+  t.refundAmount, t.paymentNote,
+  (SELECT COUNT(*) FROM ticketCodes tc WHERE tc.ticketNumber = t.ticketNumber AND tc.usedAt IS NOT NULL) AS usedCount,
+  (SELECT l.bookingId FROM groupBookingLines l WHERE l.ticketNumber = t.ticketNumber LIMIT 1) AS groupBookingId,
+  (SELECT r.orderNumber FROM ticketReschedules r WHERE r.ticketNumber = t.ticketNumber AND r.status = 'pending' LIMIT 1) AS pendingTopUpOrderNumber`;
+
+// 加上可取消、改期的期限
+function withChangeInfo(order) {
+  const deadline = getChangeDeadline(order.visitDate);
+  return {
+    ...order,
+    changeDeadline: `${formatLocalDate(deadline)} ${formatLocalTime(deadline)}`,
+    changeable: checkOrderChangeable(order) === null
+  };
+}
+
+// 鎖定並取得會員自己的票券訂單(需在交易中呼叫)
+async function findOwnOrderForUpdate(conn, ticketNumber, userId) {
+  const [rows] = await conn.query(
+    `SELECT ${TICKET_ORDER_COLUMNS}
+     FROM ticketsOrders t
+     LEFT JOIN tickets tk ON tk.id = t.ticketId
+     WHERE t.ticketNumber = ? AND t.userId = ?
+     FOR UPDATE`,
+    [ticketNumber, userId]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     Ticket:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 1
+ *         name:
+ *           type: string
+ *           example: "全票"
+ *         description:
+ *           type: string
+ *           example: "12 歲以上適用"
+ *         ageCategory:
+ *           type: string
+ *           enum: [adult, child, student, senior, infant]
+ *         basePrice:
+ *           type: number
+ *           example: 650
+ *         slotIntervalMinutes:
+ *           type: integer
+ *           nullable: true
+ *           description: 有值代表需選擇入園時段，每個時段的分鐘數
+ *           example: 30
+ *         slotCapacity:
+ *           type: integer
+ *           nullable: true
+ *           description: 每個時段的人數上限
+ *           example: 200
+ *         active:
+ *           type: integer
+ *           description: 後台列表才有此欄位
+ *           example: 1
+ *         imgUrl:
+ *           type: string
+ *           example: "/uploads/tickets/img_a1b2c3.png"
+ *     TicketOrder:
+ *       type: object
+ *       properties:
+ *         ticketNumber:
+ *           type: string
+ *           example: "T7K3M9Q2XA4"
+ *         orderNumber:
+ *           type: string
+ *           nullable: true
+ *           description: 所屬訂單編號，付款請使用 POST /payments/orders/{orderNumber}
+ *           example: "123456789"
+ *         visitDate:
+ *           type: string
+ *           example: "2025-08-01"
+ *         slot:
+ *           type: string
+ *           nullable: true
+ *           description: 入園時段
+ *           example: "10:30"
+ *         checkTime:
+ *           type: string
+ *           description: 訂購時間
+ *           example: "2025-07-20 14:30:00"
+ *         userId:
+ *           type: integer
+ *         ticketId:
+ *           type: integer
+ *         ticketName:
+ *           type: string
+ *           example: "全票"
+ *         ageCategory:
+ *           type: string
+ *           example: "adult"
+ *         qty:
+ *           type: integer
+ *           example: 2
+ *         unitPrice:
+ *           type: number
+ *           description: 一般票價
+ *           example: 750
+ *         totalPrice:
+ *           type: number
+ *           description: 已付金額，使用年卡會員價時其中一張以會員價計算；改期補繳的差額付款後也計入
+ *           example: 1500
+ *         status:
+ *           type: string
+ *           enum: [待付款, 已付款, 已取消]
+ *           description: 待付款 為訂單尚未付款，付款前不可入園、取消或改期
+ *         cancelledAt:
+ *           type: string
+ *           nullable: true
+ *         refundAmount:
+ *           type: number
+ *           nullable: true
+ *           description: 累計退款金額(改期退還的差額與取消退款)，totalPrice 為原本已付的金額
+ *         paymentNote:
+ *           type: string
+ *           nullable: true
+ *           description: 未經線上金流付款時的付款方式，例如團體預約線下付款
+ *         usedCount:
+ *           type: integer
+ *           description: 已驗票入園人數
+ *         groupBookingId:
+ *           type: integer
+ *           nullable: true
+ *           description: 由團體預約轉單的票券所屬的團體預約編號，這類票券不可自行取消或改期，需由管理員透過團體預約處理
+ *         pendingTopUpOrderNumber:
+ *           type: string
+ *           nullable: true
+ *           description: 改期到票價較高的日期時，尚未付款的補差額訂單編號；付款前不可再取消或改期
+ *         changeDeadline:
+ *           type: string
+ *           description: 可取消、改期的期限
+ *           example: "2025-07-31 00:00"
+ *         changeable:
+ *           type: boolean
+ */
+
+// 取得販售中的票種
+/**
+ * @openapi
+ * /tickets:
+ *   get:
+ *     summary: 取得販售中的票種
+ *     description: 列出目前可購買的票種與基本票價，停售的票種不會出現
+ *     tags: [Tickets]
+ *     responses:
+ *       200:
+ *         description: 票種列表
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Ticket'
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.get('/', async (req, res) => {
+    let conn;
+    try {
+        conn = await pool.getConnection();
+        const [rows] = await conn.query(
+            `SELECT id, name, description, ageCategory, basePrice, imgUrl, slotIntervalMinutes, slotCapacity
+             FROM tickets
+             WHERE active = 1
+             ORDER BY id ASC`
+        );
+        res.json(rows);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    } finally {
+        if (conn) conn.release();
+    }
+});
+
+// 查詢每日剩餘名額
+/**
+ * @openapi
+ * /tickets/availability:
+ *   get:
+ *     summary: 查詢每日剩餘名額
+ *     description: |
+ *       供訂票日曆使用，回傳區間內每一天的入園上限、已售出與剩餘張數，區間最多 92 天。
+ *       指定需選擇時段的票種(ticketId)時，另外回傳該票種每個時段的名額。
+ *     tags: [Tickets]
+ *     parameters:
+ *       - in: query
+ *         name: ticketId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *           example: "2025-08-01"
+ *       - in: query
+ *         name: to
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *           example: "2025-08-31"
+ *     responses:
+ *       200:
+ *         description: 每日名額
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   date:
+ *                     type: string
+ *                     example: "2025-08-01"
+ *                   capacity:
+ *                     type: integer
+ *                     example: 2000
+ *                   sold:
+ *                     type: integer
+ *                     example: 1850
+ *                   remaining:
+ *                     type: integer
+ *                     example: 150
+ *                   note:
+ *                     type: string
+ *                     nullable: true
+ *                   slots:
+ *                     type: array
+ *                     description: 指定分時段票種時才有此欄位，休園日為空陣列；當天已開始超過寬限時間的時段不列出
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         slot:
+ *                           type: string
+ *                           example: "10:30"
+ *                         capacity:
+ *                           type: integer
+ *                           example: 200
+ *                         sold:
+ *                           type: integer
+ *                           example: 180
+ *                         remaining:
+ *                           type: integer
+ *                           example: 20
+ *       400:
+ *         description: 日期格式錯誤或區間過長
+ *       404:
+ *         description: 找不到該票種或已停售
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.get('/availability', async (req, res) => {
+    const { from, to, ticketId } = req.query;
+    const rangeError = checkDateRange(from, to);
+    if (rangeError) {
+        return res.status(400).json({ error: rangeError });
+    }
+
+    let conn;
+    try {
+        conn = await pool.getConnection();
+        const days = await getAvailability(conn, from, to);
+        if (!ticketId) {
+            return res.json(days);
+        }
+
+        const [tickets] = await conn.query(
+            'SELECT id, slotIntervalMinutes, slotCapacity FROM tickets WHERE id = ? AND active = 1',
+            [ticketId]
+        );
+        if (tickets.length === 0) {
+            return res.status(404).json({ error: '找不到該票種或已停售' });
+        }
+        if (!tickets[0].slotIntervalMinutes) {
+            return res.json(days);
+        }
+
+        const slots = await getSlotAvailability(conn, tickets[0], from, to);
+        res.json(days.map(day => ({ ...day, slots: slots[day.date] || [] })));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    } finally {
+        if (conn) conn.release();
+    }
+});
+
+// 查詢園區營運日曆
+/**
+ * @openapi
+ * /tickets/calendar:
+ *   get:
+ *     summary: 查詢園區營運日曆
+ *     description: 回傳區間內每天是否營業、營業時間、是否為假日與當日活動，前端可用來將休園日反灰，區間最多 92 天
+ *     tags: [Tickets]
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *           example: "2025-08-01"
+ *       - in: query
+ *         name: to
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *           example: "2025-08-31"
+ *     responses:
+ *       200:
+ *         description: 每日營運狀態
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   date:
+ *                     type: string
+ *                     example: "2025-08-01"
+ *                   weekday:
+ *                     type: integer
+ *                     description: 0 = 星期日 ... 6 = 星期六
+ *                     example: 5
+ *                   open:
+ *                     type: boolean
+ *                   openTime:
+ *                     type: string
+ *                     nullable: true
+ *                     example: "09:00"
+ *                   closeTime:
+ *                     type: string
+ *                     nullable: true
+ *                     example: "21:00"
+ *                   isHoliday:
+ *                     type: boolean
+ *                   event:
+ *                     type: string
+ *                     nullable: true
+ *                     example: "夏日夜間開放"
+ *                   note:
+ *                     type: string
+ *                     nullable: true
+ *       400:
+ *         description: 日期格式錯誤或區間過長
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.get('/calendar', async (req, res) => {
+    const { from, to } = req.query;
+    const rangeError = checkDateRange(from, to);
+    if (rangeError) {
+        return res.status(400).json({ error: rangeError });
+    }
+
+    let conn;
+    try {
+        conn = await pool.getConnection();
+        res.json(await getCalendar(conn, from, to));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    } finally {
+        if (conn) conn.release();
+    }
+});
+
+// 試算票價
+/**
+ * @openapi
+ * /tickets/quote:
+ *   get:
+ *     summary: 試算票價
+ *     description: 依入園日期套用票價規則(週末、國定假日、旺季、早鳥)，回傳購買前的單價與總價。不含年卡會員折扣，會員折扣於訂購時計算。
+ *     tags: [Tickets]
+ *     parameters:
+ *       - in: query
+ *         name: ticketId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *       - in: query
+ *         name: date
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *           example: "2025-08-01"
+ *       - in: query
+ *         name: qty
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *     responses:
+ *       200:
+ *         description: 試算結果
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 ticketId:
+ *                   type: integer
+ *                   example: 1
+ *                 date:
+ *                   type: string
+ *                   example: "2025-08-01"
+ *                 qty:
+ *                   type: integer
+ *                   example: 2
+ *                 basePrice:
+ *                   type: number
+ *                   example: 650
+ *                 unitPrice:
+ *                   type: number
+ *                   example: 750
+ *                 totalPrice:
+ *                   type: number
+ *                   example: 1500
+ *                 appliedRules:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                       name:
+ *                         type: string
+ *                         example: "週末加價"
+ *                       ruleType:
+ *                         type: string
+ *                         example: "weekend"
+ *                       adjustment:
+ *                         type: number
+ *                         example: 100
+ *       400:
+ *         description: 缺少必要欄位、日期已過或當日休園
+ *       404:
+ *         description: 找不到該票種或已停售
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.get('/quote', async (req, res) => {
+    const { ticketId, date, qty = 1 } = req.query;
+
+    if (!ticketId || !isValidDate(date)) {
+        return res.status(400).json({ error: '請提供票種ID與正確的日期(YYYY-MM-DD)' });
+    }
+    if (!Number.isInteger(Number(qty)) || Number(qty) <= 0) {
+        return res.status(400).json({ error: '數量必須為正整數' });
+    }
+
+    let conn;
+    try {
+        conn = await pool.getConnection();
+        const [tickets] = await conn.query('SELECT id, basePrice FROM tickets WHERE id = ? AND active = 1', [ticketId]);
+        if (tickets.length === 0) {
+            return res.status(404).json({ error: '找不到該票種或已停售' });
+        }
+
+        const dateError = await checkVisitDate(conn, date);
+        if (dateError) {
+            return res.status(400).json({ error: dateError });
+        }
+
+        const quote = await quoteTicketPrice(conn, tickets[0], date, { qty: Number(qty) });
+        res.json({
+            ticketId: tickets[0].id,
+            date,
+            qty: Number(qty),
+            basePrice: quote.basePrice,
+            unitPrice: quote.unitPrice,
+            totalPrice: quote.totalPrice,
+            appliedRules: quote.appliedRules
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    } finally {
+        if (conn) conn.release();
+    }
+});
+
 // 訂購票券
 /**
  * @openapi
  * /tickets/orders:
  *   post:
  *     summary: 訂購票券
- *     description: 會員可透過此 API 訂購票券
+ *     description: |
+ *       會員可透過此 API 訂購票券，需先完成信箱驗證。不可選擇過去日期或休園日，當日或時段名額不足時回傳 409。
+ *       需選擇時段的票種請傳入 slot。票價依 GET /tickets/quote 相同規則計算並記錄在訂單上。
+ *       持有有效年卡時，每個入園日期只有一張(持卡人本人)享有會員價，其餘以一般票價計算。
+ *       與購物車結帳相同，會建立一張只有票券的 待付款 訂單並向金流服務建立付款(payment)，名額先保留；
+ *       付款完成後票券改為 已付款 才可入園，超過 PAYMENT_EXPIRES_MINUTES 分鐘(預設 30 分鐘)未付款則自動取消並歸還名額。
+ *       建立付款失敗時 payment 為 null，可用 POST /payments/orders/{orderNumber} 重新建立付款。
  *     tags: [Tickets]
  *     security:
- *       - groupHeader: []
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -32,36 +555,983 @@ const router = express.Router();
  *                 type: string
  *                 format: date
  *                 example: "2025-08-01"
+ *               slot:
+ *                 type: string
+ *                 description: 入園時段(HH:MM)，票種有設定時段時必填，可選時段見 GET /tickets/availability
+ *                 example: "10:30"
  *               qty:
  *                 type: integer
  *                 example: 2
  *     responses:
  *       201:
  *         description: 訂購成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "票券訂購成功，請於期限內完成付款"
+ *                 orderNumber:
+ *                   type: string
+ *                   example: "123456789"
+ *                 status:
+ *                   type: string
+ *                   example: "待付款"
+ *                 paymentExpiresAt:
+ *                   type: string
+ *                   example: "2025-07-20 15:00:00"
+ *                 ticketNumber:
+ *                   type: string
+ *                   example: "T7K3M9Q2XA4"
+ *                 slot:
+ *                   type: string
+ *                   nullable: true
+ *                   example: "10:30"
+ *                 codes:
+ *                   type: array
+ *                   description: 每位入園者一組代碼，可透過 /tickets/codes/{code}/qr 取得 QR Code
+ *                   items:
+ *                     type: string
+ *                 unitPrice:
+ *                   type: number
+ *                   example: 750
+ *                 totalPrice:
+ *                   type: number
+ *                   example: 1500
+ *                 priceBreakdown:
+ *                   $ref: '#/components/schemas/OrderPriceBreakdown'
+ *                 payment:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/Payment'
+ *                   nullable: true
+ *                 paymentError:
+ *                   type: string
+ *                   description: 建立付款失敗時的原因
  *       400:
- *         description: 缺少必要欄位
+ *         description: 缺少必要欄位、日期已過、當日休園或時段錯誤
+ *       403:
+ *         description: 尚未完成信箱驗證
+ *       404:
+ *         description: 找不到該票種或已停售
+ *       409:
+ *         description: 當日或時段名額不足
  *       500:
  *         description: 伺服器錯誤
  */
-router.post('/tickets/orders', checkLogin, async (req, res) => {
-    const { ticketId, selectedDate, qty } = req.body;
+router.post('/orders', checkLogin(false), requireVerifiedEmail, async (req, res) => {
+    const { ticketId, selectedDate, slot, qty } = req.body;
     const userId = req.userId;
 
     if (!ticketId || !selectedDate || !qty) {
         return res.status(400).json({ error: '請提供票種ID、選擇日期與數量' });
     }
+    if (!isValidDate(selectedDate)) {
+        return res.status(400).json({ error: '日期格式錯誤(YYYY-MM-DD)' });
+    }
+    if (!Number.isInteger(Number(qty)) || Number(qty) <= 0) {
+        return res.status(400).json({ error: '數量必須為正整數' });
+    }
+
+    let conn;
+    try {
+        conn = await pool.getConnection();
+        await conn.beginTransaction();
+
+        // 建立只有票券的待付款訂單，以會員資料作為訂購人
+        const { orderNumber, paymentExpiresAt } = await createPendingOrder(conn, userId);
+
+        const order = await createTicketOrder(conn, {
+            userId, ticketId, selectedDate, slot, qty: Number(qty), orderNumber, status: '待付款'
+        });
+
+        const totals = calculateOrderTotals({ productSubtotal: 0, ticketSubtotal: order.totalPrice });
+        await saveOrderTotals(conn, orderNumber, totals);
+
+        await conn.commit();
+
+        // 訂單成立後才向金流服務建立付款，失敗時訂單保留，可再重新建立付款
+        let payment = null;
+        let paymentError;
+        try {
+            payment = await createPayment(conn, orderNumber);
+        } catch (err) {
+            paymentError = err.message;
+        }
+
+        res.status(201).json({
+            message: '票券訂購成功，請於期限內完成付款',
+            orderNumber,
+            status: '待付款',
+            paymentExpiresAt,
+            ticketNumber: order.ticketNumber,
+            slot: order.slot,
+            unitPrice: order.unitPrice,
+            totalPrice: order.totalPrice,
+            codes: order.codes,
+            priceBreakdown: totals,
+            payment,
+            paymentError
+        });
+    } catch (err) {
+        if (conn) await conn.rollback();
+        if (err.status === 409) {
+            return res.status(409).json({ error: err.message, remaining: err.remaining });
+        }
+        if (err.status) {
+            return res.status(err.status).json({ error: err.message });
+        }
+        res.status(500).json({ error: err.message });
+    } finally {
+        if (conn) conn.release();
+    }
+});
+
+// 查詢票券訂單
+/**
+ * @openapi
+ * /tickets/orders:
+ *   get:
+ *     summary: 查詢票券訂單
+ *     description: 一般會員只能查詢自己的訂單；有 tickets:read 權限者可用 userId 查詢指定會員
+ *     tags: [Tickets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: 票券訂單列表(依訂購時間新到舊)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/TicketOrder'
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.get('/orders', checkLogin(false), async (req, res) => {
+    const queryUserId = Number(req.query.userId);
+    let conn;
+
+    try {
+        // 有票券查詢權限者可指定 userId，一般會員強制是自己的
+        const canReadAll = hasPermission(await loadPermissions(req), 'tickets:read');
+        const targetUserId = canReadAll && queryUserId ? queryUserId : req.userId;
+
+        conn = await pool.getConnection();
+        const [rows] = await conn.query(
+            `SELECT ${TICKET_ORDER_COLUMNS}
+             FROM ticketsOrders t
+             LEFT JOIN tickets tk ON tk.id = t.ticketId
+             WHERE t.userId = ?
+             ORDER BY t.checkTime DESC`,
+            [targetUserId]
+        );
+        res.json(rows.map(withChangeInfo));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    } finally {
+        if (conn) conn.release();
+    }
+});
+
+// 查詢單筆票券訂單
+/**
+ * @openapi
+ * /tickets/orders/{ticketNumber}:
+ *   get:
+ *     summary: 查詢單筆票券訂單
+ *     description: 只能查詢自己的訂單，有 tickets:read 權限者可查詢所有訂單。附上入園代碼與異動紀錄
+ *     tags: [Tickets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: ticketNumber
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 訂單內容
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/TicketOrder'
+ *                 - type: object
+ *                   properties:
+ *                     codes:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           seq:
+ *                             type: integer
+ *                           code:
+ *                             type: string
+ *                           usedAt:
+ *                             type: string
+ *                             nullable: true
+ *                     changes:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           action:
+ *                             type: string
+ *                             enum: [cancel, reschedule]
+ *                           fromDate:
+ *                             type: string
+ *                           toDate:
+ *                             type: string
+ *                             nullable: true
+ *                           fromSlot:
+ *                             type: string
+ *                             nullable: true
+ *                           toSlot:
+ *                             type: string
+ *                             nullable: true
+ *                           priceDifference:
+ *                             type: number
+ *                           createdAt:
+ *                             type: string
+ *       404:
+ *         description: 找不到該訂單
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.get('/orders/:ticketNumber', checkLogin(false), async (req, res) => {
+    const { ticketNumber } = req.params;
+    let conn;
 
     try {
-        const conn = await pool.getConnection();
+        const canReadAll = hasPermission(await loadPermissions(req), 'tickets:read');
+
+        conn = await pool.getConnection();
+        const [rows] = await conn.query(
+            `SELECT ${TICKET_ORDER_COLUMNS}
+             FROM ticketsOrders t
+             LEFT JOIN tickets tk ON tk.id = t.ticketId
+             WHERE t.ticketNumber = ?`,
+            [ticketNumber]
+        );
+        if (rows.length === 0 || (!canReadAll && rows[0].userId !== req.userId)) {
+            return res.status(404).json({ error: '找不到該訂單' });
+        }
+
+        const [codes] = await conn.query(
+            `SELECT seq, code, DATE_FORMAT(usedAt, '%Y-%m-%d %H:%i:%s') AS usedAt
+             FROM ticketCodes
+             WHERE ticketNumber = ?
+             ORDER BY seq ASC`,
+            [ticketNumber]
+        );
+        const [changes] = await conn.query(
+            `SELECT action,
+                    DATE_FORMAT(fromDate, '%Y-%m-%d') AS fromDate,
+                    DATE_FORMAT(toDate, '%Y-%m-%d') AS toDate,
+                    TIME_FORMAT(fromSlot, '%H:%i') AS fromSlot,
+                    TIME_FORMAT(toSlot, '%H:%i') AS toSlot,
+                    priceDifference,
+                    DATE_FORMAT(createdAt, '%Y-%m-%d %H:%i:%s') AS createdAt
+             FROM ticketOrderChanges
+             WHERE ticketNumber = ?
+             ORDER BY createdAt ASC`,
+            [ticketNumber]
+        );
+
+        res.json({ ...withChangeInfo(rows[0]), codes, changes });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    } finally {
+        if (conn) conn.release();
+    }
+});
+
+// 取消票券訂單
+/**
+ * @openapi
+ * /tickets/orders/{ticketNumber}/cancel:
+ *   post:
+ *     summary: 取消票券訂單
+ *     description: |
+ *       只能取消自己的訂單，需在入園日前 TICKET_REFUND_CUTOFF_HOURS 小時(預設 24)取消，且尚無人驗票入園。
+ *       取消後名額歸還、入園代碼失效，退還已付金額(含改期補繳的差額，扣除改期時已退還的差額)；
+ *       退款先退回補差額訂單，其餘屬於訂單的票券累計於訂單的 refundedAmount(結帳時的金額明細不變)。
+ *     tags: [Tickets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: ticketNumber
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 已取消
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "訂單已取消"
+ *                 refundAmount:
+ *                   type: number
+ *                   example: 1500
+ *       404:
+ *         description: 找不到該訂單
+ *       409:
+ *         description: 已取消、尚未付款、已入園、超過異動期限，或為團體預約的票券
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.post('/orders/:ticketNumber/cancel', checkLogin(false), async (req, res) => {
+    const { ticketNumber } = req.params;
+    let conn;
+
+    try {
+        conn = await pool.getConnection();
+        await conn.beginTransaction();
+
+        const order = await findOwnOrderForUpdate(conn, ticketNumber, req.userId);
+        if (!order) {
+            await conn.rollback();
+            return res.status(404).json({ error: '找不到該訂單' });
+        }
+        const changeError = checkOrderChangeable(order);
+        if (changeError) {
+            await conn.rollback();
+            return res.status(409).json({ error: changeError });
+        }
+
+        await releaseCapacity(conn, order.visitDate, order.qty);
+        if (order.slot) {
+            await releaseSlot(conn, order.ticketId, order.visitDate, order.slot, order.qty);
+        }
+        // 改期時已退還的差額不再重複退款，refundAmount 累計後等於已付金額
+        const refundAmount = order.totalPrice === null ? null : Number(order.totalPrice) - Number(order.refundAmount || 0);
+        await conn.query(
+            `UPDATE ticketsOrders SET status = '已取消', cancelledAt = NOW(), refundAmount = totalPrice WHERE ticketNumber = ?`,
+            [ticketNumber]
+        );
+        await recordOrderChange(conn, {
+            ticketNumber,
+            userId: req.userId,
+            action: 'cancel',
+            fromDate: order.visitDate,
+            fromSlot: order.slot,
+            priceDifference: refundAmount === null ? 0 : -refundAmount
+        });
+        // 先退回改期補繳的差額，其餘屬於訂單的票券退款累計在訂單上，結帳時的金額明細不變
+        const orderRefund = await refundTicketTopUps(conn, ticketNumber, refundAmount);
+        if (order.orderNumber) {
+            await recordOrderRefund(conn, order.orderNumber, orderRefund);
+        }
+
+        await conn.commit();
+        res.json({ message: '訂單已取消', refundAmount });
+    } catch (err) {
+        if (conn) await conn.rollback();
+        res.status(500).json({ error: err.message });
+    } finally {
+        if (conn) conn.release();
+    }
+});
+
+// 票券訂單改期
+/**
+ * @openapi
+ * /tickets/orders/{ticketNumber}/reschedule:
+ *   post:
+ *     summary: 票券訂單改期
+ *     description: |
+ *       只能異動自己的訂單，期限與取消相同。新日期需營業且有足夠名額，並依新日期重新計算票價。
+ *       需選擇時段的票種須同時傳入新的 slot，也可只更換同一天的時段(票價不變)。
+ *       改期後會產生新的入園代碼，舊代碼失效。
+ *       priceDifference 為新票價與目前已付金額(扣除已退款)的差額：
+ *       - 較便宜(負數)時立即改期並退還差額，累計於票券的 refundAmount，已付金額 totalPrice 保持不變；
+ *         退還的差額先退回之前的補差額訂單，其餘屬於訂單的票券累計於訂單的 refundedAmount(結帳時的金額明細不變)。
+ *       - 較貴(正數)時回傳 201，建立金額為差額的 待付款 補差額訂單並保留新日期(時段)的名額，票券維持原本的日期與入園代碼；
+ *         付款完成後才改期、產生新的入園代碼，並將差額計入 totalPrice。付款期限過後未付款則自動取消並歸還保留的名額。
+ *         補差額付款前不可再取消或改期這張票券。
+ *     tags: [Tickets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: ticketNumber
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - selectedDate
+ *             properties:
+ *               selectedDate:
+ *                 type: string
+ *                 format: date
+ *                 example: "2025-08-15"
+ *               slot:
+ *                 type: string
+ *                 description: 新的入園時段(HH:MM)，分時段票種必填
+ *                 example: "14:00"
+ *     responses:
+ *       200:
+ *         description: 改期成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "訂單已改期"
+ *                 visitDate:
+ *                   type: string
+ *                 slot:
+ *                   type: string
+ *                   nullable: true
+ *                 totalPrice:
+ *                   type: number
+ *                   description: 原本已付的金額
+ *                 priceDifference:
+ *                   type: number
+ *                   example: -200
+ *                 refundAmount:
+ *                   type: number
+ *                   description: 本次退還的差額
+ *                   example: 200
+ *                 codes:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       201:
+ *         description: 新日期票價較高，已建立待付款的補差額訂單，付款後才完成改期
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "新日期票價較高，請於期限內支付差額，付款後完成改期"
+ *                 orderNumber:
+ *                   type: string
+ *                   description: 補差額訂單編號
+ *                   example: "123456789"
+ *                 paymentExpiresAt:
+ *                   type: string
+ *                   example: "2025-07-20 15:00:00"
+ *                 visitDate:
+ *                   type: string
+ *                   description: 付款後的入園日期
+ *                 slot:
+ *                   type: string
+ *                   nullable: true
+ *                 priceDifference:
+ *                   type: number
+ *                   example: 200
+ *                 priceBreakdown:
+ *                   $ref: '#/components/schemas/OrderPriceBreakdown'
+ *                 payment:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/Payment'
+ *                   nullable: true
+ *                 paymentError:
+ *                   type: string
+ *                   description: 建立付款失敗時的原因
+ *       400:
+ *         description: 日期格式錯誤、與原訂單相同、日期已過、當日休園或時段錯誤
+ *       404:
+ *         description: 找不到該訂單
+ *       409:
+ *         description: 已取消、尚未付款、有尚未付款的改期補差額、已入園、超過異動期限、團體預約的票券或新日期(時段)名額不足
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.post('/orders/:ticketNumber/reschedule', checkLogin(false), async (req, res) => {
+    const { ticketNumber } = req.params;
+    const { selectedDate, slot } = req.body;
+
+    if (!isValidDate(selectedDate)) {
+        return res.status(400).json({ error: '日期格式錯誤(YYYY-MM-DD)' });
+    }
+
+    let conn;
+    try {
+        conn = await pool.getConnection();
+        await conn.beginTransaction();
+
+        const order = await findOwnOrderForUpdate(conn, ticketNumber, req.userId);
+        if (!order) {
+            await conn.rollback();
+            return res.status(404).json({ error: '找不到該訂單' });
+        }
+        const changeError = checkOrderChangeable(order);
+        if (changeError) {
+            await conn.rollback();
+            return res.status(409).json({ error: changeError });
+        }
+        const [[ticket]] = await conn.query(
+            'SELECT id, basePrice, slotIntervalMinutes, slotCapacity FROM tickets WHERE id = ?',
+            [order.ticketId]
+        );
+        const newSlot = ticket.slotIntervalMinutes ? slot : null;
+        const sameDate = order.visitDate === selectedDate;
+        if (sameDate && (!ticket.slotIntervalMinutes || order.slot === newSlot)) {
+            await conn.rollback();
+            return res.status(400).json({ error: '新日期、時段與原訂單相同' });
+        }
+        const dateError = await checkVisitDate(conn, selectedDate);
+        if (dateError) {
+            await conn.rollback();
+            return res.status(400).json({ error: dateError });
+        }
+
+        // 只換同一天的時段(或舊訂單沒有記錄票價)時不計差額
+        // 新日期重新判斷會員價，這張訂單原本的會員價不算已用過
+        const paidAmount = Number(order.totalPrice || 0) - Number(order.refundAmount || 0);
+        const quote = sameDate || order.totalPrice === null
+            ? null
+            : await quoteTicketPrice(conn, ticket, selectedDate, { userId: req.userId, qty: order.qty, excludeTicketNumber: ticketNumber });
+        const newTotalPrice = quote ? quote.totalPrice : paidAmount;
+        const priceDifference = newTotalPrice - paidAmount;
+        if (priceDifference > 0) {
+            // 新票價較高：先保留新日期(時段)的名額，另建補差額訂單，付款後才套用改期
+            await reserveCapacity(conn, selectedDate, order.qty);
+            if (ticket.slotIntervalMinutes) {
+                await reserveSlot(conn, ticket, selectedDate, newSlot, order.qty);
+            }
+            const { orderNumber, paymentExpiresAt } = await createPendingOrder(conn, req.userId);
+            await conn.query(
+                `INSERT INTO ticketReschedules
+                  (ticketNumber, orderNumber, userId, fromDate, fromSlot, toDate, toSlot, priceDifference, memberPassId, status, createdAt)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending', NOW())`,
+                [ticketNumber, orderNumber, req.userId, order.visitDate, order.slot, selectedDate, newSlot, priceDifference, quote.memberPassId]
+            );
+            const totals = calculateOrderTotals({ productSubtotal: 0, ticketSubtotal: priceDifference });
+            await saveOrderTotals(conn, orderNumber, totals);
+            await conn.commit();
+
+            let payment = null;
+            let paymentError;
+            try {
+                payment = await createPayment(conn, orderNumber);
+            } catch (err) {
+                paymentError = err.message;
+            }
+            return res.status(201).json({
+                message: '新日期票價較高，請於期限內支付差額，付款後完成改期',
+                orderNumber,
+                paymentExpiresAt,
+                visitDate: selectedDate,
+                slot: newSlot,
+                priceDifference,
+                priceBreakdown: totals,
+                payment,
+                paymentError
+            });
+        }
+
+        if (!sameDate) {
+            await reserveCapacity(conn, selectedDate, order.qty);
+            await releaseCapacity(conn, order.visitDate, order.qty);
+        }
+        if (ticket.slotIntervalMinutes) {
+            await reserveSlot(conn, ticket, selectedDate, newSlot, order.qty);
+            if (order.slot) {
+                await releaseSlot(conn, order.ticketId, order.visitDate, order.slot, order.qty);
+            }
+        }
+
+        // 已付金額 totalPrice 不變，退還的差額累計於 refundAmount
+        const refundAmount = -priceDifference;
         await conn.query(
-            'INSERT INTO ticketsOrders (ticketNumber, selectedData, checkTime, userId, ticketId, qty) VALUES (?, ?, NOW(), ?, ?, ?)',
-            [Math.floor(Math.random() * 1000000), selectedDate, userId, ticketId, qty]
+            `UPDATE ticketsOrders
+             SET selectedData = ?, slotTime = ?, refundAmount = IF(? > 0, COALESCE(refundAmount, 0) + ?, refundAmount),
+                 memberPassId = IF(?, ?, memberPassId)
+             WHERE ticketNumber = ?`,
+            [selectedDate, newSlot, refundAmount, refundAmount, quote ? 1 : 0, quote ? quote.memberPassId : null, ticketNumber]
         );
-        conn.release();
+        await conn.query('DELETE FROM ticketCodes WHERE ticketNumber = ?', [ticketNumber]);
+        const codes = await issueTicketCodes(conn, ticketNumber, selectedDate, order.qty);
+        await recordOrderChange(conn, {
+            ticketNumber,
+            userId: req.userId,
+            action: 'reschedule',
+            fromDate: order.visitDate,
+            toDate: selectedDate,
+            fromSlot: order.slot,
+            toSlot: newSlot,
+            priceDifference
+        });
+        const orderRefund = await refundTicketTopUps(conn, ticketNumber, refundAmount);
+        if (order.orderNumber) {
+            await recordOrderRefund(conn, order.orderNumber, orderRefund);
+        }
+
+        await conn.commit();
+        res.json({
+            message: '訂單已改期',
+            visitDate: selectedDate,
+            slot: newSlot,
+            totalPrice: order.totalPrice === null ? null : Number(order.totalPrice),
+            priceDifference,
+            refundAmount,
+            codes
+        });
+    } catch (err) {
+        if (conn) await conn.rollback();
+        if (err.status === 409) {
+            return res.status(409).json({ error: err.message, remaining: err.remaining });
+        }
+        if (err.status) {
+            return res.status(err.status).json({ error: err.message });
+        }
+        res.status(500).json({ error: err.message });
+    } finally {
+        if (conn) conn.release();
+    }
+});
+
+// 取得訂單的入園代碼
+/**
+ * @openapi
+ * /tickets/orders/{ticketNumber}/codes:
+ *   get:
+ *     summary: 取得票券訂單的入園代碼
+ *     description: 只能查詢自己的訂單，每位入園者一組代碼
+ *     tags: [Tickets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: ticketNumber
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 入園代碼與使用狀態
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   seq:
+ *                     type: integer
+ *                     example: 1
+ *                   code:
+ *                     type: string
+ *                   visitDate:
+ *                     type: string
+ *                     example: "2025-08-01"
+ *                   usedAt:
+ *                     type: string
+ *                     nullable: true
+ *                     example: "2025-08-01 10:15:00"
+ *       404:
+ *         description: 找不到該訂單
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.get('/orders/:ticketNumber/codes', checkLogin(false), async (req, res) => {
+    let conn;
+    try {
+        conn = await pool.getConnection();
+        const [orders] = await conn.query(
+            'SELECT 1 FROM ticketsOrders WHERE ticketNumber = ? AND userId = ?',
+            [req.params.ticketNumber, req.userId]
+        );
+        if (orders.length === 0) {
+            return res.status(404).json({ error: '找不到該訂單' });
+        }
+
+        const [codes] = await conn.query(
+            `SELECT seq, code,
+                    DATE_FORMAT(visitDate, '%Y-%m-%d') AS visitDate,
+                    DATE_FORMAT(usedAt, '%Y-%m-%d %H:%i:%s') AS usedAt
+             FROM ticketCodes
+             WHERE ticketNumber = ?
+             ORDER BY seq ASC`,
+            [req.params.ticketNumber]
+        );
+        res.json(codes);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    } finally {
+        if (conn) conn.release();
+    }
+});
+
+// 取得入園代碼的 QR Code
+/**
+ * @openapi
+ * /tickets/codes/{code}/qr:
+ *   get:
+ *     summary: 取得入園代碼的 QR Code
+ *     description: 只能取得自己訂單的代碼，預設回傳 SVG
+ *     tags: [Tickets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [svg, png]
+ *           default: svg
+ *     responses:
+ *       200:
+ *         description: QR Code 圖片
+ *         content:
+ *           image/svg+xml:
+ *             schema:
+ *               type: string
+ *           image/png:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: 代碼無效或格式參數錯誤
+ *       404:
+ *         description: 找不到該代碼
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.get('/codes/:code/qr', checkLogin(false), async (req, res) => {
+    const { code } = req.params;
+    const { format = 'svg' } = req.query;
+
+    if (!['svg', 'png'].includes(format)) {
+        return res.status(400).json({ error: 'format 只能是 svg 或 png' });
+    }
+
+    let conn;
+    try {
+        if (!verifyTicketCode(code)) {
+            return res.status(400).json({ error: '票券代碼無效' });
+        }
+
+        conn = await pool.getConnection();
+        const [rows] = await conn.query(
+            `SELECT 1
+             FROM ticketCodes tc
+             JOIN ticketsOrders t ON t.ticketNumber = tc.ticketNumber
+             WHERE tc.code = ? AND t.userId = ?`,
+            [code, req.userId]
+        );
+        if (rows.length === 0) {
+            return res.status(404).json({ error: '找不到該代碼' });
+        }
+
+        if (format === 'png') {
+            res.type('png').send(await QRCode.toBuffer(code, { margin: 2, width: 300 }));
+        } else {
+            res.type('image/svg+xml').send(await QRCode.toString(code, { type: 'svg', margin: 2 }));
+        }
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    } finally {
+        if (conn) conn.release();
+    }
+});
+
+// 入口驗票
+/**
+ * @openapi
+ * /tickets/check-in:
+ *   post:
+ *     summary: 入口驗票
+ *     description: |
+ *       需有 tickets:checkin 權限(驗票人員)。
+ *       會驗證代碼簽章、入園日期是否為今天，以及是否已使用過；每組代碼只能入園一次。
+ *       分時段票券只能在時段開始前 ~ 時段結束後 TICKET_SLOT_GRACE_MINUTES 分鐘(預設 15)內入園。
+ *       也可掃描年卡代碼：年卡需在有效期間內且未停用，每天限入園一次，並寫入入園紀錄；
+ *       回傳持卡人姓名與照片供驗票人員核對本人。
+ *     tags: [Tickets]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 description: 掃描 QR Code 取得的代碼(票券或年卡)
+ *     responses:
+ *       200:
+ *         description: 驗票成功(年卡會改為回傳 passNumber、holderName、photoUrl(持卡人照片，驗票人員可讀取)、planName、endDate)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "驗票成功"
+ *                 type:
+ *                   type: string
+ *                   enum: [ticket, pass]
+ *                 ticketNumber:
+ *                   type: string
+ *                 seq:
+ *                   type: integer
+ *                 slot:
+ *                   type: string
+ *                   nullable: true
+ *                   example: "10:30"
+ *                 qty:
+ *                   type: integer
+ *                 ticketName:
+ *                   type: string
+ *                   example: "全票"
+ *                 ageCategory:
+ *                   type: string
+ *                   example: "adult"
+ *       400:
+ *         description: 代碼無效、不是今天的票、不在入園時段內，或年卡不在有效期間內
+ *       403:
+ *         description: 權限不足
+ *       404:
+ *         description: 找不到該代碼或年卡
+ *       409:
+ *         description: 此票券已使用或已作廢、訂單已取消或尚未付款、年卡已停用或今日已入園
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: "此票券已於 10:15 使用"
+ *                 usedAt:
+ *                   type: string
+ *                   example: "2025-08-01 10:15:00"
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.post('/check-in', checkLogin(false), requirePermission('tickets:checkin'), async (req, res) => {
+    const { code } = req.body;
+
+    let conn;
+    try {
+        const passNumber = verifyPassCode(code);
+        if (!passNumber && !verifyTicketCode(code)) {
+            return res.status(400).json({ error: '票券代碼無效' });
+        }
+
+        conn = await pool.getConnection();
+        await conn.beginTransaction();
+
+        // 年卡入園
+        if (passNumber) {
+            const pass = await recordPassVisit(conn, passNumber, req.userId);
+            await conn.commit();
+            return res.json({ message: '驗票成功', type: 'pass', ...pass });
+        }
+
+        const [rows] = await conn.query(
+            `SELECT tc.id, tc.ticketNumber, tc.seq,
+                    DATE_FORMAT(tc.visitDate, '%Y-%m-%d') AS visitDate,
+                    DATE_FORMAT(tc.usedAt, '%Y-%m-%d') AS usedDate,
+                    DATE_FORMAT(tc.usedAt, '%H:%i') AS usedTime,
+                    DATE_FORMAT(tc.usedAt, '%Y-%m-%d %H:%i:%s') AS usedAt,
+                    tc.voidedAt,
+                    TIME_FORMAT(t.slotTime, '%H:%i') AS slot,
+                    t.qty, t.status, tk.name AS ticketName, tk.ageCategory, tk.slotIntervalMinutes
+             FROM ticketCodes tc
+             JOIN ticketsOrders t ON t.ticketNumber = tc.ticketNumber
+             LEFT JOIN tickets tk ON tk.id = t.ticketId
+             WHERE tc.code = ?
+             FOR UPDATE`,
+            [String(code).trim()]
+        );
+        if (rows.length === 0) {
+            await conn.rollback();
+            return res.status(404).json({ error: '找不到該代碼' });
+        }
+
+        const ticket = rows[0];
+        if (ticket.status === '已取消') {
+            await conn.rollback();
+            return res.status(409).json({ error: '此訂單已取消，票券無效' });
+        }
+        if (ticket.status === '待付款') {
+            await conn.rollback();
+            return res.status(409).json({ error: '此訂單尚未付款，票券無效' });
+        }
+        if (ticket.voidedAt) {
+            await conn.rollback();
+            return res.status(409).json({ error: '此票券已作廢' });
+        }
+        if (ticket.usedAt) {
+            await conn.rollback();
+            const usedWhen = ticket.usedDate === formatLocalDate(new Date())
+                ? ticket.usedTime
+                : `${ticket.usedDate} ${ticket.usedTime}`;
+            return res.status(409).json({ error: `此票券已於 ${usedWhen} 使用`, usedAt: ticket.usedAt });
+        }
+        if (ticket.visitDate !== formatLocalDate(new Date())) {
+            await conn.rollback();
+            return res.status(400).json({ error: `此票券的入園日期為 ${ticket.visitDate}`, visitDate: ticket.visitDate });
+        }
+        if (ticket.slot && ticket.slotIntervalMinutes) {
+            const slotError = checkSlotWindow(ticket.slot, ticket.slotIntervalMinutes);
+            if (slotError) {
+                await conn.rollback();
+                return res.status(400).json({ error: slotError, slot: ticket.slot });
+            }
+        }
+
+        await conn.query('UPDATE ticketCodes SET usedAt = NOW(), usedBy = ? WHERE id = ?', [req.userId, ticket.id]);
+        await conn.commit();
 
-        res.status(201).json({ message: '票券訂購成功' });
+        res.json({
+            message: '驗票成功',
+            type: 'ticket',
+            ticketNumber: ticket.ticketNumber,
+            seq: ticket.seq,
+            slot: ticket.slot,
+            qty: ticket.qty,
+            ticketName: ticket.ticketName,
+            ageCategory: ticket.ageCategory
+        });
     } catch (err) {
+        if (conn) await conn.rollback();
+        if (err.status) {
+            return res.status(err.status).json({ error: err.message, visitedAt: err.visitedAt });
+        }
         res.status(500).json({ error: err.message });
+    } finally {
+        if (conn) conn.release();
     }
 });
 
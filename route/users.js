@@ -1,18 +1,81 @@
 const express = require('express');
 const bcrypt = require('bcrypt');
+const archiver = require('archiver');
 const pool = require('../db');
 const {checkLogin} = require('../middlewares/authMiddleware');
+const { createSession, rotateSession, revokeSession, revokeAllSessions, markSessionMfaVerified } = require('../utils/session');
+const { generateToken, hashToken, signMfaToken, verifyMfaToken } = require('../utils/token');
+const { sendMail, buildAppUrl } = require('../utils/mailer');
+const { sendVerificationEmail } = require('../utils/emailVerification');
+const loginThrottle = require('../utils/loginThrottle');
+const { generateSecret, buildOtpauthUri, verifyTotp, generateRecoveryCodes } = require('../utils/totp');
+const { getUserRoles } = require('../utils/permissions');
+const { collectUserData, anonymizeUser } = require('../utils/accountData');
 const authorizeOwnerOrAdmin = require('../middlewares/authorizeOwnerOrAdmin');
+const { removePassPhoto } = require('../middlewares/AquImgUpload');
 
 const router = express.Router();
 
+// 重設密碼 token 有效分鐘數
+const PASSWORD_RESET_EXPIRES_MINUTES = Number(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 30;
+
+// 登入成功回傳的使用者資訊（不回傳 password）
+function buildLoginResponse(user, tokens) {
+  return {
+    message:  '登入成功',
+    userId:   user.id,
+    admin:    user.admin,
+    userName: user.userName,
+    email:    user.email,
+    emailVerified: user.emailVerified === 1,
+    tel:      user.tel,
+    ...tokens
+  };
+}
+
+// 驗證雙重驗證碼或備用碼，成功時一併記錄已使用
+async function checkSecondFactor(conn, userId, { code, recoveryCode }) {
+  if (recoveryCode) {
+    const [result] = await conn.query(
+      'UPDATE userRecoveryCodes SET usedAt = NOW() WHERE userId = ? AND codeHash = ? AND usedAt IS NULL',
+      [userId, hashToken(String(recoveryCode).trim().toLowerCase())]
+    );
+    return result.affectedRows === 1;
+  }
+
+  const [rows] = await conn.query(
+    'SELECT totpSecret, totpLastStep FROM users WHERE id = ?',
+    [userId]
+  );
+  if (rows.length === 0 || !rows[0].totpSecret) return false;
+
+  const step = verifyTotp(rows[0].totpSecret, code, Number(rows[0].totpLastStep));
+  if (step === null) return false;
+  await conn.query('UPDATE users SET totpLastStep = ? WHERE id = ?', [step, userId]);
+  return true;
+}
+
+// 重新產生備用碼，舊的全部作廢
+async function replaceRecoveryCodes(conn, userId) {
+  const codes = generateRecoveryCodes();
+  await conn.query('DELETE FROM userRecoveryCodes WHERE userId = ?', [userId]);
+  await conn.query(
+    'INSERT INTO userRecoveryCodes (userId, codeHash) VALUES ?',
+    [codes.map(code => [userId, hashToken(code)])]
+  );
+  return codes;
+}
+
 // 登入
 /**
  * @openapi
  * /users/login:
  *   post:
  *     summary: 使用者登入
- *     description: 用戶登入，成功後回傳使用者完整資訊
+ *     description: |
+ *       用戶登入，成功後回傳使用者資訊與 access token / refresh token，之後呼叫需登入的 API 時請帶上 Bearer token。
+ *       若帳號已啟用雙重驗證，會改回傳 mfaRequired 與 mfaToken，請再呼叫 /users/login/2fa 完成登入。
+ *       管理員未啟用雙重驗證時仍可登入，但無法使用管理功能。
  *     tags: [Users - 會員管理]
  *     requestBody:
  *       required: true
@@ -58,9 +121,36 @@ const router = express.Router();
  *                   type: string
  *                   format: email
  *                   example: "swagger@mail.com"
+ *                 emailVerified:
+ *                   type: boolean
+ *                   example: true
  *                 tel:
  *                   type: string
  *                   example: "0912345678"
+ *                 accessToken:
+ *                   type: string
+ *                   description: 登入用的 JWT
+ *                 tokenType:
+ *                   type: string
+ *                   example: "Bearer"
+ *                 expiresIn:
+ *                   type: integer
+ *                   description: access token 有效秒數
+ *                   example: 900
+ *                 refreshToken:
+ *                   type: string
+ *                   description: 換發 access token 用，請妥善保存
+ *                 refreshExpiresIn:
+ *                   type: integer
+ *                   description: refresh token 有效秒數
+ *                   example: 2592000
+ *                 mfaRequired:
+ *                   type: boolean
+ *                   description: 需雙重驗證時才會出現，此時不會回傳其他欄位
+ *                   example: true
+ *                 mfaToken:
+ *                   type: string
+ *                   description: 雙重驗證用的暫時 token(5 分鐘有效)
  *       401:
  *         description: Email 或密碼錯誤
  *         content:
@@ -71,6 +161,25 @@ const router = express.Router();
  *                 error:
  *                   type: string
  *                   example: "Email 或密碼錯誤"
+ *       403:
+ *         description: 帳號已停用
+ *       429:
+ *         description: 失敗次數過多暫時鎖定，Retry-After 標頭為需等待的秒數
+ *         headers:
+ *           Retry-After:
+ *             schema:
+ *               type: integer
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: "登入失敗次數過多，請於 30 秒後再試"
+ *                 retryAfter:
+ *                   type: integer
+ *                   example: 30
  *       500:
  *         description: 伺服器錯誤
  *         content:
@@ -87,12 +196,19 @@ router.post('/login', async (req, res) => {
   let conn;
 
   try {
+    // 失敗次數過多，暫時鎖定
+    const retryAfter = await loginThrottle.getRetryAfter(email, req.ip);
+    if (retryAfter > 0) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ error: `登入失敗次數過多，請於 ${retryAfter} 秒後再試`, retryAfter });
+    }
+
     conn = await pool.getConnection();
-    const [rows] = await conn.query('SELECT id, password, admin, userName, email, tel FROM users WHERE email = ?', [email]);
-    conn.release();
+    const [rows] = await conn.query('SELECT id, password, admin, userName, email, emailVerified, tel, active, totpEnabled FROM users WHERE email = ? AND deletedAt IS NULL', [email]);
 
     // 比對信箱是否正確
     if (rows.length === 0) {
+      await loginThrottle.recordFailure(email, req.ip);
       return res.status(401).json({ error: 'Email 或密碼錯誤' });
     }
 
@@ -101,21 +217,258 @@ router.post('/login', async (req, res) => {
 
     // 比對密碼是否正確
     if (!isValid) {
+      await loginThrottle.recordFailure(email, req.ip);
       return res.status(401).json({ error: 'Email 或密碼錯誤' });
     }
+    await loginThrottle.recordSuccess(email);
 
-    // 4. 回傳使用者資訊（不回傳 password）
-    res.status(200).json({
-      message:  '登入成功',
-      userId:   user.id,
-      admin:    user.admin,
-      userName: user.userName,
-      email:    user.email,
-      tel:      user.tel
-    });
+    // 帳號已被管理員停用
+    if (user.active !== 1) {
+      return res.status(403).json({ error: '此帳號已停用，請聯繫客服' });
+    }
+
+    // 已啟用雙重驗證，需再呼叫 /users/login/2fa
+    if (user.totpEnabled === 1) {
+      return res.status(200).json({
+        message:     '請輸入雙重驗證碼',
+        mfaRequired: true,
+        mfaToken:    signMfaToken(user.id)
+      });
+    }
+
+    // 建立工作階段並簽發 token
+    const tokens = await createSession(conn, user, req);
+
+    // 4. 回傳使用者資訊
+    res.status(200).json(buildLoginResponse(user, tokens));
   } catch (err) {
-    if (conn) conn.release();
     res.status(500).json({ message: '登入失敗，請稍後再試' });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+// 登入第二步(雙重驗證)
+/**
+ * @openapi
+ * /users/login/2fa:
+ *   post:
+ *     summary: 雙重驗證登入
+ *     description: 以 /users/login 回傳的 mfaToken 搭配驗證 App 的 6 位數驗證碼(或一次性備用碼)完成登入。
+ *     tags: [Users - 會員管理]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - mfaToken
+ *             properties:
+ *               mfaToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 description: 驗證 App 上的 6 位數驗證碼
+ *                 example: "123456"
+ *               recoveryCode:
+ *                 type: string
+ *                 description: 無法使用驗證 App 時改填備用碼
+ *                 example: "a1b2c-3d4e5"
+ *     responses:
+ *       200:
+ *         description: 登入成功，回傳內容與 /users/login 相同
+ *       400:
+ *         description: 欄位不完整
+ *       401:
+ *         description: mfaToken 逾時，或驗證碼錯誤
+ *       429:
+ *         description: 失敗次數過多暫時鎖定
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.post('/login/2fa', async (req, res) => {
+  const { mfaToken, code, recoveryCode } = req.body;
+  if (typeof mfaToken !== 'string' || (!code && !recoveryCode)) {
+    return res.status(400).json({ error: '請提供 mfaToken 與驗證碼' });
+  }
+
+  let userId;
+  try {
+    userId = verifyMfaToken(mfaToken);
+  } catch (err) {
+    return res.status(401).json({ error: '驗證已逾時，請重新登入' });
+  }
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    const [rows] = await conn.query(
+      `SELECT id, admin, userName, email, emailVerified, tel
+       FROM users
+       WHERE id = ? AND active = 1 AND deletedAt IS NULL AND totpEnabled = 1`,
+      [userId]
+    );
+    if (rows.length === 0) {
+      return res.status(401).json({ error: '驗證已逾時，請重新登入' });
+    }
+    const user = rows[0];
+
+    const retryAfter = await loginThrottle.getRetryAfter(user.email, req.ip);
+    if (retryAfter > 0) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ error: `登入失敗次數過多，請於 ${retryAfter} 秒後再試`, retryAfter });
+    }
+
+    const passed = await checkSecondFactor(conn, user.id, { code, recoveryCode });
+    if (!passed) {
+      await loginThrottle.recordFailure(user.email, req.ip);
+      return res.status(401).json({ error: '驗證碼錯誤' });
+    }
+    await loginThrottle.recordSuccess(user.email);
+
+    const tokens = await createSession(conn, user, req, { mfaVerified: true });
+    res.status(200).json(buildLoginResponse(user, tokens));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+// 換發 token
+/**
+ * @openapi
+ * /users/refresh:
+ *   post:
+ *     summary: 換發 access token
+ *     description: 以 refresh token 換發新的 access token 與 refresh token，舊的 refresh token 會立即失效。
+ *     tags: [Users - 會員管理]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 換發成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 accessToken:
+ *                   type: string
+ *                 refreshToken:
+ *                   type: string
+ *                 tokenType:
+ *                   type: string
+ *                   example: "Bearer"
+ *                 expiresIn:
+ *                   type: integer
+ *                   example: 900
+ *                 refreshExpiresIn:
+ *                   type: integer
+ *                   example: 2592000
+ *       400:
+ *         description: 未提供 refresh token
+ *       401:
+ *         description: refresh token 無效、已過期或已登出
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.post('/refresh', async (req, res) => {
+  const { refreshToken } = req.body;
+  if (typeof refreshToken !== 'string' || !refreshToken) {
+    return res.status(400).json({ error: '請提供 refreshToken' });
+  }
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    const tokens = await rotateSession(conn, refreshToken);
+    if (!tokens) {
+      return res.status(401).json({ error: '登入已失效，請重新登入' });
+    }
+    res.json(tokens);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+// 登出(目前裝置)
+/**
+ * @openapi
+ * /users/logout:
+ *   post:
+ *     summary: 登出
+ *     description: 讓目前裝置的工作階段失效，access token 與 refresh token 皆無法再使用。
+ *     tags: [Users - 會員管理]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 已登出
+ *       401:
+ *         description: 未登入
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.post('/logout', checkLogin(false), async (req, res) => {
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    await revokeSession(conn, req.sessionId);
+    res.json({ message: '已登出' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+// 登出所有裝置
+/**
+ * @openapi
+ * /users/logout-all:
+ *   post:
+ *     summary: 登出所有裝置
+ *     description: 讓該會員所有工作階段失效(包含目前裝置)，代客檢視期間無法使用。
+ *     tags: [Users - 會員管理]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 已登出所有裝置
+ *       401:
+ *         description: 未登入
+ *       403:
+ *         description: 代客檢視期間無法操作
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.post('/logout-all', checkLogin(false), async (req, res) => {
+  if (req.impersonatorId) {
+    return res.status(403).json({ error: '代客檢視期間無法登出會員的所有裝置' });
+  }
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    await revokeAllSessions(conn, req.userId);
+    res.json({ message: '已登出所有裝置' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  } finally {
+    if (conn) conn.release();
   }
 });
 
@@ -125,7 +478,7 @@ router.post('/login', async (req, res) => {
  * /users/register:
  *   post:
  *     summary: 註冊新用戶
- *     description: 判斷[信箱]是否有重複後存入資料。
+ *     description: 判斷[信箱]是否有重複後存入資料，並寄出信箱驗證信，完成驗證前無法結帳與訂票。
  *     tags: [Users - 會員管理]
  *     requestBody:
  *       required: true
@@ -158,7 +511,7 @@ router.post('/login', async (req, res) => {
  *                 example: "testc"
  *     responses:
  *       201:
- *         description: 註冊成功
+ *         description: 註冊成功，並寄出信箱驗證信
  *         content:
  *           application/json:
  *             schema:
@@ -166,7 +519,7 @@ router.post('/login', async (req, res) => {
  *               properties:
  *                 message:
  *                   type: string
- *                   example: 註冊成功
+ *                   example: 註冊成功，請至信箱完成驗證
  *       400:
  *         description: 該 email 已被使用，請使用其他 email 註冊
  *         content:
@@ -204,13 +557,16 @@ router.post('/register', async (req, res) => {
         // 密碼加密
         const hashedPassword = await bcrypt.hash(password, 10);
         
-        await conn.query(
-            'INSERT INTO users (admin, userName, email, tel, password, editTime) VALUES (?, ?, ?, ?, ?, NOW())',
-            [0, userName, email, tel, hashedPassword]
+        const [result] = await conn.query(
+            'INSERT INTO users (admin, userName, email, emailVerified, tel, password, editTime) VALUES (?, ?, ?, ?, ?, ?, NOW())',
+            [0, userName, email, 0, tel, hashedPassword]
         );
+
+        // 寄送信箱驗證信，驗證前無法結帳與訂票
+        await sendVerificationEmail(conn, { id: result.insertId, userName, email });
         conn.release();
 
-        res.status(201).json({ message: '註冊成功' });
+        res.status(201).json({ message: '註冊成功，請至信箱完成驗證' });
     } catch (err) {
         // res.status(500).json({ error: err.message });
         res.status(500).json({ message: '無法註冊帳號，請稍後再試' });
@@ -271,94 +627,1172 @@ router.get('/checkEmail', async (req, res) => {
   }
 });
 
-// 修改會員資料
+// 忘記密碼(寄送重設信)
 /**
  * @openapi
- * /users/profile:
- *   patch:
- *     summary: 修改會員資料
- *     description: 登入後使用者可修改自己的資料，管理員可指定修改其他人。
+ * /users/password/forgot:
+ *   post:
+ *     summary: 忘記密碼
+ *     description: |
+ *       寄送重設密碼信件，信中連結含一次性 token，逾時即失效。
+ *       不論 Email 是否存在都回傳相同訊息，避免被用來探測帳號。
  *     tags: [Users - 會員管理]
- *     security:
- *       - groupHeader: []
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
+ *             required:
+ *               - email
  *             properties:
- *               userName:
- *                 type: string
  *               email:
  *                 type: string
  *                 format: email
- *               tel:
- *                 type: string
- *               password:
- *                 type: string
- *                 format: password
- *               targetUserId:
- *                 type: integer
- *                 description: 僅管理員可指定他人 ID
+ *                 example: "swagger@mail.com"
  *     responses:
  *       200:
- *         description: 成功修改
+ *         description: 已受理
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "若該 Email 已註冊，將會收到重設密碼信件"
  *       400:
- *         description: 欄位不完整或權限不足
+ *         description: 缺少或格式錯誤的 email
  *       500:
  *         description: 伺服器錯誤
  */
-router.patch('/profile', checkLogin(false), authorizeOwnerOrAdmin({ source: 'body', key: 'targetUserId' }), async (req, res) => {
-    const userId = req.effectiveUserId;
-    const { userName, email, tel, password } = req.body;
-
-    // 動態組 SQL 欄位
-    const fields = [];
-    const values = [];
+router.post('/password/forgot', async (req, res) => {
+  const { email } = req.body;
+  if (typeof email !== 'string' || !email.includes('@')) {
+    return res.status(400).json({ error: '請提供有效的 Email' });
+  }
 
-    if (userName) {
-      fields.push('userName = ?');
-      values.push(userName);
-    }
-    if (email) {
-      fields.push('email = ?');
-      values.push(email);
-    }
-    if (tel) {
-      fields.push('tel = ?');
-      values.push(tel);
-    }
-    if (password) {
-      const hash = await bcrypt.hash(password, 10);
-      fields.push('password = ?');
-      values.push(hash);
-    }
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    const [rows] = await conn.query('SELECT id, userName, email FROM users WHERE email = ? AND active = 1 AND deletedAt IS NULL', [email]);
 
-    if (fields.length === 0) {
-      return res
-        .status(400)
-        .json({ error: '沒有提供任何需要更新的欄位' });
-    }
+    if (rows.length > 0) {
+      const user = rows[0];
+      const token = generateToken();
 
-    fields.push('editTime = NOW()');
-    const sql = `UPDATE users SET ${fields.join(', ')} WHERE id = ?`;
-    values.push(userId);
+      // 同一帳號只保留最新一組重設 token
+      await conn.query(
+        'UPDATE passwordResets SET usedAt = NOW() WHERE userId = ? AND usedAt IS NULL',
+        [user.id]
+      );
+      await conn.query(
+        `INSERT INTO passwordResets (userId, tokenHash, expiresAt)
+         VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE))`,
+        [user.id, hashToken(token), PASSWORD_RESET_EXPIRES_MINUTES]
+      );
 
-    try {
-      const conn = await pool.getConnection();
-      await conn.query(sql, values);
-      conn.release();
-      res.json({ message: '資料已更新' });
-    } catch (err) {
-      res.status(500).json({ error: err.message });
+      await sendMail({
+        to: user.email,
+        subject: 'AquPark 水遊館 - 重設密碼',
+        text: `${user.userName} 您好：\n請於 ${PASSWORD_RESET_EXPIRES_MINUTES} 分鐘內點擊以下連結重設密碼：\n`
+          + `${buildAppUrl('/reset-password', { token })}\n若您沒有申請重設密碼，請忽略此信件。`
+      });
     }
+
+    res.json({ message: '若該 Email 已註冊，將會收到重設密碼信件' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
 });
 
-// 取得使用者
+// 重設密碼
 /**
  * @openapi
- * /users:
+ * /users/password/reset:
+ *   post:
+ *     summary: 重設密碼
+ *     description: 以重設信中的 token 設定新密碼，token 僅能使用一次，成功後該帳號所有裝置都會被登出。
+ *     tags: [Users - 會員管理]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: 重設信連結中的 token
+ *               password:
+ *                 type: string
+ *                 format: password
+ *                 description: 新密碼
+ *     responses:
+ *       200:
+ *         description: 密碼已重設
+ *       400:
+ *         description: 欄位不完整，或 token 無效、已使用、已過期
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.post('/password/reset', async (req, res) => {
+  const { token, password } = req.body;
+  if (typeof token !== 'string' || !token || typeof password !== 'string' || !password) {
+    return res.status(400).json({ error: '請提供 token 與新密碼' });
+  }
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
+
+    const [rows] = await conn.query(
+      `SELECT id, userId FROM passwordResets
+       WHERE tokenHash = ? AND usedAt IS NULL AND expiresAt > NOW()
+       FOR UPDATE`,
+      [hashToken(token)]
+    );
+    if (rows.length === 0) {
+      await conn.rollback();
+      return res.status(400).json({ error: '重設連結無效或已過期，請重新申請' });
+    }
+    const { id, userId } = rows[0];
+
+    // 密碼加密(與註冊相同)
+    const hashedPassword = await bcrypt.hash(password, 10);
+    await conn.query(
+      'UPDATE users SET password = ?, editTime = NOW() WHERE id = ?',
+      [hashedPassword, userId]
+    );
+    await conn.query('UPDATE passwordResets SET usedAt = NOW() WHERE id = ?', [id]);
+    await revokeAllSessions(conn, userId);
+
+    await conn.commit();
+    res.json({ message: '密碼已重設，請使用新密碼登入' });
+  } catch (err) {
+    if (conn) await conn.rollback();
+    res.status(500).json({ error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+// 驗證信箱
+/**
+ * @openapi
+ * /users/verify-email:
+ *   post:
+ *     summary: 驗證信箱
+ *     description: 以驗證信連結中的 token 完成信箱驗證，token 僅能使用一次。
+ *     tags: [Users - 會員管理]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: 驗證信連結中的 token
+ *     responses:
+ *       200:
+ *         description: 信箱驗證成功
+ *       400:
+ *         description: token 無效、已使用或已過期
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.post('/verify-email', async (req, res) => {
+  const { token } = req.body;
+  if (typeof token !== 'string' || !token) {
+    return res.status(400).json({ error: '請提供 token' });
+  }
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
+
+    // 寄信後若又改了信箱，舊信中的 token 不可再用
+    const [rows] = await conn.query(
+      `SELECT ev.id, ev.userId
+       FROM emailVerifications ev
+       JOIN users u ON u.id = ev.userId AND u.email = ev.email
+       WHERE ev.tokenHash = ? AND ev.usedAt IS NULL AND ev.expiresAt > NOW()
+       FOR UPDATE`,
+      [hashToken(token)]
+    );
+    if (rows.length === 0) {
+      await conn.rollback();
+      return res.status(400).json({ error: '驗證連結無效或已過期，請重新寄送驗證信' });
+    }
+
+    await conn.query('UPDATE users SET emailVerified = 1 WHERE id = ?', [rows[0].userId]);
+    await conn.query('UPDATE emailVerifications SET usedAt = NOW() WHERE id = ?', [rows[0].id]);
+
+    await conn.commit();
+    res.json({ message: '信箱驗證成功' });
+  } catch (err) {
+    if (conn) await conn.rollback();
+    res.status(500).json({ error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+// 重新寄送驗證信
+/**
+ * @openapi
+ * /users/verify-email/resend:
+ *   post:
+ *     summary: 重新寄送信箱驗證信
+ *     description: 寄送新的驗證信到目前的信箱，先前寄出的驗證連結會失效。
+ *     tags: [Users - 會員管理]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 已寄出驗證信
+ *       400:
+ *         description: 信箱已完成驗證
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.post('/verify-email/resend', checkLogin(false), async (req, res) => {
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    const [rows] = await conn.query(
+      'SELECT id, userName, email, emailVerified FROM users WHERE id = ?',
+      [req.userId]
+    );
+    if (rows.length === 0) {
+      return res.status(404).json({ error: '用戶不存在' });
+    }
+    if (rows[0].emailVerified === 1) {
+      return res.status(400).json({ error: '信箱已完成驗證' });
+    }
+
+    await sendVerificationEmail(conn, rows[0]);
+    res.json({ message: '驗證信已寄出，請至信箱查收' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+// 設定雙重驗證(產生金鑰)
+/**
+ * @openapi
+ * /users/2fa/setup:
+ *   post:
+ *     summary: 設定雙重驗證
+ *     description: |
+ *       產生新的 TOTP 金鑰與 otpauth 網址(可轉為 QR Code 供驗證 App 掃描)。
+ *       此時尚未啟用，需再呼叫 /users/2fa/enable 輸入驗證碼確認。
+ *     tags: [Users - 會員管理]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 金鑰與 otpauth 網址
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 secret:
+ *                   type: string
+ *                   example: "JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP"
+ *                 otpauthUri:
+ *                   type: string
+ *                   example: "otpauth://totp/AquPark%3Aswagger%40mail.com?secret=JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP&issuer=AquPark&algorithm=SHA1&digits=6&period=30"
+ *       400:
+ *         description: 已啟用雙重驗證
+ *       403:
+ *         description: 代客檢視期間無法操作
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.post('/2fa/setup', checkLogin(false), async (req, res) => {
+  if (req.impersonatorId) {
+    return res.status(403).json({ error: '代客檢視期間無法變更雙重驗證' });
+  }
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    const [rows] = await conn.query('SELECT email, totpEnabled FROM users WHERE id = ?', [req.userId]);
+    if (rows.length === 0) {
+      return res.status(404).json({ error: '用戶不存在' });
+    }
+    if (rows[0].totpEnabled === 1) {
+      return res.status(400).json({ error: '已啟用雙重驗證' });
+    }
+
+    const secret = generateSecret();
+    await conn.query(
+      'UPDATE users SET totpSecret = ?, totpLastStep = 0 WHERE id = ?',
+      [secret, req.userId]
+    );
+
+    res.json({ secret, otpauthUri: buildOtpauthUri(rows[0].email, secret) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+// 啟用雙重驗證
+/**
+ * @openapi
+ * /users/2fa/enable:
+ *   post:
+ *     summary: 啟用雙重驗證
+ *     description: |
+ *       輸入驗證 App 顯示的驗證碼確認設定無誤後啟用，並回傳 10 組一次性備用碼(只會顯示這一次)。
+ *       目前的登入狀態會直接視為已通過雙重驗證。
+ *     tags: [Users - 會員管理]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: 已啟用，回傳備用碼
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "雙重驗證已啟用"
+ *                 recoveryCodes:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   example: ["a1b2c-3d4e5", "f6a7b-8c9d0"]
+ *       400:
+ *         description: 尚未設定、已啟用或驗證碼錯誤
+ *       403:
+ *         description: 代客檢視期間無法操作
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.post('/2fa/enable', checkLogin(false), async (req, res) => {
+  if (req.impersonatorId) {
+    return res.status(403).json({ error: '代客檢視期間無法變更雙重驗證' });
+  }
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
+
+    const [rows] = await conn.query(
+      'SELECT totpSecret, totpEnabled FROM users WHERE id = ? FOR UPDATE',
+      [req.userId]
+    );
+    if (rows.length === 0 || !rows[0].totpSecret) {
+      await conn.rollback();
+      return res.status(400).json({ error: '請先呼叫 /users/2fa/setup 取得金鑰' });
+    }
+    if (rows[0].totpEnabled === 1) {
+      await conn.rollback();
+      return res.status(400).json({ error: '已啟用雙重驗證' });
+    }
+
+    const passed = await checkSecondFactor(conn, req.userId, { code: req.body.code });
+    if (!passed) {
+      await conn.rollback();
+      return res.status(400).json({ error: '驗證碼錯誤' });
+    }
+
+    await conn.query('UPDATE users SET totpEnabled = 1, editTime = NOW() WHERE id = ?', [req.userId]);
+    const recoveryCodes = await replaceRecoveryCodes(conn, req.userId);
+    await markSessionMfaVerified(conn, req.sessionId);
+
+    await conn.commit();
+    res.json({ message: '雙重驗證已啟用', recoveryCodes });
+  } catch (err) {
+    if (conn) await conn.rollback();
+    res.status(500).json({ error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+// 關閉雙重驗證
+/**
+ * @openapi
+ * /users/2fa/disable:
+ *   post:
+ *     summary: 關閉雙重驗證
+ *     description: 需輸入密碼與驗證碼(或備用碼)。工作人員帳號必須使用雙重驗證，無法關閉。
+ *     tags: [Users - 會員管理]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 format: password
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 已關閉
+ *       400:
+ *         description: 未啟用，或密碼、驗證碼錯誤
+ *       403:
+ *         description: 工作人員無法關閉，或代客檢視期間無法操作
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.post('/2fa/disable', checkLogin(false), async (req, res) => {
+  const { password, code, recoveryCode } = req.body;
+  if (req.impersonatorId) {
+    return res.status(403).json({ error: '代客檢視期間無法變更雙重驗證' });
+  }
+  if (typeof password !== 'string' || (!code && !recoveryCode)) {
+    return res.status(400).json({ error: '請提供密碼與驗證碼' });
+  }
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
+
+    const roles = await getUserRoles(conn, req.userId);
+    if (roles.length > 0) {
+      await conn.rollback();
+      return res.status(403).json({ error: '工作人員帳號必須使用雙重驗證' });
+    }
+
+    const [rows] = await conn.query(
+      'SELECT password, totpEnabled FROM users WHERE id = ? FOR UPDATE',
+      [req.userId]
+    );
+    if (rows.length === 0 || rows[0].totpEnabled !== 1) {
+      await conn.rollback();
+      return res.status(400).json({ error: '尚未啟用雙重驗證' });
+    }
+
+    const isValid = await bcrypt.compare(password, rows[0].password);
+    const passed = isValid && await checkSecondFactor(conn, req.userId, { code, recoveryCode });
+    if (!passed) {
+      await conn.rollback();
+      return res.status(400).json({ error: '密碼或驗證碼錯誤' });
+    }
+
+    await conn.query(
+      'UPDATE users SET totpEnabled = 0, totpSecret = NULL, totpLastStep = 0, editTime = NOW() WHERE id = ?',
+      [req.userId]
+    );
+    await conn.query('DELETE FROM userRecoveryCodes WHERE userId = ?', [req.userId]);
+
+    await conn.commit();
+    res.json({ message: '雙重驗證已關閉' });
+  } catch (err) {
+    if (conn) await conn.rollback();
+    res.status(500).json({ error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+// 重新產生備用碼
+/**
+ * @openapi
+ * /users/2fa/recovery-codes:
+ *   post:
+ *     summary: 重新產生備用碼
+ *     description: 輸入驗證碼後產生新的 10 組備用碼，舊的備用碼全部作廢。
+ *     tags: [Users - 會員管理]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: 新的備用碼
+ *       400:
+ *         description: 未啟用或驗證碼錯誤
+ *       403:
+ *         description: 代客檢視期間無法操作
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.post('/2fa/recovery-codes', checkLogin(false), async (req, res) => {
+  if (req.impersonatorId) {
+    return res.status(403).json({ error: '代客檢視期間無法變更雙重驗證' });
+  }
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
+
+    const [rows] = await conn.query('SELECT totpEnabled FROM users WHERE id = ? FOR UPDATE', [req.userId]);
+    if (rows.length === 0 || rows[0].totpEnabled !== 1) {
+      await conn.rollback();
+      return res.status(400).json({ error: '尚未啟用雙重驗證' });
+    }
+
+    const passed = await checkSecondFactor(conn, req.userId, { code: req.body.code });
+    if (!passed) {
+      await conn.rollback();
+      return res.status(400).json({ error: '驗證碼錯誤' });
+    }
+
+    const recoveryCodes = await replaceRecoveryCodes(conn, req.userId);
+    await conn.commit();
+    res.json({ message: '備用碼已重新產生', recoveryCodes });
+  } catch (err) {
+    if (conn) await conn.rollback();
+    res.status(500).json({ error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+// 修改會員資料
+/**
+ * @openapi
+ * /users/profile:
+ *   patch:
+ *     summary: 修改會員資料
+ *     description: 登入後使用者可修改自己的資料，管理員可指定修改其他人。修改信箱後需重新完成信箱驗證；修改密碼後該帳號所有裝置都會被登出。代客檢視期間不可修改信箱與密碼。
+ *     tags: [Users - 會員管理]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               userName:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               tel:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 format: password
+ *               targetUserId:
+ *                 type: integer
+ *                 description: 僅管理員可指定他人 ID
+ *     responses:
+ *       200:
+ *         description: 成功修改
+ *       400:
+ *         description: 欄位不完整或權限不足
+ *       403:
+ *         description: 代客檢視期間無法修改信箱或密碼
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.patch('/profile', checkLogin(false), authorizeOwnerOrAdmin({ source: 'body', key: 'targetUserId' }), async (req, res) => {
+    const userId = req.effectiveUserId;
+    const { userName, email, tel, password } = req.body;
+
+    // 代客檢視只用來重現問題，不可變更登入憑證，避免接管會員帳號
+    if (req.impersonatorId && (email || password)) {
+      return res.status(403).json({ error: '代客檢視期間無法修改信箱或密碼' });
+    }
+
+    // 動態組 SQL 欄位
+    const fields = [];
+    const values = [];
+
+    if (userName) {
+      fields.push('userName = ?');
+      values.push(userName);
+    }
+    if (email) {
+      fields.push('email = ?');
+      values.push(email);
+    }
+    if (tel) {
+      fields.push('tel = ?');
+      values.push(tel);
+    }
+    if (password) {
+      const hash = await bcrypt.hash(password, 10);
+      fields.push('password = ?');
+      values.push(hash);
+    }
+
+    if (fields.length === 0) {
+      return res
+        .status(400)
+        .json({ error: '沒有提供任何需要更新的欄位' });
+    }
+
+    try {
+      const conn = await pool.getConnection();
+
+      // 信箱有變更時需重新驗證
+      const [current] = await conn.query('SELECT userName, email FROM users WHERE id = ?', [userId]);
+      const emailChanged = Boolean(email) && current.length > 0 && current[0].email !== email;
+      if (emailChanged) {
+        fields.push('emailVerified = 0');
+      }
+
+      fields.push('editTime = NOW()');
+      const sql = `UPDATE users SET ${fields.join(', ')} WHERE id = ?`;
+      values.push(userId);
+
+      await conn.query(sql, values);
+
+      if (emailChanged) {
+        await sendVerificationEmail(conn, {
+          id: userId,
+          userName: userName || current[0].userName,
+          email
+        });
+      }
+
+      // 修改密碼後，所有已登入的裝置都需重新登入
+      if (password) {
+        await revokeAllSessions(conn, userId);
+      }
+      conn.release();
+      res.json({ message: password ? '資料已更新，請重新登入' : '資料已更新' });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+});
+
+// 地址簿共用的 schema 與查詢欄位
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     UserAddress:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 3
+ *         label:
+ *           type: string
+ *           example: "家"
+ *         consignee:
+ *           type: string
+ *           example: "王小明"
+ *         tel:
+ *           type: string
+ *           example: "0912345678"
+ *         address:
+ *           type: string
+ *           example: "台北市信義區101號"
+ *         isDefault:
+ *           type: boolean
+ *           example: true
+ */
+const ADDRESS_COLUMNS = `id, label, consignee, tel, address, isDefault = 1 AS isDefault,
+  DATE_FORMAT(editTime, '%Y-%m-%d %H:%i:%s') AS editTime`;
+
+// 取得地址簿
+/**
+ * @openapi
+ * /users/addresses:
+ *   get:
+ *     summary: 取得地址簿
+ *     description: 列出自己的常用收件地址，預設地址排在最前面。
+ *     tags: [Users - 會員管理]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 地址列表
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/UserAddress'
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.get('/addresses', checkLogin(false), async (req, res) => {
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    const [rows] = await conn.query(
+      `SELECT ${ADDRESS_COLUMNS} FROM userAddresses WHERE userId = ? ORDER BY isDefault DESC, id DESC`,
+      [req.userId]
+    );
+    res.json(rows.map(row => ({ ...row, isDefault: row.isDefault === 1 })));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+// 新增地址
+/**
+ * @openapi
+ * /users/addresses:
+ *   post:
+ *     summary: 新增地址
+ *     description: 第一筆地址會自動設為預設地址；isDefault 為 true 時會取代原本的預設地址。
+ *     tags: [Users - 會員管理]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - consignee
+ *               - tel
+ *               - address
+ *             properties:
+ *               label:
+ *                 type: string
+ *                 example: "家"
+ *               consignee:
+ *                 type: string
+ *                 example: "王小明"
+ *               tel:
+ *                 type: string
+ *                 example: "0912345678"
+ *               address:
+ *                 type: string
+ *                 example: "台北市信義區101號"
+ *               isDefault:
+ *                 type: boolean
+ *                 example: false
+ *     responses:
+ *       201:
+ *         description: 新增成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "地址已新增"
+ *                 address:
+ *                   $ref: '#/components/schemas/UserAddress'
+ *       400:
+ *         description: 欄位不完整
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.post('/addresses', checkLogin(false), async (req, res) => {
+  const { label, consignee, tel, address, isDefault } = req.body;
+  if (!consignee || !tel || !address) {
+    return res.status(400).json({ error: '請提供 收件人姓名、電話、地址' });
+  }
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
+
+    // 鎖住該會員的地址，避免同時出現兩筆預設地址
+    const [existing] = await conn.query(
+      'SELECT id FROM userAddresses WHERE userId = ? FOR UPDATE',
+      [req.userId]
+    );
+    const makeDefault = isDefault === true || existing.length === 0;
+    if (makeDefault) {
+      await conn.query('UPDATE userAddresses SET isDefault = 0 WHERE userId = ?', [req.userId]);
+    }
+
+    const [result] = await conn.query(
+      `INSERT INTO userAddresses (userId, label, consignee, tel, address, isDefault, editTime)
+       VALUES (?, ?, ?, ?, ?, ?, NOW())`,
+      [req.userId, label || null, consignee, tel, address, makeDefault ? 1 : 0]
+    );
+    const [rows] = await conn.query(
+      `SELECT ${ADDRESS_COLUMNS} FROM userAddresses WHERE id = ?`,
+      [result.insertId]
+    );
+
+    await conn.commit();
+    res.status(201).json({
+      message: '地址已新增',
+      address: { ...rows[0], isDefault: rows[0].isDefault === 1 }
+    });
+  } catch (err) {
+    if (conn) await conn.rollback();
+    res.status(500).json({ error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+// 修改地址
+/**
+ * @openapi
+ * /users/addresses/{id}:
+ *   patch:
+ *     summary: 修改地址
+ *     description: 只能修改自己的地址。isDefault 傳 true 可設為預設地址(預設地址無法直接取消，請改設其他地址為預設)。
+ *     tags: [Users - 會員管理]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               label:
+ *                 type: string
+ *               consignee:
+ *                 type: string
+ *               tel:
+ *                 type: string
+ *               address:
+ *                 type: string
+ *               isDefault:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: 地址已更新
+ *       400:
+ *         description: 沒有需要更新的欄位
+ *       404:
+ *         description: 找不到該地址
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.patch('/addresses/:id', checkLogin(false), async (req, res) => {
+  const { id } = req.params;
+  const { label, consignee, tel, address, isDefault } = req.body;
+
+  const fields = [];
+  const values = [];
+  if (label !== undefined) fields.push('label = ?'), values.push(label || null);
+  if (consignee) fields.push('consignee = ?'), values.push(consignee);
+  if (tel) fields.push('tel = ?'), values.push(tel);
+  if (address) fields.push('address = ?'), values.push(address);
+  if (isDefault === true) fields.push('isDefault = 1');
+
+  if (fields.length === 0) {
+    return res.status(400).json({ error: '沒有需要更新的欄位' });
+  }
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
+
+    const [existing] = await conn.query(
+      'SELECT id FROM userAddresses WHERE userId = ? FOR UPDATE',
+      [req.userId]
+    );
+    if (!existing.some(row => row.id === Number(id))) {
+      await conn.rollback();
+      return res.status(404).json({ error: '找不到該地址' });
+    }
+
+    if (isDefault === true) {
+      await conn.query('UPDATE userAddresses SET isDefault = 0 WHERE userId = ?', [req.userId]);
+    }
+
+    fields.push('editTime = NOW()');
+    await conn.query(
+      `UPDATE userAddresses SET ${fields.join(', ')} WHERE id = ? AND userId = ?`,
+      [...values, id, req.userId]
+    );
+
+    await conn.commit();
+    res.json({ message: '地址已更新' });
+  } catch (err) {
+    if (conn) await conn.rollback();
+    res.status(500).json({ error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+// 刪除地址
+/**
+ * @openapi
+ * /users/addresses/{id}:
+ *   delete:
+ *     summary: 刪除地址
+ *     description: 刪除預設地址時，會改以最新新增的另一筆地址為預設。
+ *     tags: [Users - 會員管理]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: 地址已刪除
+ *       404:
+ *         description: 找不到該地址
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.delete('/addresses/:id', checkLogin(false), async (req, res) => {
+  const { id } = req.params;
+  let conn;
+
+  try {
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
+
+    const [existing] = await conn.query(
+      'SELECT id, isDefault FROM userAddresses WHERE userId = ? ORDER BY id DESC FOR UPDATE',
+      [req.userId]
+    );
+    const target = existing.find(row => row.id === Number(id));
+    if (!target) {
+      await conn.rollback();
+      return res.status(404).json({ error: '找不到該地址' });
+    }
+
+    await conn.query('DELETE FROM userAddresses WHERE id = ?', [target.id]);
+
+    const next = existing.find(row => row.id !== target.id);
+    if (target.isDefault === 1 && next) {
+      await conn.query('UPDATE userAddresses SET isDefault = 1 WHERE id = ?', [next.id]);
+    }
+
+    await conn.commit();
+    res.json({ message: '地址已刪除' });
+  } catch (err) {
+    if (conn) await conn.rollback();
+    res.status(500).json({ error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+// 匯出個人資料
+/**
+ * @openapi
+ * /users/me/export:
+ *   get:
+ *     summary: 匯出個人資料
+ *     description: |
+ *       下載系統中與自己相關的所有資料：會員資料、地址簿、購物車、商品訂單、票券訂單。
+ *       format=zip 時回傳內含 JSON 檔的壓縮檔。
+ *     tags: [Users - 會員管理]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, zip]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: 個人資料
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 exportedAt:
+ *                   type: string
+ *                   format: date-time
+ *                 profile:
+ *                   type: object
+ *                 addresses:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/UserAddress'
+ *                 cart:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 orders:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 ticketOrders:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *           application/zip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: format 錯誤
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.get('/me/export', checkLogin(false), async (req, res) => {
+  const format = req.query.format || 'json';
+  if (!['json', 'zip'].includes(format)) {
+    return res.status(400).json({ error: 'format 只能是 json 或 zip' });
+  }
+
+  let data;
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    data = await collectUserData(conn, req.userId);
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+
+  const filename = `aqupark-user-${req.userId}`;
+  if (format === 'json') {
+    res.set('Content-Disposition', `attachment; filename="${filename}.json"`);
+    return res.json(data);
+  }
+
+  const archive = archiver('zip');
+  archive.on('error', err => res.destroy(err));
+  res.attachment(`${filename}.zip`);
+  archive.pipe(res);
+  archive.append(JSON.stringify(data, null, 2), { name: `${filename}.json` });
+  archive.finalize();
+});
+
+// 刪除帳號
+/**
+ * @openapi
+ * /users/me/delete:
+ *   post:
+ *     summary: 刪除帳號
+ *     description: |
+ *       會員自行刪除帳號，需輸入密碼確認。刪除後：
+ *       - 會員資料(姓名、信箱、電話)與歷史訂單的收件人、電話、地址會被匿名化
+ *       - 訂單金額與明細保留供會計查帳
+ *       - 地址簿刪除、購物車清空，所有裝置登出，之後無法再登入
+ *     tags: [Users - 會員管理]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 format: password
+ *     responses:
+ *       200:
+ *         description: 帳號已刪除
+ *       400:
+ *         description: 密碼錯誤
+ *       403:
+ *         description: 代客檢視期間無法操作
+ *       500:
+ *         description: 伺服器錯誤
+ */
+router.post('/me/delete', checkLogin(false), async (req, res) => {
+  const { password } = req.body;
+  if (req.impersonatorId) {
+    return res.status(403).json({ error: '代客檢視期間無法刪除帳號' });
+  }
+  if (typeof password !== 'string' || !password) {
+    return res.status(400).json({ error: '請輸入密碼確認' });
+  }
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
+
+    const [rows] = await conn.query('SELECT password FROM users WHERE id = ? FOR UPDATE', [req.userId]);
+    if (rows.length === 0 || !(await bcrypt.compare(password, rows[0].password))) {
+      await conn.rollback();
+      return res.status(400).json({ error: '密碼錯誤' });
+    }
+
+    const photoFiles = await anonymizeUser(conn, req.userId);
+
+    await conn.commit();
+
+    // 交易成功後才刪除年卡照片，刪除失敗不影響帳號刪除結果
+    for (const photoFile of photoFiles) {
+      await removePassPhoto(photoFile).catch(() => {});
+    }
+    res.json({ message: '帳號已刪除' });
+  } catch (err) {
+    if (conn) await conn.rollback();
+    res.status(500).json({ error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+// 取得使用者
+/**
+ * @openapi
+ * /users:
  *   get:
  *     summary: 取得使用者資料
  *     description: |
@@ -366,7 +1800,7 @@ router.patch('/profile', checkLogin(false), authorizeOwnerOrAdmin({ source: 'bod
  *       - 管理員可搜尋所有使用者，並自訂 page 和 limit 分頁  
  *     tags: [Users - 會員管理]
  *     security:
- *       - groupHeader: []
+ *       - bearerAuth: []
  *     parameters:
  *       - in: query
  *         name: id
@@ -390,6 +1824,12 @@ router.patch('/profile', checkLogin(false), authorizeOwnerOrAdmin({ source: 'bod
  *           type: string
  *         description: 管理員可依 tel 做模糊搜尋
  *       - in: query
+ *         name: includeDeleted
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: 管理員是否列出已刪除的會員
+ *       - in: query
  *         name: page
  *         schema:
  *           type: integer
@@ -448,6 +1888,13 @@ router.patch('/profile', checkLogin(false), authorizeOwnerOrAdmin({ source: 'bod
  *                             format: email
  *                           tel:
  *                             type: string
+ *                           active:
+ *                             type: integer
+ *                             description: 0 代表已停用
+ *                           deletedAt:
+ *                             type: string
+ *                             format: date-time
+ *                             nullable: true
  *                           editTime:
  *                             type: string
  *                             format: date-time
@@ -485,6 +1932,10 @@ router.get('/', checkLogin(false), async (req, res) => {
       const conds = [];
       const params = [];
 
+      // 預設不列出已刪除的會員
+      if (req.query.includeDeleted !== 'true') {
+        conds.push('deletedAt IS NULL');
+      }
       if (id) {
         conds.push('id = ?');
         params.push(Number(id));
@@ -516,7 +1967,7 @@ router.get('/', checkLogin(false), async (req, res) => {
 
       // 取得分頁資料
       const [users] = await conn.query(
-        `SELECT id, admin, userName, email, tel, editTime
+        `SELECT id, admin, userName, email, tel, active, deletedAt, editTime
          FROM users
          ${whereClause}
          ORDER BY id ASC
@@ -8,13 +8,27 @@ const usersRouter = require('./route/users');
 const adminRouter = require('./route/admin');
 const ticketsRouter = require('./route/tickets');
 const cartRouter = require('./route/cart');
+const passesRouter = require('./route/passes');
+const groupBookingsRouter = require('./route/groupBookings');
+const paymentsRouter = require('./route/payments');
+const { checkProviderConfigured, startExpiryTimer } = require('./utils/payments');
+const { checkMailConfigured } = require('./utils/mailer');
 const {checkLogin} = require('./middlewares/authMiddleware');
 const swaggerUi = require("swagger-ui-express");
 const swaggerSpec = require("./swagger");
 
 
 const app = express();
-app.use(express.json());
+
+// 在反向代理或 ngrok 之後執行時，需設定 .env 的 TRUST_PROXY，req.ip 才會是使用者的 IP(登入失敗的 IP 鎖定依此計算)
+// 可設定代理層數(例如 ngrok 為 1)、代理的 IP/網段(以逗號分隔)或 loopback 等名稱；不設定時不信任 X-Forwarded-For
+const TRUST_PROXY = process.env.TRUST_PROXY;
+if (TRUST_PROXY) {
+    app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY);
+}
+
+// 保留原始請求本文，供金流付款通知驗證簽章
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
 app.use(cors());
 
 
@@ -52,7 +66,7 @@ app.get('/products', async(req, res) => {
  *     tags:
  *       - Test - 測試用
  *     security:
- *       - groupHeader: []
+ *       - bearerAuth: []
  *     responses:
  *       200:
  *         description: 成功取得文章資訊
@@ -74,13 +88,24 @@ app.use('/users', usersRouter); // 會員功能_登入、註冊、改資料
 app.use('/admin', adminRouter); // 管理員功能_文章&商品(增改刪)、訂單(增查改)
 app.use('/tickets', ticketsRouter);  // 票券訂購
 app.use('/cart', cartRouter);  // 購物車功能
+app.use('/passes', passesRouter);  // 年卡購買、續約
+app.use('/group-bookings', groupBookingsRouter);  // 團體預約申請
+app.use('/payments', paymentsRouter);  // 訂單付款、金流通知
 app.use('/uploads', express.static('C:/Users/work/Desktop/AquPark/img/uploads')); // 圖片讀取功能
 
 // 使用 Swagger UI
 app.use("/api", swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 
+// 未設定可用的金流服務時不啟動，避免訂單無法付款
+checkProviderConfigured();
+// 未設定寄信方式時不啟動，避免重設密碼、信箱驗證信件寄不出去
+checkMailConfigured();
+
 // 啟動伺服器
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, '0.0.0.0', () => {
     console.log(`伺服器運行於 PORT:${PORT}`);
 });
+
+// 定時取消逾時未付款的訂單
+startExpiryTimer(pool);
@@ -0,0 +1,15 @@
+-- 登入工作階段(refresh token 存放處)
+-- 每次登入建立一筆，登出、全部裝置登出、修改密碼時寫入 revokedAt 使其失效
+CREATE TABLE IF NOT EXISTS userSessions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    userId INT NOT NULL,
+    refreshTokenHash CHAR(64) NOT NULL,      -- refresh token 的 SHA-256，不存明碼
+    userAgent VARCHAR(255) NULL,
+    ip VARCHAR(45) NULL,
+    expiresAt DATETIME NOT NULL,
+    revokedAt DATETIME NULL,
+    lastUsedAt DATETIME NULL,
+    createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_userSessions_userId (userId),
+    CONSTRAINT fk_userSessions_user FOREIGN KEY (userId) REFERENCES users(id) ON DELETE CASCADE
+);
@@ -0,0 +1,13 @@
+-- 忘記密碼的重設 token
+-- 只存 token 的 SHA-256，使用過(usedAt)或過期(expiresAt)即失效
+CREATE TABLE IF NOT EXISTS passwordResets (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    userId INT NOT NULL,
+    tokenHash CHAR(64) NOT NULL,
+    expiresAt DATETIME NOT NULL,
+    usedAt DATETIME NULL,
+    createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uk_passwordResets_tokenHash (tokenHash),
+    INDEX idx_passwordResets_userId (userId),
+    CONSTRAINT fk_passwordResets_user FOREIGN KEY (userId) REFERENCES users(id) ON DELETE CASCADE
+);
@@ -0,0 +1,20 @@
+-- 信箱驗證
+-- 新註冊或修改信箱後 emailVerified = 0，點擊驗證信連結後改為 1
+ALTER TABLE users
+    ADD COLUMN emailVerified TINYINT(1) NOT NULL DEFAULT 0 AFTER email;
+
+-- 既有會員視為已驗證，避免上線後無法結帳
+UPDATE users SET emailVerified = 1;
+
+CREATE TABLE IF NOT EXISTS emailVerifications (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    userId INT NOT NULL,
+    email VARCHAR(255) NOT NULL,              -- 寄出驗證信時的信箱，之後若又改信箱則此 token 失效
+    tokenHash CHAR(64) NOT NULL,
+    expiresAt DATETIME NOT NULL,
+    usedAt DATETIME NULL,
+    createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uk_emailVerifications_tokenHash (tokenHash),
+    INDEX idx_emailVerifications_userId (userId),
+    CONSTRAINT fk_emailVerifications_user FOREIGN KEY (userId) REFERENCES users(id) ON DELETE CASCADE
+);
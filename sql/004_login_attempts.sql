@@ -0,0 +1,8 @@
+-- 登入失敗次數紀錄(防暴力破解)
+-- attemptKey 為 'account:<email>' 或 'ip:<ip>'，登入成功或管理員解鎖後刪除
+CREATE TABLE IF NOT EXISTS loginAttempts (
+    attemptKey VARCHAR(255) PRIMARY KEY,
+    failures INT NOT NULL DEFAULT 0,
+    lockedUntil DATETIME NULL,
+    lastFailedAt DATETIME NOT NULL
+);
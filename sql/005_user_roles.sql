@@ -0,0 +1,14 @@
+-- 角色權限
+-- 角色與其權限定義在 utils/permissions.js，此表只記錄會員擁有哪些角色
+CREATE TABLE IF NOT EXISTS userRoles (
+    userId INT NOT NULL,
+    role VARCHAR(50) NOT NULL,                -- super_admin / content_editor / merchandise_manager / order_clerk / gate_staff
+    grantedBy INT NULL,
+    createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (userId, role),
+    CONSTRAINT fk_userRoles_user FOREIGN KEY (userId) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- 既有管理員轉為最高管理員
+INSERT IGNORE INTO userRoles (userId, role)
+SELECT id, 'super_admin' FROM users WHERE admin = 1;
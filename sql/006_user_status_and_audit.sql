@@ -0,0 +1,21 @@
+-- 會員停用 / 軟刪除
+ALTER TABLE users
+    ADD COLUMN active TINYINT(1) NOT NULL DEFAULT 1,
+    ADD COLUMN deletedAt DATETIME NULL;
+
+-- 代客檢視(impersonation)的工作階段會記錄是哪位管理員發起
+ALTER TABLE userSessions
+    ADD COLUMN impersonatorId INT NULL AFTER userId;
+
+-- 管理員操作紀錄
+CREATE TABLE IF NOT EXISTS adminAuditLogs (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    actorId INT NOT NULL,                     -- 執行操作的管理員
+    action VARCHAR(50) NOT NULL,              -- 例如 user.deactivate / impersonate.start
+    targetUserId INT NULL,
+    detail TEXT NULL,                         -- JSON 字串
+    ip VARCHAR(45) NULL,
+    createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_adminAuditLogs_actorId (actorId),
+    INDEX idx_adminAuditLogs_targetUserId (targetUserId)
+);
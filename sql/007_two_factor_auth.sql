@@ -0,0 +1,20 @@
+-- 雙重驗證(TOTP)
+ALTER TABLE users
+    ADD COLUMN totpSecret VARCHAR(64) NULL,
+    ADD COLUMN totpEnabled TINYINT(1) NOT NULL DEFAULT 0,
+    ADD COLUMN totpLastStep BIGINT NOT NULL DEFAULT 0;   -- 最後一次使用的時間區間，避免驗證碼重複使用
+
+-- 工作階段是否已通過雙重驗證，管理員需通過才能使用管理功能
+ALTER TABLE userSessions
+    ADD COLUMN mfaVerified TINYINT(1) NOT NULL DEFAULT 0 AFTER impersonatorId;
+
+-- 一次性備用碼(只存雜湊)
+CREATE TABLE IF NOT EXISTS userRecoveryCodes (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    userId INT NOT NULL,
+    codeHash CHAR(64) NOT NULL,
+    usedAt DATETIME NULL,
+    createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_userRecoveryCodes_userId (userId),
+    CONSTRAINT fk_userRecoveryCodes_user FOREIGN KEY (userId) REFERENCES users(id) ON DELETE CASCADE
+);
@@ -0,0 +1,15 @@
+-- 會員常用收件地址
+-- 結帳時會複製到 orderCustomers，之後修改地址不影響歷史訂單
+CREATE TABLE IF NOT EXISTS userAddresses (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    userId INT NOT NULL,
+    label VARCHAR(50) NULL,                   -- 例如「家」、「公司」
+    consignee VARCHAR(100) NOT NULL,
+    tel VARCHAR(30) NOT NULL,
+    address VARCHAR(255) NOT NULL,
+    isDefault TINYINT(1) NOT NULL DEFAULT 0,
+    createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    editTime DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_userAddresses_userId (userId),
+    CONSTRAINT fk_userAddresses_user FOREIGN KEY (userId) REFERENCES users(id) ON DELETE CASCADE
+);
@@ -0,0 +1,12 @@
+-- 票種目錄(ticketsOrders.ticketId 對應此表)
+CREATE TABLE IF NOT EXISTS tickets (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    description TEXT NULL,
+    ageCategory VARCHAR(20) NOT NULL DEFAULT 'adult',   -- adult / child / student / senior / infant
+    basePrice DECIMAL(10, 2) NOT NULL,
+    active TINYINT(1) NOT NULL DEFAULT 1,               -- 0 = 停售，前台不顯示也不可訂購
+    imgUrl VARCHAR(255) NULL,
+    editTime DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
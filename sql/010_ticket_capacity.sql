@@ -0,0 +1,18 @@
+-- 每日入園人數上限
+-- 未設定的日期使用環境變數 TICKET_DAILY_CAPACITY 的預設值
+CREATE TABLE IF NOT EXISTS ticketCapacityOverrides (
+    visitDate DATE PRIMARY KEY,
+    capacity INT NOT NULL,
+    note VARCHAR(255) NULL,                   -- 例如「館內整修，限量開放」
+    editTime DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 每日已售出張數，訂票時以 SELECT ... FOR UPDATE 鎖定該日，避免超賣
+CREATE TABLE IF NOT EXISTS ticketInventory (
+    visitDate DATE PRIMARY KEY,
+    sold INT NOT NULL DEFAULT 0
+);
+
+-- 既有訂單的售出數量
+INSERT IGNORE INTO ticketInventory (visitDate, sold)
+SELECT selectedData, SUM(qty) FROM ticketsOrders GROUP BY selectedData;
@@ -0,0 +1,30 @@
+-- 每週固定營業時間，weekday: 0 = 星期日 ... 6 = 星期六
+CREATE TABLE IF NOT EXISTS parkWeeklyHours (
+    weekday TINYINT PRIMARY KEY,
+    closed TINYINT(1) NOT NULL DEFAULT 0,     -- 1 = 固定休園日
+    openTime TIME NULL,
+    closeTime TIME NULL,
+    editTime DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT IGNORE INTO parkWeeklyHours (weekday, closed, openTime, closeTime) VALUES
+    (0, 0, '09:00:00', '18:00:00'),
+    (1, 0, '09:00:00', '17:00:00'),
+    (2, 0, '09:00:00', '17:00:00'),
+    (3, 0, '09:00:00', '17:00:00'),
+    (4, 0, '09:00:00', '17:00:00'),
+    (5, 0, '09:00:00', '17:00:00'),
+    (6, 0, '09:00:00', '18:00:00');
+
+-- 特定日期的例外設定：休園、特殊營業時間、國定假日、活動
+-- 欄位為 NULL 時沿用每週固定設定
+CREATE TABLE IF NOT EXISTS parkCalendarOverrides (
+    visitDate DATE PRIMARY KEY,
+    closed TINYINT(1) NULL,
+    openTime TIME NULL,
+    closeTime TIME NULL,
+    isHoliday TINYINT(1) NOT NULL DEFAULT 0,
+    eventName VARCHAR(100) NULL,              -- 例如「夏日夜間開放」
+    note VARCHAR(255) NULL,
+    editTime DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,23 @@
+-- 票價規則，訂票時依入園日期計算單價
+-- ruleType: weekend = 週末、holiday = 國定假日(依營運日曆)、peak = 旺季(需設定起訖日)、early_bird = 早鳥
+-- adjustType: fixed = 直接指定票價、amount = 加減金額、percent = 加減百分比(-10 代表打 9 折)
+CREATE TABLE IF NOT EXISTS ticketPriceRules (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    ruleType VARCHAR(20) NOT NULL,
+    ticketId INT NULL,                        -- NULL = 套用所有票種
+    startDate DATE NULL,                      -- 入園日期區間，NULL = 不限
+    endDate DATE NULL,
+    daysBefore INT NULL,                      -- 早鳥：需於入園日幾天前購買
+    adjustType VARCHAR(10) NOT NULL,
+    adjustValue DECIMAL(10, 2) NOT NULL,
+    active TINYINT(1) NOT NULL DEFAULT 1,
+    editTime DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_ticketPriceRules_ticketId (ticketId)
+);
+
+-- 訂購當下的票價，之後調整規則不影響已成立的訂單
+ALTER TABLE ticketsOrders
+    ADD COLUMN unitPrice DECIMAL(10, 2) NULL,
+    ADD COLUMN totalPrice DECIMAL(10, 2) NULL;
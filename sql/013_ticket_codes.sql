@@ -0,0 +1,18 @@
+-- 票券編號改為不重複的英數字串(例如 T7K3M9Q2XA)
+-- 若既有資料有重複的 ticketNumber，需先處理後才能建立唯一索引
+ALTER TABLE ticketsOrders
+    MODIFY ticketNumber VARCHAR(20) NOT NULL,
+    ADD UNIQUE INDEX uq_ticketsOrders_ticketNumber (ticketNumber);
+
+-- 每位入園者一組簽章過的票券代碼，可轉成 QR Code 於入口驗票
+CREATE TABLE IF NOT EXISTS ticketCodes (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    code VARCHAR(64) NOT NULL UNIQUE,
+    ticketNumber VARCHAR(20) NOT NULL,
+    seq INT NOT NULL,                         -- 同一張訂單的第幾位入園者(從 1 開始)
+    visitDate DATE NOT NULL,
+    usedAt DATETIME NULL,                     -- 驗票入園時間，NULL = 尚未使用
+    usedBy INT NULL,                          -- 驗票人員
+    createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_ticketCodes_ticketNumber (ticketNumber)
+);
@@ -0,0 +1,18 @@
+-- 票券訂單狀態：已付款 / 已取消
+ALTER TABLE ticketsOrders
+    ADD COLUMN status VARCHAR(10) NOT NULL DEFAULT '已付款',
+    ADD COLUMN cancelledAt DATETIME NULL,
+    ADD COLUMN refundAmount DECIMAL(10, 2) NULL;
+
+-- 票券訂單異動紀錄(取消、改期)
+CREATE TABLE IF NOT EXISTS ticketOrderChanges (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    ticketNumber VARCHAR(20) NOT NULL,
+    userId INT NOT NULL,
+    action VARCHAR(20) NOT NULL,              -- cancel / reschedule
+    fromDate DATE NOT NULL,
+    toDate DATE NULL,
+    priceDifference DECIMAL(10, 2) NOT NULL DEFAULT 0,  -- 改期後的總價差額，正數 = 需補差額，負數 = 退還差額
+    createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_ticketOrderChanges_ticketNumber (ticketNumber)
+);
@@ -0,0 +1,12 @@
+-- 購物車可放入票券：itemType = product(商品) / ticket(票券)
+-- 票券項目以 ticketId + selectedDate 區分，productId 為 NULL
+ALTER TABLE cart
+    MODIFY productId INT NULL,
+    ADD COLUMN itemType VARCHAR(10) NOT NULL DEFAULT 'product',
+    ADD COLUMN ticketId INT NULL,
+    ADD COLUMN selectedDate DATE NULL;
+
+-- 購物車結帳產生的票券訂單，記錄所屬的訂單編號(單獨訂票為 NULL)
+ALTER TABLE ticketsOrders
+    ADD COLUMN orderNumber VARCHAR(20) NULL,
+    ADD INDEX idx_ticketsOrders_orderNumber (orderNumber);
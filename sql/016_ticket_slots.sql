@@ -0,0 +1,25 @@
+-- 分時段入園：票種設定 slotIntervalMinutes 後，訂票時需選擇入園時段
+-- 時段依當日營業時間產生，例如 09:00 開園、每 30 分鐘一個時段：09:00、09:30、10:00 ...
+ALTER TABLE tickets
+    ADD COLUMN slotIntervalMinutes INT NULL,   -- NULL = 不需選擇時段
+    ADD COLUMN slotCapacity INT NULL;          -- 每個時段的人數上限
+
+ALTER TABLE ticketsOrders
+    ADD COLUMN slotTime TIME NULL;
+
+ALTER TABLE cart
+    ADD COLUMN slotTime TIME NULL;
+
+-- 每個票種、日期、時段已售出張數，訂票時以 SELECT ... FOR UPDATE 鎖定
+CREATE TABLE IF NOT EXISTS ticketSlotInventory (
+    ticketId INT NOT NULL,
+    visitDate DATE NOT NULL,
+    slotTime TIME NOT NULL,
+    sold INT NOT NULL DEFAULT 0,
+    PRIMARY KEY (ticketId, visitDate, slotTime)
+);
+
+-- 改期紀錄加上時段
+ALTER TABLE ticketOrderChanges
+    ADD COLUMN fromSlot TIME NULL,
+    ADD COLUMN toSlot TIME NULL;
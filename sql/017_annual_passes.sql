@@ -0,0 +1,51 @@
+-- 年卡方案(由管理員設定)，持卡期間可入園，並享有商城與票券的會員折扣
+CREATE TABLE IF NOT EXISTS passPlans (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    description TEXT NULL,
+    durationMonths INT NOT NULL DEFAULT 12,             -- 每次購買或續約的有效月數
+    price DECIMAL(10, 2) NOT NULL,
+    shopDiscountPercent DECIMAL(5, 2) NOT NULL DEFAULT 0,   -- 商城商品折扣，例如 10 = 九折
+    ticketDiscountPercent DECIMAL(5, 2) NOT NULL DEFAULT 0, -- 票券折扣
+    active TINYINT(1) NOT NULL DEFAULT 1,               -- 0 = 停售，已購買的年卡不受影響
+    editTime DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 會員持有的年卡，一位會員同時只能有一張未過期的年卡
+CREATE TABLE IF NOT EXISTS userPasses (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    passNumber VARCHAR(20) NOT NULL UNIQUE,
+    userId INT NOT NULL,
+    planId INT NOT NULL,
+    holderName VARCHAR(100) NULL,
+    photoUrl VARCHAR(255) NULL,                         -- 持卡人照片，入口驗票時核對本人
+    startDate DATE NOT NULL,
+    endDate DATE NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'active',       -- active / suspended(停用)
+    pricePaid DECIMAL(10, 2) NOT NULL,
+    editTime DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_userPasses_userId (userId)
+);
+
+-- 續約紀錄
+CREATE TABLE IF NOT EXISTS passRenewals (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    passId INT NOT NULL,
+    fromEndDate DATE NOT NULL,
+    toEndDate DATE NOT NULL,
+    price DECIMAL(10, 2) NOT NULL,
+    createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_passRenewals_passId (passId)
+);
+
+-- 年卡入園紀錄，每張年卡每天限入園一次
+CREATE TABLE IF NOT EXISTS passVisits (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    passId INT NOT NULL,
+    visitDate DATE NOT NULL,
+    visitedAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    checkedInBy INT NULL,                               -- 驗票人員
+    UNIQUE INDEX uq_passVisits_day (passId, visitDate)
+);
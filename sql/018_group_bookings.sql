@@ -0,0 +1,36 @@
+-- 團體預約(學校、公司 20 人以上)：會員提出申請 → 管理員審核報價或拒絕 → 核准後轉為票券訂單並扣除名額
+CREATE TABLE IF NOT EXISTS groupBookings (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    userId INT NOT NULL,                                -- 提出申請的會員，轉單後的票券訂單屬於此會員
+    organization VARCHAR(100) NOT NULL,
+    orgType VARCHAR(20) NOT NULL DEFAULT 'school',      -- school / company / other
+    contactName VARCHAR(50) NOT NULL,
+    contactTel VARCHAR(30) NOT NULL,
+    contactEmail VARCHAR(100) NULL,
+    visitDate DATE NOT NULL,
+    headcount INT NOT NULL,
+    specialNeeds TEXT NULL,                             -- 無障礙、餐食、導覽等需求
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',      -- pending / approved / rejected / converted / cancelled
+    quotedPrice DECIMAL(10, 2) NULL,                    -- 核准時的報價總額
+    reviewNote VARCHAR(255) NULL,                       -- 報價說明或拒絕原因
+    reviewedBy INT NULL,
+    reviewedAt DATETIME NULL,
+    convertedAt DATETIME NULL,
+    cancelledAt DATETIME NULL,
+    editTime DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_groupBookings_userId (userId),
+    INDEX idx_groupBookings_status (status, visitDate)
+);
+
+-- 各年齡類別人數，核准時指定票種與單價，轉單後記錄產生的票券編號
+CREATE TABLE IF NOT EXISTS groupBookingLines (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    bookingId INT NOT NULL,
+    ageCategory VARCHAR(20) NOT NULL,
+    qty INT NOT NULL,
+    ticketId INT NULL,
+    unitPrice DECIMAL(10, 2) NULL,
+    ticketNumber VARCHAR(20) NULL,
+    INDEX idx_groupBookingLines_bookingId (bookingId)
+);
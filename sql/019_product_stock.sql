@@ -0,0 +1,19 @@
+-- 商品庫存：結帳時以 SELECT ... FOR UPDATE 鎖定商品列後扣除，訂單取消時補回
+-- 既有商品的 stock 為 NULL(不限量)，上線前請以 POST /admin/products/{id}/stock 設定實際庫存
+ALTER TABLE products
+    ADD COLUMN stock INT NULL;   -- NULL = 不限量(不檢查庫存)
+
+-- 庫存異動紀錄
+CREATE TABLE IF NOT EXISTS stockMovements (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    productId INT NOT NULL,
+    qtyChange INT NOT NULL,                   -- 正數 = 入庫，負數 = 出庫
+    stockAfter INT NULL,                      -- 異動後庫存，NULL = 改為不限量
+    type VARCHAR(20) NOT NULL,                -- sale(售出) / restock(取消補回) / adjust(手動調整)
+    reason VARCHAR(255) NULL,
+    orderNumber VARCHAR(20) NULL,
+    createdBy INT NULL,                       -- 操作的管理員，訂單自動異動為 NULL
+    createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_stockMovements_productId (productId),
+    INDEX idx_stockMovements_orderNumber (orderNumber)
+);
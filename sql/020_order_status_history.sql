@@ -0,0 +1,18 @@
+-- 訂單狀態改為固定流程：待付款 → 已付款 → 已出貨 → 已送達，另有 已取消、已退款
+-- checkTime 保留為下單時間，最後異動時間另存於 updatedAt
+ALTER TABLE orderCustomers
+    ADD COLUMN updatedAt DATETIME NULL;
+
+UPDATE orderCustomers SET updatedAt = checkTime WHERE updatedAt IS NULL;
+
+-- 訂單狀態異動紀錄，fromStatus 為 NULL 代表建立訂單
+CREATE TABLE IF NOT EXISTS orderStatusHistory (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    orderNumber VARCHAR(20) NOT NULL,
+    fromStatus VARCHAR(20) NULL,
+    toStatus VARCHAR(20) NOT NULL,
+    changedBy INT NULL,                       -- 操作的會員或管理員，系統自動異動為 NULL
+    note VARCHAR(255) NULL,
+    createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_orderStatusHistory_orderNumber (orderNumber)
+);
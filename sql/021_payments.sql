@@ -0,0 +1,24 @@
+-- 購物車結帳改為先建立 待付款 訂單，透過金流服務付款後才改為 已付款
+-- 超過 paymentExpiresAt 仍未付款的訂單會自動取消，補回商品庫存並歸還票券名額
+ALTER TABLE orderCustomers
+    ADD COLUMN paymentExpiresAt DATETIME NULL,
+    ADD INDEX idx_orderCustomers_payment (status, paymentExpiresAt);
+
+-- 購物車訂單中的票券在付款前為 待付款(ticketsOrders.status 不需調整欄位)，付款後改為 已付款
+
+-- 每次向金流服務建立的付款，同一張訂單付款失敗後可再建立新的付款
+CREATE TABLE IF NOT EXISTS payments (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    orderNumber VARCHAR(20) NOT NULL,
+    provider VARCHAR(20) NOT NULL,                  -- 金流服務名稱，例如 mock
+    providerRef VARCHAR(100) NULL,                  -- 金流服務的付款編號
+    amount DECIMAL(10, 2) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',  -- pending / paid / failed / expired / refund_required(訂單已取消才收到付款，需退款)
+    paymentUrl VARCHAR(255) NULL,
+    failureReason VARCHAR(255) NULL,
+    paidAt DATETIME NULL,
+    editTime DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_payments_providerRef (provider, providerRef),
+    INDEX idx_payments_orderNumber (orderNumber)
+);
@@ -0,0 +1,46 @@
+-- 優惠券(由管理員設定)，結帳時輸入代碼折抵商城商品金額，不適用票券
+-- discountType: percent = 百分比折扣(10 = 九折)、amount = 折抵固定金額、free_shipping = 免運費
+CREATE TABLE IF NOT EXISTS coupons (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    code VARCHAR(40) NOT NULL UNIQUE,                   -- 不分大小寫，統一存大寫
+    name VARCHAR(100) NOT NULL,
+    description TEXT NULL,
+    discountType VARCHAR(20) NOT NULL,
+    discountValue DECIMAL(10, 2) NOT NULL DEFAULT 0,    -- free_shipping 為 0
+    minSpend DECIMAL(10, 2) NOT NULL DEFAULT 0,         -- 適用商品小計需達此金額
+    startDate DATE NULL,                                -- 使用期間(含起訖日)，NULL = 不限
+    endDate DATE NULL,
+    usageLimit INT NULL,                                -- 全部會員合計可使用次數，NULL = 不限
+    perUserLimit INT NULL DEFAULT 1,                    -- 每位會員可使用次數，NULL = 不限
+    usedCount INT NOT NULL DEFAULT 0,
+    active TINYINT(1) NOT NULL DEFAULT 1,
+    editTime DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 適用範圍，沒有任何範圍時適用所有商品
+CREATE TABLE IF NOT EXISTS couponScopes (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    couponId INT NOT NULL,
+    scopeType VARCHAR(20) NOT NULL,                     -- product(指定商品 ID) / itemGroup(指定商品分類)
+    scopeValue VARCHAR(100) NOT NULL,
+    INDEX idx_couponScopes_couponId (couponId)
+);
+
+-- 使用紀錄，未付款就取消的訂單會歸還使用次數(releasedAt 有值)
+CREATE TABLE IF NOT EXISTS couponRedemptions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    couponId INT NOT NULL,
+    userId INT NOT NULL,
+    orderNumber VARCHAR(20) NOT NULL,
+    discountAmount DECIMAL(10, 2) NOT NULL,
+    releasedAt DATETIME NULL,
+    createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_couponRedemptions_coupon_user (couponId, userId),
+    INDEX idx_couponRedemptions_orderNumber (orderNumber)
+);
+
+-- 訂單使用的優惠券與折抵金額
+ALTER TABLE orderCustomers
+    ADD COLUMN couponCode VARCHAR(40) NULL,
+    ADD COLUMN discountAmount DECIMAL(10, 2) NOT NULL DEFAULT 0;
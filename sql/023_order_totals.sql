@@ -0,0 +1,19 @@
+-- 結帳時計算的金額明細，存入訂單後不再重算(之後調整售價、運費或稅率不影響已成立的訂單)
+-- grandTotal = 商品小計 + 票券小計 - 優惠券折抵 + 運費(未含稅時另加 taxAmount)
+ALTER TABLE orderCustomers
+    ADD COLUMN productSubtotal DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    ADD COLUMN ticketSubtotal DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    ADD COLUMN shippingFee DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    ADD COLUMN taxRate DECIMAL(5, 2) NULL,                       -- 百分比，5 = 5%；NULL = 舊訂單，稅率不明
+    ADD COLUMN taxIncluded TINYINT(1) NULL,                      -- 1 = 售價已含稅，taxAmount 只是拆出的稅額
+    ADD COLUMN taxAmount DECIMAL(10, 2) NULL,
+    ADD COLUMN grandTotal DECIMAL(10, 2) NOT NULL DEFAULT 0;
+
+-- 既有訂單依明細回填，運費以 0 計
+UPDATE orderCustomers oc
+SET productSubtotal = (SELECT COALESCE(SUM(oi.salePrice * oi.qty), 0) FROM orderInfor oi WHERE oi.orderNumber = oc.orderNumber),
+    ticketSubtotal = (SELECT COALESCE(SUM(t.totalPrice), 0) FROM ticketsOrders t WHERE t.orderNumber = oc.orderNumber);
+
+-- 舊訂單成立時的稅率與是否含稅無從得知，taxRate、taxIncluded、taxAmount 保留 NULL，API 回傳 null 表示不明
+UPDATE orderCustomers
+SET grandTotal = GREATEST(productSubtotal + ticketSubtotal - discountAmount, 0);
@@ -0,0 +1,3 @@
+-- 訂單取消或退款時，尚未使用的入園代碼作廢，不可再驗票入園
+ALTER TABLE ticketCodes
+    ADD COLUMN voidedAt DATETIME NULL;
@@ -0,0 +1,3 @@
+-- 未經線上金流付款就成立的票券(例如團體預約依報價單匯款)，記錄付款方式供對帳
+ALTER TABLE ticketsOrders
+    ADD COLUMN paymentNote VARCHAR(255) NULL;
@@ -0,0 +1,20 @@
+-- 購買與續約年卡改為先建立 待付款 訂單，付款後才啟用年卡或延長有效期間
+-- 訂單取消(含付款逾時)或退款時，未付款的年卡取消，已續約的年卡恢復原本的方案與有效期間
+ALTER TABLE orderCustomers
+    ADD COLUMN passSubtotal DECIMAL(10, 2) NOT NULL DEFAULT 0;
+
+-- userPasses.status: pending(待付款) / active / suspended(停用) / cancelled(訂單取消或退款)
+-- 既有年卡已付款，orderNumber 為 NULL
+ALTER TABLE userPasses
+    ADD COLUMN orderNumber VARCHAR(20) NULL,
+    ADD INDEX idx_userPasses_orderNumber (orderNumber);
+
+-- 續約在付款後才套用到年卡，保留續約前的方案與期間供退款時恢復
+ALTER TABLE passRenewals
+    ADD COLUMN orderNumber VARCHAR(20) NULL,
+    ADD COLUMN planId INT NULL,
+    ADD COLUMN fromPlanId INT NULL,
+    ADD COLUMN fromStartDate DATE NULL,
+    ADD COLUMN toStartDate DATE NULL,
+    ADD COLUMN status VARCHAR(20) NOT NULL DEFAULT 'paid',  -- pending / paid / cancelled
+    ADD INDEX idx_passRenewals_orderNumber (orderNumber);
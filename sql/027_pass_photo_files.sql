@@ -0,0 +1,10 @@
+-- 年卡持卡人照片改存在 /uploads 靜態目錄之外，只能透過 GET /passes/{passNumber}/photo 讀取
+-- photoFile 為照片檔名，photoUrl 改為上述的讀取網址
+-- 既有照片需手動從 img/uploads/passes 移到 img/private/passes
+ALTER TABLE userPasses
+    ADD COLUMN photoFile VARCHAR(255) NULL;
+
+UPDATE userPasses
+SET photoFile = SUBSTRING_INDEX(photoUrl, '/', -1),
+    photoUrl = CONCAT('/passes/', passNumber, '/photo')
+WHERE photoUrl IS NOT NULL;
@@ -0,0 +1,5 @@
+-- 年卡會員價每張年卡每個入園日期限一張，記錄用過會員價的年卡
+-- 有 memberPassId 的訂單其中一張為會員價，totalPrice 已含折扣(unitPrice 為一般票價)
+ALTER TABLE ticketsOrders
+    ADD COLUMN memberPassId INT NULL,
+    ADD INDEX idx_ticketsOrders_member (memberPassId, selectedData);
@@ -0,0 +1,11 @@
+-- 結帳時存入的金額明細不再改動，訂單成立後的退款(票券取消、改期退差額)累計於 refundedAmount
+-- 實收金額 = grandTotal - refundedAmount
+ALTER TABLE orderCustomers
+    ADD COLUMN refundedAmount DECIMAL(10, 2) NOT NULL DEFAULT 0;
+
+-- 會員自行取消或改期退差額的票券，補記到所屬訂單(整張訂單取消或退款的不計)
+UPDATE orderCustomers oc
+SET refundedAmount = (
+    SELECT COALESCE(SUM(t.refundAmount), 0) FROM ticketsOrders t WHERE t.orderNumber = oc.orderNumber
+)
+WHERE oc.status NOT IN ('已取消', '已退款');
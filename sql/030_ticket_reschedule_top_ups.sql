@@ -0,0 +1,19 @@
+-- 改期到票價較高的日期時，差額另建 待付款 訂單(orderNumber)補繳，付款後才套用改期
+-- 付款前先保留新日期(時段)的名額；補差額訂單取消(含付款逾時)時歸還名額，票券維持原本的日期
+-- 付款後票券的 totalPrice 加上補繳的差額，之後取消或改期退款時先退回補差額訂單
+CREATE TABLE IF NOT EXISTS ticketReschedules (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    ticketNumber VARCHAR(20) NOT NULL,
+    orderNumber VARCHAR(20) NOT NULL,
+    userId INT NOT NULL,
+    fromDate DATE NOT NULL,
+    fromSlot TIME NULL,
+    toDate DATE NOT NULL,
+    toSlot TIME NULL,
+    priceDifference DECIMAL(10, 2) NOT NULL,
+    memberPassId INT NULL,                             -- 新日期使用的年卡會員價
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',     -- pending(待付款) / paid / cancelled
+    createdAt DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_ticketReschedules_ticketNumber (ticketNumber),
+    INDEX idx_ticketReschedules_orderNumber (orderNumber)
+);
@@ -6,7 +6,7 @@ const options = {
     info: {
       title: "AquPark 水遊館",
       version: "0.0.1",
-      description: "水遊館 API 文件，部分API需驗證(x-group)\n\n[水游館前端網頁](https://karinnnya.github.io/vuefinallyhw/#/)"
+      description: "水遊館 API 文件，部分API需登入驗證(Bearer token，由 /users/login 取得)\n\n[水游館前端網頁](https://karinnnya.github.io/vuefinallyhw/#/)"
     },
     servers: [
       {
@@ -16,11 +16,11 @@ const options = {
     ],
     components: {
       securitySchemes: {
-        groupHeader: {
-          type: "apiKey",
-          in: "header",
-          name: "x-group",
-          description: "請輸入會員 ID (x-group)"
+        bearerAuth: {
+          type: "http",
+          scheme: "bearer",
+          bearerFormat: "JWT",
+          description: "請輸入 /users/login 回傳的 accessToken"
         }
       }
     },
@@ -42,10 +42,34 @@ const options = {
         name: 'Admin - 商品管理',
         description: '管理員操作商品資訊，包括新增、修改與刪除'
       },
+      {
+        name: 'Admin - 票券管理',
+        description: '管理員操作票種目錄，包括新增、修改、停售與刪除'
+      },
+      {
+        name: 'Admin - 營運日曆',
+        description: '管理員設定每週營業時間、休園日、特殊營業時間、假日與活動'
+      },
+      {
+        name: 'Admin - 年卡管理',
+        description: '年卡方案設定與會員年卡管理'
+      },
+      {
+        name: 'Admin - 團體預約',
+        description: '團體預約審核、報價與轉為票券訂單'
+      },
+      {
+        name: 'Admin - 優惠券管理',
+        description: '優惠券設定、適用範圍與使用紀錄'
+      },
       {
         name: 'Admin - 訂單管理',
         description: '管理員查看與修改訂單狀態'
       },
+      {
+        name: 'Admin - 會員管理',
+        description: '管理員管理會員帳號，例如解除登入鎖定、指派角色權限、停用與刪除、代客檢視'
+      },
       {
         name: 'Tickets',
         description: '票券訂購與相關查詢'
@@ -53,6 +77,18 @@ const options = {
       {
         name: 'Cart',
         description: '購物車相關操作'
+      },
+      {
+        name: 'Passes',
+        description: '年卡購買、續約與入園紀錄'
+      },
+      {
+        name: 'Group Bookings',
+        description: '學校、公司等團體預約申請'
+      },
+      {
+        name: 'Payments',
+        description: '訂單付款、金流付款通知與本地模擬金流'
       }
     ]
   },
@@ -61,7 +97,10 @@ const options = {
     "./route/users.js",
     "./route/admin.js",
     "./route/tickets.js",
-    "./route/cart.js"
+    "./route/cart.js",
+    "./route/passes.js",
+    "./route/groupBookings.js",
+    "./route/payments.js"
   ]
 };
 
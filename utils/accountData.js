@@ -0,0 +1,194 @@
+/*
+此程式碼負責會員的個人資料匯出與帳號刪除(匿名化)。
+功能:
+ - [collectUserData] 彙整會員的個人資料、地址簿、購物車、商品訂單、票券訂單、年卡(含入園紀錄)與團體預約。
+ - [anonymizeUser] 刪除帳號：清除會員與歷史訂單上的個人資料(姓名、電話、地址)，
+   但保留訂單金額與明細供會計查帳；年卡清除持卡人姓名並停用；團體預約清除聯絡人資料。需在交易(transaction)中呼叫，
+   回傳年卡照片檔名，由呼叫端在交易 commit 成功後再刪除檔案，避免交易失敗時照片已被刪除。
+*/
+const bcrypt = require('bcrypt');
+const { generateToken } = require('./token');
+const { revokeAllSessions } = require('./session');
+
+const ANONYMIZED_NAME = '已刪除會員';
+
+/**
+ * 彙整會員所有資料
+ * @param {*} conn - 資料庫連線
+ * @param {number} userId
+ */
+async function collectUserData(conn, userId) {
+  const [profiles] = await conn.query(
+    `SELECT id, userName, email, emailVerified, tel, totpEnabled,
+            DATE_FORMAT(editTime, '%Y-%m-%d %H:%i:%s') AS editTime
+     FROM users
+     WHERE id = ?`,
+    [userId]
+  );
+
+  const [addresses] = await conn.query(
+    'SELECT label, consignee, tel, address, isDefault = 1 AS isDefault FROM userAddresses WHERE userId = ?',
+    [userId]
+  );
+
+  const [cart] = await conn.query(
+    `SELECT c.itemType, c.productId, p.title AS productName, p.salePrice,
+            c.ticketId, t.name AS ticketName, DATE_FORMAT(c.selectedDate, '%Y-%m-%d') AS selectedDate,
+            TIME_FORMAT(c.slotTime, '%H:%i') AS slot, c.qty
+     FROM cart c
+     LEFT JOIN products p ON c.itemType = 'product' AND c.productId = p.id
+     LEFT JOIN tickets t ON c.itemType = 'ticket' AND c.ticketId = t.id
+     WHERE c.userId = ?`,
+    [userId]
+  );
+
+  const [orderRows] = await conn.query(
+    `SELECT oc.orderNumber,
+            DATE_FORMAT(oc.checkTime, '%Y-%m-%d %H:%i:%s') AS checkTime,
+            DATE_FORMAT(oc.updatedAt, '%Y-%m-%d %H:%i:%s') AS updatedAt,
+            oc.consignee, oc.tel, oc.address, oc.status, oc.couponCode, oc.discountAmount,
+            oc.shippingFee, oc.taxAmount, oc.grandTotal,
+            oi.productId, oi.productName, oi.salePrice, oi.qty
+     FROM orderCustomers oc
+     LEFT JOIN orderInfor oi ON oi.orderNumber = oc.orderNumber
+     WHERE oc.userId = ?
+     ORDER BY oc.checkTime DESC`,
+    [userId]
+  );
+
+  // 聚合同一張訂單的 items
+  const ordersMap = {};
+  orderRows.forEach(r => {
+    if (!ordersMap[r.orderNumber]) {
+      ordersMap[r.orderNumber] = {
+        orderNumber: r.orderNumber,
+        checkTime:   r.checkTime,
+        updatedAt:   r.updatedAt,
+        consignee:   r.consignee,
+        tel:         r.tel,
+        address:     r.address,
+        status:      r.status,
+        couponCode:  r.couponCode,
+        discountAmount: Number(r.discountAmount),
+        shippingFee: Number(r.shippingFee),
+        taxAmount:   r.taxAmount === null ? null : Number(r.taxAmount),
+        grandTotal:  Number(r.grandTotal),
+        items:       []
+      };
+    }
+    if (r.productId !== null) {
+      ordersMap[r.orderNumber].items.push({
+        productId:   r.productId,
+        productName: r.productName,
+        salePrice:   r.salePrice,
+        qty:         r.qty
+      });
+    }
+  });
+
+  const [ticketOrders] = await conn.query(
+    `SELECT *
+     FROM ticketsOrders
+     WHERE userId = ?
+     ORDER BY checkTime DESC`,
+    [userId]
+  );
+
+  const [passes] = await conn.query(
+    `SELECT up.id, up.passNumber, pp.name AS planName, up.holderName, up.photoUrl, up.status, up.pricePaid,
+            DATE_FORMAT(up.startDate, '%Y-%m-%d') AS startDate,
+            DATE_FORMAT(up.endDate, '%Y-%m-%d') AS endDate
+     FROM userPasses up
+     LEFT JOIN passPlans pp ON pp.id = up.planId
+     WHERE up.userId = ?
+     ORDER BY up.endDate DESC`,
+    [userId]
+  );
+  for (const pass of passes) {
+    const [visits] = await conn.query(
+      `SELECT DATE_FORMAT(visitedAt, '%Y-%m-%d %H:%i:%s') AS visitedAt
+       FROM passVisits
+       WHERE passId = ?
+       ORDER BY visitedAt DESC`,
+      [pass.id]
+    );
+    pass.visits = visits.map(visit => visit.visitedAt);
+    delete pass.id;
+  }
+
+  const [groupBookings] = await conn.query(
+    `SELECT organization, orgType, contactName, contactTel, contactEmail,
+            DATE_FORMAT(visitDate, '%Y-%m-%d') AS visitDate, headcount, specialNeeds, status, quotedPrice,
+            DATE_FORMAT(createdAt, '%Y-%m-%d %H:%i:%s') AS createdAt
+     FROM groupBookings
+     WHERE userId = ?
+     ORDER BY createdAt DESC`,
+    [userId]
+  );
+
+  return {
+    exportedAt: new Date().toISOString(),
+    profile: profiles[0] || null,
+    addresses: addresses.map(row => ({ ...row, isDefault: row.isDefault === 1 })),
+    cart,
+    orders: Object.values(ordersMap),
+    ticketOrders,
+    passes,
+    groupBookings
+  };
+}
+
+/**
+ * 匿名化會員資料並停用帳號
+ * @param {*} conn - 資料庫連線(需已開始交易)
+ * @param {number} userId
+ * @returns {Promise<string[]>} 需在 commit 後刪除的年卡照片檔名
+ */
+async function anonymizeUser(conn, userId) {
+  // 隨機密碼，之後無人能以此帳號登入
+  const unusablePassword = await bcrypt.hash(generateToken(), 10);
+
+  await conn.query(
+    `UPDATE users
+     SET userName = ?, email = ?, emailVerified = 0, tel = NULL, password = ?,
+         totpEnabled = 0, totpSecret = NULL, admin = 0,
+         active = 0, deletedAt = NOW(), editTime = NOW()
+     WHERE id = ?`,
+    [ANONYMIZED_NAME, `deleted-${userId}@deleted.invalid`, unusablePassword, userId]
+  );
+
+  // 歷史訂單只清除收件人資料，金額與明細保留
+  await conn.query(
+    `UPDATE orderCustomers SET consignee = ?, tel = '', address = '' WHERE userId = ?`,
+    [ANONYMIZED_NAME, userId]
+  );
+
+  // 年卡保留購買與入園紀錄，清除持卡人資料並停用
+  const [photos] = await conn.query(
+    'SELECT photoFile FROM userPasses WHERE userId = ? AND photoFile IS NOT NULL',
+    [userId]
+  );
+  await conn.query(
+    `UPDATE userPasses SET holderName = NULL, photoUrl = NULL, photoFile = NULL, status = 'suspended', editTime = NOW() WHERE userId = ?`,
+    [userId]
+  );
+  await conn.query(
+    `UPDATE groupBookings SET contactName = ?, contactTel = '', contactEmail = NULL, specialNeeds = NULL WHERE userId = ?`,
+    [ANONYMIZED_NAME, userId]
+  );
+
+  await conn.query('DELETE FROM userAddresses WHERE userId = ?', [userId]);
+  await conn.query('DELETE FROM cart WHERE userId = ?', [userId]);
+  await conn.query('DELETE FROM userRoles WHERE userId = ?', [userId]);
+  await conn.query('DELETE FROM userRecoveryCodes WHERE userId = ?', [userId]);
+  await conn.query('DELETE FROM emailVerifications WHERE userId = ?', [userId]);
+  await conn.query('DELETE FROM passwordResets WHERE userId = ?', [userId]);
+  await revokeAllSessions(conn, userId);
+
+  return photos.map(row => row.photoFile);
+}
+
+module.exports = {
+  collectUserData,
+  anonymizeUser
+};
@@ -0,0 +1,23 @@
+/*
+此程式碼負責記錄管理員操作(停用會員、代客檢視等)，寫入 adminAuditLogs 資料表。
+*/
+
+/**
+ * 寫入一筆管理員操作紀錄
+ * @param {*} conn - 資料庫連線
+ * @param {{ actorId: number, action: string, targetUserId?: number, detail?: object, ip?: string }} log
+ */
+async function writeAuditLog(conn, log) {
+  await conn.query(
+    'INSERT INTO adminAuditLogs (actorId, action, targetUserId, detail, ip) VALUES (?, ?, ?, ?, ?)',
+    [
+      log.actorId,
+      log.action,
+      log.targetUserId || null,
+      log.detail ? JSON.stringify(log.detail) : null,
+      log.ip || null
+    ]
+  );
+}
+
+module.exports = { writeAuditLog };
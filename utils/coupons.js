@@ -0,0 +1,242 @@
+/*
+此程式碼負責優惠券的檢查、折扣計算與使用紀錄。
+優惠券只折抵商城商品(套用年卡會員折扣後的售價)，不適用票券。
+計算方式:
+ 1. 適用商品：優惠券沒有設定範圍時為所有商品，否則為指定商品 ID 或指定分類(itemGroup)的商品。
+ 2. 適用商品小計需達 minSpend。
+ 3. percent 折抵小計的百分比(四捨五入到整數元)，amount 折抵固定金額(不超過小計)，free_shipping 不折抵商品金額，改為免運費。
+功能:
+ - [DISCOUNT_TYPES] 折扣類型。
+ - [normalizeCode] 統一代碼格式(去除空白、轉大寫)。
+ - [checkCoupon] 檢查管理員設定的優惠券內容，有問題時回傳錯誤訊息。
+ - [getCouponScopes] 取得優惠券的適用範圍。
+ - [evaluateCoupon] 檢查會員是否可使用優惠券並計算折扣，不可使用時拋出帶有 status(404/409)的錯誤。
+ - [redeemCoupon] 結帳時記錄使用，需在交易中呼叫。
+ - [releaseCoupon] 訂單未付款就取消時歸還使用次數，需在交易中呼叫。
+*/
+const { isValidDate } = require('./ticketCapacity');
+const { formatLocalDate } = require('./parkCalendar');
+
+const DISCOUNT_TYPES = ['percent', 'amount', 'free_shipping'];
+const CODE_PATTERN = /^[A-Z0-9_-]{3,40}$/;
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * 統一代碼格式
+ * @param {string} code
+ */
+function normalizeCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+// 次數上限可為 null(不限)或正整數
+function isLimit(value) {
+  return value === null || (Number.isInteger(Number(value)) && Number(value) > 0);
+}
+
+/**
+ * 檢查優惠券內容
+ * @param {object} coupon
+ * @returns {string|null} 錯誤訊息，沒問題回傳 null
+ */
+function checkCoupon(coupon) {
+  if (!CODE_PATTERN.test(normalizeCode(coupon.code))) {
+    return '優惠碼需為 3 ~ 40 個英數字、底線或連字號';
+  }
+  if (!coupon.name) {
+    return '請提供優惠券名稱';
+  }
+  if (!DISCOUNT_TYPES.includes(coupon.discountType)) {
+    return `discountType 只能是 ${DISCOUNT_TYPES.join(', ')}`;
+  }
+  const value = Number(coupon.discountValue ?? 0);
+  if (coupon.discountType === 'percent' && !(value > 0 && value <= 100)) {
+    return '百分比折扣必須介於 0 ~ 100';
+  }
+  if (coupon.discountType === 'amount' && !(value > 0)) {
+    return '折抵金額必須大於 0';
+  }
+  if (Number.isNaN(Number(coupon.minSpend ?? 0)) || Number(coupon.minSpend ?? 0) < 0) {
+    return '最低消費金額不可為負數';
+  }
+  if ((coupon.startDate && !isValidDate(coupon.startDate)) || (coupon.endDate && !isValidDate(coupon.endDate))) {
+    return '日期格式錯誤(YYYY-MM-DD)';
+  }
+  if (coupon.startDate && coupon.endDate && coupon.startDate > coupon.endDate) {
+    return '起始日期不可晚於結束日期';
+  }
+  if (!isLimit(coupon.usageLimit ?? null) || !isLimit(coupon.perUserLimit ?? null)) {
+    return '使用次數上限必須為正整數，不限請設為 null';
+  }
+  if (coupon.productIds !== undefined && !(Array.isArray(coupon.productIds) && coupon.productIds.every(id => Number.isInteger(Number(id))))) {
+    return 'productIds 必須為商品 ID 陣列';
+  }
+  if (coupon.itemGroups !== undefined && !(Array.isArray(coupon.itemGroups) && coupon.itemGroups.every(group => typeof group === 'string' && group))) {
+    return 'itemGroups 必須為商品分類陣列';
+  }
+  return null;
+}
+
+/**
+ * 取得優惠券的適用範圍
+ * @param {*} conn - 資料庫連線
+ * @param {number[]} couponIds
+ * @returns {Promise<Record<number, { productIds: number[], itemGroups: string[] }>>}
+ */
+async function getCouponScopes(conn, couponIds) {
+  const scopes = {};
+  couponIds.forEach(id => { scopes[id] = { productIds: [], itemGroups: [] }; });
+  if (couponIds.length === 0) return scopes;
+
+  const [rows] = await conn.query(
+    'SELECT couponId, scopeType, scopeValue FROM couponScopes WHERE couponId IN (?) ORDER BY id ASC',
+    [couponIds]
+  );
+  rows.forEach(row => {
+    if (row.scopeType === 'product') {
+      scopes[row.couponId].productIds.push(Number(row.scopeValue));
+    } else {
+      scopes[row.couponId].itemGroups.push(row.scopeValue);
+    }
+  });
+  return scopes;
+}
+
+/**
+ * 檢查會員是否可使用優惠券並計算折扣
+ * @param {*} conn - 資料庫連線
+ * @param {string} code
+ * @param {number} userId
+ * @param {{ productId: number, salePrice: number|string, qty: number }[]} items - 購物車中的商品
+ * @param {{ forUpdate?: boolean, now?: Date }} [options] - forUpdate 時鎖定優惠券直到交易結束(結帳用)
+ * @returns {Promise<{ couponId: number, code: string, name: string, discountType: string, discountValue: number,
+ *                     eligibleSubtotal: number, discountAmount: number, freeShipping: boolean }>}
+ */
+async function evaluateCoupon(conn, code, userId, items, { forUpdate = false, now = new Date() } = {}) {
+  const [coupons] = await conn.query(
+    `SELECT id, code, name, discountType, discountValue, minSpend,
+            DATE_FORMAT(startDate, '%Y-%m-%d') AS startDate,
+            DATE_FORMAT(endDate, '%Y-%m-%d') AS endDate,
+            usageLimit, perUserLimit, usedCount, active
+     FROM coupons
+     WHERE code = ?
+     ${forUpdate ? 'FOR UPDATE' : ''}`,
+    [normalizeCode(code)]
+  );
+  if (coupons.length === 0 || !coupons[0].active) {
+    throw httpError(404, '優惠碼不存在或已停用');
+  }
+  const coupon = coupons[0];
+
+  const today = formatLocalDate(now);
+  if (coupon.startDate && today < coupon.startDate) {
+    throw httpError(409, `此優惠券自 ${coupon.startDate} 起才可使用`);
+  }
+  if (coupon.endDate && today > coupon.endDate) {
+    throw httpError(409, `此優惠券已於 ${coupon.endDate} 到期`);
+  }
+  if (coupon.usageLimit !== null && coupon.usedCount >= coupon.usageLimit) {
+    throw httpError(409, '此優惠券已兌換完畢');
+  }
+  if (coupon.perUserLimit !== null) {
+    const [[{ used }]] = await conn.query(
+      'SELECT COUNT(*) AS used FROM couponRedemptions WHERE couponId = ? AND userId = ? AND releasedAt IS NULL',
+      [coupon.id, userId]
+    );
+    if (used >= coupon.perUserLimit) {
+      throw httpError(409, `此優惠券每位會員限用 ${coupon.perUserLimit} 次`);
+    }
+  }
+
+  // 依範圍篩選適用商品
+  const scope = (await getCouponScopes(conn, [coupon.id]))[coupon.id];
+  let eligible = items;
+  if (scope.productIds.length > 0 || scope.itemGroups.length > 0) {
+    const productIds = [...new Set(items.map(item => item.productId))];
+    const groups = {};
+    if (productIds.length > 0) {
+      const [rows] = await conn.query('SELECT id, itemGroup FROM products WHERE id IN (?)', [productIds]);
+      rows.forEach(row => { groups[row.id] = row.itemGroup; });
+    }
+    eligible = items.filter(item =>
+      scope.productIds.includes(Number(item.productId)) || scope.itemGroups.includes(groups[item.productId])
+    );
+  }
+  if (eligible.length === 0) {
+    throw httpError(409, '購物車中沒有適用此優惠券的商品');
+  }
+
+  const eligibleSubtotal = eligible.reduce((sum, item) => sum + Number(item.salePrice) * item.qty, 0);
+  const minSpend = Number(coupon.minSpend);
+  if (eligibleSubtotal < minSpend) {
+    const err = httpError(409, `適用商品需滿 ${minSpend} 元才可使用，還差 ${minSpend - eligibleSubtotal} 元`);
+    err.minSpend = minSpend;
+    throw err;
+  }
+
+  const value = Number(coupon.discountValue);
+  let discountAmount = 0;
+  if (coupon.discountType === 'percent') {
+    discountAmount = Math.round(eligibleSubtotal * value / 100);
+  } else if (coupon.discountType === 'amount') {
+    discountAmount = Math.min(value, eligibleSubtotal);
+  }
+
+  return {
+    couponId: coupon.id,
+    code: coupon.code,
+    name: coupon.name,
+    discountType: coupon.discountType,
+    discountValue: value,
+    eligibleSubtotal,
+    discountAmount,
+    freeShipping: coupon.discountType === 'free_shipping'
+  };
+}
+
+/**
+ * 記錄優惠券使用(需在交易中呼叫，並先以 evaluateCoupon 的 forUpdate 鎖定優惠券)
+ * @param {*} conn - 資料庫連線(需已開始交易)
+ * @param {{ couponId: number, discountAmount: number }} coupon - evaluateCoupon 的回傳值
+ * @param {number} userId
+ * @param {string} orderNumber
+ */
+async function redeemCoupon(conn, coupon, userId, orderNumber) {
+  await conn.query(
+    `INSERT INTO couponRedemptions (couponId, userId, orderNumber, discountAmount, createdAt)
+     VALUES (?, ?, ?, ?, NOW())`,
+    [coupon.couponId, userId, orderNumber, coupon.discountAmount]
+  );
+  await conn.query('UPDATE coupons SET usedCount = usedCount + 1 WHERE id = ?', [coupon.couponId]);
+}
+
+/**
+ * 歸還訂單使用的優惠券次數(需在交易中呼叫)
+ * @param {*} conn - 資料庫連線(需已開始交易)
+ * @param {string} orderNumber
+ */
+async function releaseCoupon(conn, orderNumber) {
+  const [rows] = await conn.query(
+    'SELECT id, couponId FROM couponRedemptions WHERE orderNumber = ? AND releasedAt IS NULL FOR UPDATE',
+    [orderNumber]
+  );
+  for (const row of rows) {
+    await conn.query('UPDATE couponRedemptions SET releasedAt = NOW() WHERE id = ?', [row.id]);
+    await conn.query('UPDATE coupons SET usedCount = GREATEST(usedCount - 1, 0) WHERE id = ?', [row.couponId]);
+  }
+}
+
+module.exports = {
+  DISCOUNT_TYPES,
+  normalizeCode,
+  checkCoupon,
+  getCouponScopes,
+  evaluateCoupon,
+  redeemCoupon,
+  releaseCoupon
+};
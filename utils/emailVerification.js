@@ -0,0 +1,38 @@
+/*
+此程式碼負責寄送信箱驗證信。
+功能:
+ - [sendVerificationEmail] 建立一次性驗證 token 並寄出驗證信，舊的 token 會一併失效。
+ - 有效時間由 .env 的 EMAIL_VERIFY_EXPIRES_HOURS 設定(預設 24 小時)。
+*/
+const { generateToken, hashToken } = require('./token');
+const { sendMail, buildAppUrl } = require('./mailer');
+
+const EMAIL_VERIFY_EXPIRES_HOURS = Number(process.env.EMAIL_VERIFY_EXPIRES_HOURS) || 24;
+
+/**
+ * 寄送信箱驗證信
+ * @param {*} conn - 資料庫連線
+ * @param {{ id: number, userName: string, email: string }} user
+ */
+async function sendVerificationEmail(conn, user) {
+  const token = generateToken();
+
+  await conn.query(
+    'UPDATE emailVerifications SET usedAt = NOW() WHERE userId = ? AND usedAt IS NULL',
+    [user.id]
+  );
+  await conn.query(
+    `INSERT INTO emailVerifications (userId, email, tokenHash, expiresAt)
+     VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? HOUR))`,
+    [user.id, user.email, hashToken(token), EMAIL_VERIFY_EXPIRES_HOURS]
+  );
+
+  await sendMail({
+    to: user.email,
+    subject: 'AquPark 水遊館 - 驗證您的信箱',
+    text: `${user.userName} 您好：\n請於 ${EMAIL_VERIFY_EXPIRES_HOURS} 小時內點擊以下連結完成信箱驗證：\n`
+      + `${buildAppUrl('/verify-email', { token })}`
+  });
+}
+
+module.exports = { sendVerificationEmail };
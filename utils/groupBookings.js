@@ -0,0 +1,190 @@
+/*
+此程式碼負責團體預約(學校、公司)的申請檢查、審核報價與轉為票券訂單。
+流程: pending(待審核) → approved(已報價) 或 rejected(已拒絕) → converted(已轉為訂單)；
+待審核或已報價的申請可由會員取消(cancelled)；已轉單的申請只能由管理員取消，票券一併作廢，
+轉單後的票券會員不可自行取消或改期。
+核准時每個年齡類別指定一個票種與單價(不填時依入園日期的票價規則計算)，
+轉單時以核定單價建立票券訂單，並扣除當日入園名額。
+功能:
+ - [GROUP_MIN_HEADCOUNT] 團體預約最少人數(GROUP_MIN_HEADCOUNT，預設 20 人)。
+ - [checkGroupRequest] 檢查申請內容，有問題時回傳錯誤訊息。
+ - [getGroupBooking] 取得單筆申請與各年齡類別明細。
+ - [resolveGroupLines] 決定核准時各年齡類別的票種與單價，有問題時拋出帶有 status(400/404)的錯誤。
+ - [convertGroupBooking] 將已核准的申請轉為票券訂單，需在交易中呼叫；團體預約依報價單線下收款，票券直接為 已付款 並記錄付款方式。
+*/
+const { isValidDate } = require('./ticketCapacity');
+const { quoteTicketPrice } = require('./ticketPricing');
+const { AGE_CATEGORIES, createTicketOrder } = require('./ticketOrders');
+
+const GROUP_MIN_HEADCOUNT = Number(process.env.GROUP_MIN_HEADCOUNT ?? 20);
+const ORG_TYPES = ['school', 'company', 'other'];
+const GROUP_STATUSES = ['pending', 'approved', 'rejected', 'converted', 'cancelled'];
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * 檢查申請內容
+ * @param {object} body
+ * @returns {string|null} 錯誤訊息，沒問題回傳 null
+ */
+function checkGroupRequest(body) {
+  const { organization, orgType = 'school', contactName, contactTel, visitDate, headcount, ageBreakdown } = body;
+  if (!organization || !contactName || !contactTel) {
+    return '請提供團體名稱、聯絡人與聯絡電話';
+  }
+  if (!ORG_TYPES.includes(orgType)) {
+    return `orgType 只能是 ${ORG_TYPES.join(', ')}`;
+  }
+  if (!isValidDate(visitDate)) {
+    return '入園日期格式錯誤(YYYY-MM-DD)';
+  }
+  if (!Number.isInteger(Number(headcount)) || Number(headcount) < GROUP_MIN_HEADCOUNT) {
+    return `團體預約人數至少 ${GROUP_MIN_HEADCOUNT} 人`;
+  }
+  if (!ageBreakdown || typeof ageBreakdown !== 'object' || Array.isArray(ageBreakdown)) {
+    return '請提供各年齡類別人數(ageBreakdown)';
+  }
+
+  let total = 0;
+  for (const [ageCategory, qty] of Object.entries(ageBreakdown)) {
+    if (!AGE_CATEGORIES.includes(ageCategory)) {
+      return `年齡類別只能是 ${AGE_CATEGORIES.join(', ')}`;
+    }
+    if (!Number.isInteger(Number(qty)) || Number(qty) < 0) {
+      return '各年齡類別人數必須為 0 以上的整數';
+    }
+    total += Number(qty);
+  }
+  if (total !== Number(headcount)) {
+    return `各年齡類別人數合計(${total})與總人數(${headcount})不符`;
+  }
+  return null;
+}
+
+/**
+ * 取得單筆申請與明細
+ * @param {*} conn - 資料庫連線
+ * @param {number} id
+ * @param {{ userId?: number, forUpdate?: boolean }} [options] - userId 有值時只取該會員的申請；forUpdate 時需在交易中呼叫
+ * @returns {Promise<object|null>}
+ */
+async function getGroupBooking(conn, id, { userId = null, forUpdate = false } = {}) {
+  const [rows] = await conn.query(
+    `SELECT id, userId, organization, orgType, contactName, contactTel, contactEmail,
+            DATE_FORMAT(visitDate, '%Y-%m-%d') AS visitDate,
+            headcount, specialNeeds, status, quotedPrice, reviewNote, reviewedBy,
+            DATE_FORMAT(reviewedAt, '%Y-%m-%d %H:%i:%s') AS reviewedAt,
+            DATE_FORMAT(convertedAt, '%Y-%m-%d %H:%i:%s') AS convertedAt,
+            DATE_FORMAT(cancelledAt, '%Y-%m-%d %H:%i:%s') AS cancelledAt,
+            DATE_FORMAT(createdAt, '%Y-%m-%d %H:%i:%s') AS createdAt
+     FROM groupBookings
+     WHERE id = ? ${userId ? 'AND userId = ?' : ''}
+     ${forUpdate ? 'FOR UPDATE' : ''}`,
+    userId ? [id, userId] : [id]
+  );
+  if (rows.length === 0) return null;
+
+  const [lines] = await conn.query(
+    `SELECT l.id, l.ageCategory, l.qty, l.ticketId, t.name AS ticketName, l.unitPrice, l.ticketNumber
+     FROM groupBookingLines l
+     LEFT JOIN tickets t ON t.id = l.ticketId
+     WHERE l.bookingId = ?
+     ORDER BY l.id ASC`,
+    [id]
+  );
+  return { ...rows[0], lines };
+}
+
+/**
+ * 決定核准時各年齡類別的票種與單價
+ * 未指定票種時，使用該年齡類別中販售中、不需選擇時段的第一個票種；指定的票種需與該項目的年齡類別相同
+ * @param {*} conn - 資料庫連線
+ * @param {object} booking - getGroupBooking 的結果
+ * @param {{ ageCategory: string, ticketId?: number, unitPrice?: number }[]} [quotes] - 管理員指定的票種與單價
+ * @returns {Promise<{ id: number, ageCategory: string, qty: number, ticketId: number, unitPrice: number }[]>}
+ */
+async function resolveGroupLines(conn, booking, quotes = []) {
+  const resolved = [];
+  for (const line of booking.lines) {
+    const quote = quotes.find(item => item.ageCategory === line.ageCategory) || {};
+
+    const [tickets] = quote.ticketId
+      ? await conn.query(
+        'SELECT id, basePrice, slotIntervalMinutes, ageCategory FROM tickets WHERE id = ? AND active = 1',
+        [quote.ticketId]
+      )
+      : await conn.query(
+        `SELECT id, basePrice, slotIntervalMinutes, ageCategory FROM tickets
+         WHERE ageCategory = ? AND active = 1 AND slotIntervalMinutes IS NULL
+         ORDER BY id ASC
+         LIMIT 1`,
+        [line.ageCategory]
+      );
+    if (tickets.length === 0) {
+      throw httpError(404, `找不到 ${line.ageCategory} 可使用的票種，請指定 ticketId`);
+    }
+    if (tickets[0].ageCategory !== line.ageCategory) {
+      throw httpError(400, `票種 ${tickets[0].id} 不是 ${line.ageCategory} 票種，請指定相同年齡類別的票種`);
+    }
+    if (tickets[0].slotIntervalMinutes) {
+      throw httpError(400, '團體預約請選擇不需指定入園時段的票種');
+    }
+
+    let unitPrice;
+    if (quote.unitPrice !== undefined && quote.unitPrice !== null && quote.unitPrice !== '') {
+      unitPrice = Number(quote.unitPrice);
+      if (Number.isNaN(unitPrice) || unitPrice < 0) {
+        throw httpError(400, '單價必須為 0 以上的數字');
+      }
+    } else {
+      unitPrice = (await quoteTicketPrice(conn, tickets[0], booking.visitDate)).unitPrice;
+    }
+
+    resolved.push({ id: line.id, ageCategory: line.ageCategory, qty: line.qty, ticketId: tickets[0].id, unitPrice });
+  }
+  return resolved;
+}
+
+/**
+ * 將已核准的申請轉為票券訂單(需在交易中呼叫)，入園日期、名額檢查不通過時拋出帶有 status 的錯誤
+ * @param {*} conn - 資料庫連線(需已開始交易)
+ * @param {object} booking - getGroupBooking(forUpdate) 的結果，status 需為 approved
+ * @returns {Promise<object[]>} 建立的票券訂單
+ */
+async function convertGroupBooking(conn, booking) {
+  const tickets = [];
+  for (const line of booking.lines) {
+    const ticketOrder = await createTicketOrder(conn, {
+      userId: booking.userId,
+      ticketId: line.ticketId,
+      selectedDate: booking.visitDate,
+      qty: line.qty,
+      unitPrice: line.unitPrice,
+      // 團體預約依報價單線下收款，不經線上金流
+      status: '已付款',
+      paymentNote: `團體預約 #${booking.id} 依報價單線下付款`
+    });
+    await conn.query('UPDATE groupBookingLines SET ticketNumber = ? WHERE id = ?', [ticketOrder.ticketNumber, line.id]);
+    tickets.push(ticketOrder);
+  }
+
+  await conn.query(
+    `UPDATE groupBookings SET status = 'converted', convertedAt = NOW(), editTime = NOW() WHERE id = ?`,
+    [booking.id]
+  );
+  return tickets;
+}
+
+module.exports = {
+  GROUP_MIN_HEADCOUNT,
+  ORG_TYPES,
+  GROUP_STATUSES,
+  checkGroupRequest,
+  getGroupBooking,
+  resolveGroupLines,
+  convertGroupBooking
+};
@@ -0,0 +1,180 @@
+/*
+此程式碼是為了防止登入密碼被暴力破解。
+功能:
+ - 分別以「帳號」與「來源 IP」計算登入失敗次數。來源 IP 取自 req.ip，在代理之後需設定 .env 的 TRUST_PROXY(見 server.js)，
+   否則所有使用者都會被視為代理的 IP，共用同一個 IP 鎖定。
+ - 失敗達上限後暫時鎖定，之後每多失敗一次鎖定時間加倍(有上限)。
+ - [getRetryAfter] 回傳還需等待的秒數，0 代表可嘗試登入。
+ - [recordFailure] / [recordSuccess] 記錄登入結果，成功時清除該帳號的失敗紀錄。
+ - [unlockAccount] 管理員手動解鎖帳號。
+ - 紀錄存放位置可替換：[createMemoryStore] 存在記憶體(測試用)，[createDbStore] 存在資料庫(正式環境)。
+   由 .env 的 LOGIN_THROTTLE_STORE 選擇 'memory' 或 'db'(預設)。
+   失敗次數由 store 的 increment 原子累加，同時送出的多次失敗不會互相覆蓋。
+*/
+require('dotenv').config();
+const pool = require('../db');
+
+const ACCOUNT_MAX_FAILURES = Number(process.env.LOGIN_MAX_FAILURES) || 5;   // 單一帳號
+const IP_MAX_FAILURES = Number(process.env.LOGIN_IP_MAX_FAILURES) || 20;    // 單一 IP
+const BASE_LOCK_SECONDS = 30;           // 第一次鎖定秒數
+const MAX_LOCK_SECONDS = 60 * 60;       // 鎖定上限 1 小時
+const FAILURE_WINDOW_MS = 60 * 60 * 1000; // 超過 1 小時沒有再失敗，重新計算
+
+/**
+ * 記憶體版本，重啟伺服器後紀錄會消失
+ */
+function createMemoryStore() {
+  const records = new Map();
+  return {
+    async get(key) {
+      return records.get(key) || null;
+    },
+    async increment(key, now, windowMs) {
+      const record = records.get(key);
+      const failures = record && now - record.lastFailedAt < windowMs ? record.failures + 1 : 1;
+      records.set(key, { failures, lockedUntil: record ? record.lockedUntil : 0, lastFailedAt: now });
+      return failures;
+    },
+    async lockUntil(key, lockedUntil) {
+      const record = records.get(key);
+      if (record) record.lockedUntil = Math.max(record.lockedUntil, lockedUntil);
+    },
+    async delete(key) {
+      records.delete(key);
+    }
+  };
+}
+
+/**
+ * 資料庫版本，紀錄存在 loginAttempts 資料表
+ * @param {*} db - 連線池
+ */
+function createDbStore(db) {
+  return {
+    async get(key) {
+      const [rows] = await db.query(
+        'SELECT failures, lockedUntil, lastFailedAt FROM loginAttempts WHERE attemptKey = ?',
+        [key]
+      );
+      if (rows.length === 0) return null;
+      return {
+        failures: rows[0].failures,
+        lockedUntil: rows[0].lockedUntil ? new Date(rows[0].lockedUntil).getTime() : 0,
+        lastFailedAt: new Date(rows[0].lastFailedAt).getTime()
+      };
+    },
+    // 在同一個陳述式中累加，failures 需在 lastFailedAt 更新前計算
+    async increment(key, now, windowMs) {
+      await db.query(
+        `INSERT INTO loginAttempts (attemptKey, failures, lockedUntil, lastFailedAt)
+         VALUES (?, 1, NULL, ?)
+         ON DUPLICATE KEY UPDATE failures = IF(lastFailedAt > ?, failures + 1, 1), lastFailedAt = VALUES(lastFailedAt)`,
+        [key, new Date(now), new Date(now - windowMs)]
+      );
+      const [rows] = await db.query('SELECT failures FROM loginAttempts WHERE attemptKey = ?', [key]);
+      return rows.length > 0 ? rows[0].failures : 1;
+    },
+    // 同時有多次失敗時保留較長的鎖定時間
+    async lockUntil(key, lockedUntil) {
+      await db.query(
+        'UPDATE loginAttempts SET lockedUntil = GREATEST(COALESCE(lockedUntil, ?), ?) WHERE attemptKey = ?',
+        [new Date(lockedUntil), new Date(lockedUntil), key]
+      );
+    },
+    async delete(key) {
+      await db.query('DELETE FROM loginAttempts WHERE attemptKey = ?', [key]);
+    }
+  };
+}
+
+let store = process.env.LOGIN_THROTTLE_STORE === 'memory'
+  ? createMemoryStore()
+  : createDbStore(pool);
+
+/**
+ * 替換紀錄存放位置
+ * @param {{ get: Function, increment: Function, lockUntil: Function, delete: Function }} newStore
+ */
+function setStore(newStore) {
+  store = newStore;
+}
+
+function accountKey(email) {
+  return `account:${String(email || '').trim().toLowerCase()}`;
+}
+
+function ipKey(ip) {
+  return `ip:${ip}`;
+}
+
+/**
+ * 計算失敗 n 次後應鎖定的秒數
+ * @param {number} failures
+ * @param {number} maxFailures
+ */
+function lockSecondsFor(failures, maxFailures) {
+  if (failures < maxFailures) return 0;
+  return Math.min(BASE_LOCK_SECONDS * 2 ** (failures - maxFailures), MAX_LOCK_SECONDS);
+}
+
+/**
+ * 還需等待幾秒才能再次嘗試登入(帳號與 IP 取較長者)
+ * @param {string} email
+ * @param {string} ip
+ */
+async function getRetryAfter(email, ip) {
+  const now = Date.now();
+  const records = await Promise.all([store.get(accountKey(email)), store.get(ipKey(ip))]);
+  const waits = records
+    .filter(record => record && record.lockedUntil > now)
+    .map(record => Math.ceil((record.lockedUntil - now) / 1000));
+  return waits.length ? Math.max(...waits) : 0;
+}
+
+// 累加單一 key 的失敗次數
+async function addFailure(key, maxFailures) {
+  const now = Date.now();
+  const failures = await store.increment(key, now, FAILURE_WINDOW_MS);
+  const lockSeconds = lockSecondsFor(failures, maxFailures);
+  if (lockSeconds) {
+    await store.lockUntil(key, now + lockSeconds * 1000);
+  }
+}
+
+/**
+ * 記錄一次登入失敗
+ * @param {string} email
+ * @param {string} ip
+ */
+async function recordFailure(email, ip) {
+  await Promise.all([
+    addFailure(accountKey(email), ACCOUNT_MAX_FAILURES),
+    addFailure(ipKey(ip), IP_MAX_FAILURES)
+  ]);
+}
+
+/**
+ * 登入成功，清除該帳號的失敗紀錄
+ * @param {string} email
+ */
+async function recordSuccess(email) {
+  await store.delete(accountKey(email));
+}
+
+/**
+ * 管理員手動解鎖帳號
+ * @param {string} email
+ */
+async function unlockAccount(email) {
+  await store.delete(accountKey(email));
+}
+
+module.exports = {
+  createMemoryStore,
+  createDbStore,
+  setStore,
+  getRetryAfter,
+  recordFailure,
+  recordSuccess,
+  unlockAccount
+};
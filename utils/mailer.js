@@ -0,0 +1,104 @@
+/*
+此程式碼負責寄送系統信件(重設密碼等)。
+寄信方式由 .env 的 MAIL_TRANSPORT 設定:
+ - smtp(預設): 透過 SMTP 寄出，需設定 SMTP_HOST、MAIL_FROM，
+   另可設定 SMTP_PORT(預設 587)、SMTP_SECURE(true = 使用 SSL，通常搭配 465 port)、SMTP_USER、SMTP_PASS。
+ - console: 只在主控台印出收件人與主旨，不會寄出，也不印出信件內容(內含重設密碼等 token)。
+   僅供本地測試，NODE_ENV=production 時不可使用。
+功能:
+ - [sendMail] 透過目前設定的寄信方式寄出信件。
+ - [setTransport] 替換寄信方式，測試時可換成本地替身把信件存在記憶體中檢查。
+ - [checkMailConfigured] 啟動伺服器前確認寄信方式已設定完成，未設定時不啟動，避免信件寄不出去。
+ - [buildAppUrl] 組合前端頁面網址，前端網址由 .env 的 APP_URL 設定。
+*/
+require('dotenv').config();
+const nodemailer = require('nodemailer');
+
+const APP_URL = process.env.APP_URL || 'http://localhost:5173';
+const MAIL_TRANSPORTS = ['smtp', 'console'];
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || 'smtp';
+const MAIL_FROM = process.env.MAIL_FROM;
+
+// 測試用寄信方式：只印出收件人與主旨
+async function consoleTransport(mail) {
+  console.log(`📧 寄信給 ${mail.to}：${mail.subject}(console 模式不會寄出)`);
+}
+
+// SMTP 寄信方式
+function createSmtpTransport() {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT ?? 587),
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+  });
+  return async mail => {
+    await transporter.sendMail({ from: MAIL_FROM, to: mail.to, subject: mail.subject, text: mail.text });
+  };
+}
+
+/**
+ * 檢查寄信設定，有問題時回傳錯誤訊息
+ * @returns {string|null}
+ */
+function getConfigError() {
+  if (!MAIL_TRANSPORTS.includes(MAIL_TRANSPORT)) {
+    return `MAIL_TRANSPORT 只能是 ${MAIL_TRANSPORTS.join(', ')}`;
+  }
+  if (MAIL_TRANSPORT === 'console') {
+    return process.env.NODE_ENV === 'production' ? 'console 寄信方式不可用於正式環境(NODE_ENV=production)' : null;
+  }
+  if (!process.env.SMTP_HOST || !MAIL_FROM) {
+    return '請在 .env 設定 SMTP_HOST 與 MAIL_FROM(本地測試可設定 MAIL_TRANSPORT=console)';
+  }
+  return null;
+}
+
+const configError = getConfigError();
+let transport = configError ? null : (MAIL_TRANSPORT === 'console' ? consoleTransport : createSmtpTransport());
+
+/**
+ * 替換寄信方式
+ * @param {(mail: { to: string, subject: string, text: string }) => Promise<void>} fn
+ */
+function setTransport(fn) {
+  transport = fn;
+}
+
+/**
+ * 啟動伺服器前確認寄信方式已設定
+ */
+function checkMailConfigured() {
+  if (!transport) {
+    throw new Error(configError || '尚未設定寄信方式');
+  }
+}
+
+/**
+ * 寄送信件，尚未設定寄信方式時拋出錯誤，不會改用主控台輸出
+ * @param {{ to: string, subject: string, text: string }} mail
+ */
+async function sendMail(mail) {
+  if (!transport) {
+    throw new Error(configError || '尚未設定寄信方式');
+  }
+  await transport(mail);
+}
+
+/**
+ * 組合前端頁面網址
+ * @param {string} path - 例如 '/reset-password'
+ * @param {Record<string, string>} query
+ */
+function buildAppUrl(path, query = {}) {
+  const url = new URL(path, APP_URL);
+  Object.entries(query).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+}
+
+module.exports = {
+  sendMail,
+  setTransport,
+  checkMailConfigured,
+  buildAppUrl
+};
@@ -0,0 +1,140 @@
+/*
+此程式碼負責商品訂單(orderCustomers)的狀態流程與異動紀錄。
+狀態流程:
+ 待付款 → 已付款 → 已出貨 → 已送達
+ 待付款 → 已取消(未付款取消)
+ 已付款 → 已取消 / 已退款(出貨前)
+ 已出貨、已送達 → 已退款(退貨)
+已取消、已退款為最終狀態，不可再變更。
+取消或出貨前退款時補回商品庫存；出貨後退款的商品需退貨入庫後由管理員手動調整庫存。
+購物車訂單中的票券隨訂單付款改為 已付款；訂單取消(含付款逾時)或退款時，尚未使用的票券一併作廢並歸還名額。
+年卡訂單付款後才啟用年卡或套用續約；訂單取消或退款時取消年卡，續約恢復為續約前的期間。
+票券改期的補差額訂單付款後才套用改期，取消時歸還保留的新日期名額；原訂單取消或退款時，尚未付款的補差額訂單一併取消。
+未付款就取消時也歸還優惠券使用次數。
+功能:
+ - [ORDER_STATUSES] / [ORDER_TRANSITIONS] 可用的狀態與每個狀態可變更為哪些狀態。
+ - [recordStatusHistory] 寫入狀態異動紀錄(建立訂單時 fromStatus 為 null)。
+ - [changeOrderStatus] 變更訂單狀態，需在交易中呼叫；不合法的變更拋出帶有 status(400/404/409)的錯誤。
+ - [getStatusHistory] 取得訂單的狀態異動紀錄。
+*/
+const { restockOrder } = require('./productStock');
+const { cancelOrderTickets, applyOrderReschedules, cancelOrderReschedules, getPendingTopUpOrders } = require('./ticketOrders');
+const { releaseCoupon } = require('./coupons');
+const { activateOrderPasses, cancelOrderPasses } = require('./passes');
+
+const ORDER_STATUSES = ['待付款', '已付款', '已出貨', '已送達', '已取消', '已退款'];
+const ORDER_TRANSITIONS = {
+  待付款: ['已付款', '已取消'],
+  已付款: ['已出貨', '已取消', '已退款'],
+  已出貨: ['已送達', '已退款'],
+  已送達: ['已退款'],
+  已取消: [],
+  已退款: []
+};
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * 寫入狀態異動紀錄
+ * @param {*} conn - 資料庫連線
+ * @param {{ orderNumber: string, fromStatus: string|null, toStatus: string, changedBy?: number, note?: string }} change
+ */
+async function recordStatusHistory(conn, change) {
+  await conn.query(
+    `INSERT INTO orderStatusHistory (orderNumber, fromStatus, toStatus, changedBy, note, createdAt)
+     VALUES (?, ?, ?, ?, ?, NOW())`,
+    [change.orderNumber, change.fromStatus, change.toStatus, change.changedBy || null, change.note || null]
+  );
+}
+
+/**
+ * 變更訂單狀態(需在交易中呼叫)
+ * @param {*} conn - 資料庫連線(需已開始交易)
+ * @param {string} orderNumber
+ * @param {string} toStatus
+ * @param {{ changedBy?: number, note?: string }} [options]
+ * @returns {Promise<{ fromStatus: string, toStatus: string }>}
+ */
+async function changeOrderStatus(conn, orderNumber, toStatus, { changedBy = null, note = null } = {}) {
+  if (!ORDER_STATUSES.includes(toStatus)) {
+    throw httpError(400, `訂單狀態只能是 ${ORDER_STATUSES.join(', ')}`);
+  }
+
+  const [orders] = await conn.query(
+    'SELECT status FROM orderCustomers WHERE orderNumber = ? FOR UPDATE',
+    [orderNumber]
+  );
+  if (orders.length === 0) {
+    throw httpError(404, '找不到該訂單，請確認訂單編號是否正確');
+  }
+
+  const fromStatus = orders[0].status;
+  const allowed = ORDER_TRANSITIONS[fromStatus] || [];
+  if (!allowed.includes(toStatus)) {
+    const err = httpError(409, allowed.length > 0
+      ? `訂單目前為「${fromStatus}」，只能變更為 ${allowed.join('、')}`
+      : `訂單目前為「${fromStatus}」，不可再變更狀態`);
+    err.currentStatus = fromStatus;
+    err.allowed = allowed;
+    throw err;
+  }
+
+  await conn.query(
+    'UPDATE orderCustomers SET status = ?, updatedAt = NOW() WHERE orderNumber = ?',
+    [toStatus, orderNumber]
+  );
+  await recordStatusHistory(conn, { orderNumber, fromStatus, toStatus, changedBy, note });
+
+  if (toStatus === '已取消' || (toStatus === '已退款' && fromStatus === '已付款')) {
+    await restockOrder(conn, orderNumber, { createdBy: changedBy, reason: `訂單${toStatus}` });
+  }
+  if (fromStatus === '待付款' && toStatus === '已付款') {
+    await conn.query(
+      `UPDATE ticketsOrders SET status = '已付款' WHERE orderNumber = ? AND status = '待付款'`,
+      [orderNumber]
+    );
+    await activateOrderPasses(conn, orderNumber);
+    await applyOrderReschedules(conn, orderNumber);
+  }
+  if (toStatus === '已取消' || toStatus === '已退款') {
+    for (const topUpOrderNumber of await getPendingTopUpOrders(conn, orderNumber)) {
+      await changeOrderStatus(conn, topUpOrderNumber, '已取消', { changedBy, note: `原訂單 ${orderNumber} ${toStatus}` });
+    }
+    await cancelOrderTickets(conn, orderNumber, { changedBy });
+    await cancelOrderPasses(conn, orderNumber);
+    await cancelOrderReschedules(conn, orderNumber);
+  }
+  if (fromStatus === '待付款' && toStatus === '已取消') {
+    await releaseCoupon(conn, orderNumber);
+  }
+  return { fromStatus, toStatus };
+}
+
+/**
+ * 取得訂單的狀態異動紀錄(由舊到新)
+ * @param {*} conn - 資料庫連線
+ * @param {string} orderNumber
+ */
+async function getStatusHistory(conn, orderNumber) {
+  const [rows] = await conn.query(
+    `SELECT fromStatus, toStatus, changedBy, note,
+            DATE_FORMAT(createdAt, '%Y-%m-%d %H:%i:%s') AS createdAt
+     FROM orderStatusHistory
+     WHERE orderNumber = ?
+     ORDER BY id ASC`,
+    [orderNumber]
+  );
+  return rows;
+}
+
+module.exports = {
+  ORDER_STATUSES,
+  ORDER_TRANSITIONS,
+  recordStatusHistory,
+  changeOrderStatus,
+  getStatusHistory
+};
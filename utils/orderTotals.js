@@ -0,0 +1,194 @@
+/*
+此程式碼負責計算訂單金額明細(運費、稅額、應付總額)，結帳時計算一次並存入 orderCustomers，之後不再重算。
+運費只在訂單有商城商品時收取(票券為電子票券，不需運送)，計算方式由 .env 設定:
+ - SHIPPING_MODE: flat = 固定運費、threshold = 滿額免運(預設)、region = 依收件地區
+ - SHIPPING_FLAT_FEE: 固定運費，flat 與 threshold 使用(預設 80 元)
+ - SHIPPING_FREE_THRESHOLD: 商品金額(扣除優惠券折抵後)達此金額免運，threshold 與 region 使用。
+   threshold 不設定時為 1000 元；region 不設定時不免運；設為空字串表示不免運
+ - SHIPPING_REGION_FEES: 各地區運費，格式為「地址開頭:運費」以逗號分隔，* 為其他地區，
+   例如 "澎湖縣:200,金門縣:200,連江縣:200,*:80"(預設值)
+使用免運費優惠券時運費為 0。
+稅額依 .env 的 TAX_RATE(百分比，預設 5)計算，TAX_INCLUDED 預設為 true(商品與票券售價已含稅，只拆出稅額)，
+設為 false 時另外加計稅額。稅額四捨五入到整數元。
+功能:
+ - [SHIPPING_MODES] 運費計算方式。
+ - [parseRegionFees] 解析 SHIPPING_REGION_FEES。
+ - [calculateShippingFee] 計算運費。
+ - [calculateOrderTotals] 計算訂單金額明細。
+ - [saveOrderTotals] 將金額明細存入訂單。
+ - [recordOrderRefund] 訂單中的票券取消或改期退差額時，累計訂單的退款金額(不改動結帳時的金額明細)，需在交易中呼叫。
+ - [ORDER_TOTAL_COLUMNS] / [formatOrderTotals] 查詢與回傳已存入訂單的金額明細、已退款與實收金額。
+*/
+require('dotenv').config();
+
+const SHIPPING_MODES = ['flat', 'threshold', 'region'];
+const SHIPPING_MODE = process.env.SHIPPING_MODE || 'threshold';
+const SHIPPING_FLAT_FEE = Number(process.env.SHIPPING_FLAT_FEE ?? 80);
+// threshold 預設滿 1000 元免運，region 沒有設定時不免運
+const SHIPPING_FREE_THRESHOLD_SETTING = process.env.SHIPPING_FREE_THRESHOLD ?? (SHIPPING_MODE === 'threshold' ? '1000' : '');
+const SHIPPING_FREE_THRESHOLD = SHIPPING_FREE_THRESHOLD_SETTING === '' ? null : Number(SHIPPING_FREE_THRESHOLD_SETTING);
+const SHIPPING_REGION_FEES = process.env.SHIPPING_REGION_FEES || '澎湖縣:200,金門縣:200,連江縣:200,*:80';
+const TAX_RATE = Number(process.env.TAX_RATE ?? 5);
+const TAX_INCLUDED = process.env.TAX_INCLUDED !== 'false';
+
+if (!SHIPPING_MODES.includes(SHIPPING_MODE)) {
+  throw new Error(`SHIPPING_MODE 只能是 ${SHIPPING_MODES.join(', ')}`);
+}
+if (SHIPPING_FREE_THRESHOLD !== null && (Number.isNaN(SHIPPING_FREE_THRESHOLD) || SHIPPING_FREE_THRESHOLD < 0)) {
+  throw new Error('SHIPPING_FREE_THRESHOLD 必須是大於等於 0 的數字');
+}
+
+/**
+ * 解析各地區運費設定
+ * @param {string} setting - 例如 "澎湖縣:200,*:80"
+ * @returns {{ prefix: string, fee: number }[]} 地址開頭較長的優先比對，* 放在最後
+ */
+function parseRegionFees(setting) {
+  const regions = String(setting).split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const index = entry.lastIndexOf(':');
+      if (index < 0) return { prefix: '', fee: NaN };
+      return { prefix: entry.slice(0, index).trim().replace(/台/g, '臺'), fee: Number(entry.slice(index + 1)) };
+    });
+  if (regions.some(region => !region.prefix || Number.isNaN(region.fee) || region.fee < 0)) {
+    throw new Error('SHIPPING_REGION_FEES 格式錯誤，例如 "澎湖縣:200,*:80"');
+  }
+  return regions.sort((a, b) => (a.prefix === '*') - (b.prefix === '*') || b.prefix.length - a.prefix.length);
+}
+
+const REGION_FEES = parseRegionFees(SHIPPING_REGION_FEES);
+
+/**
+ * 計算運費
+ * @param {{ productAmount: number, address?: string, freeShipping?: boolean }} order
+ *   productAmount 為商品金額(扣除優惠券折抵後)，沒有商品時不收運費
+ * @returns {number}
+ */
+function calculateShippingFee({ productAmount, address = '', freeShipping = false }) {
+  if (productAmount <= 0 || freeShipping) return 0;
+
+  if (SHIPPING_MODE === 'flat') {
+    return SHIPPING_FLAT_FEE;
+  }
+  if (SHIPPING_FREE_THRESHOLD !== null && productAmount >= SHIPPING_FREE_THRESHOLD) {
+    return 0;
+  }
+  if (SHIPPING_MODE === 'threshold') {
+    return SHIPPING_FLAT_FEE;
+  }
+
+  // 依收件地址開頭比對地區，台/臺 視為相同
+  const normalized = String(address || '').trim().replace(/台/g, '臺');
+  const region = REGION_FEES.find(item => item.prefix === '*' || normalized.startsWith(item.prefix));
+  return region ? region.fee : SHIPPING_FLAT_FEE;
+}
+
+/**
+ * 計算訂單金額明細
+ * @param {{ productSubtotal: number, ticketSubtotal?: number, passSubtotal?: number, discountAmount?: number, address?: string, freeShipping?: boolean }} order
+ *   productSubtotal、ticketSubtotal 為套用會員折扣後的商品、票券小計；passSubtotal 為年卡購買或續約金額；
+ *   discountAmount 為優惠券折抵(只折抵商品)
+ * @returns {{ productSubtotal: number, ticketSubtotal: number, passSubtotal: number, discountAmount: number, shippingFee: number,
+ *             taxRate: number, taxIncluded: boolean, taxAmount: number, grandTotal: number }}
+ */
+function calculateOrderTotals({ productSubtotal, ticketSubtotal = 0, passSubtotal = 0, discountAmount = 0, address = '', freeShipping = false }) {
+  const shippingFee = calculateShippingFee({
+    productAmount: productSubtotal > 0 ? Math.max(productSubtotal - discountAmount, 0) : 0,
+    address,
+    freeShipping
+  });
+  return sumOrderTotals({
+    productSubtotal, ticketSubtotal, passSubtotal, discountAmount, shippingFee, taxRate: TAX_RATE, taxIncluded: TAX_INCLUDED
+  });
+}
+
+// 依運費與稅率加總應付金額，稅額四捨五入到整數元
+function sumOrderTotals({ productSubtotal, ticketSubtotal, passSubtotal, discountAmount, shippingFee, taxRate, taxIncluded }) {
+  const taxableAmount = Math.max(productSubtotal + ticketSubtotal + passSubtotal - discountAmount, 0) + shippingFee;
+  const taxAmount = taxIncluded
+    ? Math.round(taxableAmount - taxableAmount / (1 + taxRate / 100))
+    : Math.round(taxableAmount * taxRate / 100);
+
+  return {
+    productSubtotal,
+    ticketSubtotal,
+    passSubtotal,
+    discountAmount,
+    shippingFee,
+    taxRate,
+    taxIncluded,
+    taxAmount,
+    grandTotal: taxIncluded ? taxableAmount : taxableAmount + taxAmount
+  };
+}
+
+/**
+ * 將金額明細存入訂單
+ * @param {*} conn - 資料庫連線
+ * @param {string} orderNumber
+ * @param {object} totals - calculateOrderTotals 的回傳值
+ */
+async function saveOrderTotals(conn, orderNumber, totals) {
+  await conn.query(
+    `UPDATE orderCustomers
+     SET productSubtotal = ?, ticketSubtotal = ?, passSubtotal = ?, shippingFee = ?, taxRate = ?, taxIncluded = ?, taxAmount = ?, grandTotal = ?
+     WHERE orderNumber = ?`,
+    [totals.productSubtotal, totals.ticketSubtotal, totals.passSubtotal, totals.shippingFee, totals.taxRate,
+      totals.taxIncluded ? 1 : 0, totals.taxAmount, totals.grandTotal, orderNumber]
+  );
+}
+
+/**
+ * 記錄訂單成立後的退款(需在交易中呼叫)
+ * 結帳時存入的金額明細不變，票券取消或改期退還的差額累計於 refundedAmount，實收金額為 grandTotal - refundedAmount。
+ * @param {*} conn - 資料庫連線(需已開始交易)
+ * @param {string} orderNumber
+ * @param {number} amount - 本次退款金額，0 以下不記錄
+ */
+async function recordOrderRefund(conn, orderNumber, amount) {
+  if (!(amount > 0)) return;
+  await conn.query(
+    'UPDATE orderCustomers SET refundedAmount = refundedAmount + ?, updatedAt = NOW() WHERE orderNumber = ?',
+    [amount, orderNumber]
+  );
+}
+
+// 訂單金額明細查詢欄位(orderCustomers 別名需為 oc)
+const ORDER_TOTAL_COLUMNS = `
+  oc.productSubtotal, oc.ticketSubtotal, oc.passSubtotal, oc.discountAmount, oc.shippingFee,
+  oc.taxRate, oc.taxIncluded, oc.taxAmount, oc.grandTotal, oc.refundedAmount`;
+
+/**
+ * 將查詢結果轉為金額明細
+ * @param {object} row - 含 ORDER_TOTAL_COLUMNS 欄位的查詢結果
+ */
+function formatOrderTotals(row) {
+  return {
+    productSubtotal: Number(row.productSubtotal),
+    ticketSubtotal: Number(row.ticketSubtotal),
+    passSubtotal: Number(row.passSubtotal),
+    discountAmount: Number(row.discountAmount),
+    shippingFee: Number(row.shippingFee),
+    // 金額明細功能上線前的舊訂單沒有稅額資料，回傳 null
+    taxRate: row.taxRate === null ? null : Number(row.taxRate),
+    taxIncluded: row.taxIncluded === null ? null : Boolean(row.taxIncluded),
+    taxAmount: row.taxAmount === null ? null : Number(row.taxAmount),
+    grandTotal: Number(row.grandTotal),
+    refundedAmount: Number(row.refundedAmount),
+    netAmount: Number(row.grandTotal) - Number(row.refundedAmount)
+  };
+}
+
+module.exports = {
+  SHIPPING_MODES,
+  SHIPPING_MODE,
+  parseRegionFees,
+  calculateShippingFee,
+  calculateOrderTotals,
+  saveOrderTotals,
+  recordOrderRefund,
+  ORDER_TOTAL_COLUMNS,
+  formatOrderTotals
+};
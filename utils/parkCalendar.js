@@ -0,0 +1,109 @@
+/*
+此程式碼負責園區營運日曆：每週固定營業時間，加上特定日期的休園、特殊營業時間、假日與活動。
+功能:
+ - [formatLocalDate] / [formatLocalTime] 以伺服器時區將時間轉為 YYYY-MM-DD / HH:MM。
+ - [getWeeklyHours] 取得每週固定營業時間。
+ - [getCalendar] 查詢區間內每天是否營業、營業時間、是否為假日與當日活動。
+ - [checkVisitDate] 檢查入園日期是否可以訂票(不可為過去日期、休園日或今日已閉園)，
+   有問題時回傳錯誤訊息。
+*/
+const { listDates } = require('./ticketCapacity');
+
+const WEEKDAY_NAMES = ['星期日', '星期一', '星期二', '星期三', '星期四', '星期五', '星期六'];
+
+// 以伺服器時區取得 YYYY-MM-DD 與 HH:MM
+function formatLocalDate(date) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function formatLocalTime(date) {
+  return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+}
+
+/**
+ * 取得每週固定營業時間
+ * @param {*} conn - 資料庫連線
+ */
+async function getWeeklyHours(conn) {
+  const [rows] = await conn.query(
+    `SELECT weekday, closed,
+            TIME_FORMAT(openTime, '%H:%i') AS openTime,
+            TIME_FORMAT(closeTime, '%H:%i') AS closeTime
+     FROM parkWeeklyHours
+     ORDER BY weekday ASC`
+  );
+  return rows.map(row => ({ ...row, weekdayName: WEEKDAY_NAMES[row.weekday], closed: row.closed === 1 }));
+}
+
+/**
+ * 查詢區間內每天的營業狀態
+ * @param {*} conn - 資料庫連線
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ */
+async function getCalendar(conn, from, to) {
+  const weekly = await getWeeklyHours(conn);
+  const [overrides] = await conn.query(
+    `SELECT DATE_FORMAT(visitDate, '%Y-%m-%d') AS visitDate, closed,
+            TIME_FORMAT(openTime, '%H:%i') AS openTime,
+            TIME_FORMAT(closeTime, '%H:%i') AS closeTime,
+            isHoliday, eventName, note
+     FROM parkCalendarOverrides
+     WHERE visitDate BETWEEN ? AND ?`,
+    [from, to]
+  );
+
+  const weeklyMap = Object.fromEntries(weekly.map(row => [row.weekday, row]));
+  const overrideMap = Object.fromEntries(overrides.map(row => [row.visitDate, row]));
+
+  return listDates(from, to).map(date => {
+    const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+    const regular = weeklyMap[weekday] || { closed: true, openTime: null, closeTime: null };
+    const override = overrideMap[date];
+
+    const closed = override && override.closed !== null ? override.closed === 1 : regular.closed;
+    return {
+      date,
+      weekday,
+      open: !closed,
+      openTime: closed ? null : (override && override.openTime) || regular.openTime,
+      closeTime: closed ? null : (override && override.closeTime) || regular.closeTime,
+      isHoliday: Boolean(override && override.isHoliday === 1),
+      event: override ? override.eventName : null,
+      note: override ? override.note : null
+    };
+  });
+}
+
+/**
+ * 檢查入園日期是否可以訂票
+ * @param {*} conn - 資料庫連線
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Promise<string|null>} 錯誤訊息，可以訂票回傳 null
+ */
+async function checkVisitDate(conn, date) {
+  const now = new Date();
+  const today = formatLocalDate(now);
+  if (date < today) {
+    return '不可選擇已過去的日期';
+  }
+
+  const [day] = await getCalendar(conn, date, date);
+  if (!day.open) {
+    return `${date} 休園，請選擇其他日期`;
+  }
+  if (date === today && day.closeTime && formatLocalTime(now) >= day.closeTime) {
+    return '今日已閉園，請選擇其他日期';
+  }
+  return null;
+}
+
+module.exports = {
+  WEEKDAY_NAMES,
+  formatLocalDate,
+  formatLocalTime,
+  getWeeklyHours,
+  getCalendar,
+  checkVisitDate
+};
@@ -0,0 +1,231 @@
+/*
+此程式碼負責年卡(會員年票)的有效期間、會員折扣與入園紀錄。
+年卡在 startDate ~ endDate(含)之間有效；到期前 PASS_RENEW_WINDOW_DAYS 天(預設 60 天)內或到期後可續約，
+續約從原到期日的隔天(已過期則從今天)起算。持有有效年卡的會員購買商品與票券時享有方案設定的折扣。
+購買與續約都會建立 待付款 訂單(orderNumber)，購買的年卡在付款前為 pending，續約在付款前不改變年卡的方案與有效期間。
+功能:
+ - [getPassEndDate] 依起始日期與方案月數計算到期日。
+ - [getRenewalPeriod] 計算續約後的有效期間，尚未到可續約期間時回傳錯誤訊息。
+ - [getActivePass] 取得會員在指定日期有效的年卡與折扣。
+ - [applyMemberDiscount] 計算會員折扣後的價格。
+ - [recordPassVisit] 入口驗年卡並寫入入園紀錄，需在交易中呼叫；不通過時拋出帶有 status(400/404/409)的錯誤。
+ - [activateOrderPasses] 訂單付款後啟用購買的年卡、套用續約，需在交易中呼叫。
+ - [cancelOrderPasses] 訂單取消或退款時取消購買的年卡、恢復續約前的方案與期間，需在交易中呼叫。
+*/
+const { formatLocalDate } = require('./parkCalendar');
+
+const PASS_RENEW_WINDOW_DAYS = Number(process.env.PASS_RENEW_WINDOW_DAYS ?? 60);
+const PASS_STATUSES = ['pending', 'active', 'suspended', 'cancelled'];
+const PASS_INACTIVE_MESSAGES = {
+  pending: '此年卡尚未付款',
+  suspended: '此年卡已停用',
+  cancelled: '此年卡已取消'
+};
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function addDays(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * 計算到期日，例如 2025-08-01 起 12 個月，到期日為 2026-07-31
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {number} months
+ * @returns {string}
+ */
+function getPassEndDate(startDate, months) {
+  const d = new Date(`${startDate}T00:00:00Z`);
+  d.setUTCMonth(d.getUTCMonth() + Number(months));
+  d.setUTCDate(d.getUTCDate() - 1);
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * 計算續約後的有效期間
+ * @param {{ endDate: string }} pass - 目前的年卡
+ * @param {number} months - 續約方案的月數
+ * @param {Date} [now]
+ * @returns {{ error: string }|{ startDate: string, endDate: string }}
+ */
+function getRenewalPeriod(pass, months, now = new Date()) {
+  const today = formatLocalDate(now);
+  if (addDays(pass.endDate, -PASS_RENEW_WINDOW_DAYS) > today) {
+    return { error: `到期前 ${PASS_RENEW_WINDOW_DAYS} 天內才可續約(到期日 ${pass.endDate})` };
+  }
+  const nextDay = addDays(pass.endDate, 1);
+  const startDate = nextDay > today ? nextDay : today;
+  return { startDate, endDate: getPassEndDate(startDate, months) };
+}
+
+/**
+ * 取得會員在指定日期有效的年卡
+ * @param {*} conn - 資料庫連線
+ * @param {number} userId
+ * @param {string} [date] - YYYY-MM-DD，預設今天
+ * @returns {Promise<object|null>}
+ */
+async function getActivePass(conn, userId, date = formatLocalDate(new Date())) {
+  if (!userId) return null;
+  const [rows] = await conn.query(
+    `SELECT up.id, up.passNumber, up.planId, pp.name AS planName,
+            pp.shopDiscountPercent, pp.ticketDiscountPercent
+     FROM userPasses up
+     JOIN passPlans pp ON pp.id = up.planId
+     WHERE up.userId = ? AND up.status = 'active' AND up.startDate <= ? AND up.endDate >= ?
+     ORDER BY up.endDate DESC
+     LIMIT 1`,
+    [userId, date, date]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * 計算會員折扣後的價格(四捨五入到整數元)
+ * @param {number|string} price
+ * @param {number|string} percent - 例如 10 = 九折
+ */
+function applyMemberDiscount(price, percent) {
+  return Math.max(Math.round(Number(price) * (100 - Number(percent)) / 100), 0);
+}
+
+/**
+ * 入口驗年卡並寫入入園紀錄(需在交易中呼叫)，每張年卡每天限入園一次
+ * @param {*} conn - 資料庫連線(需已開始交易)
+ * @param {string} passNumber
+ * @param {number} staffId - 驗票人員
+ */
+async function recordPassVisit(conn, passNumber, staffId) {
+  const today = formatLocalDate(new Date());
+  const [rows] = await conn.query(
+    `SELECT up.id, up.passNumber, up.holderName, up.photoUrl, up.status,
+            DATE_FORMAT(up.startDate, '%Y-%m-%d') AS startDate,
+            DATE_FORMAT(up.endDate, '%Y-%m-%d') AS endDate,
+            pp.name AS planName
+     FROM userPasses up
+     JOIN passPlans pp ON pp.id = up.planId
+     WHERE up.passNumber = ?
+     FOR UPDATE`,
+    [passNumber]
+  );
+  if (rows.length === 0) {
+    throw httpError(404, '找不到該年卡');
+  }
+
+  const pass = rows[0];
+  if (pass.status !== 'active') {
+    throw httpError(409, PASS_INACTIVE_MESSAGES[pass.status] || '此年卡已停用');
+  }
+  if (pass.startDate > today) {
+    throw httpError(400, `此年卡自 ${pass.startDate} 起生效`);
+  }
+  if (pass.endDate < today) {
+    throw httpError(400, `此年卡已於 ${pass.endDate} 到期`);
+  }
+
+  const [visits] = await conn.query(
+    `SELECT DATE_FORMAT(visitedAt, '%H:%i') AS visitedTime,
+            DATE_FORMAT(visitedAt, '%Y-%m-%d %H:%i:%s') AS visitedAt
+     FROM passVisits
+     WHERE passId = ? AND visitDate = ?`,
+    [pass.id, today]
+  );
+  if (visits.length > 0) {
+    const err = httpError(409, `此年卡今日已於 ${visits[0].visitedTime} 入園`);
+    err.visitedAt = visits[0].visitedAt;
+    throw err;
+  }
+
+  await conn.query(
+    'INSERT INTO passVisits (passId, visitDate, visitedAt, checkedInBy) VALUES (?, ?, NOW(), ?)',
+    [pass.id, today, staffId]
+  );
+
+  return {
+    passNumber: pass.passNumber,
+    holderName: pass.holderName,
+    photoUrl: pass.photoUrl,
+    planName: pass.planName,
+    endDate: pass.endDate
+  };
+}
+
+/**
+ * 訂單付款後啟用購買的年卡，並將待付款的續約套用到年卡(需在交易中呼叫)
+ * @param {*} conn - 資料庫連線(需已開始交易)
+ * @param {string} orderNumber
+ */
+async function activateOrderPasses(conn, orderNumber) {
+  await conn.query(
+    `UPDATE userPasses SET status = 'active', editTime = NOW() WHERE orderNumber = ? AND status = 'pending'`,
+    [orderNumber]
+  );
+
+  const [renewals] = await conn.query(
+    `SELECT id, passId, planId, toStartDate, toEndDate
+     FROM passRenewals
+     WHERE orderNumber = ? AND status = 'pending'
+     FOR UPDATE`,
+    [orderNumber]
+  );
+  for (const renewal of renewals) {
+    await conn.query(
+      'UPDATE userPasses SET planId = ?, startDate = ?, endDate = ?, editTime = NOW() WHERE id = ?',
+      [renewal.planId, renewal.toStartDate, renewal.toEndDate, renewal.passId]
+    );
+    await conn.query(`UPDATE passRenewals SET status = 'paid' WHERE id = ?`, [renewal.id]);
+  }
+}
+
+/**
+ * 訂單取消或退款時取消購買的年卡，已付款的續約恢復為續約前的方案與有效期間(需在交易中呼叫)
+ * 同一張年卡之後又續約過時無法恢復，拋出 409，需先退款之後的續約
+ * @param {*} conn - 資料庫連線(需已開始交易)
+ * @param {string} orderNumber
+ */
+async function cancelOrderPasses(conn, orderNumber) {
+  await conn.query(
+    `UPDATE userPasses SET status = 'cancelled', editTime = NOW() WHERE orderNumber = ? AND status <> 'cancelled'`,
+    [orderNumber]
+  );
+
+  const [renewals] = await conn.query(
+    `SELECT pr.id, pr.passId, pr.status, pr.fromPlanId, pr.fromStartDate, pr.fromEndDate,
+            pr.toEndDate = up.endDate AS isLatest
+     FROM passRenewals pr
+     JOIN userPasses up ON up.id = pr.passId
+     WHERE pr.orderNumber = ? AND pr.status IN ('pending', 'paid')
+     FOR UPDATE`,
+    [orderNumber]
+  );
+  for (const renewal of renewals) {
+    if (renewal.status === 'paid') {
+      if (!renewal.isLatest) {
+        throw httpError(409, '此年卡之後已再續約，請先取消之後的續約訂單');
+      }
+      await conn.query(
+        'UPDATE userPasses SET planId = ?, startDate = ?, endDate = ?, editTime = NOW() WHERE id = ?',
+        [renewal.fromPlanId, renewal.fromStartDate, renewal.fromEndDate, renewal.passId]
+      );
+    }
+    await conn.query(`UPDATE passRenewals SET status = 'cancelled' WHERE id = ?`, [renewal.id]);
+  }
+}
+
+module.exports = {
+  PASS_RENEW_WINDOW_DAYS,
+  PASS_STATUSES,
+  getPassEndDate,
+  getRenewalPeriod,
+  getActivePass,
+  applyMemberDiscount,
+  recordPassVisit,
+  activateOrderPasses,
+  cancelOrderPasses
+};
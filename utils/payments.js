@@ -0,0 +1,402 @@
+/*
+此程式碼負責訂單付款，透過可替換的金流服務(provider)建立付款，並處理金流服務回傳的付款結果。
+流程:
+ 1. 結帳建立 待付款 訂單，付款期限為 PAYMENT_EXPIRES_MINUTES 分鐘(預設 30 分鐘)。
+ 2. [createPayment] 向金流服務建立付款，取得付款頁網址。
+ 3. 使用者付款後，金流服務呼叫 POST /payments/webhook/{provider}，驗證簽章後由 [handlePaymentEvent] 將訂單改為 已付款。
+ 4. 超過期限仍未付款的訂單由 [expireUnpaidOrders] 取消，補回商品庫存並歸還票券名額。
+金流服務需提供:
+ - name: 服務名稱
+ - createIntent({ paymentId, orderNumber, amount, expiresAt }): 建立付款，回傳 { providerRef, paymentUrl }
+ - verifyWebhook(rawBody, headers): 驗證通知的簽章，成功回傳 { providerRef, result: 'paid' | 'failed', amount, reason }，失敗回傳 null
+功能:
+ - [createMockProvider] 本地模擬金流，不需連線外部服務即可測試完整付款流程，簽章使用 .env 的 PAYMENT_WEBHOOK_SECRET。
+   任何人都能以模擬付款頁將訂單改為已付款，只有 PAYMENT_PROVIDER=mock 且 NODE_ENV 不是 production 時才會註冊(MOCK_PAYMENT_ENABLED)。
+ - [registerProvider] / [getProvider] 註冊、取得金流服務，結帳使用的服務由 .env 的 PAYMENT_PROVIDER 設定(必填，沒有預設值)。
+ - [checkProviderConfigured] 啟動伺服器前確認 PAYMENT_PROVIDER 設定的服務已註冊。
+ - [createPendingOrder] 建立不需配送的 待付款 訂單(直接購票、年卡購買與續約)，以會員資料作為訂購人；需在交易中呼叫。
+ - [getOrderAmount] 取得訂單應付金額(結帳時存入的 grandTotal，之後的退款另外記錄，不影響此金額)。
+ - [createPayment] 為待付款訂單建立付款，已有未完成的付款時直接沿用。
+ - [handlePaymentEvent] 處理付款結果，重複的通知不會重複處理；需在交易中呼叫。
+ - [expireUnpaidOrders] 取消超過付款期限的訂單。
+ - [startExpiryTimer] 每 PAYMENT_EXPIRY_CHECK_SECONDS 秒(預設 60 秒)檢查一次逾時訂單。
+*/
+require('dotenv').config();
+const crypto = require('crypto');
+const pool = require('../db');
+const { changeOrderStatus, recordStatusHistory } = require('./orderStatus');
+
+const PAYMENT_PROVIDER = process.env.PAYMENT_PROVIDER;
+const MOCK_PAYMENT_ENABLED = PAYMENT_PROVIDER === 'mock' && process.env.NODE_ENV !== 'production';
+const PAYMENT_WEBHOOK_SECRET = process.env.PAYMENT_WEBHOOK_SECRET;
+const PAYMENT_EXPIRES_MINUTES = Number(process.env.PAYMENT_EXPIRES_MINUTES ?? 30);
+const PAYMENT_EXPIRY_CHECK_SECONDS = Number(process.env.PAYMENT_EXPIRY_CHECK_SECONDS ?? 60);
+const PAYMENT_RESULTS = ['paid', 'failed'];
+
+if (!PAYMENT_PROVIDER) {
+  throw new Error('請在 .env 設定 PAYMENT_PROVIDER(本地測試可設為 mock)');
+}
+if (PAYMENT_PROVIDER === 'mock' && !MOCK_PAYMENT_ENABLED) {
+  throw new Error('mock 金流不可用於正式環境(NODE_ENV=production)');
+}
+if (!PAYMENT_WEBHOOK_SECRET) {
+  throw new Error('請在 .env 設定 PAYMENT_WEBHOOK_SECRET');
+}
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * 本地模擬金流，付款頁為 /payments/mock/{providerRef}
+ * @param {string} secret - 付款通知的簽章金鑰
+ */
+function createMockProvider(secret) {
+  function sign(body) {
+    return crypto.createHmac('sha256', secret).update(body).digest('hex');
+  }
+
+  return {
+    name: 'mock',
+    async createIntent() {
+      const providerRef = `mock_${crypto.randomBytes(12).toString('hex')}`;
+      return { providerRef, paymentUrl: `/payments/mock/${providerRef}` };
+    },
+    // 模擬金流服務送出付款通知，回傳通知內容與簽章標頭
+    buildEvent(event) {
+      const body = JSON.stringify(event);
+      return { body, headers: { 'x-mock-signature': sign(body) } };
+    },
+    verifyWebhook(rawBody, headers) {
+      if (!rawBody) return null;
+      const signature = Buffer.from(String(headers['x-mock-signature'] || ''));
+      const expected = Buffer.from(sign(rawBody));
+      if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+        return null;
+      }
+      try {
+        const { providerRef, result, amount, reason } = JSON.parse(rawBody.toString());
+        return { providerRef, result, amount, reason };
+      } catch (err) {
+        return null;
+      }
+    }
+  };
+}
+
+const providers = {};
+
+/**
+ * 註冊金流服務，同名的服務會被取代
+ * @param {{ name: string, createIntent: Function, verifyWebhook: Function }} provider
+ */
+function registerProvider(provider) {
+  providers[provider.name] = provider;
+}
+
+/**
+ * 取得金流服務
+ * @param {string} [name] - 不填為 PAYMENT_PROVIDER 設定的服務
+ * @returns {object|null}
+ */
+function getProvider(name = PAYMENT_PROVIDER) {
+  return providers[name] || null;
+}
+
+/**
+ * 確認 PAYMENT_PROVIDER 設定的服務已註冊，未註冊時拋出錯誤(啟動伺服器前呼叫)
+ */
+function checkProviderConfigured() {
+  if (!getProvider()) {
+    throw new Error(`找不到金流服務：${PAYMENT_PROVIDER}，請先以 registerProvider 註冊`);
+  }
+}
+
+if (MOCK_PAYMENT_ENABLED) {
+  registerProvider(createMockProvider(PAYMENT_WEBHOOK_SECRET));
+}
+
+/**
+ * 建立不需配送的待付款訂單(需在交易中呼叫)，金額明細由呼叫端計算後以 saveOrderTotals 存入
+ * @param {*} conn - 資料庫連線(需已開始交易)
+ * @param {number} userId - 訂購的會員，同時記為狀態異動者
+ * @returns {Promise<{ orderNumber: string, paymentExpiresAt: string }>}
+ */
+async function createPendingOrder(conn, userId) {
+  const [[user]] = await conn.query('SELECT userName, tel FROM users WHERE id = ?', [userId]);
+  let orderNumber = '';
+  for (let i = 0; i < 9; i++) {
+    orderNumber += Math.floor(Math.random() * 10);
+  }
+  await conn.query(
+    `INSERT INTO orderCustomers
+      (orderNumber, checkTime, updatedAt, userId, consignee, tel, address, status, paymentExpiresAt)
+     VALUES (?, NOW(), NOW(), ?, ?, ?, '', '待付款', NOW() + INTERVAL ? MINUTE)`,
+    [orderNumber, userId, user.userName, user.tel || '', PAYMENT_EXPIRES_MINUTES]
+  );
+  await recordStatusHistory(conn, { orderNumber, fromStatus: null, toStatus: '待付款', changedBy: userId });
+
+  const [[{ paymentExpiresAt }]] = await conn.query(
+    `SELECT DATE_FORMAT(paymentExpiresAt, '%Y-%m-%d %H:%i:%s') AS paymentExpiresAt FROM orderCustomers WHERE orderNumber = ?`,
+    [orderNumber]
+  );
+  return { orderNumber, paymentExpiresAt };
+}
+
+/**
+ * 取得訂單應付金額(結帳時存入的金額明細，含運費與稅額)
+ * @param {*} conn - 資料庫連線
+ * @param {string} orderNumber
+ * @returns {Promise<number>}
+ */
+async function getOrderAmount(conn, orderNumber) {
+  const [orders] = await conn.query(
+    'SELECT grandTotal FROM orderCustomers WHERE orderNumber = ?',
+    [orderNumber]
+  );
+  if (orders.length === 0) {
+    throw httpError(404, '找不到該訂單');
+  }
+  return Number(orders[0].grandTotal);
+}
+
+// 付款查詢欄位
+const PAYMENT_COLUMNS = `
+  id AS paymentId, orderNumber, provider, providerRef, amount, status, paymentUrl, failureReason,
+  DATE_FORMAT(paidAt, '%Y-%m-%d %H:%i:%s') AS paidAt,
+  DATE_FORMAT(createdAt, '%Y-%m-%d %H:%i:%s') AS createdAt`;
+
+/**
+ * 為待付款訂單建立付款
+ * @param {*} conn - 資料庫連線
+ * @param {string} orderNumber
+ * @param {object} [provider] - 不填為 PAYMENT_PROVIDER 設定的服務
+ * @returns {Promise<object>} 付款資料，含付款頁網址 paymentUrl 與付款期限 expiresAt
+ */
+async function createPayment(conn, orderNumber, provider = getProvider()) {
+  if (!provider) {
+    throw httpError(500, `找不到金流服務：${PAYMENT_PROVIDER}`);
+  }
+
+  const [orders] = await conn.query(
+    `SELECT status, paymentExpiresAt > NOW() AS payable,
+            DATE_FORMAT(paymentExpiresAt, '%Y-%m-%d %H:%i:%s') AS expiresAt
+     FROM orderCustomers
+     WHERE orderNumber = ?`,
+    [orderNumber]
+  );
+  if (orders.length === 0) {
+    throw httpError(404, '找不到該訂單');
+  }
+  if (orders[0].status !== '待付款') {
+    throw httpError(409, `訂單目前為「${orders[0].status}」，不需付款`);
+  }
+  if (!orders[0].payable) {
+    throw httpError(409, '已超過付款期限，訂單將自動取消');
+  }
+  const { expiresAt } = orders[0];
+
+  // 已有未完成的付款時沿用，避免重複建立
+  const [pending] = await conn.query(
+    `SELECT ${PAYMENT_COLUMNS} FROM payments
+     WHERE orderNumber = ? AND provider = ? AND status = 'pending' AND providerRef IS NOT NULL
+     ORDER BY id DESC LIMIT 1`,
+    [orderNumber, provider.name]
+  );
+  if (pending.length > 0) {
+    return { ...pending[0], amount: Number(pending[0].amount), expiresAt };
+  }
+
+  const amount = await getOrderAmount(conn, orderNumber);
+  const [result] = await conn.query(
+    `INSERT INTO payments (orderNumber, provider, amount, status, editTime, createdAt)
+     VALUES (?, ?, ?, 'pending', NOW(), NOW())`,
+    [orderNumber, provider.name, amount]
+  );
+  const paymentId = result.insertId;
+
+  let intent;
+  try {
+    intent = await provider.createIntent({ paymentId, orderNumber, amount, expiresAt });
+  } catch (err) {
+    await conn.query(
+      `UPDATE payments SET status = 'failed', failureReason = ?, editTime = NOW() WHERE id = ?`,
+      [String(err.message).slice(0, 255), paymentId]
+    );
+    throw httpError(502, `建立付款失敗：${err.message}`);
+  }
+  await conn.query(
+    'UPDATE payments SET providerRef = ?, paymentUrl = ?, editTime = NOW() WHERE id = ?',
+    [intent.providerRef, intent.paymentUrl, paymentId]
+  );
+
+  const [rows] = await conn.query(`SELECT ${PAYMENT_COLUMNS} FROM payments WHERE id = ?`, [paymentId]);
+  return { ...rows[0], amount: Number(rows[0].amount), expiresAt };
+}
+
+/**
+ * 處理金流服務的付款結果(需在交易中呼叫)
+ * @param {*} conn - 資料庫連線(需已開始交易)
+ * @param {string} providerName
+ * @param {{ providerRef: string, result: string, amount?: number, reason?: string }} event - verifyWebhook 的回傳值
+ * @returns {Promise<{ orderNumber: string, status: string, duplicate: boolean }>} status 為處理後的付款狀態
+ */
+async function handlePaymentEvent(conn, providerName, event) {
+  if (!PAYMENT_RESULTS.includes(event.result)) {
+    throw httpError(400, `付款結果只能是 ${PAYMENT_RESULTS.join(', ')}`);
+  }
+
+  const [found] = await conn.query(
+    'SELECT orderNumber FROM payments WHERE provider = ? AND providerRef = ?',
+    [providerName, event.providerRef]
+  );
+  if (found.length === 0) {
+    throw httpError(404, '找不到該筆付款');
+  }
+  const { orderNumber } = found[0];
+
+  // 與逾時取消相同，先鎖定訂單再鎖定付款，避免互相等待(deadlock)
+  const [orders] = await conn.query(
+    'SELECT status FROM orderCustomers WHERE orderNumber = ? FOR UPDATE',
+    [orderNumber]
+  );
+  const [payments] = await conn.query(
+    'SELECT id, amount, status FROM payments WHERE provider = ? AND providerRef = ? FOR UPDATE',
+    [providerName, event.providerRef]
+  );
+  const payment = payments[0];
+
+  // 已處理過的付款(金流服務可能重複通知)；付款失敗後金流服務仍可能重試扣款成功，failed 收到 paid 仍需處理
+  if (['paid', 'refund_required'].includes(payment.status) ||
+      (payment.status === 'failed' && event.result === 'failed')) {
+    return { orderNumber, status: payment.status, duplicate: true };
+  }
+
+  if (event.result === 'failed') {
+    if (payment.status === 'pending') {
+      await conn.query(
+        `UPDATE payments SET status = 'failed', failureReason = ?, editTime = NOW() WHERE id = ?`,
+        [event.reason || '付款失敗', payment.id]
+      );
+    }
+    return { orderNumber, status: payment.status === 'pending' ? 'failed' : payment.status, duplicate: false };
+  }
+
+  if (Number(event.amount) !== Number(payment.amount)) {
+    await conn.query(
+      `UPDATE payments SET status = 'refund_required', paidAt = NOW(), failureReason = ?, editTime = NOW() WHERE id = ?`,
+      [`付款金額不符(應付 ${Number(payment.amount)}，實付 ${event.amount})，需退款`, payment.id]
+    );
+    console.warn(`⚠️ 訂單 ${orderNumber} 付款金額不符，需人工退款`);
+    return { orderNumber, status: 'refund_required', duplicate: false };
+  }
+
+  // 付款期限已過或訂單已被取消才收到付款，需人工退款；先前失敗的付款重試成功且訂單仍待付款時照常完成付款
+  if (payment.status === 'expired' || orders.length === 0 || orders[0].status !== '待付款') {
+    await conn.query(
+      `UPDATE payments SET status = 'refund_required', paidAt = NOW(), failureReason = ?, editTime = NOW() WHERE id = ?`,
+      ['訂單已取消或已付款，需退款', payment.id]
+    );
+    console.warn(`⚠️ 訂單 ${orderNumber} 已非待付款狀態才收到付款，需人工退款`);
+    return { orderNumber, status: 'refund_required', duplicate: false };
+  }
+
+  await conn.query(
+    `UPDATE payments SET status = 'paid', paidAt = NOW(), editTime = NOW() WHERE id = ?`,
+    [payment.id]
+  );
+  await changeOrderStatus(conn, orderNumber, '已付款', { note: `付款完成(${providerName} ${event.providerRef})` });
+  return { orderNumber, status: 'paid', duplicate: false };
+}
+
+/**
+ * 取消超過付款期限的訂單，補回商品庫存並歸還票券名額
+ * @param {*} [db] - 連線池
+ * @returns {Promise<number>} 取消的訂單數
+ */
+async function expireUnpaidOrders(db = pool) {
+  const [rows] = await db.query(
+    `SELECT orderNumber FROM orderCustomers
+     WHERE status = '待付款' AND paymentExpiresAt <= NOW()
+     ORDER BY paymentExpiresAt ASC
+     LIMIT 100`
+  );
+
+  let expired = 0;
+  for (const { orderNumber } of rows) {
+    let conn;
+    try {
+      conn = await db.getConnection();
+      await conn.beginTransaction();
+
+      // 鎖定後再確認一次，期間可能剛好收到付款通知
+      const [orders] = await conn.query(
+        `SELECT 1 FROM orderCustomers
+         WHERE orderNumber = ? AND status = '待付款' AND paymentExpiresAt <= NOW()
+         FOR UPDATE`,
+        [orderNumber]
+      );
+      if (orders.length === 0) {
+        await conn.rollback();
+        continue;
+      }
+
+      await conn.query(
+        `UPDATE payments SET status = 'expired', editTime = NOW() WHERE orderNumber = ? AND status = 'pending'`,
+        [orderNumber]
+      );
+      await changeOrderStatus(conn, orderNumber, '已取消', { note: '超過付款期限，自動取消' });
+      await conn.commit();
+      expired++;
+    } catch (err) {
+      if (conn) await conn.rollback();
+      console.error(`❌ 訂單 ${orderNumber} 逾時取消失敗：${err.message}`);
+    } finally {
+      if (conn) conn.release();
+    }
+  }
+  return expired;
+}
+
+/**
+ * 定時取消逾時未付款的訂單
+ * @param {*} [db] - 連線池
+ * @returns {NodeJS.Timeout}
+ */
+function startExpiryTimer(db = pool) {
+  let running = false;
+  return setInterval(async () => {
+    // 上一輪還沒處理完就跳過
+    if (running) return;
+    running = true;
+    try {
+      const expired = await expireUnpaidOrders(db);
+      if (expired > 0) {
+        console.log(`⏰ 已取消 ${expired} 筆逾時未付款的訂單`);
+      }
+    } catch (err) {
+      console.error(`❌ 檢查逾時訂單失敗：${err.message}`);
+    } finally {
+      running = false;
+    }
+  }, PAYMENT_EXPIRY_CHECK_SECONDS * 1000);
+}
+
+module.exports = {
+  PAYMENT_PROVIDER,
+  MOCK_PAYMENT_ENABLED,
+  PAYMENT_EXPIRES_MINUTES,
+  PAYMENT_COLUMNS,
+  createMockProvider,
+  registerProvider,
+  getProvider,
+  checkProviderConfigured,
+  createPendingOrder,
+  getOrderAmount,
+  createPayment,
+  handlePaymentEvent,
+  expireUnpaidOrders,
+  startExpiryTimer
+};
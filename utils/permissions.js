@@ -0,0 +1,86 @@
+/*
+此程式碼定義園區工作人員的角色與權限。
+功能:
+ - [ROLES] 各角色可執行的權限，權限格式為「資源:動作」，'*' 代表全部權限。
+ - [getUserRoles] 取得會員擁有的角色，users.admin = 1 的舊管理員視為最高管理員。
+ - [resolvePermissions] 將角色轉為權限清單。
+ - [hasPermission] 判斷權限清單是否包含指定權限。
+*/
+
+const ROLES = {
+  super_admin: {
+    name: '最高管理員',
+    permissions: ['*']
+  },
+  content_editor: {
+    name: '文章編輯',
+    permissions: ['articles:read', 'articles:create', 'articles:update', 'articles:delete']
+  },
+  merchandise_manager: {
+    name: '商品管理員',
+    permissions: [
+      'products:create', 'products:update', 'products:delete',
+      'tickets:read', 'tickets:create', 'tickets:update', 'tickets:delete',
+      'calendar:update',
+      'passes:read', 'passes:manage',
+      'coupons:read', 'coupons:manage'
+    ]
+  },
+  order_clerk: {
+    name: '訂單管理員',
+    permissions: ['orders:read', 'orders:create', 'orders:update', 'groups:read', 'groups:manage']
+  },
+  gate_staff: {
+    name: '驗票人員',
+    permissions: ['tickets:read', 'tickets:checkin']
+  },
+  support_staff: {
+    name: '客服人員',
+    permissions: ['orders:read', 'passes:read', 'groups:read', 'coupons:read', 'users:impersonate']
+  }
+};
+
+/**
+ * 取得會員擁有的角色
+ * @param {*} conn - 資料庫連線
+ * @param {number} userId
+ * @returns {Promise<string[]>}
+ */
+async function getUserRoles(conn, userId) {
+  const [rows] = await conn.query(
+    `SELECT u.admin, r.role
+     FROM users u
+     LEFT JOIN userRoles r ON r.userId = u.id
+     WHERE u.id = ?`,
+    [userId]
+  );
+  const roles = rows.filter(row => row.role && ROLES[row.role]).map(row => row.role);
+  if (rows.some(row => row.admin === 1) && !roles.includes('super_admin')) {
+    roles.push('super_admin');
+  }
+  return roles;
+}
+
+/**
+ * 將角色轉為權限清單
+ * @param {string[]} roles
+ */
+function resolvePermissions(roles) {
+  return [...new Set(roles.flatMap(role => (ROLES[role] ? ROLES[role].permissions : [])))];
+}
+
+/**
+ * 判斷是否擁有指定權限
+ * @param {string[]} permissions
+ * @param {string} permission - 例如 'orders:update'
+ */
+function hasPermission(permissions, permission) {
+  return permissions.includes('*') || permissions.includes(permission);
+}
+
+module.exports = {
+  ROLES,
+  getUserRoles,
+  resolvePermissions,
+  hasPermission
+};
@@ -0,0 +1,171 @@
+/*
+此程式碼負責商品庫存的扣除、補回與手動調整，每次異動都寫入 stockMovements。
+products.stock 為 NULL 代表不限量，不檢查也不扣除庫存。
+以下函式皆需在交易(transaction)中呼叫，會鎖定商品列直到交易結束，避免兩人同時買走最後的庫存。
+功能:
+ - [checkStock] 檢查購物車加入的數量是否超過庫存(不鎖定)，超過時回傳可購買數量。
+ - [reserveStock] 結帳時扣除庫存，任一商品不足會拋出 status = 409 的錯誤，err.shortages 列出不足的項目。
+ - [restockOrder] 訂單取消或退款時補回該訂單的商品庫存。
+ - [adjustStock] 管理員手動調整庫存並記錄原因。
+*/
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+async function recordMovement(conn, movement) {
+  await conn.query(
+    `INSERT INTO stockMovements (productId, qtyChange, stockAfter, type, reason, orderNumber, createdBy, createdAt)
+     VALUES (?, ?, ?, ?, ?, ?, ?, NOW())`,
+    [
+      movement.productId,
+      movement.qtyChange,
+      movement.stockAfter,
+      movement.type,
+      movement.reason || null,
+      movement.orderNumber || null,
+      movement.createdBy || null
+    ]
+  );
+}
+
+/**
+ * 檢查數量是否超過庫存
+ * @param {*} conn - 資料庫連線
+ * @param {number} productId
+ * @param {number} qty - 購物車中的總數量
+ * @returns {Promise<number|null>} 超過時回傳目前庫存，沒問題回傳 null
+ */
+async function checkStock(conn, productId, qty) {
+  const [rows] = await conn.query('SELECT stock FROM products WHERE id = ?', [productId]);
+  if (rows.length === 0 || rows[0].stock === null) return null;
+  return qty > rows[0].stock ? rows[0].stock : null;
+}
+
+/**
+ * 結帳時扣除庫存(需在交易中呼叫)
+ * @param {*} conn - 資料庫連線(需已開始交易)
+ * @param {{ productId: number, productName?: string, qty: number }[]} items
+ * @param {string} orderNumber
+ */
+async function reserveStock(conn, items, orderNumber) {
+  const quantities = {};
+  items.forEach(item => {
+    quantities[item.productId] = (quantities[item.productId] || 0) + item.qty;
+  });
+  const productIds = Object.keys(quantities).map(Number);
+  if (productIds.length === 0) return;
+
+  // 依商品 ID 順序鎖定，避免同時結帳時互相等待(deadlock)
+  const [rows] = await conn.query(
+    'SELECT id, title, stock FROM products WHERE id IN (?) ORDER BY id FOR UPDATE',
+    [productIds]
+  );
+
+  const shortages = rows
+    .filter(row => row.stock !== null && quantities[row.id] > row.stock)
+    .map(row => ({ productId: row.id, productName: row.title, requested: quantities[row.id], available: row.stock }));
+  if (shortages.length > 0) {
+    const err = httpError(409, `部分商品庫存不足：${shortages.map(item => `${item.productName}(剩 ${item.available})`).join('、')}`);
+    err.shortages = shortages;
+    throw err;
+  }
+
+  for (const row of rows) {
+    if (row.stock === null) continue;
+    await conn.query('UPDATE products SET stock = stock - ? WHERE id = ?', [quantities[row.id], row.id]);
+    await recordMovement(conn, {
+      productId: row.id,
+      qtyChange: -quantities[row.id],
+      stockAfter: row.stock - quantities[row.id],
+      type: 'sale',
+      orderNumber
+    });
+  }
+}
+
+/**
+ * 訂單取消或退款時補回庫存(需在交易中呼叫)，呼叫前請確認訂單原本未取消，避免重複補回
+ * @param {*} conn - 資料庫連線(需已開始交易)
+ * @param {string} orderNumber
+ * @param {{ createdBy?: number, reason?: string }} [options] - createdBy 為操作的管理員
+ */
+async function restockOrder(conn, orderNumber, { createdBy = null, reason = '訂單取消' } = {}) {
+  const [items] = await conn.query(
+    `SELECT oi.productId, SUM(oi.qty) AS qty
+     FROM orderInfor oi
+     WHERE oi.orderNumber = ?
+     GROUP BY oi.productId
+     ORDER BY oi.productId`,
+    [orderNumber]
+  );
+  if (items.length === 0) return;
+
+  const [rows] = await conn.query(
+    'SELECT id, stock FROM products WHERE id IN (?) AND stock IS NOT NULL ORDER BY id FOR UPDATE',
+    [items.map(item => item.productId)]
+  );
+  for (const row of rows) {
+    const qty = Number(items.find(item => item.productId === row.id).qty);
+    await conn.query('UPDATE products SET stock = stock + ? WHERE id = ?', [qty, row.id]);
+    await recordMovement(conn, {
+      productId: row.id,
+      qtyChange: qty,
+      stockAfter: row.stock + qty,
+      type: 'restock',
+      reason,
+      orderNumber,
+      createdBy
+    });
+  }
+}
+
+/**
+ * 手動調整庫存(需在交易中呼叫)
+ * @param {*} conn - 資料庫連線(需已開始交易)
+ * @param {number} productId
+ * @param {{ change?: number, stock?: number|null, reason: string, createdBy: number }} adjustment
+ *   change 為增減數量；stock 為直接設定的庫存(null = 改為不限量)，兩者擇一
+ * @returns {Promise<{ stock: number|null, qtyChange: number }>}
+ */
+async function adjustStock(conn, productId, adjustment) {
+  const [rows] = await conn.query('SELECT id, stock FROM products WHERE id = ? FOR UPDATE', [productId]);
+  if (rows.length === 0) {
+    throw httpError(404, '找不到該商品');
+  }
+
+  const before = rows[0].stock;
+  let after;
+  if (adjustment.stock !== undefined) {
+    after = adjustment.stock;
+  } else {
+    if (before === null) {
+      throw httpError(409, '此商品尚未設定庫存(不限量)，請直接設定 stock');
+    }
+    after = before + adjustment.change;
+  }
+  if (after !== null && after < 0) {
+    throw httpError(409, `調整後庫存不可小於 0(目前庫存 ${before})`);
+  }
+
+  const qtyChange = (after ?? 0) - (before ?? 0);
+  await conn.query('UPDATE products SET stock = ?, editTime = NOW() WHERE id = ?', [after, productId]);
+  await recordMovement(conn, {
+    productId,
+    qtyChange,
+    stockAfter: after,
+    type: 'adjust',
+    reason: adjustment.reason,
+    createdBy: adjustment.createdBy
+  });
+  return { stock: after, qtyChange };
+}
+
+module.exports = {
+  checkStock,
+  reserveStock,
+  restockOrder,
+  adjustStock
+};
@@ -0,0 +1,184 @@
+/*
+此程式碼負責管理登入工作階段(userSessions)。
+功能:
+ - [createSession] 登入成功時建立工作階段，回傳 access token 與 refresh token。
+ - [rotateSession] 以 refresh token 換發新的 token，舊的 refresh token 立即失效。
+ - [revokeSession] / [revokeAllSessions] 登出單一裝置或全部裝置。
+ - [markSessionMfaVerified] 工作階段通過雙重驗證後標記，管理功能需通過才能使用。
+ - [createImpersonationSession] 管理員代客檢視用的短效工作階段，不提供 refresh token。
+ - refresh token 格式為「工作階段ID.隨機字串」，資料庫只存隨機字串的雜湊。
+ - 有效天數由 .env 的 REFRESH_TOKEN_EXPIRES_DAYS 設定(預設 30 天)。
+*/
+const { signAccessToken, getExpiresIn, generateToken, hashToken } = require('./token');
+
+const REFRESH_TOKEN_EXPIRES_DAYS = Number(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+const IMPERSONATION_EXPIRES_MINUTES = 30;
+
+// 組合回傳給前端的 token 內容
+function buildTokens(user, sessionId, secret) {
+  const accessToken = signAccessToken(user, sessionId);
+  return {
+    accessToken,
+    refreshToken: `${sessionId}.${secret}`,
+    tokenType: 'Bearer',
+    expiresIn: getExpiresIn(accessToken),
+    refreshExpiresIn: REFRESH_TOKEN_EXPIRES_DAYS * 24 * 60 * 60
+  };
+}
+
+/**
+ * 建立工作階段並簽發 token
+ * @param {*} conn - 資料庫連線
+ * @param {{ id: number, admin: number }} user
+ * @param {import('express').Request} req - 用來記錄裝置資訊
+ * @param {{ mfaVerified?: boolean }} [options]
+ */
+async function createSession(conn, user, req, options = {}) {
+  const secret = generateToken();
+  const [result] = await conn.query(
+    `INSERT INTO userSessions (userId, mfaVerified, refreshTokenHash, userAgent, ip, expiresAt)
+     VALUES (?, ?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? DAY))`,
+    [
+      user.id,
+      options.mfaVerified ? 1 : 0,
+      hashToken(secret),
+      (req.headers['user-agent'] || '').slice(0, 255),
+      req.ip,
+      REFRESH_TOKEN_EXPIRES_DAYS
+    ]
+  );
+  return buildTokens(user, result.insertId, secret);
+}
+
+/**
+ * 以 refresh token 換發新 token，無效時回傳 null
+ * @param {*} conn - 資料庫連線
+ * @param {string} refreshToken
+ */
+async function rotateSession(conn, refreshToken) {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!sessionId || !secret) return null;
+
+  const [rows] = await conn.query(
+    `SELECT s.id, s.userId, s.refreshTokenHash, u.admin
+     FROM userSessions s
+     JOIN users u ON u.id = s.userId
+     WHERE s.id = ? AND s.revokedAt IS NULL AND s.expiresAt > NOW()
+       AND s.impersonatorId IS NULL AND u.active = 1 AND u.deletedAt IS NULL`,
+    [Number(sessionId)]
+  );
+  if (rows.length === 0) return null;
+
+  const session = rows[0];
+
+  // 已換發過的舊 token 再次被使用，視為外洩，直接讓整個工作階段失效
+  if (session.refreshTokenHash !== hashToken(secret)) {
+    await revokeSession(conn, session.id);
+    return null;
+  }
+
+  const newSecret = generateToken();
+  await conn.query(
+    'UPDATE userSessions SET refreshTokenHash = ?, lastUsedAt = NOW() WHERE id = ?',
+    [hashToken(newSecret), session.id]
+  );
+
+  return buildTokens({ id: session.userId, admin: session.admin }, session.id, newSecret);
+}
+
+/**
+ * 建立代客檢視的工作階段
+ * @param {*} conn - 資料庫連線
+ * @param {{ id: number, admin: number }} user - 被檢視的會員
+ * @param {number} impersonatorId - 發起的管理員
+ * @param {import('express').Request} req
+ */
+async function createImpersonationSession(conn, user, impersonatorId, req) {
+  const [result] = await conn.query(
+    `INSERT INTO userSessions (userId, impersonatorId, refreshTokenHash, userAgent, ip, expiresAt)
+     VALUES (?, ?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE))`,
+    [
+      user.id,
+      impersonatorId,
+      hashToken(generateToken()), // 不會交給前端，無法用來換發
+      (req.headers['user-agent'] || '').slice(0, 255),
+      req.ip,
+      IMPERSONATION_EXPIRES_MINUTES
+    ]
+  );
+  const accessToken = signAccessToken(user, result.insertId, `${IMPERSONATION_EXPIRES_MINUTES}m`);
+  return {
+    accessToken,
+    tokenType: 'Bearer',
+    expiresIn: getExpiresIn(accessToken)
+  };
+}
+
+/**
+ * 取得仍有效的工作階段與會員狀態，無效時回傳 null
+ * @param {*} conn - 資料庫連線
+ * @param {number} sessionId
+ * @param {number} userId
+ * @returns {Promise<{ impersonatorId: number|null, mfaVerified: boolean, userActive: boolean, userAdmin: boolean } | null>}
+ *   userAdmin 為資料庫目前的管理員身分，不沿用 token 簽發時的狀態
+ */
+async function getActiveSession(conn, sessionId, userId) {
+  const [rows] = await conn.query(
+    `SELECT s.impersonatorId, s.mfaVerified, u.active, u.admin, u.deletedAt
+     FROM userSessions s
+     JOIN users u ON u.id = s.userId
+     WHERE s.id = ? AND s.userId = ? AND s.revokedAt IS NULL AND s.expiresAt > NOW()
+     LIMIT 1`,
+    [sessionId, userId]
+  );
+  if (rows.length === 0) return null;
+  return {
+    impersonatorId: rows[0].impersonatorId,
+    mfaVerified: rows[0].mfaVerified === 1,
+    userActive: rows[0].active === 1 && !rows[0].deletedAt,
+    userAdmin: rows[0].admin === 1 || rows[0].admin === true
+  };
+}
+
+/**
+ * 標記工作階段已通過雙重驗證
+ * @param {*} conn - 資料庫連線
+ * @param {number} sessionId
+ */
+async function markSessionMfaVerified(conn, sessionId) {
+  await conn.query('UPDATE userSessions SET mfaVerified = 1 WHERE id = ?', [sessionId]);
+}
+
+/**
+ * 讓單一工作階段失效(登出目前裝置)
+ * @param {*} conn - 資料庫連線
+ * @param {number} sessionId
+ */
+async function revokeSession(conn, sessionId) {
+  await conn.query(
+    'UPDATE userSessions SET revokedAt = NOW() WHERE id = ? AND revokedAt IS NULL',
+    [sessionId]
+  );
+}
+
+/**
+ * 讓該使用者所有工作階段失效(登出所有裝置)
+ * @param {*} conn - 資料庫連線
+ * @param {number} userId
+ */
+async function revokeAllSessions(conn, userId) {
+  await conn.query(
+    'UPDATE userSessions SET revokedAt = NOW() WHERE userId = ? AND revokedAt IS NULL',
+    [userId]
+  );
+}
+
+module.exports = {
+  createSession,
+  rotateSession,
+  createImpersonationSession,
+  getActiveSession,
+  markSessionMfaVerified,
+  revokeSession,
+  revokeAllSessions
+};
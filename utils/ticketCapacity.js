@@ -0,0 +1,153 @@
+/*
+此程式碼負責票券的每日人數上限(容量)與庫存控管。
+每日上限預設為 TICKET_DAILY_CAPACITY，可在 ticketCapacityOverrides 針對特定日期調整。
+功能:
+ - [isValidDate] 檢查日期格式是否為 YYYY-MM-DD。
+ - [listDates] 列出區間內的每一天。
+ - [checkDateRange] 檢查查詢區間，有問題時回傳錯誤訊息。
+ - [getAvailability] 查詢區間內每天的上限、已售出與剩餘張數。
+ - [reserveCapacity] 訂票時扣除指定日期的名額，名額不足會拋出 status = 409 的錯誤。
+   需在交易(transaction)中呼叫，會鎖定該日的庫存列直到交易結束，避免兩人同時買走最後的名額。
+ - [releaseCapacity] 取消或改期時歸還名額，同樣需在交易中呼叫。
+*/
+
+const DEFAULT_CAPACITY = Number(process.env.TICKET_DAILY_CAPACITY) || 2000;
+const MAX_RANGE_DAYS = 92;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 檢查日期格式(YYYY-MM-DD)且為有效日期
+ * @param {string} value
+ */
+function isValidDate(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value || ''))) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+/**
+ * 列出 from ~ to(含)的每一天
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @returns {string[]}
+ */
+function listDates(from, to) {
+  const dates = [];
+  const end = new Date(`${to}T00:00:00Z`).getTime();
+  for (let time = new Date(`${from}T00:00:00Z`).getTime(); time <= end; time += DAY_MS) {
+    dates.push(new Date(time).toISOString().slice(0, 10));
+  }
+  return dates;
+}
+
+/**
+ * 檢查查詢區間
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @returns {string|null} 錯誤訊息，沒問題回傳 null
+ */
+function checkDateRange(from, to) {
+  if (!isValidDate(from) || !isValidDate(to)) {
+    return '請提供正確的起訖日期(YYYY-MM-DD)';
+  }
+  if (from > to) {
+    return '起始日期不可晚於結束日期';
+  }
+  if (listDates(from, to).length > MAX_RANGE_DAYS) {
+    return `查詢區間最多 ${MAX_RANGE_DAYS} 天`;
+  }
+  return null;
+}
+
+/**
+ * 查詢區間內每天的名額
+ * @param {*} conn - 資料庫連線
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ */
+async function getAvailability(conn, from, to) {
+  const [overrides] = await conn.query(
+    `SELECT DATE_FORMAT(visitDate, '%Y-%m-%d') AS visitDate, capacity, note
+     FROM ticketCapacityOverrides
+     WHERE visitDate BETWEEN ? AND ?`,
+    [from, to]
+  );
+  const [inventory] = await conn.query(
+    `SELECT DATE_FORMAT(visitDate, '%Y-%m-%d') AS visitDate, sold
+     FROM ticketInventory
+     WHERE visitDate BETWEEN ? AND ?`,
+    [from, to]
+  );
+
+  const overrideMap = Object.fromEntries(overrides.map(row => [row.visitDate, row]));
+  const soldMap = Object.fromEntries(inventory.map(row => [row.visitDate, row.sold]));
+
+  return listDates(from, to).map(date => {
+    const capacity = overrideMap[date] ? overrideMap[date].capacity : DEFAULT_CAPACITY;
+    const sold = soldMap[date] || 0;
+    return {
+      date,
+      capacity,
+      sold,
+      remaining: Math.max(capacity - sold, 0),
+      note: overrideMap[date] ? overrideMap[date].note : null
+    };
+  });
+}
+
+/**
+ * 扣除指定日期的名額(需在交易中呼叫)
+ * @param {*} conn - 資料庫連線(需已開始交易)
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} qty
+ * @returns {Promise<number>} 扣除後的剩餘名額
+ */
+async function reserveCapacity(conn, date, qty) {
+  // 確保該日有庫存列可以鎖定
+  await conn.query('INSERT IGNORE INTO ticketInventory (visitDate, sold) VALUES (?, 0)', [date]);
+  const [[inventory]] = await conn.query(
+    'SELECT sold FROM ticketInventory WHERE visitDate = ? FOR UPDATE',
+    [date]
+  );
+  const [[override]] = await conn.query(
+    'SELECT capacity FROM ticketCapacityOverrides WHERE visitDate = ?',
+    [date]
+  );
+
+  const capacity = override ? override.capacity : DEFAULT_CAPACITY;
+  const remaining = capacity - inventory.sold;
+  if (qty > remaining) {
+    const err = new Error(remaining > 0 ? `${date} 僅剩 ${remaining} 張票` : `${date} 的票券已售完`);
+    err.status = 409;
+    err.remaining = Math.max(remaining, 0);
+    throw err;
+  }
+
+  await conn.query('UPDATE ticketInventory SET sold = sold + ? WHERE visitDate = ?', [qty, date]);
+  return remaining - qty;
+}
+
+/**
+ * 歸還指定日期的名額(需在交易中呼叫)
+ * @param {*} conn - 資料庫連線(需已開始交易)
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} qty
+ */
+async function releaseCapacity(conn, date, qty) {
+  await conn.query('SELECT sold FROM ticketInventory WHERE visitDate = ? FOR UPDATE', [date]);
+  await conn.query(
+    'UPDATE ticketInventory SET sold = GREATEST(sold - ?, 0) WHERE visitDate = ?',
+    [qty, date]
+  );
+}
+
+module.exports = {
+  DEFAULT_CAPACITY,
+  MAX_RANGE_DAYS,
+  isValidDate,
+  listDates,
+  checkDateRange,
+  getAvailability,
+  reserveCapacity,
+  releaseCapacity
+};
@@ -0,0 +1,143 @@
+/*
+此程式碼負責票券編號與入園代碼。
+每位入園者有一組代碼，格式為「票券編號.序號.隨機碼.簽章」，簽章以 TICKET_CODE_SECRET 做 HMAC-SHA256，
+入口驗票時先驗證簽章，偽造或竄改的代碼不需查詢資料庫即可拒絕。
+功能:
+ - [createTicketNumber] 產生資料庫中不重複的票券編號。
+ - [issueTicketCodes] 為訂單的每位入園者產生代碼並寫入 ticketCodes。
+ - [verifyTicketCode] 驗證代碼簽章，成功回傳票券編號與序號。
+ - [createPassNumber] 產生資料庫中不重複的年卡編號。
+ - [createPassCode] / [verifyPassCode] 年卡的入園代碼，格式為「年卡編號.簽章」，同一張年卡的代碼固定不變。
+*/
+require('dotenv').config();
+const crypto = require('crypto');
+
+const TICKET_CODE_SECRET = process.env.TICKET_CODE_SECRET;
+// 不含容易混淆的 0/O、1/I
+const TICKET_NUMBER_ALPHABET = '23456789ABCDEFGHJKLMNPQRSTUVWXYZ';
+const TICKET_NUMBER_LENGTH = 10;
+
+if (!TICKET_CODE_SECRET) {
+  throw new Error('請在 .env 設定 TICKET_CODE_SECRET');
+}
+
+function sign(payload) {
+  return crypto.createHmac('sha256', TICKET_CODE_SECRET).update(payload).digest('base64url').slice(0, 22);
+}
+
+// 以位元組長度比對簽章，長度不同(例如夾帶多位元組字元)時直接判定不符，避免 timingSafeEqual 拋錯
+function signatureMatches(signature, expected) {
+  const actual = Buffer.from(signature);
+  const target = Buffer.from(expected);
+  return actual.length === target.length && crypto.timingSafeEqual(actual, target);
+}
+
+function randomNumber(prefix) {
+  let number = prefix;
+  for (let i = 0; i < TICKET_NUMBER_LENGTH; i++) {
+    number += TICKET_NUMBER_ALPHABET[crypto.randomInt(TICKET_NUMBER_ALPHABET.length)];
+  }
+  return number;
+}
+
+/**
+ * 產生不重複的票券編號(資料表另有唯一索引保證)
+ * @param {*} conn - 資料庫連線
+ * @returns {Promise<string>}
+ */
+async function createTicketNumber(conn) {
+  for (;;) {
+    const ticketNumber = randomNumber('T');
+    const [rows] = await conn.query('SELECT 1 FROM ticketsOrders WHERE ticketNumber = ?', [ticketNumber]);
+    if (rows.length === 0) return ticketNumber;
+  }
+}
+
+/**
+ * 產生不重複的年卡編號(資料表另有唯一索引保證)
+ * @param {*} conn - 資料庫連線
+ * @returns {Promise<string>}
+ */
+async function createPassNumber(conn) {
+  for (;;) {
+    const passNumber = randomNumber('P');
+    const [rows] = await conn.query('SELECT 1 FROM userPasses WHERE passNumber = ?', [passNumber]);
+    if (rows.length === 0) return passNumber;
+  }
+}
+
+/**
+ * 為每位入園者產生代碼
+ * @param {*} conn - 資料庫連線
+ * @param {string} ticketNumber
+ * @param {string} visitDate - YYYY-MM-DD
+ * @param {number} qty - 入園人數
+ * @returns {Promise<string[]>}
+ */
+async function issueTicketCodes(conn, ticketNumber, visitDate, qty) {
+  const codes = Array.from({ length: qty }, (_, index) => {
+    const payload = `${ticketNumber}.${index + 1}.${crypto.randomBytes(4).toString('hex')}`;
+    return `${payload}.${sign(payload)}`;
+  });
+
+  await conn.query(
+    'INSERT INTO ticketCodes (code, ticketNumber, seq, visitDate) VALUES ?',
+    [codes.map((code, index) => [code, ticketNumber, index + 1, visitDate])]
+  );
+  return codes;
+}
+
+/**
+ * 驗證代碼簽章
+ * @param {string} code
+ * @returns {{ ticketNumber: string, seq: number }|null}
+ */
+function verifyTicketCode(code) {
+  const parts = String(code || '').trim().split('.');
+  if (parts.length !== 4) return null;
+
+  const [ticketNumber, seq, nonce, signature] = parts;
+  if (!signatureMatches(signature, sign(`${ticketNumber}.${seq}.${nonce}`))) {
+    return null;
+  }
+  return { ticketNumber, seq: Number(seq) };
+}
+
+// 簽章內容加上 pass: 前綴，與票券代碼區隔
+function signPass(passNumber) {
+  return sign(`pass:${passNumber}`);
+}
+
+/**
+ * 產生年卡的入園代碼
+ * @param {string} passNumber
+ * @returns {string}
+ */
+function createPassCode(passNumber) {
+  return `${passNumber}.${signPass(passNumber)}`;
+}
+
+/**
+ * 驗證年卡代碼簽章
+ * @param {string} code
+ * @returns {string|null} 年卡編號
+ */
+function verifyPassCode(code) {
+  const parts = String(code || '').trim().split('.');
+  if (parts.length !== 2) return null;
+
+  const [passNumber, signature] = parts;
+  if (!signatureMatches(signature, signPass(passNumber))) {
+    return null;
+  }
+  return passNumber;
+}
+
+module.exports = {
+  createTicketNumber,
+  issueTicketCodes,
+  verifyTicketCode,
+  createPassNumber,
+  createPassCode,
+  verifyPassCode
+};
@@ -0,0 +1,383 @@
+/*
+此程式碼負責票券訂單的建立，以及取消與改期規則。
+入園日當天 00:00 前 TICKET_REFUND_CUTOFF_HOURS 小時(預設 24 小時)之後，不可再取消或改期；
+已有入園者驗票的訂單也不可取消或改期；團體預約轉單的票券由管理員透過團體預約取消，會員不可自行取消或改期。
+功能:
+ - [AGE_CATEGORIES] 票種年齡類別。
+ - [createTicketOrder] 建立一筆票券訂單：檢查票種與入園日期、扣除名額(含分時段名額)、計算票價(含年卡會員折扣)、產生入園代碼。
+   年卡會員價每張年卡每個入園日期限一張，以 memberPassId 記錄用過會員價的訂單。
+   單獨訂票、購物車結帳與團體預約轉單共用，需在交易中呼叫；檢查不通過時拋出帶有 status(400/404/409)的錯誤。
+ - [getChangeDeadline] 取得訂單可取消、改期的期限。
+ - [checkOrderChangeable] 檢查訂單目前是否可取消或改期，不行時回傳錯誤訊息。
+ - [recordOrderChange] 寫入訂單異動紀錄。
+ - [cancelOrderTickets] 購物車訂單取消(含付款逾時)或退款時，作廢其中尚未使用的票券並歸還名額。
+ - [cancelGroupBookingTickets] 取消已轉單的團體預約時，作廢其中尚未使用的票券並歸還名額。
+ - 改期到票價較高的日期時，差額另建 待付款 的補差額訂單(ticketReschedules)，付款前保留新日期的名額，付款後才套用改期:
+   [applyOrderReschedules] 補差額訂單付款後套用改期；[cancelOrderReschedules] 補差額訂單取消時歸還保留的名額；
+   [getPendingTopUpOrders] 取得訂單中票券尚未付款的補差額訂單；[refundTicketTopUps] 票券退款時先退回已付款的補差額訂單。
+*/
+const { reserveCapacity, releaseCapacity } = require('./ticketCapacity');
+const { checkVisitDate } = require('./parkCalendar');
+const { reserveSlot, releaseSlot } = require('./ticketSlots');
+const { quoteTicketPrice } = require('./ticketPricing');
+const { createTicketNumber, issueTicketCodes } = require('./ticketCodes');
+const { recordOrderRefund } = require('./orderTotals');
+
+const REFUND_CUTOFF_HOURS = Number(process.env.TICKET_REFUND_CUTOFF_HOURS ?? 24);
+const AGE_CATEGORIES = ['adult', 'child', 'student', 'senior', 'infant'];
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * 建立票券訂單(需在交易中呼叫)
+ * @param {*} conn - 資料庫連線(需已開始交易)
+ * @param {{ userId: number, ticketId: number, selectedDate: string, slot?: string, qty: number, orderNumber?: string,
+ *           unitPrice?: number, status?: string, paymentNote?: string }} line
+ *   slot 為入園時段(HH:MM)，票種需選擇時段時必填；orderNumber 為所屬的訂單編號，付款完成後票券隨訂單改為 已付款；
+ *   unitPrice 為團體預約核定的單價，不填時依票價規則計算；status 預設 待付款，
+ *   只有線下收款(例如團體預約)才直接建立 已付款 的票券，此時需以 paymentNote 記錄付款方式
+ */
+async function createTicketOrder(conn, line) {
+  const { userId, ticketId, selectedDate, qty, orderNumber = null, status = '待付款', paymentNote = null } = line;
+  if (!Number.isInteger(qty) || qty <= 0) {
+    throw httpError(400, '票券數量必須為正整數');
+  }
+  if (status === '已付款' && !paymentNote) {
+    throw httpError(400, '直接建立已付款的票券需記錄付款方式');
+  }
+
+  const [tickets] = await conn.query(
+    'SELECT id, name, ageCategory, basePrice, slotIntervalMinutes, slotCapacity FROM tickets WHERE id = ? AND active = 1',
+    [ticketId]
+  );
+  if (tickets.length === 0) {
+    throw httpError(404, '找不到該票種或已停售');
+  }
+
+  const dateError = await checkVisitDate(conn, selectedDate);
+  if (dateError) {
+    throw httpError(400, dateError);
+  }
+
+  await reserveCapacity(conn, selectedDate, qty);
+  // 分時段票種需另外扣除時段名額，未選時段會在 reserveSlot 回傳 400
+  const slot = tickets[0].slotIntervalMinutes ? line.slot : null;
+  if (tickets[0].slotIntervalMinutes) {
+    await reserveSlot(conn, tickets[0], selectedDate, slot, qty);
+  }
+
+  // 團體預約以核定單價計算，不套用會員價
+  const quote = line.unitPrice !== undefined && line.unitPrice !== null
+    ? { unitPrice: Number(line.unitPrice), totalPrice: Number(line.unitPrice) * qty, memberPassId: null }
+    : await quoteTicketPrice(conn, tickets[0], selectedDate, { userId, qty });
+  const { unitPrice, totalPrice, memberPassId } = quote;
+  const ticketNumber = await createTicketNumber(conn);
+
+  await conn.query(
+    `INSERT INTO ticketsOrders
+      (ticketNumber, orderNumber, selectedData, slotTime, checkTime, userId, ticketId, qty, unitPrice, totalPrice, memberPassId, status, paymentNote)
+     VALUES (?, ?, ?, ?, NOW(), ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [ticketNumber, orderNumber, selectedDate, slot, userId, ticketId, qty, unitPrice, totalPrice, memberPassId, status, paymentNote]
+  );
+  const codes = await issueTicketCodes(conn, ticketNumber, selectedDate, qty);
+
+  return {
+    ticketNumber,
+    ticketId: tickets[0].id,
+    ticketName: tickets[0].name,
+    ageCategory: tickets[0].ageCategory,
+    selectedDate,
+    slot,
+    qty,
+    unitPrice,
+    totalPrice,
+    codes
+  };
+}
+
+/**
+ * 取得可取消、改期的期限
+ * @param {string} visitDate - YYYY-MM-DD
+ * @returns {Date}
+ */
+function getChangeDeadline(visitDate) {
+  const deadline = new Date(`${visitDate}T00:00:00`);
+  deadline.setHours(deadline.getHours() - REFUND_CUTOFF_HOURS);
+  return deadline;
+}
+
+/**
+ * 檢查訂單是否可取消或改期
+ * @param {{ status: string, visitDate: string, usedCount: number, groupBookingId?: number, pendingTopUpOrderNumber?: string }} order
+ * @param {Date} [now]
+ * @returns {string|null} 錯誤訊息，可以異動回傳 null
+ */
+function checkOrderChangeable(order, now = new Date()) {
+  if (order.status === '已取消') {
+    return '此訂單已取消';
+  }
+  if (order.groupBookingId) {
+    return '團體預約的票券無法自行取消或改期，請聯繫客服由團體預約處理';
+  }
+  if (order.status === '待付款') {
+    return '此訂單尚未付款，請完成付款或等待付款期限過後自動取消';
+  }
+  if (order.pendingTopUpOrderNumber) {
+    return `此訂單有尚未付款的改期補差額(訂單 ${order.pendingTopUpOrderNumber})，請完成付款或等待付款期限過後自動取消`;
+  }
+  if (order.usedCount > 0) {
+    return '此訂單已有入園紀錄，無法異動';
+  }
+  if (now >= getChangeDeadline(order.visitDate)) {
+    return `已超過異動期限(入園日前 ${REFUND_CUTOFF_HOURS} 小時)`;
+  }
+  return null;
+}
+
+/**
+ * 寫入訂單異動紀錄
+ * @param {*} conn - 資料庫連線
+ * @param {{ ticketNumber: string, userId: number, action: string, fromDate: string, toDate?: string,
+ *           fromSlot?: string, toSlot?: string, priceDifference?: number }} change
+ */
+async function recordOrderChange(conn, change) {
+  await conn.query(
+    `INSERT INTO ticketOrderChanges (ticketNumber, userId, action, fromDate, toDate, fromSlot, toSlot, priceDifference)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      change.ticketNumber,
+      change.userId,
+      change.action,
+      change.fromDate,
+      change.toDate || null,
+      change.fromSlot || null,
+      change.toSlot || null,
+      change.priceDifference || 0
+    ]
+  );
+}
+
+// 作廢符合條件的票券中尚未使用的部分並歸還名額，回傳退款金額合計(需在交易中呼叫)
+async function cancelUnusedTickets(conn, condition, params, changedBy) {
+  const [orders] = await conn.query(
+    `SELECT t.ticketNumber, t.userId, t.ticketId, t.qty, t.totalPrice, t.refundAmount, t.status,
+            DATE_FORMAT(t.selectedData, '%Y-%m-%d') AS visitDate,
+            TIME_FORMAT(t.slotTime, '%H:%i') AS slot,
+            (SELECT COUNT(*) FROM ticketCodes tc WHERE tc.ticketNumber = t.ticketNumber AND tc.usedAt IS NOT NULL) AS usedCount
+     FROM ticketsOrders t
+     WHERE ${condition} AND t.status IN ('待付款', '已付款')
+     ORDER BY t.selectedData ASC
+     FOR UPDATE`,
+    params
+  );
+  let totalRefund = 0;
+  for (const order of orders) {
+    const unused = order.qty - Number(order.usedCount);
+    if (unused <= 0) continue;
+
+    await releaseCapacity(conn, order.visitDate, unused);
+    if (order.slot) {
+      await releaseSlot(conn, order.ticketId, order.visitDate, order.slot, unused);
+    }
+    await conn.query(
+      'UPDATE ticketCodes SET voidedAt = NOW() WHERE ticketNumber = ? AND usedAt IS NULL AND voidedAt IS NULL',
+      [order.ticketNumber]
+    );
+
+    // 未付款的票券不需退款
+    const refunded = Number(order.refundAmount || 0);
+    const refund = order.status === '已付款' && order.totalPrice !== null
+      ? Math.round((Number(order.totalPrice) - refunded) * unused / order.qty)
+      : null;
+    const refundAmount = refund === null ? order.refundAmount : refunded + refund;
+    if (unused === order.qty) {
+      await conn.query(
+        `UPDATE ticketsOrders SET status = '已取消', cancelledAt = NOW(), refundAmount = ? WHERE ticketNumber = ?`,
+        [refundAmount, order.ticketNumber]
+      );
+    } else {
+      await conn.query('UPDATE ticketsOrders SET refundAmount = ? WHERE ticketNumber = ?', [refundAmount, order.ticketNumber]);
+    }
+    await recordOrderChange(conn, {
+      ticketNumber: order.ticketNumber,
+      userId: changedBy || order.userId,
+      action: 'cancel',
+      fromDate: order.visitDate,
+      fromSlot: order.slot,
+      priceDifference: refund === null ? 0 : -refund
+    });
+    if (refund > 0) {
+      await refundTicketTopUps(conn, order.ticketNumber, refund);
+    }
+    totalRefund += refund || 0;
+  }
+  return totalRefund;
+}
+
+/**
+ * 作廢購物車訂單中尚未使用的票券並歸還名額(需在交易中呼叫)
+ * 未使用的入園代碼標記為作廢；整筆票券都未使用時改為 已取消，部分已入園時保留狀態，只作廢其餘代碼。
+ * 已付款的票券依作廢張數退還已付金額(扣除改期時已退還的差額)，累計於 refundAmount。
+ * @param {*} conn - 資料庫連線(需已開始交易)
+ * @param {string} orderNumber
+ * @param {{ changedBy?: number }} [options] - changedBy 為操作的管理員，未提供時記錄為票券所屬會員
+ */
+async function cancelOrderTickets(conn, orderNumber, { changedBy = null } = {}) {
+  await cancelUnusedTickets(conn, 't.orderNumber = ?', [orderNumber], changedBy);
+}
+
+/**
+ * 作廢已轉單的團體預約中尚未使用的票券並歸還名額(需在交易中呼叫)，規則同 cancelOrderTickets
+ * @param {*} conn - 資料庫連線(需已開始交易)
+ * @param {number} bookingId
+ * @param {{ changedBy?: number }} [options] - changedBy 為操作的管理員
+ * @returns {Promise<number>} 應退還(線下退款)的金額合計
+ */
+async function cancelGroupBookingTickets(conn, bookingId, { changedBy = null } = {}) {
+  return cancelUnusedTickets(
+    conn,
+    't.ticketNumber IN (SELECT l.ticketNumber FROM groupBookingLines l WHERE l.bookingId = ?)',
+    [bookingId],
+    changedBy
+  );
+}
+
+/**
+ * 補差額訂單付款後套用改期(需在交易中呼叫)
+ * 新日期(時段)的名額已在建立補差額時保留，此時歸還原日期的名額、更新日期並重新產生入園代碼，
+ * 票券的 totalPrice 加上補繳的差額。
+ * @param {*} conn - 資料庫連線(需已開始交易)
+ * @param {string} orderNumber - 補差額訂單編號
+ */
+async function applyOrderReschedules(conn, orderNumber) {
+  const [reschedules] = await conn.query(
+    `SELECT r.id, r.ticketNumber, r.userId, r.priceDifference, r.memberPassId,
+            DATE_FORMAT(r.fromDate, '%Y-%m-%d') AS fromDate, TIME_FORMAT(r.fromSlot, '%H:%i') AS fromSlot,
+            DATE_FORMAT(r.toDate, '%Y-%m-%d') AS toDate, TIME_FORMAT(r.toSlot, '%H:%i') AS toSlot,
+            t.ticketId, t.qty
+     FROM ticketReschedules r
+     JOIN ticketsOrders t ON t.ticketNumber = r.ticketNumber
+     WHERE r.orderNumber = ? AND r.status = 'pending'
+     FOR UPDATE`,
+    [orderNumber]
+  );
+  for (const reschedule of reschedules) {
+    if (reschedule.toDate !== reschedule.fromDate) {
+      await releaseCapacity(conn, reschedule.fromDate, reschedule.qty);
+    }
+    if (reschedule.fromSlot) {
+      await releaseSlot(conn, reschedule.ticketId, reschedule.fromDate, reschedule.fromSlot, reschedule.qty);
+    }
+    await conn.query(
+      `UPDATE ticketsOrders SET selectedData = ?, slotTime = ?, totalPrice = totalPrice + ?, memberPassId = ? WHERE ticketNumber = ?`,
+      [reschedule.toDate, reschedule.toSlot, reschedule.priceDifference, reschedule.memberPassId, reschedule.ticketNumber]
+    );
+    await conn.query('DELETE FROM ticketCodes WHERE ticketNumber = ?', [reschedule.ticketNumber]);
+    await issueTicketCodes(conn, reschedule.ticketNumber, reschedule.toDate, reschedule.qty);
+    await recordOrderChange(conn, {
+      ticketNumber: reschedule.ticketNumber,
+      userId: reschedule.userId,
+      action: 'reschedule',
+      fromDate: reschedule.fromDate,
+      toDate: reschedule.toDate,
+      fromSlot: reschedule.fromSlot,
+      toSlot: reschedule.toSlot,
+      priceDifference: Number(reschedule.priceDifference)
+    });
+    await conn.query(`UPDATE ticketReschedules SET status = 'paid' WHERE id = ?`, [reschedule.id]);
+  }
+}
+
+/**
+ * 補差額訂單取消(含付款逾時)或退款時，歸還尚未付款的改期保留的名額，票券維持原本的日期(需在交易中呼叫)
+ * 已套用的改期無法只退差額，票券仍有效時拋出 409，需改為取消票券訂單
+ * @param {*} conn - 資料庫連線(需已開始交易)
+ * @param {string} orderNumber - 補差額訂單編號
+ */
+async function cancelOrderReschedules(conn, orderNumber) {
+  const [reschedules] = await conn.query(
+    `SELECT r.id, r.status, DATE_FORMAT(r.toDate, '%Y-%m-%d') AS toDate, TIME_FORMAT(r.toSlot, '%H:%i') AS toSlot,
+            t.ticketId, t.qty, t.status AS ticketStatus
+     FROM ticketReschedules r
+     JOIN ticketsOrders t ON t.ticketNumber = r.ticketNumber
+     WHERE r.orderNumber = ? AND r.status IN ('pending', 'paid')
+     FOR UPDATE`,
+    [orderNumber]
+  );
+  for (const reschedule of reschedules) {
+    if (reschedule.status === 'paid') {
+      if (reschedule.ticketStatus !== '已取消') {
+        throw httpError(409, '改期差額已套用到票券，請改為取消票券訂單');
+      }
+      continue;
+    }
+    await releaseCapacity(conn, reschedule.toDate, reschedule.qty);
+    if (reschedule.toSlot) {
+      await releaseSlot(conn, reschedule.ticketId, reschedule.toDate, reschedule.toSlot, reschedule.qty);
+    }
+    await conn.query(`UPDATE ticketReschedules SET status = 'cancelled' WHERE id = ?`, [reschedule.id]);
+  }
+}
+
+/**
+ * 取得訂單中的票券尚未付款的補差額訂單編號
+ * @param {*} conn - 資料庫連線
+ * @param {string} orderNumber - 票券所屬的訂單編號
+ * @returns {Promise<string[]>}
+ */
+async function getPendingTopUpOrders(conn, orderNumber) {
+  const [rows] = await conn.query(
+    `SELECT DISTINCT r.orderNumber
+     FROM ticketReschedules r
+     JOIN ticketsOrders t ON t.ticketNumber = r.ticketNumber
+     WHERE t.orderNumber = ? AND r.status = 'pending'`,
+    [orderNumber]
+  );
+  return rows.map(row => row.orderNumber);
+}
+
+/**
+ * 票券退款時，先退回已付款的補差額訂單(由新到舊，每筆最多退到補繳的差額)，累計於補差額訂單的 refundedAmount
+ * @param {*} conn - 資料庫連線(需已開始交易)
+ * @param {string} ticketNumber
+ * @param {number} amount - 票券本次退款金額
+ * @returns {Promise<number>} 其餘應退回票券原本所屬訂單的金額
+ */
+async function refundTicketTopUps(conn, ticketNumber, amount) {
+  const [topUps] = await conn.query(
+    `SELECT r.orderNumber, r.priceDifference - oc.refundedAmount AS remaining
+     FROM ticketReschedules r
+     JOIN orderCustomers oc ON oc.orderNumber = r.orderNumber
+     WHERE r.ticketNumber = ? AND r.status = 'paid'
+     ORDER BY r.id DESC
+     FOR UPDATE`,
+    [ticketNumber]
+  );
+  let rest = amount;
+  for (const topUp of topUps) {
+    const refund = Math.min(rest, Number(topUp.remaining));
+    if (refund <= 0) continue;
+    await recordOrderRefund(conn, topUp.orderNumber, refund);
+    rest -= refund;
+  }
+  return rest;
+}
+
+module.exports = {
+  REFUND_CUTOFF_HOURS,
+  AGE_CATEGORIES,
+  createTicketOrder,
+  getChangeDeadline,
+  checkOrderChangeable,
+  recordOrderChange,
+  cancelOrderTickets,
+  cancelGroupBookingTickets,
+  applyOrderReschedules,
+  cancelOrderReschedules,
+  getPendingTopUpOrders,
+  refundTicketTopUps
+};
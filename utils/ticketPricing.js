@@ -0,0 +1,177 @@
+/*
+此程式碼負責計算票券單價(動態票價)。
+計算方式:
+ 1. 以票種的基本票價(tickets.basePrice)為起點。
+ 2. 依入園日期套用一條日期規則，優先順序為 國定假日 > 旺季 > 週末；
+    同類型有多條規則時，指定票種的規則優先於套用所有票種的規則，再以較新的規則優先。
+ 3. 符合早鳥條件時，再套用一條早鳥規則(同樣指定票種優先)。
+ 4. 購買的會員持有有效年卡時，最後再套用年卡方案的票券折扣。
+    會員價每張年卡每個入園日期限一張(持卡人本人)，同一天已有未取消的會員價票券時，其餘票券以一般票價計算。
+ 5. 金額四捨五入到整數元，最低為 0。
+功能:
+ - [RULE_TYPES] / [ADJUST_TYPES] 規則類型與調整方式。
+ - [checkPriceRule] 檢查規則內容，有問題時回傳錯誤訊息。
+ - [quoteTicketPrice] 計算指定票種在指定日期的單價與總價，並列出套用的規則。
+*/
+const { isValidDate } = require('./ticketCapacity');
+const { getCalendar, formatLocalDate } = require('./parkCalendar');
+const { getActivePass, applyMemberDiscount } = require('./passes');
+
+const RULE_TYPES = ['weekend', 'holiday', 'peak', 'early_bird'];
+const ADJUST_TYPES = ['fixed', 'amount', 'percent'];
+const DATE_RULE_PRECEDENCE = ['holiday', 'peak', 'weekend'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 檢查規則內容
+ * @param {object} rule
+ * @returns {string|null} 錯誤訊息，沒問題回傳 null
+ */
+function checkPriceRule(rule) {
+  if (!rule.name) {
+    return '請提供規則名稱';
+  }
+  if (!RULE_TYPES.includes(rule.ruleType)) {
+    return `ruleType 只能是 ${RULE_TYPES.join(', ')}`;
+  }
+  if (!ADJUST_TYPES.includes(rule.adjustType)) {
+    return `adjustType 只能是 ${ADJUST_TYPES.join(', ')}`;
+  }
+  if (rule.adjustValue === undefined || rule.adjustValue === null || Number.isNaN(Number(rule.adjustValue))) {
+    return '請提供正確的調整數值';
+  }
+  if (rule.adjustType === 'fixed' && Number(rule.adjustValue) < 0) {
+    return '指定票價不可為負數';
+  }
+  if (rule.adjustType === 'percent' && Number(rule.adjustValue) <= -100) {
+    return '折扣百分比必須大於 -100';
+  }
+  if ((rule.startDate && !isValidDate(rule.startDate)) || (rule.endDate && !isValidDate(rule.endDate))) {
+    return '日期格式錯誤(YYYY-MM-DD)';
+  }
+  if (rule.startDate && rule.endDate && rule.startDate > rule.endDate) {
+    return '起始日期不可晚於結束日期';
+  }
+  if (rule.ruleType === 'peak' && (!rule.startDate || !rule.endDate)) {
+    return '旺季規則需設定起訖日期';
+  }
+  if (rule.ruleType === 'early_bird' && !(Number.isInteger(Number(rule.daysBefore)) && Number(rule.daysBefore) > 0)) {
+    return '早鳥規則需設定提前購買天數(daysBefore)';
+  }
+  return null;
+}
+
+// 套用單條規則
+function applyRule(price, rule) {
+  const value = Number(rule.adjustValue);
+  if (rule.adjustType === 'fixed') return value;
+  if (rule.adjustType === 'amount') return price + value;
+  return price * (1 + value / 100);
+}
+
+// 指定票種的規則優先，再以較新的規則優先
+function pickRule(rules) {
+  return [...rules].sort((a, b) => (b.ticketId !== null) - (a.ticketId !== null) || b.id - a.id)[0] || null;
+}
+
+// 年卡在指定入園日期是否已用過會員價(未取消的票券訂單，或尚未付款的改期補差額)
+async function isMemberTicketTaken(conn, passId, date, excludeTicketNumber) {
+  const [rows] = await conn.query(
+    `SELECT 1 FROM ticketsOrders
+     WHERE memberPassId = ? AND selectedData = ? AND status <> '已取消' AND ticketNumber <> ?
+     UNION ALL
+     SELECT 1 FROM ticketReschedules
+     WHERE memberPassId = ? AND toDate = ? AND status = 'pending' AND ticketNumber <> ?
+     LIMIT 1`,
+    [passId, date, excludeTicketNumber || '', passId, date, excludeTicketNumber || '']
+  );
+  return rows.length > 0;
+}
+
+/**
+ * 計算票券價格
+ * @param {*} conn - 資料庫連線
+ * @param {{ id: number, basePrice: number|string }} ticket - 票種
+ * @param {string} date - 入園日期 YYYY-MM-DD
+ * @param {{ userId?: number, now?: Date, qty?: number, excludeTicketNumber?: string, memberTaken?: boolean }} [options]
+ *   userId 為購買的會員，持有有效年卡時其中一張套用會員折扣；now 為購買時間，用來判斷早鳥與年卡是否有效；
+ *   excludeTicketNumber 為改期中的訂單(不算已用過會員價)；memberTaken 為呼叫端已將會員價用在同一天的其他票券
+ * @returns {Promise<{ basePrice: number, unitPrice: number, memberPassId: number|null, memberUnitPrice: number|null,
+ *                     totalPrice: number, appliedRules: object[] }>}
+ *   unitPrice 為一般票價；memberPassId 不為 null 時其中一張為 memberUnitPrice，已計入 totalPrice
+ */
+async function quoteTicketPrice(conn, ticket, date, {
+  userId = null, now = new Date(), qty = 1, excludeTicketNumber = null, memberTaken = false
+} = {}) {
+  const [rules] = await conn.query(
+    `SELECT id, name, ruleType, ticketId, daysBefore, adjustType, adjustValue
+     FROM ticketPriceRules
+     WHERE active = 1
+       AND (ticketId IS NULL OR ticketId = ?)
+       AND (startDate IS NULL OR startDate <= ?)
+       AND (endDate IS NULL OR endDate >= ?)`,
+    [ticket.id, date, date]
+  );
+
+  const [day] = await getCalendar(conn, date, date);
+  const isWeekend = day.weekday === 0 || day.weekday === 6;
+  const daysAhead = Math.round(
+    (new Date(`${date}T00:00:00Z`).getTime() - new Date(`${formatLocalDate(now)}T00:00:00Z`).getTime()) / DAY_MS
+  );
+
+  const matches = {
+    holiday: rules.filter(rule => rule.ruleType === 'holiday' && day.isHoliday),
+    peak: rules.filter(rule => rule.ruleType === 'peak'),
+    weekend: rules.filter(rule => rule.ruleType === 'weekend' && isWeekend),
+    early_bird: rules.filter(rule => rule.ruleType === 'early_bird' && daysAhead >= rule.daysBefore)
+  };
+
+  const basePrice = Number(ticket.basePrice);
+  let price = basePrice;
+  const appliedRules = [];
+
+  const dateRuleType = DATE_RULE_PRECEDENCE.find(type => matches[type].length > 0);
+  for (const rule of [dateRuleType && pickRule(matches[dateRuleType]), pickRule(matches.early_bird)]) {
+    if (!rule) continue;
+    const before = price;
+    price = applyRule(price, rule);
+    appliedRules.push({
+      id: rule.id,
+      name: rule.name,
+      ruleType: rule.ruleType,
+      adjustment: Math.round(price) - Math.round(before)
+    });
+  }
+
+  const unitPrice = Math.max(Math.round(price), 0);
+  let memberPassId = null;
+  let memberUnitPrice = null;
+  const pass = memberTaken ? null : await getActivePass(conn, userId, formatLocalDate(now));
+  if (pass && Number(pass.ticketDiscountPercent) > 0 && !(await isMemberTicketTaken(conn, pass.id, date, excludeTicketNumber))) {
+    memberPassId = pass.id;
+    memberUnitPrice = applyMemberDiscount(price, pass.ticketDiscountPercent);
+    appliedRules.push({
+      id: null,
+      name: pass.planName,
+      ruleType: 'member',
+      qty: 1,
+      adjustment: memberUnitPrice - unitPrice
+    });
+  }
+
+  return {
+    basePrice,
+    unitPrice,
+    memberPassId,
+    memberUnitPrice,
+    totalPrice: memberPassId ? unitPrice * (qty - 1) + memberUnitPrice : unitPrice * qty,
+    appliedRules
+  };
+}
+
+module.exports = {
+  RULE_TYPES,
+  ADJUST_TYPES,
+  checkPriceRule,
+  quoteTicketPrice
+};
@@ -0,0 +1,183 @@
+/*
+此程式碼負責分時段入園。
+票種設定 slotIntervalMinutes(每個時段的分鐘數)與 slotCapacity(每個時段的人數上限)後，
+訂票時需選擇入園時段；時段依當日營業時間產生，最後一個時段需在閉園前開始。
+入口驗票時，只能在「時段開始前 ~ 時段結束後」TICKET_SLOT_GRACE_MINUTES 分鐘(預設 15 分鐘)內入園。
+當天的時段在開始後 TICKET_SLOT_GRACE_MINUTES 分鐘停止販售。
+功能:
+ - [listSlots] 依營業時間列出當日所有時段(HH:MM)。
+ - [isSlotClosed] 檢查時段是否已停止販售(當天且已超過開始時間加寬限時間)。
+ - [getSlotAvailability] 查詢票種在各日期、各時段的上限、已售出與剩餘張數，不列出已停止販售的時段。
+ - [reserveSlot] 訂票時扣除時段名額，時段不存在或已停止販售拋出 status = 400、名額不足拋出 status = 409 的錯誤。
+   需在交易中呼叫，會鎖定該時段的庫存列。
+ - [releaseSlot] 取消或改期時歸還時段名額，同樣需在交易中呼叫。
+ - [checkSlotWindow] 驗票時檢查目前時間是否在入園時段內，不在時回傳錯誤訊息。
+*/
+const { getCalendar, formatLocalDate, formatLocalTime } = require('./parkCalendar');
+
+const SLOT_GRACE_MINUTES = Number(process.env.TICKET_SLOT_GRACE_MINUTES ?? 15);
+const SLOT_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+function toTime(totalMinutes) {
+  const minutes = ((totalMinutes % 1440) + 1440) % 1440;
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * 依營業時間列出當日所有時段
+ * @param {{ open: boolean, openTime: string, closeTime: string }} day - getCalendar 回傳的單日資料
+ * @param {number} intervalMinutes
+ * @returns {string[]}
+ */
+function listSlots(day, intervalMinutes) {
+  if (!day.open || !day.openTime || !day.closeTime) return [];
+  const slots = [];
+  for (let minutes = toMinutes(day.openTime); minutes < toMinutes(day.closeTime); minutes += intervalMinutes) {
+    slots.push(toTime(minutes));
+  }
+  return slots;
+}
+
+/**
+ * 檢查時段是否已停止販售
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} slot - HH:MM
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+function isSlotClosed(date, slot, now = new Date()) {
+  const today = formatLocalDate(now);
+  if (date !== today) return date < today;
+  return toMinutes(formatLocalTime(now)) > toMinutes(slot) + SLOT_GRACE_MINUTES;
+}
+
+/**
+ * 查詢票種在區間內每天各時段的名額
+ * @param {*} conn - 資料庫連線
+ * @param {{ id: number, slotIntervalMinutes: number, slotCapacity: number }} ticket
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @returns {Promise<Object<string, object[]>>} 以日期為 key 的時段列表
+ */
+async function getSlotAvailability(conn, ticket, from, to) {
+  const calendar = await getCalendar(conn, from, to);
+  const [inventory] = await conn.query(
+    `SELECT DATE_FORMAT(visitDate, '%Y-%m-%d') AS visitDate, TIME_FORMAT(slotTime, '%H:%i') AS slot, sold
+     FROM ticketSlotInventory
+     WHERE ticketId = ? AND visitDate BETWEEN ? AND ?`,
+    [ticket.id, from, to]
+  );
+  const soldMap = Object.fromEntries(inventory.map(row => [`${row.visitDate} ${row.slot}`, row.sold]));
+  const now = new Date();
+
+  return Object.fromEntries(calendar.map(day => [
+    day.date,
+    listSlots(day, ticket.slotIntervalMinutes).filter(slot => !isSlotClosed(day.date, slot, now)).map(slot => {
+      const sold = soldMap[`${day.date} ${slot}`] || 0;
+      return { slot, capacity: ticket.slotCapacity, sold, remaining: Math.max(ticket.slotCapacity - sold, 0) };
+    })
+  ]));
+}
+
+/**
+ * 扣除時段名額(需在交易中呼叫)
+ * @param {*} conn - 資料庫連線(需已開始交易)
+ * @param {{ id: number, slotIntervalMinutes: number, slotCapacity: number }} ticket
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} slot - HH:MM
+ * @param {number} qty
+ */
+async function reserveSlot(conn, ticket, date, slot, qty) {
+  if (!SLOT_PATTERN.test(String(slot || ''))) {
+    throw httpError(400, '此票種需選擇入園時段(HH:MM)');
+  }
+  const [day] = await getCalendar(conn, date, date);
+  if (!listSlots(day, ticket.slotIntervalMinutes).includes(slot)) {
+    throw httpError(400, `${date} 沒有 ${slot} 的入園時段`);
+  }
+  if (isSlotClosed(date, slot)) {
+    throw httpError(400, `${date} ${slot} 時段已開始，請選擇其他時段`);
+  }
+
+  await conn.query(
+    'INSERT IGNORE INTO ticketSlotInventory (ticketId, visitDate, slotTime, sold) VALUES (?, ?, ?, 0)',
+    [ticket.id, date, slot]
+  );
+  const [[inventory]] = await conn.query(
+    'SELECT sold FROM ticketSlotInventory WHERE ticketId = ? AND visitDate = ? AND slotTime = ? FOR UPDATE',
+    [ticket.id, date, slot]
+  );
+
+  const remaining = ticket.slotCapacity - inventory.sold;
+  if (qty > remaining) {
+    const err = httpError(409, remaining > 0 ? `${date} ${slot} 時段僅剩 ${remaining} 張票` : `${date} ${slot} 時段已額滿`);
+    err.remaining = Math.max(remaining, 0);
+    throw err;
+  }
+
+  await conn.query(
+    'UPDATE ticketSlotInventory SET sold = sold + ? WHERE ticketId = ? AND visitDate = ? AND slotTime = ?',
+    [qty, ticket.id, date, slot]
+  );
+}
+
+/**
+ * 歸還時段名額(需在交易中呼叫)
+ * @param {*} conn - 資料庫連線(需已開始交易)
+ * @param {number} ticketId
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} slot - HH:MM
+ * @param {number} qty
+ */
+async function releaseSlot(conn, ticketId, date, slot, qty) {
+  await conn.query(
+    'SELECT sold FROM ticketSlotInventory WHERE ticketId = ? AND visitDate = ? AND slotTime = ? FOR UPDATE',
+    [ticketId, date, slot]
+  );
+  await conn.query(
+    'UPDATE ticketSlotInventory SET sold = GREATEST(sold - ?, 0) WHERE ticketId = ? AND visitDate = ? AND slotTime = ?',
+    [qty, ticketId, date, slot]
+  );
+}
+
+/**
+ * 驗票時檢查是否在入園時段內(入園日期需另外檢查)
+ * @param {string} slot - HH:MM
+ * @param {number} intervalMinutes
+ * @param {Date} [now]
+ * @returns {string|null} 錯誤訊息，可以入園回傳 null
+ */
+function checkSlotWindow(slot, intervalMinutes, now = new Date()) {
+  const current = toMinutes(formatLocalTime(now));
+  const start = toMinutes(slot) - SLOT_GRACE_MINUTES;
+  const end = toMinutes(slot) + intervalMinutes + SLOT_GRACE_MINUTES;
+
+  if (current < start) {
+    return `此票券入園時段為 ${slot}，請於 ${toTime(start)} 後入場`;
+  }
+  if (current > end) {
+    return `已超過入園時段(${slot} ~ ${toTime(toMinutes(slot) + intervalMinutes)}，寬限 ${SLOT_GRACE_MINUTES} 分鐘)`;
+  }
+  return null;
+}
+
+module.exports = {
+  SLOT_GRACE_MINUTES,
+  listSlots,
+  isSlotClosed,
+  getSlotAvailability,
+  reserveSlot,
+  releaseSlot,
+  checkSlotWindow
+};
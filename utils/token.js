@@ -0,0 +1,102 @@
+/*
+此程式碼負責簽發與驗證登入用的 token。
+功能:
+ - [signAccessToken] 登入成功後簽發 access token(JWT)，內含會員 ID、管理員旗標與工作階段 ID。
+ - [verifyAccessToken] 驗證 Bearer token 並回傳內容，失敗時丟出錯誤。
+ - [signMfaToken] / [verifyMfaToken] 密碼正確但需雙重驗證時，簽發 5 分鐘有效的暫時 token。
+ - [generateToken] / [hashToken] 產生隨機 token 與其 SHA-256 雜湊，資料庫只存雜湊值。
+ - 密鑰與有效時間由 .env 的 JWT_SECRET、JWT_EXPIRES_IN 設定。
+*/
+require('dotenv').config();
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const JWT_SECRET = process.env.JWT_SECRET;
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+
+if (!JWT_SECRET) {
+  throw new Error('請在 .env 設定 JWT_SECRET');
+}
+
+/**
+ * 簽發 access token
+ * @param {{ id: number, admin: number|boolean }} user
+ * @param {number} sessionId - userSessions.id
+ * @param {string|number} [expiresIn] - 預設為 JWT_EXPIRES_IN
+ * @returns {string}
+ */
+function signAccessToken(user, sessionId, expiresIn = ACCESS_TOKEN_EXPIRES_IN) {
+  return jwt.sign(
+    { admin: user.admin === 1 || user.admin === true, sid: sessionId },
+    JWT_SECRET,
+    { subject: String(user.id), expiresIn }
+  );
+}
+
+/**
+ * 驗證 access token，成功回傳 { userId, isAdmin, sessionId }
+ * @param {string} token
+ */
+function verifyAccessToken(token) {
+  const payload = jwt.verify(token, JWT_SECRET);
+  return {
+    userId: Number(payload.sub),
+    isAdmin: payload.admin === true,
+    sessionId: payload.sid
+  };
+}
+
+/**
+ * 簽發雙重驗證用的暫時 token，只能用於 /users/login/2fa
+ * @param {number} userId
+ */
+function signMfaToken(userId) {
+  return jwt.sign({ purpose: 'mfa' }, JWT_SECRET, { subject: String(userId), expiresIn: '5m' });
+}
+
+/**
+ * 驗證雙重驗證用的暫時 token，成功回傳會員 ID
+ * @param {string} token
+ */
+function verifyMfaToken(token) {
+  const payload = jwt.verify(token, JWT_SECRET);
+  if (payload.purpose !== 'mfa') {
+    throw new Error('token 用途不符');
+  }
+  return Number(payload.sub);
+}
+
+/**
+ * 取得 access token 的有效秒數（回傳給前端用）
+ * @param {string} token
+ */
+function getExpiresIn(token) {
+  const { exp, iat } = jwt.decode(token);
+  return exp - iat;
+}
+
+/**
+ * 產生隨機 token（hex 字串）
+ * @param {number} bytes
+ */
+function generateToken(bytes = 32) {
+  return crypto.randomBytes(bytes).toString('hex');
+}
+
+/**
+ * 計算 token 的 SHA-256，存入資料庫與比對時使用
+ * @param {string} token
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+module.exports = {
+  signAccessToken,
+  verifyAccessToken,
+  signMfaToken,
+  verifyMfaToken,
+  getExpiresIn,
+  generateToken,
+  hashToken
+};
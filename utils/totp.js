@@ -0,0 +1,107 @@
+/*
+此程式碼實作雙重驗證用的 TOTP(RFC 6238)，與 Google Authenticator 等 App 相容。
+功能:
+ - [generateSecret] 產生 Base32 格式的金鑰。
+ - [buildOtpauthUri] 產生 otpauth:// 網址，前端可轉成 QR Code 讓 App 掃描。
+ - [verifyTotp] 驗證 6 位數驗證碼，允許前後 1 個時間區間(30 秒)的誤差，
+   回傳符合的時間區間編號，用來避免同一組驗證碼被重複使用。
+ - [generateRecoveryCodes] 產生一次性備用碼。
+*/
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const ISSUER = 'AquPark';
+
+function base32Encode(buffer) {
+  let bits = '';
+  buffer.forEach(byte => { bits += byte.toString(2).padStart(8, '0'); });
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+}
+
+function base32Decode(text) {
+  const clean = String(text).toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = '';
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('金鑰格式錯誤');
+    bits += index.toString(2).padStart(5, '0');
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+}
+
+// 計算指定時間區間的驗證碼
+function hotp(key, counter) {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', key).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return String(code).padStart(DIGITS, '0');
+}
+
+/**
+ * 產生 Base32 金鑰(160 bits)
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * 產生 otpauth:// 網址
+ * @param {string} account - 顯示在 App 上的帳號名稱(通常為 email)
+ * @param {string} secret
+ */
+function buildOtpauthUri(account, secret) {
+  const label = encodeURIComponent(`${ISSUER}:${account}`);
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${ISSUER}&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+}
+
+/**
+ * 驗證 TOTP 驗證碼
+ * @param {string} secret - Base32 金鑰
+ * @param {string} code - 使用者輸入的 6 位數
+ * @param {number} [lastStep] - 上次使用成功的時間區間，之前(含)的驗證碼不可再用
+ * @returns {number|null} 符合的時間區間編號，不符合回傳 null
+ */
+function verifyTotp(secret, code, lastStep = 0) {
+  if (!/^\d{6}$/.test(String(code || ''))) return null;
+  const key = base32Decode(secret);
+  const currentStep = Math.floor(Date.now() / 1000 / STEP_SECONDS);
+
+  for (const step of [currentStep - 1, currentStep, currentStep + 1]) {
+    if (step <= lastStep) continue;
+    const expected = hotp(key, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(String(code)))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+/**
+ * 產生一次性備用碼，格式 xxxxx-xxxxx
+ * @param {number} count
+ */
+function generateRecoveryCodes(count = 10) {
+  return Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+}
+
+module.exports = {
+  generateSecret,
+  buildOtpauthUri,
+  verifyTotp,
+  generateRecoveryCodes
+};